@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * WagerWire Schema Command
+ * Prints the SQL for the tables the simulation expects - paste it into the Supabase SQL
+ * editor, or apply it to a local PGlite database standing in for Postgres to try it out.
+ *
+ *   wagerwire-schema > schema.sql
+ *   wagerwire-schema --from 1 --out migrate.sql
+ *   wagerwire-schema --apply ./local-db
+ */
+
+import fs from 'fs';
+import { setColumnMapping, getColumnMapping } from '../src/column-mapping.js';
+import { SCHEMA_VERSION, generateSchemaSql, applyMigrations } from '../src/db-schema.js';
+
+const USAGE = `Usage: wagerwire-schema [options]
+
+Options:
+  --table <name>     Bets table name (default: characters, or the table in --columns)
+  --columns <file>   Column mapping for a bets table with different column names (JSON, see column-mapping.js)
+  --from <version>   Only the migrations after this schema version (default: 0, everything)
+  --out <file>       Write the SQL to a file instead of printing it
+  --apply <dir>      Apply the migrations a local PGlite database in <dir> hasn't had yet
+                     (created if needed, memory:// for a throwaway one)
+  --help             Show this message`;
+
+// Roles Supabase projects come with, which the RLS policies are granted to
+const SUPABASE_ROLES_SQL = `do $$
+begin
+    if not exists (select from pg_roles where rolname = 'anon') then
+        create role anon nologin;
+    end if;
+    if not exists (select from pg_roles where rolname = 'authenticated') then
+        create role authenticated nologin;
+    end if;
+end
+$$;`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options keyed by flag name
+ */
+function parseArgs(argv) {
+    const flags = ['help'];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        if (flags.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @returns {*} Parsed contents
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Apply pending migrations to a local PGlite database and describe the result
+ * @param {string} dataDir - PGlite data directory, or memory://
+ * @returns {Promise<void>}
+ */
+async function applyToStandIn(dataDir) {
+    let PGlite;
+    try {
+        ({ PGlite } = await import('@electric-sql/pglite'));
+    } catch (error) {
+        throw new Error('--apply needs PGlite: npm install --save-dev @electric-sql/pglite');
+    }
+
+    const db = new PGlite(dataDir);
+    try {
+        await db.exec(SUPABASE_ROLES_SQL);
+        const { from, to, applied } = await applyMigrations(db);
+
+        if (applied.length === 0) {
+            console.log(`${dataDir} is already at schema version ${to}`);
+        } else {
+            applied.forEach(({ version, name }) => console.log(`Applied migration ${version}: ${name}`));
+            console.log(`${dataDir} is now at schema version ${to} (was ${from})`);
+        }
+
+        const { rows } = await db.query(
+            `select c.relname as name, c.relrowsecurity as rls, count(p.policyname) as policies
+             from pg_class c
+             join pg_namespace n on n.oid = c.relnamespace
+             left join pg_policies p on p.schemaname = n.nspname and p.tablename = c.relname
+             where n.nspname = 'public' and c.relkind = 'r'
+             group by c.relname, c.relrowsecurity
+             order by c.relname`
+        );
+        rows.forEach(row => {
+            console.log(`  ${row.name}${row.rls ? ` - RLS on, ${row.policies} policies` : ''}`);
+        });
+    } finally {
+        await db.close();
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.columns) {
+        setColumnMapping(readJson(options.columns));
+    }
+    if (options.table) {
+        setColumnMapping({ ...getColumnMapping(), table: options.table });
+    }
+
+    if (options.apply) {
+        await applyToStandIn(options.apply);
+        return;
+    }
+
+    const from = options.from === undefined ? 0 : parseInt(options.from, 10);
+    if (Number.isNaN(from) || from < 0 || from > SCHEMA_VERSION) {
+        throw new Error(`--from must be a schema version from 0 to ${SCHEMA_VERSION}`);
+    }
+
+    const sql = generateSchemaSql({ from });
+    if (options.out) {
+        fs.writeFileSync(options.out, sql);
+        console.error(`Wrote schema version ${from} to ${SCHEMA_VERSION} SQL to ${options.out}`);
+    } else {
+        process.stdout.write(sql);
+    }
+}
+
+main().catch(error => {
+    console.error(`wagerwire-schema: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for the wagerwire-schema command, run as a child process
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const run = promisify(execFile);
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), 'wagerwire-schema.mjs');
+
+/**
+ * Run the command
+ * @param {...string} args - Arguments
+ * @returns {Promise<string>} Standard output
+ */
+async function schema(...args) {
+    const { stdout } = await run(process.execPath, [CLI, ...args]);
+    return stdout;
+}
+
+test('prints the SQL for the named bets table', async () => {
+    const sql = await schema('--table', 'bets');
+
+    assert.match(sql, /^-- WagerWire schema, version 0 to \d+\n-- Bets table: bets\n/);
+    assert.match(sql, /create table if not exists "bets" \(/);
+});
+
+test('the SQL applies to a stand-in Postgres database', async () => {
+    const output = await schema('--apply', 'memory://');
+
+    assert.match(output, /Applied migration 1: initial/);
+    assert.match(output, /memory:\/\/ is now at schema version \d+ \(was 0\)/);
+    assert.match(output, / {2}characters - RLS on, 3 policies/);
+    assert.match(output, / {2}wagerwire_settlements - RLS on, 2 policies/);
+});
+
+test('rejects a schema version it does not have', async () => {
+    await assert.rejects(
+        run(process.execPath, [CLI, '--from', '99']),
+        error => error.code === 1 && /--from must be a schema version/.test(error.stderr)
+    );
+});
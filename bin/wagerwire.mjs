@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * WagerWire Command-Line Runner
+ * Replays a whole bet queue headlessly against recorded event results and
+ * prints each character's P&L, ROI and win rate.
+ *
+ *   wagerwire --bets bets.csv --events events.json
+ *   wagerwire --supabase --events events.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import { Config } from '../src/config.js';
+import { SupabaseClient } from '../src/supabase-client.js';
+import { SimulationCore } from '../src/simulation-core.js';
+import { parseBetFile } from '../src/bet-files.js';
+import { setColumnMapping } from '../src/column-mapping.js';
+import { FixtureFileProvider } from '../src/event-providers.js';
+
+const require = createRequire(import.meta.url);
+const { loadEnvFile } = require('../build-config.js');
+
+const USAGE = `Usage: wagerwire (--bets <file.json|file.csv> | --supabase) [options]
+
+Options:
+  --bets <file>      Bets exported from the bets table (JSON array or CSV with a header row)
+  --supabase         Load bets from Supabase instead (SUPABASE_URL / SUPABASE_ANON_KEY from the environment or .env)
+  --url <url>        Supabase URL (overrides the environment)
+  --key <key>        Supabase anon key (overrides the environment)
+  --table <name>     Bets table name (default: characters, or the table in --columns)
+  --columns <file>   Column mapping for a bets table with different column names (JSON, see column-mapping.js)
+  --events <file>    Recorded event results or timelines used to settle bets (JSON array)
+  --verbose          Print the simulation log while it runs
+  --json             Print the results as JSON
+  --help             Show this message`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options keyed by flag name
+ */
+function parseArgs(argv) {
+    const flags = ['supabase', 'verbose', 'json', 'help'];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        if (flags.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @returns {*} Parsed contents
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Connect to Supabase using flags, the environment or the project's .env file
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<SupabaseClient>} Connected client
+ */
+async function connectToSupabase(options) {
+    // loadEnvFile prints a notice when there is no .env, which would end up in --json output
+    const hasEnvFile = fs.existsSync(path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.env'));
+    const env = { ...(hasEnvFile ? loadEnvFile() : {}), ...process.env };
+    const url = options.url || env.SUPABASE_URL;
+    const key = options.key || env.SUPABASE_ANON_KEY;
+    if (!url || !key) {
+        throw new Error('Supabase needs --url and --key, or SUPABASE_URL and SUPABASE_ANON_KEY in the environment');
+    }
+
+    const storage = new SupabaseClient({
+        createClient,
+        onLog: options.verbose ? (message, level) => console.error(`[${level}] ${message}`) : () => {}
+    });
+    if (options.table) {
+        storage.tableName = options.table;
+    }
+    await storage.connect(url, key);
+    return storage;
+}
+
+/**
+ * Format money with a sign, e.g. "+£120.50"
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount) {
+    const sign = amount < 0 ? '-' : amount > 0 ? '+' : ' ';
+    return `${sign}£${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Print a results table
+ * @param {Array} results - Results from SimulationCore.getResults()
+ */
+function printResults(results) {
+    const columns = [
+        ['Character', result => result.name],
+        ['Bets', result => `${result.settled}`],
+        ['Open', result => `${result.open}`],
+        ['W-L', result => `${result.wins}-${result.losses}`],
+        ['Staked', result => `£${result.staked.toFixed(2)}`],
+        ['Returned', result => `£${result.returned.toFixed(2)}`],
+        ['P&L', result => formatMoney(result.profit)],
+        ['ROI', result => `${(result.roi * 100).toFixed(1)}%`],
+        ['Win rate', result => `${(result.winRate * 100).toFixed(1)}%`],
+        ['Bankroll', result => `£${result.bankroll.toFixed(2)}`]
+    ];
+
+    const rows = results.map(result => columns.map(([, value]) => value(result)));
+    const widths = columns.map(([title], index) =>
+        Math.max(title.length, ...rows.map(row => row[index].length))
+    );
+    const formatRow = cells => cells
+        .map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])))
+        .join('  ');
+
+    console.log(formatRow(columns.map(([title]) => title)));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(formatRow(row)));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || (!options.bets && !options.supabase)) {
+        console.log(USAGE);
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+
+    // Bets files and the Supabase table are both read through the column mapping
+    if (options.columns) {
+        setColumnMapping(readJson(options.columns));
+    }
+
+    const events = options.events ? readJson(options.events) : [];
+    const eventProvider = new FixtureFileProvider({ events });
+
+    // Supabase is only read from - a replay must not write results back to the bets table
+    const rows = options.supabase
+        ? await (await connectToSupabase(options)).fetchAllBets()
+        : parseBetFile(fs.readFileSync(options.bets, 'utf8'), path.basename(options.bets));
+    if (rows.length === 0) {
+        throw new Error('No bets to simulate');
+    }
+
+    const core = new SimulationCore({
+        config: new Config(),
+        eventProvider,
+        timing: { walkTime: { min: 0, max: 0 }, placingTime: 0, reactionTime: 0 }
+    });
+
+    if (options.verbose) {
+        core.on('log', ({ message, level }) => console.error(`[${level}] ${message}`));
+    }
+
+    const betCount = core.loadBets(rows);
+    const skipped = rows.length - betCount;
+    const openBets = await core.runQueue();
+    const results = core.getResults();
+
+    if (options.json) {
+        console.log(JSON.stringify({ bets: betCount, skipped, openBets, results }, null, 2));
+        return;
+    }
+
+    console.log(`Simulated ${betCount} bets against ${events.length} recorded events\n`);
+    printResults(results);
+    if (skipped > 0) {
+        console.log(`\n${skipped} bet${skipped === 1 ? '' : 's'} skipped - their character isn't in the roster (--verbose names them)`);
+    }
+    if (openBets > 0) {
+        console.log(`\n${openBets} bet${openBets === 1 ? '' : 's'} still open - their events are missing from the events file or haven't finished`);
+    }
+}
+
+main().catch(error => {
+    console.error(`wagerwire: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for the wagerwire command, run as a child process against files in a temp directory
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const run = promisify(execFile);
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), 'wagerwire.mjs');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wagerwire-'));
+    fs.writeFileSync(path.join(dir, 'bets.csv'), [
+        'id,character,stake,price,eventid,selection_combo,bet_side,exchange,created_at',
+        '1,Max,100,2.1,101,Away Win,lay,true,2024-01-01T12:00:00Z',
+        '2,Ellie,50,2,102,Home Win,,,2024-01-01T12:05:00Z',
+        '3,Ellie,50,3,103,Draw,,,2024-01-01T12:10:00Z',
+        '4,Zed,100,2,101,Home Win,,,2024-01-01T12:15:00Z'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'events.json'), JSON.stringify([
+        { eventid: 101, status: 'finished', score: '2 - 1' },
+        { eventid: 102, status: 'finished', score: '0 - 1' }
+    ]));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the command with the temp directory's files
+ * @param {...string} args - Extra arguments
+ * @returns {Promise<string>} Standard output
+ */
+async function wagerwire(...args) {
+    const { stdout } = await run(process.execPath, [
+        CLI, '--bets', path.join(dir, 'bets.csv'), '--events', path.join(dir, 'events.json'), ...args
+    ]);
+    return stdout;
+}
+
+test('prints each character\'s P&L from the replayed bets', async () => {
+    const output = await wagerwire();
+    const lines = output.split('\n');
+
+    assert.match(lines[0], /^Simulated 3 bets against 2 recorded events/);
+    assert.match(lines.find(line => line.startsWith('Max')), /1-0\s+£110\.00\s+£205\.00\s+\+£95\.00/);
+    assert.match(lines.find(line => line.startsWith('Ellie')), /0-1\s+£50\.00\s+£0\.00\s+-£50\.00/);
+    assert.match(output, /1 bet still open/);
+    assert.match(output, /1 bet skipped - their character isn't in the roster/);
+});
+
+test('prints the same results as JSON', async () => {
+    const { bets, skipped, openBets, results } = JSON.parse(await wagerwire('--json'));
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    assert.equal(bets, 3);
+    assert.equal(skipped, 1);
+    assert.equal(openBets, 1);
+    assert.equal(byName.Max.profit.toFixed(2), '95.00');
+    assert.equal(byName.Ellie.profit, -50);
+    assert.equal(byName.Ellie.open, 1);
+    // Zed isn't in the roster, so that winning bet is nobody's
+    assert.equal(byName.Benny.settled, 0);
+});
+
+test('fails with a message when there is nothing to simulate', async () => {
+    fs.writeFileSync(path.join(dir, 'empty.csv'), 'id,character\n');
+    await assert.rejects(
+        run(process.execPath, [CLI, '--bets', path.join(dir, 'empty.csv')]),
+        error => error.code === 1 && /No bets to simulate/.test(error.stderr)
+    );
+});
@@ -46,6 +46,22 @@ class Config {
         this.supabaseUrl = null;
         this.supabaseKey = null;
         this.autoConnect = false;
+        this.oddsFormat = 'decimal';
+        this.commissionRates = { default: 0.05 }; // Exchange commission on net winnings, per market type
+        this.fixturesUrl = null; // Fixture/odds list for character strategies to bet on
+        this.storage = 'supabase'; // Where bets are stored: 'supabase' or 'memory' (offline)
+        this.storageSeedUrl = null; // JSON file of bets table rows to seed the offline table with
+        this.checkSchema = true; // Check the bets table's columns on connect and report any the column mapping can't find
+        this.liveBets = false; // Queue bets as they're inserted into the bets table, or LiveBetFeed options { pollInterval, reconnect }
+        this.eventProvider = 'sofascore'; // Where event data comes from: 'sofascore' or 'fixture-file'
+        this.eventFileUrl = null; // Events file for the fixture-file provider
+        this.eventCache = {}; // Event cache options: ttl per status, maxConcurrent, backoff (see event-cache.js)
+        this.backtestTimelinesUrl = null; // Recorded event timelines for backtest mode
+        this.backtestSpeed = 60; // Backtest speed multiplier, 1x to 1000x
+        this.resettlementWindow = 120; // Minutes settled bets are re-checked for corrected scores, 0 to turn off
+        this.columnMapping = null; // Bets table and column names (see column-mapping.js), null for the defaults
+        this.roster = null; // Custom character roster (see roster.js), null for the default three
+        this.seed = null; // Random seed for reproducible runs, null for a fresh one each load
         
         // Load from environment or localStorage
         this.loadConfig();
@@ -65,6 +81,30 @@ class Config {
             this.supabaseUrl = window.WAGERWIRE_CONFIG.SUPABASE_URL || this.supabaseUrl;
             this.supabaseKey = window.WAGERWIRE_CONFIG.SUPABASE_ANON_KEY || this.supabaseKey;
             this.autoConnect = window.WAGERWIRE_CONFIG.AUTO_CONNECT || this.autoConnect;
+            this.oddsFormat = window.WAGERWIRE_CONFIG.ODDS_FORMAT || this.oddsFormat;
+            this.commissionRates = { ...this.commissionRates, ...window.WAGERWIRE_CONFIG.COMMISSION_RATES };
+            this.fixturesUrl = window.WAGERWIRE_CONFIG.FIXTURES_URL || this.fixturesUrl;
+            this.storage = window.WAGERWIRE_CONFIG.STORAGE || this.storage;
+            this.storageSeedUrl = window.WAGERWIRE_CONFIG.STORAGE_SEED_URL || this.storageSeedUrl;
+            this.checkSchema = window.WAGERWIRE_CONFIG.CHECK_SCHEMA ?? this.checkSchema;
+            this.liveBets = window.WAGERWIRE_CONFIG.LIVE_BETS ?? this.liveBets;
+            this.eventProvider = window.WAGERWIRE_CONFIG.EVENT_PROVIDER || this.eventProvider;
+            this.eventFileUrl = window.WAGERWIRE_CONFIG.EVENT_FILE_URL || this.eventFileUrl;
+            this.eventCache = { ...this.eventCache, ...window.WAGERWIRE_CONFIG.EVENT_CACHE };
+            this.backtestTimelinesUrl = window.WAGERWIRE_CONFIG.BACKTEST_TIMELINES_URL || this.backtestTimelinesUrl;
+            this.backtestSpeed = window.WAGERWIRE_CONFIG.BACKTEST_SPEED || this.backtestSpeed;
+            this.resettlementWindow = window.WAGERWIRE_CONFIG.RESETTLEMENT_WINDOW ?? this.resettlementWindow;
+            this.columnMapping = window.WAGERWIRE_CONFIG.COLUMN_MAPPING || this.columnMapping;
+            this.roster = window.WAGERWIRE_CONFIG.ROSTER || this.roster;
+            this.seed = window.WAGERWIRE_CONFIG.SEED ?? this.seed;
+        }
+
+        // A ?seed= URL parameter replays a reported run
+        if (typeof window !== 'undefined' && window.location) {
+            const urlSeed = new URLSearchParams(window.location.search).get('seed');
+            if (urlSeed) {
+                this.seed = urlSeed;
+            }
         }
 
         // Option 3: Load from localStorage (previous session)
@@ -76,6 +116,9 @@ class Config {
                 this.supabaseUrl = savedUrl;
                 this.supabaseKey = savedKey;
             }
+            
+            // Display preferences always follow the user's last choice
+            this.oddsFormat = localStorage.getItem('wagerwire_odds_format') || this.oddsFormat;
         }
 
         // Pre-fill UI if credentials are available
@@ -153,6 +196,36 @@ class Config {
         };
     }
 
+    /**
+     * Get the preferred odds display format
+     * @returns {string} Format key such as 'decimal' or 'fractional'
+     */
+    getOddsFormat() {
+        return this.oddsFormat;
+    }
+
+    /**
+     * Save the preferred odds display format
+     * @param {string} format - Format key such as 'decimal' or 'fractional'
+     */
+    saveOddsFormat(format) {
+        this.oddsFormat = format;
+
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('wagerwire_odds_format', format);
+        }
+    }
+
+    /**
+     * Get the exchange commission rate for a market
+     * @param {string} marketType - Market type such as 'handicap', 'total' or '1x2'
+     * @returns {number} Commission rate on net winnings (0.05 = 5%)
+     */
+    getCommissionRate(marketType) {
+        const rate = this.commissionRates[marketType];
+        return rate !== undefined ? rate : (this.commissionRates.default || 0);
+    }
+
     /**
      * Check if credentials are available
      * @returns {boolean} Whether credentials are set
@@ -8,7 +8,23 @@
 window.WAGERWIRE_CONFIG = {
     SUPABASE_URL: 'https://your-project.supabase.co',
     SUPABASE_ANON_KEY: 'your-anon-key-here',
-    AUTO_CONNECT: true  // Automatically connect on page load
+    AUTO_CONNECT: true,  // Automatically connect on page load
+    ODDS_FORMAT: 'decimal',  // decimal, fractional, american, hongkong, malay or indonesian
+    COMMISSION_RATES: { default: 0.05, total: 0.03 },  // Exchange commission per market type
+    FIXTURES_URL: '/fixtures.json',  // Fixture/odds list the characters' strategies bet from
+    STORAGE: 'supabase',  // 'supabase', or 'memory' to run offline from a bets table kept in the browser
+    STORAGE_SEED_URL: '/bets.json',  // JSON array of bets table rows the offline table starts from (see storage-adapters.js)
+    CHECK_SCHEMA: true,  // Report bets table columns that are missing on connect - results are saved without them
+    LIVE_BETS: true,  // Queue bets the moment they're inserted into the bets table (realtime, polling while it's down), or { pollInterval: 30000 }
+    EVENT_PROVIDER: 'sofascore',  // 'sofascore' for live data, or 'fixture-file' to settle from EVENT_FILE_URL offline
+    EVENT_FILE_URL: '/events.json',  // Events file for the fixture-file provider (see event-providers.js)
+    EVENT_CACHE: { ttl: { inprogress: 10000 }, maxConcurrent: 4 },  // Event polling cache, TTLs in ms (see event-cache.js)
+    BACKTEST_TIMELINES_URL: '/timelines.json',  // Recorded event timelines for backtest mode (see backtest.js)
+    BACKTEST_SPEED: 60,  // Backtest speed multiplier, 1 to 1000
+    RESETTLEMENT_WINDOW: 120,  // Minutes settled bets are re-checked for corrected final scores (0 turns it off)
+    COLUMN_MAPPING: null,  // Bets table and column names, e.g. { table: 'bets', columns: { character: 'extract_names', createdAt: 'timestamp' } } (see column-mapping.js)
+    SEED: null,  // Random seed - the same seed and bets replay the same run (?seed= in the URL also works)
+    ROSTER: null  // Custom characters, e.g. [{ name: 'Priya', aliases: ['Priya'], color: '#16a085' }] (see roster.js)
 };
 */
 
@@ -0,0 +1,229 @@
+/**
+ * Backtest Mode for WagerWire Simulation
+ * Replays queued bets in created_at order on a virtual clock, settling them against
+ * recorded event timelines instead of the live event API.
+ *
+ * Timelines are played out by a FixtureFileProvider on the virtual clock
+ * (see the events file format in event-providers.js).
+ *
+ * Events:
+ *   tick     (time)      - Virtual time, several times a second while running
+ *   skipped  { from, to } - Clock jumped over a quiet period
+ *   complete (results)   - Every bet has been fed and settled
+ *   stopped              - Backtest ended and the core has its own clock back
+ */
+
+import { EventEmitter } from './event-emitter.js';
+import { VirtualClock } from './virtual-clock.js';
+import { FixtureFileProvider } from './event-providers.js';
+
+// How often the backtest checks for quiet periods and completion (real milliseconds)
+const WATCH_INTERVAL = 250;
+
+// Start the clock a little before the first bet so characters are in place
+const START_LEAD = 60 * 1000;
+
+// Minimum quiet gap worth skipping (virtual milliseconds)
+const MIN_SKIP = 2 * 60 * 1000;
+
+export class Backtest extends EventEmitter {
+    /**
+     * @param {SimulationCore} core - Simulation to drive
+     * @param {Array<Object>} timelines - Recorded event timelines (see event-providers.js)
+     * @param {Object} options
+     * @param {number} options.speed - Speed multiplier, 1x to 1000x
+     * @param {boolean} options.skipQuietPeriods - Jump ahead when no bet's event is in play
+     */
+    constructor(core, timelines, options = {}) {
+        super();
+
+        if (!Array.isArray(timelines)) {
+            throw new Error('Backtest timelines must be a list of events');
+        }
+
+        this.core = core;
+        this.timelines = timelines;
+        this.speed = VirtualClock.clampSpeed(options.speed ?? 60);
+        this.skipQuietPeriods = options.skipQuietPeriods ?? true;
+
+        this.clock = null;
+        this.events = null;
+        this.watcher = null;
+        this.saved = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Get the time a queued bet was made
+     * @param {Object} bet - Bet
+     * @returns {number} Milliseconds since epoch, or NaN if unknown
+     */
+    getBetTime(bet) {
+        return bet ? Date.parse(bet.created_at) : NaN;
+    }
+
+    /**
+     * Get the unsettled events a bet is waiting on that have a recorded timeline
+     * @param {Object} bet - Active bet
+     * @returns {Array<string|number>} Event IDs
+     */
+    getRecordedEventIds(bet) {
+        const eventIds = bet.legs
+            ? bet.legs.filter(leg => !leg.settlement).map(leg => leg.eventid)
+            : [bet.eventid];
+        return eventIds.filter(eventId => this.events.hasEvent(eventId));
+    }
+
+    /**
+     * Start replaying the core's bet queue
+     * Loads bets from storage first if nothing is queued. Storage is detached while the
+     * backtest runs so replayed results are never written back to the bets table.
+     * @returns {Promise<boolean>} True if the backtest started
+     */
+    async start() {
+        const core = this.core;
+        if (this.isRunning || core.isRunning) {
+            core.log('Stop the simulation before starting a backtest', 'warning');
+            return false;
+        }
+
+        if (core.currentBetIndex >= core.betQueue.length && core.isStorageConnected()) {
+            await core.loadExistingBets();
+        }
+
+        const firstBet = core.betQueue[core.currentBetIndex];
+        const firstBetTime = this.getBetTime(firstBet);
+        if (isNaN(firstBetTime)) {
+            core.log('Backtest needs queued bets with a created_at time', 'error');
+            return false;
+        }
+
+        this.clock = new VirtualClock({ startTime: firstBetTime - START_LEAD, speed: this.speed });
+        this.events = new FixtureFileProvider({ events: this.timelines, clock: this.clock });
+        this.saved = {
+            clock: core.clock,
+            eventProvider: core.eventProvider,
+            storage: core.storage,
+            scheduleBets: core.scheduleBets
+        };
+        core.clock = this.clock;
+        core.eventProvider = this.events;
+        core.storage = null;
+        core.scheduleBets = true;
+
+        if (!await core.start()) {
+            this.restore();
+            return false;
+        }
+
+        this.isRunning = true;
+        this.watcher = setInterval(() => this.watch(), WATCH_INTERVAL);
+        core.log(`⏱️ Backtest started at ${new Date(this.clock.now()).toISOString()} (${this.speed}x, ${this.timelines.length} event timelines)`, 'success');
+        return true;
+    }
+
+    /**
+     * Stop the backtest and hand the core back its clock, event provider and storage
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        clearInterval(this.watcher);
+        this.watcher = null;
+        this.core.stop();
+        this.restore();
+        this.core.log('⏱️ Backtest stopped', 'info');
+        this.emit('stopped');
+    }
+
+    /**
+     * Put back the settings start() swapped out
+     */
+    restore() {
+        if (!this.saved) return;
+
+        Object.assign(this.core, this.saved);
+        this.saved = null;
+        this.clock.dispose();
+    }
+
+    /**
+     * Change the speed multiplier while running
+     * @param {number} speed - Speed multiplier, 1x to 1000x
+     * @returns {number} Speed actually set
+     */
+    setSpeed(speed) {
+        this.speed = VirtualClock.clampSpeed(speed);
+        if (this.clock) {
+            this.clock.setSpeed(this.speed);
+        }
+        return this.speed;
+    }
+
+    /**
+     * Get the current virtual time
+     * @returns {number|null} Milliseconds since epoch, or null before the backtest starts
+     */
+    now() {
+        return this.clock ? this.clock.now() : null;
+    }
+
+    /**
+     * Follow the core's pause state, skip quiet periods and notice when the run is over
+     */
+    watch() {
+        const core = this.core;
+
+        if (!core.isRunning) {
+            this.stop();
+            return;
+        }
+
+        if (core.isPaused) {
+            this.clock.pause();
+            return;
+        }
+        this.clock.resume();
+
+        // Bets on events with no recorded timeline can never settle, so don't wait for them
+        const betsRemaining = core.currentBetIndex < core.betQueue.length;
+        const betsInPlay = [...core.activeBets.values()].some(bet => this.getRecordedEventIds(bet).length > 0);
+        if (!betsRemaining && !betsInPlay) {
+            const results = core.getResults();
+            core.log('🏁 Backtest complete - every bet has been replayed', 'success');
+            this.stop();
+            this.emit('complete', results);
+            return;
+        }
+
+        if (this.skipQuietPeriods) {
+            this.skipQuietPeriod();
+        }
+
+        this.emit('tick', this.clock.now());
+    }
+
+    /**
+     * Jump the clock to the next bet or kickoff when nothing is happening in between
+     */
+    skipQuietPeriod() {
+        const core = this.core;
+        const now = this.clock.now();
+        const upcoming = [this.getBetTime(core.betQueue[core.currentBetIndex])];
+
+        for (const bet of core.activeBets.values()) {
+            for (const eventId of this.getRecordedEventIds(bet)) {
+                // Events in play (or finished but not settled yet) need watching in real time
+                if (this.events.getLoadedEvent(eventId).status !== 'notstarted') return;
+                upcoming.push(this.events.getKickoff(eventId));
+            }
+        }
+
+        const next = Math.min(...upcoming.filter(time => !isNaN(time)));
+        if (isFinite(next) && next - now > MIN_SKIP) {
+            this.clock.jumpTo(next);
+            this.emit('skipped', { from: now, to: next });
+        }
+    }
+}
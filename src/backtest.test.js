@@ -0,0 +1,59 @@
+/**
+ * Tests for backtest mode, replaying bets on a fast virtual clock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationCore } from './simulation-core.js';
+import { Backtest } from './backtest.js';
+import { systemClock } from './virtual-clock.js';
+
+const timing = { walkTime: { min: 0, max: 0 }, placingTime: 0, reactionTime: 0 };
+
+/**
+ * Run a backtest until it completes
+ * @param {Backtest} backtest - Backtest to run
+ * @returns {Promise<Array>} Results it completed with
+ */
+async function runToCompletion(backtest) {
+    const complete = new Promise(resolve => backtest.once('complete', resolve));
+    assert.equal(await backtest.start(), true);
+    return complete;
+}
+
+test('bets are replayed against their timelines until every one has settled', async () => {
+    const core = new SimulationCore({ timing });
+    core.loadBets([
+        { id: 1, character: 'Max', stake: 100, price: 2, eventid: 101, selection_combo: 'Home Win', created_at: '2024-03-02T14:50:00Z' },
+        { id: 2, character: 'Ellie', stake: 100, price: 3, eventid: 102, selection_combo: 'Draw', created_at: '2024-03-02T14:55:00Z' }
+    ]);
+
+    // One-minute matches kicking off hours after the bets, so the quiet period is skipped
+    const backtest = new Backtest(core, [
+        { eventid: 101, kickoff: '2024-03-02T18:00:00Z', duration: 1, timeline: [{ minute: 0, score: '1-0' }] },
+        { eventid: 102, kickoff: '2024-03-02T18:00:00Z', duration: 1, timeline: [] }
+    ], { speed: 1000 });
+    const skipped = [];
+    backtest.on('skipped', skip => skipped.push(skip));
+
+    const results = await runToCompletion(backtest);
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    assert.equal(byName.Max.wins, 1);
+    assert.equal(byName.Ellie.wins, 1);
+    assert.equal(core.characters.Max.bankroll, 10100);
+    assert.equal(core.characters.Ellie.bankroll, 10200);
+    assert.ok(skipped.some(({ to }) => to === Date.parse('2024-03-02T18:00:00Z')));
+
+    // The core has its own clock back once the backtest is over
+    assert.equal(backtest.isRunning, false);
+    assert.equal(core.clock, systemClock);
+});
+
+test('backtests need bets with a created_at time', async () => {
+    const core = new SimulationCore({ timing });
+    core.loadBets([{ id: 1, character: 'Max', stake: 100, price: 2, eventid: 101, selection_combo: 'Home Win' }]);
+
+    assert.equal(await new Backtest(core, []).start(), false);
+    assert.throws(() => new Backtest(core, {}), /list of events/);
+});
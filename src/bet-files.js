@@ -0,0 +1,111 @@
+/**
+ * Bet Files for WagerWire Simulation
+ * Reads bets exported from the bets table (JSON or CSV), so batch runs don't need Supabase.
+ * Recorded event results are served by FixtureFileProvider (see event-providers.js).
+ */
+
+import { getColumn } from './column-mapping.js';
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields containing commas, newlines and doubled quotes
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>} Rows of raw field values
+ */
+function splitCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convert a CSV cell to the value a database row would hold
+ * @param {string} value - Raw cell text
+ * @returns {string|number|boolean|null} Number for numeric cells, null for empty ones
+ */
+function parseCsvValue(value) {
+    const trimmed = value.trim();
+    if (trimmed === '') return null;
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+    return trimmed;
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+function parseCsv(text) {
+    const [header, ...rows] = splitCsv(text);
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return rows.map(fields => {
+        const row = {};
+        columns.forEach((column, index) => {
+            row[column] = parseCsvValue(fields[index] ?? '');
+        });
+        return row;
+    });
+}
+
+/**
+ * Parse a bets file exported from the bets table
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell CSV from JSON
+ * @returns {Array<Object>} Bet rows, oldest first
+ * @throws {Error} If the file is not a list of bets
+ */
+function parseBetFile(text, fileName = '') {
+    const rows = fileName.toLowerCase().endsWith('.csv') ? parseCsv(text) : JSON.parse(text);
+    if (!Array.isArray(rows)) {
+        throw new Error('Bets file must contain a list of bets');
+    }
+
+    // Replay in the order the bets were made, like loadExistingBets
+    const createdAt = getColumn('createdAt');
+    return [...rows].sort((a, b) => `${a[createdAt] || ''}`.localeCompare(`${b[createdAt] || ''}`));
+}
+
+// Export functions for use in other modules
+export {
+    parseCsv,
+    parseBetFile
+};
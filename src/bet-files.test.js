@@ -0,0 +1,43 @@
+/**
+ * Tests for reading bet files
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseBetFile } from './bet-files.js';
+
+test('CSV cells become the values a database row would hold', () => {
+    const rows = parseCsv('id,character,stake,exchange,selection_line\n1,Max,50.5,true,\n2,Ellie,-10,false,2.5\n');
+
+    assert.deepEqual(rows, [
+        { id: 1, character: 'Max', stake: 50.5, exchange: true, selection_line: null },
+        { id: 2, character: 'Ellie', stake: -10, exchange: false, selection_line: 2.5 }
+    ]);
+});
+
+test('quoted CSV fields keep their commas, newlines and quotes', () => {
+    const rows = parseCsv('id,note,legs\r\n1,"Home, then away","[{""eventid"": 101}]"\r\n2,"two\nlines",\r\n\r\n');
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].note, 'Home, then away');
+    assert.deepEqual(JSON.parse(rows[0].legs), [{ eventid: 101 }]);
+    assert.equal(rows[1].note, 'two\nlines');
+});
+
+test('CSV with only a header, or nothing at all, has no rows', () => {
+    assert.deepEqual(parseCsv('id,character\n'), []);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+test('bet files are replayed oldest first whatever their format', () => {
+    const json = JSON.stringify([
+        { id: 2, created_at: '2024-01-02T00:00:00Z' },
+        { id: 1, created_at: '2024-01-01T00:00:00Z' }
+    ]);
+    assert.deepEqual(parseBetFile(json, 'bets.json').map(row => row.id), [1, 2]);
+
+    const csv = 'id,created_at\n2,2024-01-02T00:00:00Z\n1,2024-01-01T00:00:00Z\n';
+    assert.deepEqual(parseBetFile(csv, 'BETS.CSV').map(row => row.id), [1, 2]);
+
+    assert.throws(() => parseBetFile('{"id": 1}', 'bets.json'), /list of bets/);
+});
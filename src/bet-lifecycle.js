@@ -0,0 +1,151 @@
+/**
+ * Bet Lifecycle for WagerWire Simulation
+ * Every bet moves through an explicit set of states, keeping a timestamped history
+ * of each transition so it's always clear where a bet is and how it got there.
+ *
+ *   queued -> walking -> placed -> awaiting_kickoff -> in_play -> settled / voided / cashed_out
+ *
+ * Any state before settlement can move to errored (e.g. its event couldn't be fetched),
+ * and a placed bet leaves errored again once a check succeeds.
+ */
+
+/**
+ * Bet states
+ */
+const BetState = Object.freeze({
+    QUEUED: 'queued',
+    WALKING: 'walking',
+    PLACED: 'placed',
+    AWAITING_KICKOFF: 'awaiting_kickoff',
+    IN_PLAY: 'in_play',
+    SETTLED: 'settled',
+    VOIDED: 'voided',
+    CASHED_OUT: 'cashed_out',
+    ERRORED: 'errored'
+});
+
+/**
+ * Display labels for each state
+ */
+const STATE_LABELS = {
+    [BetState.QUEUED]: 'Queued',
+    [BetState.WALKING]: 'Walking to bookie',
+    [BetState.PLACED]: 'Placed',
+    [BetState.AWAITING_KICKOFF]: 'Awaiting kickoff',
+    [BetState.IN_PLAY]: 'In play',
+    [BetState.SETTLED]: 'Settled',
+    [BetState.VOIDED]: 'Voided',
+    [BetState.CASHED_OUT]: 'Cashed out',
+    [BetState.ERRORED]: 'Errored'
+};
+
+/**
+ * States a bet can move to from each state
+ */
+const TRANSITIONS = {
+    [BetState.QUEUED]: [BetState.WALKING, BetState.ERRORED],
+    [BetState.WALKING]: [BetState.PLACED, BetState.ERRORED],
+    [BetState.PLACED]: [BetState.AWAITING_KICKOFF, BetState.IN_PLAY, BetState.SETTLED, BetState.VOIDED, BetState.ERRORED],
+    [BetState.AWAITING_KICKOFF]: [BetState.IN_PLAY, BetState.SETTLED, BetState.VOIDED, BetState.ERRORED],
+    [BetState.IN_PLAY]: [BetState.SETTLED, BetState.VOIDED, BetState.CASHED_OUT, BetState.ERRORED],
+    [BetState.ERRORED]: [BetState.AWAITING_KICKOFF, BetState.IN_PLAY, BetState.SETTLED, BetState.VOIDED, BetState.CASHED_OUT],
+    [BetState.SETTLED]: [],
+    [BetState.VOIDED]: [],
+    [BetState.CASHED_OUT]: []
+};
+
+/**
+ * Check whether a state is final
+ * @param {string} state - Bet state
+ * @returns {boolean} True for settled, voided and cashed out
+ */
+function isTerminalState(state) {
+    return TRANSITIONS[state] !== undefined && TRANSITIONS[state].length === 0;
+}
+
+/**
+ * Check whether a bet may move from one state to another
+ * @param {string} from - Current state
+ * @param {string} to - Next state
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Put a bet at the start of its lifecycle
+ * @param {Object} bet - Bet object
+ * @param {number} time - Current time (ms since epoch)
+ * @param {string} reason - Why the bet was queued
+ * @returns {Object} The bet
+ */
+function startBetLifecycle(bet, time, reason = null) {
+    const at = new Date(time).toISOString();
+    bet.state = BetState.QUEUED;
+    bet.stateChangedAt = at;
+    bet.stateHistory = [{ state: BetState.QUEUED, at, reason }];
+    return bet;
+}
+
+/**
+ * Move a bet to a new state and record the transition
+ * @param {Object} bet - Bet object
+ * @param {string} state - Next state (one of BetState)
+ * @param {number} time - Current time (ms since epoch)
+ * @param {string} reason - Why the bet moved (optional)
+ * @returns {boolean} True if the bet moved, false if it was already in that state
+ * @throws {Error} If the transition isn't allowed
+ */
+function transitionBet(bet, state, time, reason = null) {
+    if (bet.state === state) {
+        return false;
+    }
+
+    if (!canTransition(bet.state, state)) {
+        throw new Error(`Bet ${bet.id} can't go from ${bet.state} to ${state}`);
+    }
+
+    const at = new Date(time).toISOString();
+    bet.state = state;
+    bet.stateChangedAt = at;
+    bet.stateHistory.push({ state, at, reason });
+    return true;
+}
+
+/**
+ * Get the display label for a state
+ * @param {string} state - Bet state
+ * @returns {string} Label, e.g. "Awaiting kickoff"
+ */
+function getStateLabel(state) {
+    return STATE_LABELS[state] || 'Unknown';
+}
+
+/**
+ * Summarize where a bet is in its lifecycle
+ * @param {Object} bet - Bet object
+ * @param {number} time - Current time (ms since epoch)
+ * @returns {Object} { id, character, state, since, secondsInState, history }
+ */
+function describeBetState(bet, time) {
+    return {
+        id: bet.id,
+        character: bet.character,
+        state: bet.state,
+        since: bet.stateChangedAt,
+        secondsInState: Math.round((time - Date.parse(bet.stateChangedAt)) / 1000),
+        history: bet.stateHistory
+    };
+}
+
+// Export functions for use in other modules
+export {
+    BetState,
+    isTerminalState,
+    canTransition,
+    startBetLifecycle,
+    transitionBet,
+    getStateLabel,
+    describeBetState
+};
@@ -0,0 +1,51 @@
+/**
+ * Tests for bet lifecycle transitions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BetState, isTerminalState, canTransition, startBetLifecycle, transitionBet } from './bet-lifecycle.js';
+
+const time = Date.parse('2024-01-01T12:00:00Z');
+
+test('a bet walks from queued to settled, recording each step', () => {
+    const bet = startBetLifecycle({ id: 1 }, time, 'Loaded');
+
+    [BetState.WALKING, BetState.PLACED, BetState.AWAITING_KICKOFF, BetState.IN_PLAY, BetState.SETTLED]
+        .forEach((state, i) => assert.equal(transitionBet(bet, state, time + i + 1), true));
+
+    assert.equal(bet.state, BetState.SETTLED);
+    assert.deepEqual(bet.stateHistory.map(step => step.state), [
+        'queued', 'walking', 'placed', 'awaiting_kickoff', 'in_play', 'settled'
+    ]);
+    assert.equal(bet.stateHistory[0].reason, 'Loaded');
+    assert.equal(bet.stateChangedAt, new Date(time + 5).toISOString());
+});
+
+test('moving to the state a bet is already in does nothing', () => {
+    const bet = startBetLifecycle({ id: 1 }, time);
+    assert.equal(transitionBet(bet, BetState.QUEUED, time), false);
+    assert.equal(bet.stateHistory.length, 1);
+});
+
+test('transitions that skip ahead or leave a final state throw', () => {
+    const bet = startBetLifecycle({ id: 1 }, time);
+    assert.throws(() => transitionBet(bet, BetState.SETTLED, time), /can't go from queued to settled/);
+
+    transitionBet(bet, BetState.WALKING, time);
+    transitionBet(bet, BetState.PLACED, time);
+    transitionBet(bet, BetState.VOIDED, time);
+    assert.throws(() => transitionBet(bet, BetState.IN_PLAY, time));
+});
+
+test('errored bets can pick up where they left off but cash-outs need the bet in play', () => {
+    assert.ok(canTransition(BetState.PLACED, BetState.ERRORED));
+    assert.ok(canTransition(BetState.ERRORED, BetState.IN_PLAY));
+    assert.ok(canTransition(BetState.IN_PLAY, BetState.CASHED_OUT));
+    assert.equal(canTransition(BetState.PLACED, BetState.CASHED_OUT), false);
+    assert.equal(canTransition(BetState.SETTLED, BetState.ERRORED), false);
+});
+
+test('only settled, voided and cashed out are final', () => {
+    assert.deepEqual(Object.values(BetState).filter(isTerminalState), ['settled', 'voided', 'cashed_out']);
+});
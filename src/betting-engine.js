@@ -1,8 +1,121 @@
 /**
  * Complete Betting Engine for WagerWire Simulation
- * Handles Asian Handicap and Over/Under betting calculations
+ * Handles Asian Handicap, Over/Under, 1X2 (moneyline), BTTS and correct score calculations
  */
 
+/**
+ * Version of the settlement rules, saved with every settled bet so a result can be traced
+ * back to the rules that produced it - bump it whenever a market settles differently
+ */
+const ENGINE_VERSION = '1.0.0';
+
+/**
+ * Canonical selection names keyed by the lowercase aliases seen in bet feeds
+ */
+const SELECTION_ALIASES = {
+    'home team': 'Home Team',
+    'home': 'Home Team',
+    'away team': 'Away Team',
+    'away': 'Away Team',
+    'over': 'Over',
+    'under': 'Under',
+    // 1X2 / moneyline
+    '1': 'Home Win',
+    'home win': 'Home Win',
+    'x': 'Draw',
+    'draw': 'Draw',
+    '2': 'Away Win',
+    'away win': 'Away Win',
+    // Draw No Bet
+    'home draw no bet': 'Home Draw No Bet',
+    'home dnb': 'Home Draw No Bet',
+    'away draw no bet': 'Away Draw No Bet',
+    'away dnb': 'Away Draw No Bet',
+    // Double Chance
+    '1x': 'Home or Draw',
+    'home or draw': 'Home or Draw',
+    'x2': 'Draw or Away',
+    'draw or away': 'Draw or Away',
+    'away or draw': 'Draw or Away',
+    '12': 'Home or Away',
+    'home or away': 'Home or Away',
+    // Both Teams To Score
+    'btts yes': 'BTTS Yes',
+    'both teams to score': 'BTTS Yes',
+    'both teams to score yes': 'BTTS Yes',
+    'gg': 'BTTS Yes',
+    'btts no': 'BTTS No',
+    'both teams to score no': 'BTTS No',
+    'ng': 'BTTS No',
+    // Correct score (picked score carried in the selection line, e.g. "2-1")
+    'correct score': 'Correct Score',
+    'exact score': 'Correct Score'
+};
+
+/**
+ * Market type for each canonical selection
+ */
+const MARKET_TYPES = {
+    'Home Team': 'handicap',
+    'Away Team': 'handicap',
+    'Over': 'total',
+    'Under': 'total',
+    'Home Win': '1x2',
+    'Draw': '1x2',
+    'Away Win': '1x2',
+    'Home Draw No Bet': 'draw_no_bet',
+    'Away Draw No Bet': 'draw_no_bet',
+    'Home or Draw': 'double_chance',
+    'Draw or Away': 'double_chance',
+    'Home or Away': 'double_chance',
+    'BTTS Yes': 'btts',
+    'BTTS No': 'btts',
+    'Correct Score': 'correct_score'
+};
+
+/**
+ * Map a raw selection value to its canonical name
+ * @param {string} selection - Selection like "X", "home dnb" or "Over"
+ * @returns {string|null} Canonical selection name, or null if not recognised
+ */
+function normalizeSelectionCombo(selection) {
+    if (selection === undefined || selection === null) return null;
+    return SELECTION_ALIASES[selection.toString().trim().toLowerCase()] || null;
+}
+
+/**
+ * Get the market type of a canonical selection
+ * @param {string} selectionCombo - Canonical selection name
+ * @returns {string|null} "handicap", "total", "1x2", "draw_no_bet", "double_chance" or null
+ */
+function getMarketType(selectionCombo) {
+    return MARKET_TYPES[selectionCombo] || null;
+}
+
+/**
+ * Check whether a selection is shown without a line (1X2, Draw No Bet, Double Chance, BTTS)
+ * @param {string} selectionCombo - Canonical selection name
+ * @returns {boolean} True if the selection has no handicap, total or score attached
+ */
+function isLinelessMarket(selectionCombo) {
+    const marketType = getMarketType(selectionCombo);
+    return marketType !== null && !['handicap', 'total', 'correct_score'].includes(marketType);
+}
+
+/**
+ * Parse a score string like "2-1" or "2 - 1"
+ * @param {string} scoreText - Score text
+ * @returns {Object|null} { home, away } goals, or null if not a valid score
+ */
+function parseScore(scoreText) {
+    if (scoreText === undefined || scoreText === null) return null;
+
+    const match = scoreText.toString().match(/(\d+)\s*[-:]\s*(\d+)/);
+    if (!match) return null;
+
+    return { home: parseInt(match[1]), away: parseInt(match[2]) };
+}
+
 /**
  * Evaluates Over/Under (Totals) bets
  * @param {string} bet - Bet string like "Over 2.5" or "Under 1.75"
@@ -109,15 +222,163 @@ const evaluateHandicap = (bet, homeTeam, awayTeam, homeGoals, awayGoals) => {
 };
 
 /**
- * Enhanced prediction calculation using structured database fields
- * @param {string} selectionCombo - Bet type: "Home Team", "Away Team", "Over", "Under"
- * @param {number} selectionLine - Handicap/Total line value
+ * Evaluates Both Teams To Score bets
+ * @param {string} bet - Bet string like "BTTS Yes" or "BTTS No"
+ * @param {number} homeGoals - Home team goals
+ * @param {number} awayGoals - Away team goals
+ * @returns {string} Result: "Win", "Loss"
+ */
+const evaluateBothTeamsToScore = (bet, homeGoals, awayGoals) => {
+    const match = bet.match(/(Yes|No)\s*$/i);
+    if (!match) return 'Invalid';
+
+    const bothScored = homeGoals > 0 && awayGoals > 0;
+    const backingYes = match[1].toLowerCase() === 'yes';
+
+    return bothScored === backingYes ? "Win" : "Loss";
+};
+
+/**
+ * Evaluates Correct Score bets
+ * @param {string} bet - Bet string like "Correct Score 2-1" or just "2-1"
+ * @param {number} homeGoals - Home team goals
+ * @param {number} awayGoals - Away team goals
+ * @returns {string} Result: "Win", "Loss"
+ */
+const evaluateCorrectScore = (bet, homeGoals, awayGoals) => {
+    const picked = parseScore(bet);
+    if (!picked) return 'Invalid';
+
+    return picked.home === homeGoals && picked.away === awayGoals ? "Win" : "Loss";
+};
+
+/**
+ * Number of further goals a losing bet needs before it would be winning
+ * @param {string} selectionCombo - Canonical selection name
+ * @param {number|string} selectionLine - Line value, or picked score for correct score bets
+ * @param {string} currentScore - Current match score
+ * @returns {number|null} Goals needed, 0 if already winning, or null if no goal can rescue it
+ */
+function getGoalsNeeded(selectionCombo, selectionLine, currentScore) {
+    const score = parseScore(currentScore);
+    if (!score) return null;
+
+    if (selectionCombo === 'BTTS Yes') {
+        return (score.home > 0 ? 0 : 1) + (score.away > 0 ? 0 : 1);
+    }
+
+    if (selectionCombo === 'BTTS No') {
+        return score.home > 0 && score.away > 0 ? null : 0;
+    }
+
+    if (selectionCombo === 'Correct Score') {
+        const picked = parseScore(selectionLine);
+        if (!picked || score.home > picked.home || score.away > picked.away) return null;
+        return (picked.home - score.home) + (picked.away - score.away);
+    }
+
+    return null;
+}
+
+/**
+ * Settlement outcomes returned by settleSelection
+ */
+const SettlementOutcome = Object.freeze({
+    WIN: 'Win',
+    HALF_WIN: 'Half Win',
+    PUSH: 'Push',
+    HALF_LOSS: 'Half Loss',
+    LOSS: 'Loss',
+    CASH_OUT: 'Cash Out',
+    PENDING: 'Pending'
+});
+
+/**
+ * Share of the stake won, lost and refunded for each outcome
+ */
+const STAKE_FRACTIONS = {
+    [SettlementOutcome.WIN]: { won: 1, lost: 0, refunded: 0 },
+    [SettlementOutcome.HALF_WIN]: { won: 0.5, lost: 0, refunded: 0.5 },
+    [SettlementOutcome.PUSH]: { won: 0, lost: 0, refunded: 1 },
+    [SettlementOutcome.HALF_LOSS]: { won: 0, lost: 0.5, refunded: 0.5 },
+    [SettlementOutcome.LOSS]: { won: 0, lost: 1, refunded: 0 },
+    // Cash-outs pay a fixed amount instead of a share of the stake (see cashOutValue)
+    [SettlementOutcome.CASH_OUT]: { won: 0, lost: 0, refunded: 0 },
+    [SettlementOutcome.PENDING]: { won: 0, lost: 0, refunded: 0 }
+};
+
+/**
+ * Build a settlement result object
+ * @param {string} outcome - One of SettlementOutcome
+ * @param {Object} details - Optional { label, effectiveScore, selectionCombo, selectionLine }
+ * @returns {Object} Settlement with outcome, stakeFractions, effectiveScore and label
+ */
+function createSettlement(outcome, details = {}) {
+    return {
+        outcome,
+        stakeFractions: { ...STAKE_FRACTIONS[outcome] },
+        effectiveScore: details.effectiveScore || null,
+        selectionCombo: details.selectionCombo || null,
+        selectionLine: details.selectionLine ?? null,
+        label: details.label || outcome
+    };
+}
+
+/**
+ * Coerce a settlement object or a legacy result string into a settlement object
+ * @param {Object|string} result - Settlement object, or text like "Half Win - Over (2.75) (3 goals)"
+ * @returns {Object} Settlement object
+ */
+function toSettlement(result) {
+    if (result && typeof result === 'object') return result;
+
+    const text = (result || '').toString();
+    const outcome = [
+        SettlementOutcome.HALF_WIN,
+        SettlementOutcome.HALF_LOSS,
+        SettlementOutcome.WIN,
+        SettlementOutcome.PUSH,
+        SettlementOutcome.LOSS,
+        SettlementOutcome.CASH_OUT
+    ].find(candidate => text.startsWith(candidate)) || SettlementOutcome.PENDING;
+
+    return createSettlement(outcome, { label: text || outcome });
+}
+
+/**
+ * Map an adjusted score (goal difference plus line) to a quarter-line outcome
+ * @param {number} adjustedScore - Score relative to the line
+ * @returns {string} One of SettlementOutcome
+ */
+function getLineOutcome(adjustedScore) {
+    const rounded = Math.round(adjustedScore * 100) / 100;
+
+    if (rounded >= 0.5) {
+        return SettlementOutcome.WIN;
+    } else if (rounded === 0.25) {
+        return SettlementOutcome.HALF_WIN;
+    } else if (rounded === 0) {
+        return SettlementOutcome.PUSH;
+    } else if (rounded === -0.25) {
+        return SettlementOutcome.HALF_LOSS;
+    }
+    return SettlementOutcome.LOSS;
+}
+
+/**
+ * Settle a selection against a score using structured database fields
+ * @param {string} selectionCombo - Bet type: "Home Team", "Away Team", "Over", "Under",
+ *   "Home Win", "Draw", "Away Win", "Home/Away Draw No Bet", "Home or Draw", "Draw or Away", "Home or Away",
+ *   "BTTS Yes", "BTTS No", "Correct Score"
+ * @param {number|string} selectionLine - Handicap/Total line value, or picked score like "2-1" for
+ *   correct score bets (ignored for 1X2 and BTTS markets)
  * @param {string|null} betTimeScore - Score when bet was placed (for progression analysis)
  * @param {string} currentScore - Current match score
- * @returns {string} Detailed prediction result with progression info
+ * @returns {Object} Settlement: { outcome, stakeFractions: { won, lost, refunded },
+ *   effectiveScore: { home, away }, selectionCombo, selectionLine, label }
  */
-function calculateEnhancedPredictedResult(selectionCombo, selectionLine, betTimeScore, currentScore) {
-    const line = parseFloat(selectionLine.toString());
+function settleSelection(selectionCombo, selectionLine, betTimeScore, currentScore) {
+    const line = parseFloat((selectionLine ?? 0).toString());
     
     const [currentHomeGoals, currentAwayGoals] = currentScore.split('-').map(Number);
     let adjustedHomeGoals = currentHomeGoals;
@@ -136,7 +397,13 @@ function calculateEnhancedPredictedResult(selectionCombo, selectionLine, betTime
         }
     }
 
-    let result = 'Pending';
+    const fullScore = { home: currentHomeGoals, away: currentAwayGoals };
+    const settle = (outcome, detail, effectiveScore = fullScore) => createSettlement(outcome, {
+        label: `${outcome} - ${detail}`,
+        effectiveScore,
+        selectionCombo,
+        selectionLine: getMarketType(selectionCombo) === 'correct_score' ? selectionLine : line
+    });
 
     // 🏠 Asian Handicap Bets (Home or Away Team)
     if (selectionCombo === 'Home Team' || selectionCombo === 'Away Team') {
@@ -144,49 +411,168 @@ function calculateEnhancedPredictedResult(selectionCombo, selectionLine, betTime
             ? adjustedHomeGoals - adjustedAwayGoals
             : adjustedAwayGoals - adjustedHomeGoals;
 
-        const adjustedScore = goalDiff + line;
-        const rounded = Math.round(adjustedScore * 100) / 100;
-
-        if (rounded >= 0.5) {
-            result = 'Win';
-        } else if (rounded === 0.25) {
-            result = 'Half Win';
-        } else if (rounded === 0) {
-            result = 'Push';
-        } else if (rounded === -0.25) {
-            result = 'Half Loss';
-        } else {
-            result = 'Loss';
-        }
-
-        result += ` - ${selectionCombo} (${line}) (${adjustedHomeGoals}-${adjustedAwayGoals})`;
+        return settle(
+            getLineOutcome(goalDiff + line),
+            `${selectionCombo} (${line}) (${adjustedHomeGoals}-${adjustedAwayGoals})`,
+            { home: adjustedHomeGoals, away: adjustedAwayGoals }
+        );
     }
 
     // ⚽ Over/Under Totals Bets
-    else if (selectionCombo === 'Over' || selectionCombo === 'Under') {
+    if (selectionCombo === 'Over' || selectionCombo === 'Under') {
         const totalGoals = currentHomeGoals + currentAwayGoals;  // Use full-time score
         const diff = selectionCombo === 'Over'
             ? totalGoals - line
             : line - totalGoals;
 
-        const rounded = Math.round(diff * 100) / 100;
+        return settle(getLineOutcome(diff), `${selectionCombo} (${line}) (${totalGoals} goals)`);
+    }
+
+    // 🏆 1X2 / Moneyline Bets (settled on the full-time result)
+    if (getMarketType(selectionCombo) === '1x2') {
+        const matchOutcome = currentHomeGoals > currentAwayGoals ? 'Home Win'
+            : currentHomeGoals < currentAwayGoals ? 'Away Win'
+            : 'Draw';
 
-        if (rounded >= 0.5) {
-            result = 'Win';
-        } else if (rounded === 0.25) {
-            result = 'Half Win';
-        } else if (rounded === 0) {
-            result = 'Push';
-        } else if (rounded === -0.25) {
-            result = 'Half Loss';
-        } else {
-            result = 'Loss';
+        return settle(
+            matchOutcome === selectionCombo ? SettlementOutcome.WIN : SettlementOutcome.LOSS,
+            `${selectionCombo} (${currentHomeGoals}-${currentAwayGoals})`
+        );
+    }
+
+    // 🤝 Draw No Bet (stake returned on a draw)
+    if (getMarketType(selectionCombo) === 'draw_no_bet') {
+        const goalDiff = selectionCombo === 'Home Draw No Bet'
+            ? currentHomeGoals - currentAwayGoals
+            : currentAwayGoals - currentHomeGoals;
+
+        const outcome = goalDiff > 0 ? SettlementOutcome.WIN
+            : goalDiff === 0 ? SettlementOutcome.PUSH
+            : SettlementOutcome.LOSS;
+
+        return settle(outcome, `${selectionCombo} (${currentHomeGoals}-${currentAwayGoals})`);
+    }
+
+    // 🎯 Double Chance (two of the three 1X2 outcomes)
+    if (getMarketType(selectionCombo) === 'double_chance') {
+        const covered = {
+            'Home or Draw': currentHomeGoals >= currentAwayGoals,
+            'Draw or Away': currentHomeGoals <= currentAwayGoals,
+            'Home or Away': currentHomeGoals !== currentAwayGoals
+        };
+
+        return settle(
+            covered[selectionCombo] ? SettlementOutcome.WIN : SettlementOutcome.LOSS,
+            `${selectionCombo} (${currentHomeGoals}-${currentAwayGoals})`
+        );
+    }
+
+    // ⚽⚽ Both Teams To Score
+    if (getMarketType(selectionCombo) === 'btts') {
+        return settle(
+            evaluateBothTeamsToScore(selectionCombo, currentHomeGoals, currentAwayGoals),
+            `${selectionCombo} (${currentHomeGoals}-${currentAwayGoals})`
+        );
+    }
+
+    // 🎯 Correct Score
+    if (selectionCombo === 'Correct Score') {
+        const picked = parseScore(selectionLine);
+        if (picked) {
+            return settle(
+                evaluateCorrectScore(selectionLine.toString(), currentHomeGoals, currentAwayGoals),
+                `${selectionCombo} (${picked.home}-${picked.away}) (${currentHomeGoals}-${currentAwayGoals})`
+            );
         }
+    }
+
+    return createSettlement(SettlementOutcome.PENDING, { selectionCombo });
+}
 
-        result += ` - ${selectionCombo} (${line}) (${totalGoals} goals)`;
+/**
+ * Price multiplier a settled leg contributes to an accumulator
+ * @param {Object|string} settlement - Leg settlement object or result text
+ * @param {number} price - Leg price
+ * @returns {number} Leg price for a win, 1 for a void leg, blended for half results, 0 for a loss
+ */
+function getLegMultiplier(settlement, price) {
+    const { won, refunded } = toSettlement(settlement).stakeFractions;
+    return won * parseFloat(price) + refunded;
+}
+
+/**
+ * Settle an accumulator from its legs
+ * Each leg settles on its own; void legs drop out at 1.0 and half results blend the leg price
+ * @param {Array} legs - Legs as { settlement, price }, settlement null while the leg is pending
+ * @returns {Object} Settlement with adjustedPrice (combined price after void/half legs),
+ *   legsWon, legsSettled and totalLegs
+ */
+function settleAccumulator(legs) {
+    const settled = legs.filter(leg => leg.settlement && toSettlement(leg.settlement).outcome !== SettlementOutcome.PENDING);
+    const outcomes = settled.map(leg => toSettlement(leg.settlement).outcome);
+    const legsWon = outcomes.filter(outcome => outcome === SettlementOutcome.WIN || outcome === SettlementOutcome.HALF_WIN).length;
+    const summary = { legsWon, legsSettled: settled.length, totalLegs: legs.length };
+
+    // A single losing leg sinks the accumulator straight away
+    if (outcomes.includes(SettlementOutcome.LOSS)) {
+        return {
+            ...createSettlement(SettlementOutcome.LOSS, {
+                label: `Loss - Accumulator (${legsWon}/${legs.length} legs won)`
+            }),
+            adjustedPrice: 0,
+            ...summary
+        };
     }
 
-    return result;
+    if (settled.length < legs.length) {
+        return {
+            ...createSettlement(SettlementOutcome.PENDING, {
+                label: `Pending - Accumulator (${legsWon}/${legs.length} legs won)`
+            }),
+            adjustedPrice: null,
+            ...summary
+        };
+    }
+
+    const adjustedPrice = Math.round(
+        settled.reduce((product, leg) => product * getLegMultiplier(leg.settlement, leg.price), 1) * 10000
+    ) / 10000;
+    const cleanWin = outcomes.every(outcome => outcome === SettlementOutcome.WIN || outcome === SettlementOutcome.PUSH);
+
+    let outcome;
+    if (adjustedPrice > 1) {
+        outcome = cleanWin ? SettlementOutcome.WIN : SettlementOutcome.HALF_WIN;
+    } else if (adjustedPrice === 1) {
+        outcome = SettlementOutcome.PUSH;
+    } else if (adjustedPrice > 0) {
+        outcome = SettlementOutcome.HALF_LOSS;
+    } else {
+        outcome = SettlementOutcome.LOSS;
+    }
+
+    const settlement = createSettlement(outcome, {
+        label: `${outcome} - Accumulator (${legsWon}/${legs.length} legs won) @ ${adjustedPrice}`
+    });
+
+    // Stake fractions are relative to the adjusted price rather than the quoted one
+    settlement.stakeFractions = adjustedPrice >= 1 && outcome !== SettlementOutcome.PUSH
+        ? { won: 1, lost: 0, refunded: 0 }
+        : { won: 0, lost: 1 - adjustedPrice, refunded: adjustedPrice };
+
+    return { ...settlement, adjustedPrice, ...summary };
+}
+
+/**
+ * Enhanced prediction calculation using structured database fields
+ * Text form of settleSelection, kept for the ticker, logs and stored results
+ * @param {string} selectionCombo - Bet type (see settleSelection)
+ * @param {number|string} selectionLine - Handicap/Total line value, or picked correct score
+ * @param {string|null} betTimeScore - Score when bet was placed (for progression analysis)
+ * @param {string} currentScore - Current match score
+ * @returns {string} Detailed prediction result with progression info
+ */
+function calculateEnhancedPredictedResult(selectionCombo, selectionLine, betTimeScore, currentScore) {
+    return settleSelection(selectionCombo, selectionLine, betTimeScore, currentScore).label;
 }
 
 /**
@@ -213,6 +599,17 @@ const calculatePredictedResult = (selection, scoreText, homeTeam, awayTeam) => {
 
         const totalGoals = homeGoals + awayGoals;
 
+        // Both Teams To Score bets
+        const canonical = normalizeSelectionCombo(selection);
+        if (getMarketType(canonical) === 'btts') {
+            return evaluateBothTeamsToScore(canonical, homeGoals, awayGoals);
+        }
+
+        // Correct score bets
+        if (/correct score|exact score/i.test(selection)) {
+            return evaluateCorrectScore(selection, homeGoals, awayGoals);
+        }
+
         // Over/Under bets
         if (selection.includes('Under') || selection.includes('Over')) {
             return evaluateGoalLine(selection, totalGoals);
@@ -234,7 +631,7 @@ const calculatePredictedResult = (selection, scoreText, homeTeam, awayTeam) => {
 
 /**
  * Calculate payout based on bet result and odds
- * @param {string} result - Bet result ("Win", "Half Win", "Loss", "Half Loss", "Push")
+ * @param {Object|string} result - Settlement object, or result text ("Win", "Half Win", "Loss", "Half Loss", "Push")
  * @param {number} stake - Bet stake amount
  * @param {number} odds - Bet odds/price
  * @returns {number} Payout amount (including stake for wins)
@@ -242,63 +639,498 @@ const calculatePredictedResult = (selection, scoreText, homeTeam, awayTeam) => {
 function calculatePayout(result, stake, odds) {
     const stakeNum = parseFloat(stake);
     const oddsNum = parseFloat(odds);
+    const settlement = toSettlement(result);
+    const { won, refunded } = settlement.stakeFractions;
+    
+    // Cashed out bets were settled at an agreed amount
+    if (settlement.cashOutValue !== undefined) {
+        return settlement.cashOutValue;
+    }
+    
+    // Accumulators carry their own price once void and half-settled legs are applied
+    const price = settlement.adjustedPrice ?? oddsNum;
     
-    if (result.startsWith('Win')) {
-        return stakeNum * oddsNum; // Full win
-    } else if (result.startsWith('Half Win')) {
-        return stakeNum + (stakeNum * (oddsNum - 1) * 0.5); // Half win
-    } else if (result.startsWith('Push')) {
-        return stakeNum; // Stake returned
-    } else if (result.startsWith('Half Loss')) {
-        return stakeNum * 0.5; // Half stake returned
+    // Winning share pays at full odds, refunded share returns the stake, lost share returns nothing
+    return stakeNum * won * price + stakeNum * refunded;
+}
+
+/**
+ * Outcomes as seen from the other side of the bet
+ */
+const OPPOSITE_OUTCOMES = {
+    [SettlementOutcome.WIN]: SettlementOutcome.LOSS,
+    [SettlementOutcome.HALF_WIN]: SettlementOutcome.HALF_LOSS,
+    [SettlementOutcome.PUSH]: SettlementOutcome.PUSH,
+    [SettlementOutcome.HALF_LOSS]: SettlementOutcome.HALF_WIN,
+    [SettlementOutcome.LOSS]: SettlementOutcome.WIN,
+    [SettlementOutcome.CASH_OUT]: SettlementOutcome.CASH_OUT,
+    [SettlementOutcome.PENDING]: SettlementOutcome.PENDING
+};
+
+/**
+ * Turn a selection's settlement into the layer's settlement (the lay wins what the backer loses)
+ * @param {Object|string} result - Settlement object or result text for the selection
+ * @returns {Object} Settlement from the layer's side, labelled "Win - Lay Over (2.5) (1 goals)"
+ */
+function invertSettlement(result) {
+    const settlement = toSettlement(result);
+    const outcome = OPPOSITE_OUTCOMES[settlement.outcome];
+    const detail = settlement.label.replace(/^[^-]+-\s*/, '');
+    const { won, lost, refunded } = settlement.stakeFractions;
+
+    return {
+        ...settlement,
+        outcome,
+        stakeFractions: { won: lost, lost: won, refunded },
+        label: `${outcome} - Lay ${detail}`
+    };
+}
+
+/**
+ * Liability a layer puts at risk for a given backer's stake
+ * @param {number} stake - Backer's stake being laid
+ * @param {number} odds - Lay price
+ * @returns {number} Liability
+ */
+function getLayLiability(stake, odds) {
+    return parseFloat(stake) * (parseFloat(odds) - 1);
+}
+
+/**
+ * Calculate an exchange payout for a back or lay bet, less commission on net winnings
+ * @param {Object|string} result - Settlement from the bettor's side (use invertSettlement for lays)
+ * @param {number} stake - Backer's stake (for lays, the stake being laid)
+ * @param {number} odds - Matched price
+ * @param {Object} options - { side: 'back' | 'lay', commission: rate on net winnings, e.g. 0.05 }
+ * @returns {number} Amount returned to the bettor, including the stake or liability put up
+ */
+function calculateExchangePayout(result, stake, odds, { side = 'back', commission = 0 } = {}) {
+    const oddsNum = parseFloat(odds);
+    let riskedAmount = parseFloat(stake);
+    let grossPayout;
+
+    if (side === 'lay') {
+        // Laying at odds is backing the other side with the liability at odds / (odds - 1)
+        riskedAmount = getLayLiability(stake, oddsNum);
+        grossPayout = calculatePayout(result, riskedAmount, oddsNum / (oddsNum - 1));
     } else {
-        return 0; // Full loss
+        grossPayout = calculatePayout(result, riskedAmount, oddsNum);
+    }
+
+    const netWinnings = grossPayout - riskedAmount;
+    return netWinnings > 0 ? grossPayout - netWinnings * commission : grossPayout;
+}
+
+/**
+ * Live probability model settings
+ */
+const MATCH_MINUTES = 90;
+const AVERAGE_MATCH_GOALS = 2.6;
+const MAX_REMAINING_GOALS = 10;
+const CALIBRATION_STEPS = 8;
+
+/**
+ * Markets priced mainly on how many goals are scored rather than who scores them
+ */
+const GOAL_RATE_MARKETS = ['total', 'btts', 'correct_score'];
+const GOAL_RATE_SELECTIONS = ['Draw', 'Home or Away'];
+
+/**
+ * Poisson probabilities of a team scoring 0..maxGoals more goals
+ * @param {number} expectedGoals - Expected goals over the remaining time
+ * @param {number} maxGoals - Highest goal count to enumerate
+ * @returns {number[]} Probability for each goal count
+ */
+function poissonDistribution(expectedGoals, maxGoals = MAX_REMAINING_GOALS) {
+    const probabilities = [Math.exp(-expectedGoals)];
+    for (let goals = 1; goals <= maxGoals; goals++) {
+        probabilities.push(probabilities[goals - 1] * expectedGoals / goals);
+    }
+    return probabilities;
+}
+
+/**
+ * Split a total goal expectation and a home supremacy into per-team goal rates
+ * @param {number} totalGoals - Expected goals in a full match
+ * @param {number} supremacy - Expected home goals minus expected away goals
+ * @returns {Object} { home, away } expected goals per full match
+ */
+const getTeamGoalRates = (totalGoals, supremacy) => ({
+    home: Math.max((totalGoals + supremacy) / 2, 0.05),
+    away: Math.max((totalGoals - supremacy) / 2, 0.05)
+});
+
+/**
+ * Probability of each settlement outcome given the goals each team is still expected to score
+ * @param {string} selectionCombo - Canonical selection
+ * @param {number|string} selectionLine - Line or picked score
+ * @param {string|null} betTimeScore - Score when the bet was placed
+ * @param {string} currentScore - Current match score
+ * @param {number} homeExpected - Expected home goals still to come
+ * @param {number} awayExpected - Expected away goals still to come
+ * @returns {Object} Probability keyed by SettlementOutcome
+ */
+function getOutcomeProbabilities(selectionCombo, selectionLine, betTimeScore, currentScore, homeExpected, awayExpected) {
+    const score = parseScore(currentScore) || { home: 0, away: 0 };
+    const probabilities = Object.fromEntries(Object.values(SettlementOutcome).map(outcome => [outcome, 0]));
+    let coveredProbability = 0;
+
+    poissonDistribution(homeExpected).forEach((homeProbability, homeGoals) => {
+        poissonDistribution(awayExpected).forEach((awayProbability, awayGoals) => {
+            const probability = homeProbability * awayProbability;
+            const finalScore = `${score.home + homeGoals}-${score.away + awayGoals}`;
+            const { outcome } = settleSelection(selectionCombo, selectionLine, betTimeScore, finalScore);
+            probabilities[outcome] += probability;
+            coveredProbability += probability;
+        });
+    });
+
+    // Spread the truncated tail proportionally so the outcomes sum to 1
+    Object.keys(probabilities).forEach(outcome => {
+        probabilities[outcome] /= coveredProbability;
+    });
+    return probabilities;
+}
+
+/**
+ * Expected return per unit staked for a set of outcome probabilities
+ * @param {Object} probabilities - Probability keyed by SettlementOutcome
+ * @param {number} price - Decimal price
+ * @returns {number} Expected return including stake (1 means a fair price)
+ */
+function getExpectedReturn(probabilities, price) {
+    return Object.entries(probabilities).reduce((total, [outcome, probability]) => {
+        const { won, refunded } = STAKE_FRACTIONS[outcome];
+        return total + probability * (won * price + refunded);
+    }, 0);
+}
+
+/**
+ * Fit per-team goal rates so the bet's price is fair at the moment it was placed
+ * Goal markets are fitted on total goals, result markets on home supremacy
+ * @param {string} selectionCombo - Canonical selection
+ * @param {number|string} selectionLine - Line or picked score
+ * @param {string|null} betTimeScore - Score when the bet was placed
+ * @param {number} price - Decimal price taken
+ * @param {number} betMinute - Match minute when the bet was placed (0 for pre-match)
+ * @returns {Object} { home, away } expected goals per full match
+ */
+function calibrateGoalRates(selectionCombo, selectionLine, betTimeScore, price, betMinute = 0) {
+    const startScore = parseScore(betTimeScore) ? betTimeScore : '0-0';
+    const remaining = Math.max(MATCH_MINUTES - betMinute, 1) / MATCH_MINUTES;
+    const fitsTotal = GOAL_RATE_MARKETS.includes(getMarketType(selectionCombo)) ||
+        GOAL_RATE_SELECTIONS.includes(selectionCombo);
+
+    const ratesFor = value => fitsTotal
+        ? getTeamGoalRates(value, 0)
+        : getTeamGoalRates(AVERAGE_MATCH_GOALS, value);
+    const fairnessGap = value => {
+        const rates = ratesFor(value);
+        const probabilities = getOutcomeProbabilities(
+            selectionCombo, selectionLine, betTimeScore, startScore,
+            rates.home * remaining, rates.away * remaining
+        );
+        return getExpectedReturn(probabilities, parseFloat(price)) - 1;
+    };
+
+    // Scan the range first - correct score and draw prices can be fair at two goal rates
+    const [min, max, prior] = fitsTotal ? [0.2, 8, AVERAGE_MATCH_GOALS] : [-4, 4, 0];
+    const grid = Array.from({ length: CALIBRATION_STEPS + 1 }, (_, i) => {
+        const value = min + (max - min) * i / CALIBRATION_STEPS;
+        return { value, gap: fairnessGap(value) };
+    });
+    const brackets = grid.slice(1)
+        .map((point, i) => [grid[i], point])
+        .filter(([from, to]) => Math.sign(from.gap) !== Math.sign(to.gap))
+        .sort((a, b) => Math.abs(a[0].value + a[1].value - 2 * prior) - Math.abs(b[0].value + b[1].value - 2 * prior));
+
+    // No fair point in range (e.g. an extreme price) - use whichever point comes closest
+    if (brackets.length === 0) {
+        const closest = grid.reduce((best, point) => Math.abs(point.gap) < Math.abs(best.gap) ? point : best);
+        return ratesFor(closest.value);
+    }
+
+    let [{ value: low, gap: lowGap }, { value: high }] = brackets[0];
+    for (let i = 0; i < 20; i++) {
+        const mid = (low + high) / 2;
+        const midGap = fairnessGap(mid);
+        if (Math.sign(midGap) === Math.sign(lowGap)) {
+            [low, lowGap] = [mid, midGap];
+        } else {
+            high = mid;
+        }
+    }
+
+    return ratesFor((low + high) / 2);
+}
+
+/**
+ * Estimate the live probability of each outcome for an in-play bet
+ * Goal rates are implied from the price, then the remaining minutes are played out with Poisson goals
+ * @param {string} selectionCombo - Canonical selection
+ * @param {number|string} selectionLine - Line or picked score
+ * @param {string|null} betTimeScore - Score when the bet was placed
+ * @param {string} currentScore - Current match score
+ * @param {Object} options - { minute, price, betMinute, goalRates } - pass goalRates from
+ *   calibrateGoalRates to skip re-fitting the price on every update
+ * @returns {Object} { outcomes, winProbability, lossProbability, minute, goalRates }
+ */
+function estimateLiveProbability(selectionCombo, selectionLine, betTimeScore, currentScore, {
+    minute = 0,
+    price,
+    betMinute = 0,
+    goalRates = null
+} = {}) {
+    const rates = goalRates || calibrateGoalRates(selectionCombo, selectionLine, betTimeScore, price, betMinute);
+    const elapsed = Math.min(Math.max(parseFloat(minute) || 0, 0), MATCH_MINUTES);
+    const remaining = (MATCH_MINUTES - elapsed) / MATCH_MINUTES;
+
+    const outcomes = getOutcomeProbabilities(
+        selectionCombo, selectionLine, betTimeScore, currentScore,
+        rates.home * remaining, rates.away * remaining
+    );
+
+    return {
+        outcomes,
+        winProbability: outcomes[SettlementOutcome.WIN] + outcomes[SettlementOutcome.HALF_WIN],
+        lossProbability: outcomes[SettlementOutcome.LOSS] + outcomes[SettlementOutcome.HALF_LOSS],
+        minute: elapsed,
+        goalRates: rates
+    };
+}
+
+/**
+ * Turn a live probability estimate into the layer's view of the same bet
+ * @param {Object} live - Estimate from estimateLiveProbability
+ * @returns {Object} Estimate with win and loss outcomes swapped
+ */
+function invertLiveProbability(live) {
+    const outcomes = Object.fromEntries(
+        Object.entries(live.outcomes).map(([outcome, probability]) => [OPPOSITE_OUTCOMES[outcome], probability])
+    );
+
+    return {
+        ...live,
+        outcomes,
+        winProbability: live.lossProbability,
+        lossProbability: live.winProbability
+    };
+}
+
+/**
+ * Fair value of closing a live bet now, from the bettor's side
+ * @param {Object} live - Estimate from estimateLiveProbability (inverted for lays)
+ * @param {number} stake - Backer's stake (for lays, the stake being laid)
+ * @param {number} odds - Price taken
+ * @param {Object} options - { side: 'back' | 'lay', margin: share kept by the bookmaker, e.g. 0.05 }
+ * @returns {number} Cash-out amount, rounded to pennies
+ */
+function calculateCashOutValue(live, stake, odds, { side = 'back', margin = 0 } = {}) {
+    const oddsNum = parseFloat(odds);
+    let riskedAmount = parseFloat(stake);
+    let price = oddsNum;
+
+    // A lay is a back bet of the liability at odds / (odds - 1)
+    if (side === 'lay') {
+        riskedAmount = getLayLiability(stake, oddsNum);
+        price = oddsNum / (oddsNum - 1);
     }
+
+    const value = riskedAmount * getExpectedReturn(live.outcomes, price) * (1 - margin);
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build the settlement for a bet closed early at a cash-out value
+ * @param {number} cashOutValue - Amount paid out
+ * @param {number} riskedAmount - Stake (or liability) the bet had at risk
+ * @param {Object} details - Optional { label, effectiveScore, selectionCombo, selectionLine }
+ * @returns {Object} Settlement with cashOutValue and riskedAmount attached
+ */
+function createCashOutSettlement(cashOutValue, riskedAmount, details = {}) {
+    return {
+        ...createSettlement(SettlementOutcome.CASH_OUT, {
+            ...details,
+            label: details.label || `${SettlementOutcome.CASH_OUT} - £${cashOutValue.toFixed(2)}`
+        }),
+        cashOutValue,
+        riskedAmount
+    };
 }
 
 /**
  * Get emotion based on bet result
- * @param {string} result - Bet result
+ * @param {Object|string} result - Settlement object or result text
  * @returns {object} Emotion data with emoji and state
  */
 function getEmotionFromResult(result) {
-    if (result.startsWith('Win')) {
-        return { emoji: '🎉', state: 'joy', description: 'Celebrating win!' };
-    } else if (result.startsWith('Half Win')) {
-        return { emoji: '😊', state: 'relief', description: 'Half win - not bad!' };
-    } else if (result.startsWith('Push')) {
-        return { emoji: '😐', state: 'neutral', description: 'Push - stake returned' };
-    } else if (result.startsWith('Half Loss')) {
-        return { emoji: '😕', state: 'annoyed', description: 'Half loss - could be worse' };
-    } else if (result.startsWith('Loss')) {
-        return { emoji: '😡', state: 'anger', description: 'Lost the bet!' };
+    switch (toSettlement(result).outcome) {
+        case SettlementOutcome.WIN:
+            return { emoji: '🎉', state: 'joy', description: 'Celebrating win!' };
+        case SettlementOutcome.HALF_WIN:
+            return { emoji: '😊', state: 'relief', description: 'Half win - not bad!' };
+        case SettlementOutcome.PUSH:
+            return { emoji: '😐', state: 'neutral', description: 'Push - stake returned' };
+        case SettlementOutcome.HALF_LOSS:
+            return { emoji: '😕', state: 'annoyed', description: 'Half loss - could be worse' };
+        case SettlementOutcome.LOSS:
+            return { emoji: '😡', state: 'anger', description: 'Lost the bet!' };
+        case SettlementOutcome.CASH_OUT:
+            return getCashOutEmotion(toSettlement(result));
+        default:
+            return { emoji: '🤔', state: 'thinking', description: 'Checking result...' };
+    }
+}
+
+/**
+ * Get emotion for a cashed out bet - banking a profit feels different to salvaging a loser
+ * @param {Object} settlement - Cash-out settlement from createCashOutSettlement
+ * @returns {object} Emotion data
+ */
+function getCashOutEmotion(settlement) {
+    const { cashOutValue, riskedAmount } = settlement;
+
+    if (cashOutValue === undefined || riskedAmount === undefined) {
+        return { emoji: '💰', state: 'cashed_out', description: 'Cashed out' };
+    } else if (cashOutValue >= riskedAmount) {
+        return { emoji: '💰', state: 'cashed_out', description: `Banked £${(cashOutValue - riskedAmount).toFixed(2)} profit` };
+    } else {
+        return { emoji: '😮‍💨', state: 'salvaged', description: `Salvaged £${cashOutValue.toFixed(2)}` };
+    }
+}
+
+/**
+ * Get emotion for a bet whose result was amended after a corrected final score
+ * @param {number} previousPayout - Payout before the correction
+ * @param {number} payout - Payout after the correction
+ * @returns {object} Emotion data
+ */
+function getAmendedEmotion(previousPayout, payout) {
+    const difference = payout - previousPayout;
+
+    if (difference > 0) {
+        return { emoji: '😲', state: 'amended', description: `Result amended - £${difference.toFixed(2)} better off` };
+    } else if (difference < 0) {
+        return { emoji: '😤', state: 'amended', description: `Result amended - £${(-difference).toFixed(2)} taken back` };
     } else {
-        return { emoji: '🤔', state: 'thinking', description: 'Checking result...' };
+        return { emoji: '📝', state: 'amended', description: 'Result amended' };
     }
 }
 
 /**
  * Get emotion for in-progress bets based on current prediction
- * @param {string} prediction - Current prediction result
+ * @param {Object|string} prediction - Current settlement object or prediction text
+ * @param {number|null} goalsNeeded - Goals a losing bet still needs (see getGoalsNeeded)
  * @returns {object} Emotion data
  */
-function getInProgressEmotion(prediction) {
-    if (prediction.startsWith('Win') || prediction.startsWith('Half Win')) {
+function getInProgressEmotion(prediction, goalsNeeded = null) {
+    const { outcome } = toSettlement(prediction);
+
+    if (outcome === SettlementOutcome.LOSS && goalsNeeded === 1) {
+        return { emoji: '😬', state: 'tense', description: 'One goal away!' };
+    } else if (outcome === SettlementOutcome.WIN || outcome === SettlementOutcome.HALF_WIN) {
         return { emoji: '🤞', state: 'hopeful', description: 'Looking good!' };
-    } else if (prediction.startsWith('Loss') || prediction.startsWith('Half Loss')) {
+    } else if (outcome === SettlementOutcome.LOSS || outcome === SettlementOutcome.HALF_LOSS) {
         return { emoji: '😰', state: 'worried', description: 'Not looking good...' };
     } else {
         return { emoji: '😐', state: 'neutral', description: 'Too close to call' };
     }
 }
 
+/**
+ * Get emotion for an in-progress bet from its live win probability
+ * @param {Object} live - Estimate from estimateLiveProbability (inverted for lays)
+ * @param {number|null} goalsNeeded - Goals a losing bet still needs (see getGoalsNeeded)
+ * @returns {object} Emotion data, with the probability attached for renderers to scale animations
+ */
+function getLiveEmotion(live, goalsNeeded = null) {
+    const { winProbability, lossProbability } = live;
+    const chance = `${Math.round(winProbability * 100)}% to win`;
+    let emotion;
+
+    if (winProbability >= 0.9) {
+        emotion = { emoji: '😎', state: 'confident', description: `In the bag - ${chance}` };
+    } else if (winProbability >= 0.65) {
+        emotion = { emoji: '🤞', state: 'hopeful', description: `Looking good - ${chance}` };
+    } else if (lossProbability <= 0.1) {
+        emotion = { emoji: '😐', state: 'neutral', description: 'Stake looks safe' };
+    } else if (winProbability >= 0.1 && goalsNeeded === 1) {
+        emotion = { emoji: '😬', state: 'tense', description: `One goal away - ${chance}` };
+    } else if (winProbability >= 0.35) {
+        emotion = { emoji: '😬', state: 'nervous', description: `Could go either way - ${chance}` };
+    } else if (winProbability >= 0.1) {
+        emotion = { emoji: '😰', state: 'worried', description: `Not looking good - ${chance}` };
+    } else {
+        emotion = { emoji: '😩', state: 'despairing', description: `Needs a miracle - ${chance}` };
+    }
+
+    return { ...emotion, probability: winProbability };
+}
+
+/**
+ * Get emotion for an accumulator as its legs land
+ * @param {number} legsWon - Legs won so far
+ * @param {number} totalLegs - Total legs in the accumulator
+ * @returns {object} Emotion data
+ */
+function getAccumulatorEmotion(legsWon, totalLegs) {
+    const remaining = totalLegs - legsWon;
+
+    if (legsWon === 0) {
+        return { emoji: '🤞', state: 'hopeful', description: `${totalLegs}-leg acca riding` };
+    } else if (remaining === 1) {
+        return { emoji: '🤩', state: 'buzzing', description: 'One leg to go!' };
+    } else if (legsWon / totalLegs >= 0.5) {
+        return { emoji: '😃', state: 'excited', description: `${legsWon} of ${totalLegs} legs in!` };
+    } else {
+        return { emoji: '🙂', state: 'hopeful', description: `${legsWon} of ${totalLegs} legs in` };
+    }
+}
+
+/**
+ * Describe an emotion in one line, as saved to a bet's reaction column
+ * @param {object} emotion - Emotion data
+ * @returns {string} e.g. "🎉 Celebrating win!"
+ */
+function formatReaction(emotion) {
+    return `${emotion.emoji} ${emotion.description}`;
+}
+
 // Export functions for use in other modules
 export {
+    ENGINE_VERSION,
+    SettlementOutcome,
+    createSettlement,
+    toSettlement,
+    settleSelection,
+    getLegMultiplier,
+    settleAccumulator,
+    normalizeSelectionCombo,
+    getMarketType,
+    isLinelessMarket,
+    parseScore,
     evaluateGoalLine,
     evaluateHandicap,
+    evaluateBothTeamsToScore,
+    evaluateCorrectScore,
+    getGoalsNeeded,
     calculateEnhancedPredictedResult,
     calculatePredictedResult,
     calculatePayout,
+    invertSettlement,
+    getLayLiability,
+    calculateExchangePayout,
+    getExpectedReturn,
+    calibrateGoalRates,
+    estimateLiveProbability,
+    invertLiveProbability,
+    calculateCashOutValue,
+    createCashOutSettlement,
     getEmotionFromResult,
-    getInProgressEmotion
+    getCashOutEmotion,
+    getAmendedEmotion,
+    getInProgressEmotion,
+    getLiveEmotion,
+    getAccumulatorEmotion,
+    formatReaction
 }; 
\ No newline at end of file
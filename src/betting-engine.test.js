@@ -0,0 +1,179 @@
+/**
+ * Tests for the betting engine
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SettlementOutcome,
+    toSettlement,
+    settleSelection,
+    getLegMultiplier,
+    settleAccumulator,
+    calculatePayout,
+    invertSettlement,
+    getLayLiability,
+    calculateExchangePayout,
+    calibrateGoalRates,
+    estimateLiveProbability,
+    invertLiveProbability,
+    calculateCashOutValue,
+    createCashOutSettlement
+} from './betting-engine.js';
+
+test('quarter handicaps split the stake across the two neighbouring lines', () => {
+    // -0.75 is half on -0.5 (won) and half on -1 (pushed) when home win by one
+    const halfWin = settleSelection('Home Team', -0.75, null, '2-1');
+    assert.equal(halfWin.outcome, SettlementOutcome.HALF_WIN);
+    assert.deepEqual(halfWin.stakeFractions, { won: 0.5, lost: 0, refunded: 0.5 });
+    assert.equal(calculatePayout(halfWin, 100, 2), 150);
+
+    // -0.25 is half on 0 (pushed) and half on -0.5 (lost) on a draw
+    const halfLoss = settleSelection('Home Team', -0.25, null, '1-1');
+    assert.equal(halfLoss.outcome, SettlementOutcome.HALF_LOSS);
+    assert.equal(calculatePayout(halfLoss, 100, 2), 50);
+
+    assert.equal(settleSelection('Home Team', 0, null, '1-1').outcome, SettlementOutcome.PUSH);
+});
+
+test('quarter goal lines settle on the total goals', () => {
+    assert.equal(settleSelection('Over', 2.25, null, '1-1').outcome, SettlementOutcome.HALF_LOSS);
+    assert.equal(settleSelection('Under', 2.25, null, '1-1').outcome, SettlementOutcome.HALF_WIN);
+    assert.equal(settleSelection('Over', 2.75, null, '2-1').outcome, SettlementOutcome.HALF_WIN);
+    assert.equal(settleSelection('Over', 2.5, '1-0', '2-1').outcome, SettlementOutcome.WIN);
+});
+
+test('settlements carry a label naming the selection and the score', () => {
+    const settlement = settleSelection('Home Team', -0.75, null, '2-1');
+    assert.equal(settlement.label, 'Half Win - Home Team (-0.75) (2-1)');
+    assert.deepEqual(settlement.effectiveScore, { home: 2, away: 1 });
+});
+
+test('result text reads back as a settlement', () => {
+    assert.equal(toSettlement('Half Loss - Over (2.25)').outcome, SettlementOutcome.HALF_LOSS);
+    assert.equal(calculatePayout('Push', 100, 3), 100);
+    assert.equal(calculatePayout('Loss', 100, 3), 0);
+});
+
+test('accumulators drop void legs out at 1.0', () => {
+    const accumulator = settleAccumulator([
+        { settlement: settleSelection('Home Win', null, null, '1-0'), price: 2 },
+        { settlement: settleSelection('Home Team', 0, null, '1-1'), price: 3 }
+    ]);
+
+    assert.equal(accumulator.outcome, SettlementOutcome.WIN);
+    assert.equal(accumulator.adjustedPrice, 2);
+    assert.equal(calculatePayout(accumulator, 10, accumulator.adjustedPrice), 20);
+});
+
+test('accumulators blend the price of half results', () => {
+    assert.equal(getLegMultiplier(settleSelection('Home Team', -0.75, null, '2-1'), 3), 2);
+
+    const accumulator = settleAccumulator([
+        { settlement: settleSelection('Home Team', -0.25, null, '1-1'), price: 2 },
+        { settlement: settleSelection('Home Win', null, null, '1-0'), price: 3 }
+    ]);
+
+    assert.equal(accumulator.adjustedPrice, 1.5);
+    assert.equal(calculatePayout(accumulator, 10, accumulator.adjustedPrice), 15);
+});
+
+test('accumulators stay pending until a leg loses or every leg is in', () => {
+    const won = { settlement: settleSelection('Home Win', null, null, '1-0'), price: 2 };
+    const lost = { settlement: settleSelection('Home Win', null, null, '0-0'), price: 2 };
+    const pending = { settlement: null, price: 3 };
+
+    assert.equal(settleAccumulator([won, pending]).outcome, SettlementOutcome.PENDING);
+    assert.equal(settleAccumulator([lost, pending]).outcome, SettlementOutcome.LOSS);
+    assert.equal(settleAccumulator([won, won]).label, 'Win - Accumulator (2/2 legs won) @ 4');
+});
+
+test('lays win what the backer loses, less commission on the winnings', () => {
+    const layWon = invertSettlement(settleSelection('Away Win', null, null, '2-1'));
+    assert.equal(layWon.outcome, SettlementOutcome.WIN);
+    assert.equal(layWon.label, 'Win - Lay Away Win (2-1)');
+
+    // Liability back plus the backer's 100 less 5%
+    assert.equal(Math.round(getLayLiability(100, 2.1)), 110);
+    assert.equal(calculateExchangePayout(layWon, 100, 2.1, { side: 'lay', commission: 0.05 }), 205);
+
+    const layLost = invertSettlement(settleSelection('Away Win', null, null, '0-1'));
+    assert.equal(calculateExchangePayout(layLost, 100, 2.1, { side: 'lay', commission: 0.05 }), 0);
+});
+
+test('exchange commission only comes off net winnings', () => {
+    const backWon = settleSelection('Home Win', null, null, '1-0');
+    assert.equal(calculateExchangePayout(backWon, 100, 3, { commission: 0.05 }), 290);
+
+    // A lay half won on a quarter line returns the liability and half the backer's stake less commission
+    const layHalfWon = invertSettlement(settleSelection('Home Team', -0.25, null, '1-1'));
+    assert.equal(calculateExchangePayout(layHalfWon, 100, 3, { side: 'lay', commission: 0.05 }), 247.5);
+
+    // Pushes hand the stake back untouched
+    const push = settleSelection('Home Team', 0, null, '1-1');
+    assert.equal(calculateExchangePayout(push, 100, 3, { commission: 0.05 }), 100);
+});
+
+test('a price is fair at kickoff under the goal rates fitted to it', () => {
+    const live = estimateLiveProbability('Home Win', null, null, '0-0', { minute: 0, price: 2 });
+    assert.ok(Math.abs(live.winProbability - 0.5) < 0.001);
+    assert.ok(live.goalRates.home > live.goalRates.away);
+    assert.deepEqual(live.goalRates, calibrateGoalRates('Home Win', null, null, 2, 0));
+});
+
+test('live probability follows the score and the clock', () => {
+    const options = { minute: 85, price: 2 };
+    assert.ok(estimateLiveProbability('Home Win', null, null, '1-0', options).winProbability > 0.9);
+    assert.ok(estimateLiveProbability('Home Win', null, null, '0-1', options).winProbability < 0.01);
+
+    // Settled on the pitch already, or nothing left to play
+    assert.equal(estimateLiveProbability('Over', 2.5, null, '3-0', { minute: 30, price: 2 }).winProbability, 1);
+    assert.equal(estimateLiveProbability('Home Win', null, null, '1-0', { minute: 90, price: 2 }).winProbability, 1);
+});
+
+test('live probability spreads quarter lines across half results', () => {
+    const { outcomes } = estimateLiveProbability('Home Team', -0.25, null, '0-0', { minute: 45, price: 1.9 });
+    assert.ok(outcomes['Half Loss'] > 0);
+    const total = Object.values(outcomes).reduce((sum, probability) => sum + probability, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+});
+
+test('the layer sees the backer\'s win and loss chances swapped', () => {
+    const live = estimateLiveProbability('Home Win', null, null, '1-0', { minute: 60, price: 2 });
+    const laid = invertLiveProbability(live);
+
+    assert.equal(laid.winProbability, live.lossProbability);
+    assert.equal(laid.lossProbability, live.winProbability);
+    assert.equal(laid.outcomes[SettlementOutcome.WIN], live.outcomes[SettlementOutcome.LOSS]);
+});
+
+test('cash-out value is the bet\'s expected return less the margin', () => {
+    const kickoff = estimateLiveProbability('Home Win', null, null, '0-0', { minute: 0, price: 2 });
+    assert.equal(calculateCashOutValue(kickoff, 100, 2), 100);
+
+    const winning = estimateLiveProbability('Home Win', null, null, '1-0', { minute: 60, price: 2 });
+    const fair = calculateCashOutValue(winning, 100, 2);
+    assert.equal(fair, Math.round(200 * winning.winProbability * 100) / 100);
+    assert.ok(Math.abs(calculateCashOutValue(winning, 100, 2, { margin: 0.05 }) - fair * 0.95) < 0.01);
+
+    // Nothing left to play pays the full return
+    const finished = estimateLiveProbability('Home Win', null, null, '1-0', { minute: 90, price: 2 });
+    assert.equal(calculateCashOutValue(finished, 100, 2), 200);
+});
+
+test('lays cash out on the liability they put up', () => {
+    const kickoff = invertLiveProbability(estimateLiveProbability('Home Win', null, null, '0-0', { minute: 0, price: 2 }));
+    assert.equal(calculateCashOutValue(kickoff, 100, 2, { side: 'lay' }), 100);
+
+    // Laying the away side at 3 with the home side a goal up late on is nearly won: liability 200 plus 100
+    const winning = invertLiveProbability(estimateLiveProbability('Away Win', null, null, '1-0', { minute: 80, price: 3 }));
+    const value = calculateCashOutValue(winning, 100, 3, { side: 'lay' });
+    assert.ok(value > 290 && value < 300);
+});
+
+test('cash-out settlements pay the cash-out value', () => {
+    const settlement = createCashOutSettlement(123.45, 100);
+    assert.equal(settlement.outcome, SettlementOutcome.CASH_OUT);
+    assert.equal(settlement.label, 'Cash Out - £123.45');
+    assert.equal(calculatePayout(settlement, 100, 2), 123.45);
+});
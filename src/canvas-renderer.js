@@ -14,19 +14,13 @@ class CanvasRenderer {
         this.bookiePosition = { x: this.width / 2, y: this.height / 2 };
         this.bookieRadius = 40;
         
-        // Character starting positions
-        this.startingPositions = {
-            'Benny': { x: 100, y: 100 },
-            'Max': { x: this.width - 100, y: 100 },
-            'Ellie': { x: this.width / 2, y: this.height - 100 }
-        };
-        
-        // Character colors
-        this.characterColors = {
-            'Benny': '#e74c3c',
-            'Max': '#3498db',
-            'Ellie': '#9b59b6'
-        };
+        // Character starting positions and colors from the roster
+        this.startingPositions = {};
+        this.characterColors = {};
+        getRoster().forEach(entry => {
+            this.startingPositions[entry.name] = toCanvasPosition(entry.spawn, this.width, this.height);
+            this.characterColors[entry.name] = entry.color;
+        });
         
         // Animation properties
         this.animationFrame = null;
@@ -346,14 +340,31 @@ class CanvasRenderer {
                 indicatorColor = '#e74c3c';
                 indicatorText = '😡';
                 break;
+            case 'cashed_out':
+                indicatorColor = '#f1c40f';
+                indicatorText = '💰';
+                break;
+            case 'confident':
+                indicatorColor = '#27ae60';
+                indicatorText = '😎';
+                break;
             case 'hopeful':
                 indicatorColor = '#3498db';
                 indicatorText = '🤞';
                 break;
+            case 'nervous':
+            case 'tense':
+                indicatorColor = '#f1c40f';
+                indicatorText = '😬';
+                break;
             case 'worried':
                 indicatorColor = '#f39c12';
                 indicatorText = '😰';
                 break;
+            case 'despairing':
+                indicatorColor = '#c0392b';
+                indicatorText = '😩';
+                break;
         }
         
         // Draw status circle
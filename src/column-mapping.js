@@ -0,0 +1,156 @@
+/**
+ * Bets Table Column Mapping for WagerWire Simulation
+ * Says which table holds the bets and what each of its columns is called, so every read
+ * and write of the bets table - the storage adapters, bet files and the core - agrees.
+ * Teams with a different schema set COLUMN_MAPPING to just the parts that differ, e.g.
+ *
+ *   { table: 'bets', columns: { character: 'extract_names', createdAt: 'timestamp' } }
+ *
+ * Optional columns can be mapped to null when the table doesn't have them.
+ */
+
+/**
+ * Bet fields, the column each is read from by default, and whether the table must have it
+ */
+const BET_FIELDS = {
+    id: { column: 'id', required: true },
+    character: { column: 'character', required: true },
+    stake: { column: 'stake', required: true },
+    price: { column: 'price', required: true },
+    eventid: { column: 'eventid', required: true },
+    selection: { column: 'selection_combo', required: true },
+    recommendation: { column: 'recommendation', required: false }, // Free-text selection, read before selection
+    line: { column: 'selection_line', required: false },
+    betTimeScore: { column: 'bet_time_score', required: false },
+    betTimeMinute: { column: 'bet_time_minute', required: false },
+    side: { column: 'bet_side', required: false },
+    exchange: { column: 'exchange', required: false },
+    legs: { column: 'legs', required: false },
+    result: { column: 'result', required: true },
+    payout: { column: 'payout', required: false },
+    finalScore: { column: 'final_score', required: false },
+    reaction: { column: 'character_reaction', required: false },
+    engineVersion: { column: 'engine_version', required: false }, // Settlement rules that produced the result
+    createdAt: { column: 'created_at', required: true },
+    placedAt: { column: 'placed_at', required: false },
+    settledAt: { column: 'settled_at', required: false }
+};
+
+const DEFAULT_COLUMN_MAPPING = Object.freeze({
+    table: 'characters',
+    columns: Object.freeze(Object.fromEntries(
+        Object.entries(BET_FIELDS).map(([field, { column }]) => [field, column])
+    ))
+});
+
+let activeMapping = DEFAULT_COLUMN_MAPPING;
+
+/**
+ * Fill in a partial mapping from the defaults and check it
+ * @param {Object} mapping - Partial mapping { table, columns }
+ * @returns {Object} Complete mapping
+ * @throws {Error} If the mapping names an unknown field or leaves a required field unmapped
+ */
+function normalizeColumnMapping(mapping) {
+    const columns = { ...DEFAULT_COLUMN_MAPPING.columns, ...(mapping.columns || {}) };
+
+    Object.keys(columns).forEach(field => {
+        if (!BET_FIELDS[field]) {
+            throw new Error(`Unknown bet field in column mapping: ${field}`);
+        }
+        if (BET_FIELDS[field].required && !columns[field]) {
+            throw new Error(`Column mapping needs a column for ${field}`);
+        }
+    });
+
+    return Object.freeze({
+        table: mapping.table || DEFAULT_COLUMN_MAPPING.table,
+        columns: Object.freeze(columns)
+    });
+}
+
+/**
+ * Replace the active column mapping
+ * @param {Object|null} mapping - Partial mapping { table, columns }, or null to restore the defaults
+ * @returns {Object} Active mapping
+ */
+function setColumnMapping(mapping) {
+    activeMapping = mapping ? normalizeColumnMapping(mapping) : DEFAULT_COLUMN_MAPPING;
+    return activeMapping;
+}
+
+/**
+ * Get the active column mapping
+ * @returns {Object} Mapping { table, columns }
+ */
+function getColumnMapping() {
+    return activeMapping;
+}
+
+/**
+ * Get the column a bet field is stored in
+ * @param {string} field - Bet field, e.g. "createdAt"
+ * @returns {string|null} Column name, or null if the table doesn't have one
+ */
+function getColumn(field) {
+    return activeMapping.columns[field] || null;
+}
+
+/**
+ * Read a bets table row into bet fields
+ * @param {Object} row - Bets table row
+ * @returns {Object} Fields keyed by field name (undefined where the row has no value)
+ */
+function readBetRow(row) {
+    const fields = {};
+    Object.entries(activeMapping.columns).forEach(([field, column]) => {
+        fields[field] = column ? row[column] : undefined;
+    });
+    return fields;
+}
+
+/**
+ * Build a bets table row from bet fields
+ * Fields that are undefined, or have no column, are left out
+ * @param {Object} fields - Fields keyed by field name
+ * @returns {Object} Row keyed by column name
+ */
+function toBetRow(fields) {
+    const row = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        const column = getColumn(field);
+        if (column && value !== undefined) {
+            row[column] = value;
+        }
+    });
+    return row;
+}
+
+/**
+ * Check a table's columns against the active mapping
+ * @param {string[]} columns - Column names the table has
+ * @returns {Object} { valid, missing: [{ field, column, required }] } - valid is false if a required column is missing
+ */
+function validateColumns(columns) {
+    const present = new Set(columns);
+    const missing = Object.entries(activeMapping.columns)
+        .filter(([, column]) => column && !present.has(column))
+        .map(([field, column]) => ({ field, column, required: BET_FIELDS[field].required }));
+
+    return {
+        valid: !missing.some(entry => entry.required),
+        missing
+    };
+}
+
+// Export functions for use in other modules
+export {
+    BET_FIELDS,
+    DEFAULT_COLUMN_MAPPING,
+    setColumnMapping,
+    getColumnMapping,
+    getColumn,
+    readBetRow,
+    toBetRow,
+    validateColumns
+};
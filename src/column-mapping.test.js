@@ -0,0 +1,81 @@
+/**
+ * Tests for the bets table column mapping
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BET_FIELDS,
+    DEFAULT_COLUMN_MAPPING,
+    setColumnMapping,
+    getColumnMapping,
+    getColumn,
+    readBetRow,
+    toBetRow,
+    validateColumns
+} from './column-mapping.js';
+
+afterEach(() => setColumnMapping(null));
+
+test('a partial mapping is filled in from the defaults', () => {
+    const mapping = setColumnMapping({ table: 'bets', columns: { character: 'extract_names', reaction: null } });
+
+    assert.equal(mapping.table, 'bets');
+    assert.equal(getColumnMapping(), mapping);
+    assert.equal(getColumn('character'), 'extract_names');
+    assert.equal(getColumn('selection'), 'selection_combo');
+    assert.equal(getColumn('reaction'), null);
+    assert.ok(Object.isFrozen(mapping.columns));
+
+    assert.equal(setColumnMapping(null), DEFAULT_COLUMN_MAPPING);
+    assert.equal(getColumn('character'), 'character');
+});
+
+test('mappings must name known fields and keep required ones', () => {
+    assert.throws(() => setColumnMapping({ columns: { nickname: 'nick' } }), /Unknown bet field in column mapping: nickname/);
+    assert.throws(() => setColumnMapping({ columns: { stake: null } }), /needs a column for stake/);
+
+    // A rejected mapping leaves the active one alone
+    assert.equal(getColumnMapping(), DEFAULT_COLUMN_MAPPING);
+});
+
+test('rows are read into bet fields through the mapping', () => {
+    setColumnMapping({ columns: { character: 'extract_names', createdAt: 'timestamp', legs: null } });
+
+    const fields = readBetRow({
+        id: 7, extract_names: 'Max', stake: 25, price: 2.5, eventid: 101,
+        selection_combo: 'Home Win', timestamp: '2024-03-02T15:00:00Z', legs: '[]', character: 'Ellie'
+    });
+
+    assert.deepEqual(Object.keys(fields), Object.keys(BET_FIELDS));
+    assert.equal(fields.character, 'Max');
+    assert.equal(fields.createdAt, '2024-03-02T15:00:00Z');
+    assert.equal(fields.selection, 'Home Win');
+    assert.equal(fields.legs, undefined);
+    assert.equal(fields.result, undefined);
+});
+
+test('bet fields are written back under their mapped columns', () => {
+    setColumnMapping({ columns: { result: 'outcome', reaction: null } });
+
+    assert.deepEqual(toBetRow({ result: 'Win - Home Win', payout: 50, reaction: 'Get in!', settledAt: undefined }), {
+        outcome: 'Win - Home Win',
+        payout: 50
+    });
+});
+
+test("a table's columns are checked against the mapping", () => {
+    const allColumns = Object.values(DEFAULT_COLUMN_MAPPING.columns);
+    assert.deepEqual(validateColumns(allColumns), { valid: true, missing: [] });
+
+    const withoutOptional = validateColumns(allColumns.filter(column => column !== 'legs'));
+    assert.equal(withoutOptional.valid, true);
+    assert.deepEqual(withoutOptional.missing, [{ field: 'legs', column: 'legs', required: false }]);
+
+    const withoutRequired = validateColumns(allColumns.filter(column => column !== 'price'));
+    assert.equal(withoutRequired.valid, false);
+
+    // Columns mapped to null aren't expected at all
+    setColumnMapping({ columns: { legs: null } });
+    assert.equal(validateColumns(allColumns.filter(column => column !== 'legs')).missing.length, 0);
+});
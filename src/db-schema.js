@@ -0,0 +1,283 @@
+/**
+ * Database Schema for WagerWire Simulation
+ * SQL for the tables the simulation expects, as numbered migrations so a database can be
+ * brought up to date from whichever version it's at:
+ *   bets table                    - named by the column mapping (see column-mapping.js)
+ *   wagerwire_settlements         - settlement ledger entries (see settlement-ledger.js)
+ *   wagerwire_bankroll_snapshots  - characters' bankrolls and stats over time
+ *   wagerwire_conversations       - conversations between characters
+ * Applied versions are recorded in wagerwire_schema_migrations. New columns go in a new
+ * migration at the end of MIGRATIONS - never change one that's been released, as
+ * databases that already ran it won't run it again.
+ */
+
+import { getColumnMapping } from './column-mapping.js';
+
+const MIGRATIONS_TABLE = 'wagerwire_schema_migrations';
+
+/**
+ * Postgres types for the bets table's fields
+ * Constraints only apply when the table is created - columns added to an existing table are
+ * left nullable so its rows don't need filling in
+ */
+const BET_COLUMN_TYPES = {
+    id: { type: 'bigint', constraints: 'generated by default as identity primary key' },
+    character: { type: 'text', constraints: 'not null' },
+    stake: { type: 'numeric', constraints: 'not null' },
+    price: { type: 'numeric', constraints: 'not null' },
+    eventid: { type: 'bigint' }, // Accumulators keep theirs in legs
+    selection: { type: 'text' },
+    recommendation: { type: 'text' },
+    line: { type: 'text' }, // A handicap or goal line, or a correct score
+    betTimeScore: { type: 'text' },
+    betTimeMinute: { type: 'numeric' },
+    side: { type: 'text', constraints: "not null default 'back'" },
+    exchange: { type: 'boolean', constraints: 'not null default false' },
+    legs: { type: 'jsonb' },
+    result: { type: 'text' },
+    payout: { type: 'numeric' },
+    finalScore: { type: 'text' },
+    reaction: { type: 'text' },
+    engineVersion: { type: 'text' },
+    createdAt: { type: 'timestamptz', constraints: 'not null default now()' },
+    placedAt: { type: 'timestamptz' },
+    settledAt: { type: 'timestamptz' }
+};
+
+/**
+ * Quote a table or column name
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quoteIdent(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * SQL for row level security on a table, with a policy per allowed command
+ * Policies are dropped first so a migration can be run again
+ * @param {string} table - Table name
+ * @param {Object} policies - { [name]: 'select' | 'insert' | 'update' }
+ * @returns {string} SQL
+ */
+function rowLevelSecurity(table, policies) {
+    const statements = [`alter table ${quoteIdent(table)} enable row level security;`];
+
+    Object.entries(policies).forEach(([name, command]) => {
+        const rule = command === 'select' ? 'using (true)'
+            : command === 'insert' ? 'with check (true)'
+            : 'using (true) with check (true)';
+        statements.push(`drop policy if exists ${quoteIdent(name)} on ${quoteIdent(table)};`);
+        statements.push(`create policy ${quoteIdent(name)} on ${quoteIdent(table)} for ${command} to anon, authenticated ${rule};`);
+    });
+
+    const commands = [...new Set(Object.values(policies))].join(', ');
+    statements.push(`grant ${commands} on ${quoteIdent(table)} to anon, authenticated;`);
+    return statements.join('\n');
+}
+
+/**
+ * SQL letting anon and authenticated use the sequence behind a table's id column
+ * Identity columns don't need it, but an existing table's serial id does for inserts
+ * @param {string} table - Table name
+ * @param {string} column - Id column
+ * @returns {string} SQL
+ */
+function grantIdSequence(table, column) {
+    const literal = value => `'${value.replace(/'/g, "''")}'`;
+    const sequence = `pg_get_serial_sequence(${literal(quoteIdent(table))}, ${literal(column)})`;
+    return `do $$
+begin
+    if ${sequence} is not null then
+        execute format('grant usage on sequence %s to anon, authenticated', ${sequence});
+    end if;
+end
+$$;`;
+}
+
+/**
+ * Schema migrations, oldest first
+ * up(mapping) returns the migration's SQL for a column mapping { table, columns }
+ *
+ * The recommended policies suit a project used through the anon key, as the simulation is:
+ * anyone can read, add bets and settle them, while the ledger, snapshots and conversations
+ * are append-only. Tighten them to authenticated if the project is public.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial',
+        up: ({ table, columns }) => {
+            const mapped = Object.entries(columns).filter(([, column]) => column);
+            const bets = quoteIdent(table);
+
+            const definitions = mapped.map(([field, column]) => {
+                const { type, constraints } = BET_COLUMN_TYPES[field];
+                return `    ${quoteIdent(column)} ${type}${constraints ? ` ${constraints}` : ''}`;
+            });
+
+            // An existing bets table keeps its rows and just gains the columns it's missing
+            const additions = mapped
+                .filter(([field]) => field !== 'id')
+                .map(([field, column]) => `alter table ${bets} add column if not exists ${quoteIdent(column)} ${BET_COLUMN_TYPES[field].type};`);
+
+            return `-- Bets, one row per bet - the simulation reads new rows and writes results back
+create table if not exists ${bets} (
+${definitions.join(',\n')}
+);
+${additions.join('\n')}
+create index if not exists ${quoteIdent(`${table}_${columns.createdAt}_idx`)} on ${bets} (${quoteIdent(columns.createdAt)});
+${rowLevelSecurity(table, { 'Bets are readable': 'select', 'Bets can be added': 'insert', 'Bets can be settled': 'update' })}
+${grantIdSequence(table, columns.id)}
+
+-- Settlement ledger - settlements and reversals, never edited
+create table if not exists wagerwire_settlements (
+    id bigint generated by default as identity primary key,
+    seq integer not null,
+    type text not null check (type in ('settlement', 'reversal')),
+    bet_id text not null,
+    character text not null,
+    outcome text not null,
+    label text not null,
+    payout numeric not null,
+    reason text,
+    engine_version text,
+    at timestamptz not null,
+    recorded_at timestamptz not null default now()
+);
+create index if not exists wagerwire_settlements_bet_id_idx on wagerwire_settlements (bet_id);
+${rowLevelSecurity('wagerwire_settlements', { 'Settlements are readable': 'select', 'Settlements can be recorded': 'insert' })}
+
+-- Characters' bankrolls and stats over time
+create table if not exists wagerwire_bankroll_snapshots (
+    id bigint generated by default as identity primary key,
+    character text not null,
+    bankroll numeric not null,
+    total_bets integer not null default 0,
+    total_settled integer not null default 0,
+    total_wins integer not null default 0,
+    total_losses integer not null default 0,
+    total_cash_outs integer not null default 0,
+    total_staked numeric not null default 0,
+    total_payout numeric not null default 0,
+    net_profit numeric not null default 0,
+    taken_at timestamptz not null default now()
+);
+create index if not exists wagerwire_bankroll_snapshots_character_idx on wagerwire_bankroll_snapshots (character, taken_at);
+${rowLevelSecurity('wagerwire_bankroll_snapshots', { 'Snapshots are readable': 'select', 'Snapshots can be taken': 'insert' })}
+
+-- Conversations between characters
+create table if not exists wagerwire_conversations (
+    id bigint generated by default as identity primary key,
+    participants text[] not null,
+    starter text not null,
+    topic text not null,
+    topic_title text,
+    text text not null,
+    response text not null,
+    at timestamptz not null default now()
+);
+${rowLevelSecurity('wagerwire_conversations', { 'Conversations are readable': 'select', 'Conversations can be logged': 'insert' })}`;
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * SQL that creates the table recording applied migrations
+ * @returns {string} SQL
+ */
+function getMigrationsTableSql() {
+    return `create table if not exists ${MIGRATIONS_TABLE} (
+    version integer primary key,
+    name text not null,
+    applied_at timestamptz not null default now()
+);`;
+}
+
+/**
+ * SQL for one migration, in a transaction that records it as applied
+ * @param {Object} migration - Entry from MIGRATIONS
+ * @param {Object} mapping - Column mapping { table, columns }
+ * @returns {string} SQL
+ */
+function getMigrationSql(migration, mapping = getColumnMapping()) {
+    return `-- Migration ${migration.version}: ${migration.name}
+begin;
+
+${migration.up(mapping)}
+
+insert into ${MIGRATIONS_TABLE} (version, name) values (${migration.version}, '${migration.name}')
+    on conflict (version) do nothing;
+
+commit;`;
+}
+
+/**
+ * Get the migrations after a version
+ * @param {number} fromVersion - Version the database is at (0 for an empty one)
+ * @returns {Array<Object>} Migrations to run, oldest first
+ */
+function getPendingMigrations(fromVersion = 0) {
+    return MIGRATIONS.filter(migration => migration.version > fromVersion);
+}
+
+/**
+ * SQL to bring a database from one schema version up to the latest
+ * @param {Object} options
+ * @param {number} options.from - Version the database is at (default: 0, everything)
+ * @param {Object} options.mapping - Column mapping (default: the active one)
+ * @returns {string} SQL script
+ */
+function generateSchemaSql(options = {}) {
+    const from = options.from || 0;
+    const mapping = options.mapping || getColumnMapping();
+    const pending = getPendingMigrations(from);
+
+    const header = `-- WagerWire schema, version ${from} to ${SCHEMA_VERSION}
+-- Bets table: ${mapping.table}`;
+    if (pending.length === 0) {
+        return `${header}\n-- Already up to date\n`;
+    }
+
+    return [header, getMigrationsTableSql(), ...pending.map(migration => getMigrationSql(migration, mapping))].join('\n\n') + '\n';
+}
+
+/**
+ * Bring a database up to date, running only the migrations it hasn't had
+ * @param {Object} db - Database with exec(sql) for scripts and query(sql) returning { rows }, e.g. PGlite
+ * @param {Object} options
+ * @param {Object} options.mapping - Column mapping (default: the active one)
+ * @returns {Promise<Object>} { from, to, applied: [{ version, name }] }
+ */
+async function applyMigrations(db, options = {}) {
+    const mapping = options.mapping || getColumnMapping();
+
+    await db.exec(getMigrationsTableSql());
+    const { rows } = await db.query(`select coalesce(max(version), 0) as version from ${MIGRATIONS_TABLE}`);
+    const from = Number(rows[0].version);
+
+    const applied = [];
+    for (const migration of getPendingMigrations(from)) {
+        try {
+            await db.exec(getMigrationSql(migration, mapping));
+        } catch (error) {
+            await db.exec('rollback');
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+        applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return { from, to: Math.max(from, SCHEMA_VERSION), applied };
+}
+
+// Export functions for use in other modules
+export {
+    MIGRATIONS,
+    SCHEMA_VERSION,
+    generateSchemaSql,
+    getMigrationSql,
+    getPendingMigrations,
+    applyMigrations
+};
@@ -0,0 +1,85 @@
+/**
+ * Tests for the database schema and its migrations
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, SCHEMA_VERSION, generateSchemaSql, getMigrationSql, getPendingMigrations, applyMigrations } from './db-schema.js';
+import { DEFAULT_COLUMN_MAPPING } from './column-mapping.js';
+
+/**
+ * Database stand-in recording the SQL it's given
+ * @param {number} version - Schema version it reports being at
+ * @param {Function} failOn - Returns true for SQL that should fail (optional)
+ * @returns {Object} { exec, query, scripts }
+ */
+function createDb(version, failOn = () => false) {
+    const scripts = [];
+    return {
+        scripts,
+        exec: async (sql) => {
+            scripts.push(sql);
+            if (failOn(sql)) {
+                throw new Error('relation already exists');
+            }
+        },
+        query: async () => ({ rows: [{ version: `${version}` }] })
+    };
+}
+
+test('the full schema creates the bets table and every table the simulation writes to', () => {
+    const sql = generateSchemaSql({ mapping: DEFAULT_COLUMN_MAPPING });
+
+    assert.match(sql, new RegExp(`^-- WagerWire schema, version 0 to ${SCHEMA_VERSION}\n-- Bets table: characters\n`));
+    assert.match(sql, /create table if not exists wagerwire_schema_migrations \(/);
+    assert.match(sql, /create table if not exists "characters" \(\n {4}"id" bigint generated by default as identity primary key,\n {4}"character" text not null,/);
+    assert.match(sql, /"bet_side" text not null default 'back'/);
+    assert.match(sql, /alter table "characters" add column if not exists "final_score" text;/);
+    ['wagerwire_settlements', 'wagerwire_bankroll_snapshots', 'wagerwire_conversations'].forEach(table => {
+        assert.match(sql, new RegExp(`create table if not exists ${table} \\(`));
+        assert.match(sql, new RegExp(`alter table "${table}" enable row level security;`));
+    });
+    assert.match(sql, /insert into wagerwire_schema_migrations \(version, name\) values \(1, 'initial'\)/);
+    assert.ok(sql.endsWith('commit;\n'));
+});
+
+test('the bets table follows the column mapping', () => {
+    const sql = generateSchemaSql({
+        mapping: { table: 'my "bets"', columns: { ...DEFAULT_COLUMN_MAPPING.columns, character: 'extract_names', reaction: null } }
+    });
+
+    assert.match(sql, /-- Bets table: my "bets"/);
+    assert.match(sql, /create table if not exists "my ""bets""" \(/);
+    assert.match(sql, /"extract_names" text not null/);
+    assert.doesNotMatch(sql, /"character_reaction"/);
+    assert.match(sql, /create policy "Bets can be settled" on "my ""bets""" for update to anon, authenticated using \(true\) with check \(true\);/);
+});
+
+test('only migrations after the database version are pending', () => {
+    assert.deepEqual(getPendingMigrations().map(migration => migration.version), MIGRATIONS.map(migration => migration.version));
+    assert.deepEqual(getPendingMigrations(SCHEMA_VERSION), []);
+    assert.equal(
+        generateSchemaSql({ from: SCHEMA_VERSION, mapping: DEFAULT_COLUMN_MAPPING }),
+        `-- WagerWire schema, version ${SCHEMA_VERSION} to ${SCHEMA_VERSION}\n-- Bets table: characters\n-- Already up to date\n`
+    );
+});
+
+test('applying runs the pending migrations in their own transactions', async () => {
+    const db = createDb(0);
+    const result = await applyMigrations(db, { mapping: DEFAULT_COLUMN_MAPPING });
+
+    assert.deepEqual(result, { from: 0, to: SCHEMA_VERSION, applied: MIGRATIONS.map(({ version, name }) => ({ version, name })) });
+    assert.equal(db.scripts[1], getMigrationSql(MIGRATIONS[0], DEFAULT_COLUMN_MAPPING));
+    assert.match(db.scripts[1], /^-- Migration 1: initial\nbegin;\n/);
+
+    const upToDate = createDb(SCHEMA_VERSION);
+    assert.deepEqual(await applyMigrations(upToDate), { from: SCHEMA_VERSION, to: SCHEMA_VERSION, applied: [] });
+    assert.equal(upToDate.scripts.length, 1);
+});
+
+test('a failed migration is rolled back and named', async () => {
+    const db = createDb(0, sql => sql.startsWith('-- Migration'));
+
+    await assert.rejects(applyMigrations(db), /Migration 1 \(initial\) failed: relation already exists/);
+    assert.equal(db.scripts.at(-1), 'rollback');
+});
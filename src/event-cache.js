@@ -0,0 +1,221 @@
+/**
+ * Event Cache for WagerWire Simulation
+ * Wraps an event provider so polling stays cheap: each event is cached for a time that
+ * depends on its status, bets sharing an event share one request, only a few requests
+ * run at once, and events whose requests fail are retried with exponential backoff.
+ */
+
+import { EventProvider } from './event-providers.js';
+import { systemClock } from './virtual-clock.js';
+
+// How long an event's data stays fresh, by status (milliseconds)
+const DEFAULT_TTL = {
+    notstarted: 2 * 60 * 1000,
+    inprogress: 10 * 1000,
+    finished: 10 * 60 * 1000,
+    canceled: 10 * 60 * 1000,
+    missing: 60 * 1000, // Provider had no data for the event
+    default: 30 * 1000
+};
+
+const DEFAULT_OPTIONS = {
+    maxConcurrent: 4,
+    backoff: { base: 15 * 1000, max: 5 * 60 * 1000 },
+    maxEntries: 500
+};
+
+export class EventCache extends EventProvider {
+    /**
+     * @param {EventProvider} provider - Provider to fetch events from
+     * @param {Object} options
+     * @param {Object} options.ttl - Freshness per status, overriding DEFAULT_TTL
+     * @param {number} options.maxConcurrent - Most requests to run at once
+     * @param {Object} options.backoff - { base, max } retry delays after failed requests
+     * @param {number} options.maxEntries - Most events to keep cached
+     * @param {Object} options.clock - Time source
+     */
+    constructor(provider, options = {}) {
+        super(options);
+        this.provider = provider;
+        this.ttl = { ...DEFAULT_TTL, ...options.ttl };
+        this.maxConcurrent = options.maxConcurrent || DEFAULT_OPTIONS.maxConcurrent;
+        this.backoff = { ...DEFAULT_OPTIONS.backoff, ...options.backoff };
+        this.maxEntries = options.maxEntries || DEFAULT_OPTIONS.maxEntries;
+
+        this.entries = new Map(); // eventId -> { event, fetchedAt, expiresAt, failures, retryAt, error }
+        this.inFlight = new Map(); // eventId -> Promise of the pending request
+        this.waiting = []; // Requests queued behind the concurrency limit
+        this.running = 0;
+        this.stats = { hits: 0, requests: 0, errors: 0 };
+    }
+
+    describe() {
+        return `${this.provider.describe()} (cached)`;
+    }
+
+    /**
+     * Get an event, from the cache while it's fresh
+     * While an event is backing off after a failure, its last good data is returned,
+     * or the failure is thrown again if there is none.
+     * @param {string|number} eventId - Event ID
+     * @returns {Promise<Object|null>} Normalized event, or null if the provider has none
+     */
+    async getEvent(eventId) {
+        const key = `${eventId}`;
+        const entry = this.entries.get(key);
+        const now = this.clock.now();
+
+        if (entry && entry.retryAt > now) {
+            this.stats.hits++;
+            if (entry.event !== undefined) {
+                return entry.event;
+            }
+            throw new Error(`${entry.error} (retrying in ${Math.ceil((entry.retryAt - now) / 1000)}s)`);
+        }
+
+        if (entry && entry.expiresAt > now) {
+            this.stats.hits++;
+            return entry.event;
+        }
+
+        // Bets sharing an event share the request already on its way
+        if (!this.inFlight.has(key)) {
+            const request = this.request(key).finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, request);
+        }
+        return this.inFlight.get(key);
+    }
+
+    /**
+     * Fetch several events at once, within the concurrency limit
+     * Failures are kept in the cache rather than thrown
+     * @param {Array<string|number>} eventIds - Event IDs
+     * @returns {Promise<void>}
+     */
+    async prefetch(eventIds) {
+        const unique = [...new Set(eventIds.map(eventId => `${eventId}`))];
+        await Promise.all(unique.map(eventId => this.getEvent(eventId).catch(() => null)));
+    }
+
+    /**
+     * Fetch an event from the provider and cache the result
+     * @param {string} key - Event ID
+     * @returns {Promise<Object|null>} Normalized event
+     */
+    async request(key) {
+        await this.acquire();
+        this.stats.requests++;
+
+        try {
+            const event = await this.provider.getEvent(key);
+            const status = event ? event.status : 'missing';
+            const ttl = this.ttl[status] ?? this.ttl.default;
+
+            this.store(key, {
+                event,
+                fetchedAt: this.clock.now(),
+                expiresAt: this.clock.now() + ttl,
+                failures: 0,
+                retryAt: 0,
+                error: null
+            });
+            return event;
+        } catch (error) {
+            const previous = this.entries.get(key) || {};
+            const failures = (previous.failures || 0) + 1;
+            const delay = Math.min(this.backoff.max, this.backoff.base * Math.pow(2, failures - 1));
+
+            this.stats.errors++;
+            this.store(key, {
+                ...previous,
+                failures,
+                retryAt: this.clock.now() + delay,
+                error: error.message
+            });
+            throw error;
+        } finally {
+            this.release();
+        }
+    }
+
+    /**
+     * Save a cache entry, dropping the oldest once the cache is full
+     * @param {string} key - Event ID
+     * @param {Object} entry - Cache entry
+     */
+    store(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Wait for a free request slot
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        if (this.running < this.maxConcurrent) {
+            this.running++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    /**
+     * Hand a request slot to the next waiting request, or free it
+     */
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.running--;
+        }
+    }
+
+    /**
+     * Forget cached data so the next request goes to the provider
+     * @param {string|number} eventId - Event ID, or omit to clear everything
+     */
+    invalidate(eventId) {
+        if (eventId === undefined) {
+            this.entries.clear();
+        } else {
+            this.entries.delete(`${eventId}`);
+        }
+    }
+
+    /**
+     * Describe the poller's state for display
+     * @returns {Object} { cached, inFlight, queued, hits, requests, errors, backingOff: [{ eventId, failures, retryIn, error }] }
+     */
+    getStats() {
+        const now = this.clock.now();
+        const backingOff = [];
+        let cached = 0;
+
+        this.entries.forEach((entry, eventId) => {
+            if (entry.retryAt > now) {
+                backingOff.push({
+                    eventId,
+                    failures: entry.failures,
+                    retryIn: Math.ceil((entry.retryAt - now) / 1000),
+                    error: entry.error
+                });
+            } else if (entry.expiresAt > now) {
+                cached++;
+            }
+        });
+
+        return {
+            cached,
+            inFlight: this.inFlight.size,
+            queued: this.waiting.length,
+            ...this.stats,
+            backingOff
+        };
+    }
+}
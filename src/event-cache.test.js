@@ -0,0 +1,171 @@
+/**
+ * Tests for the event cache in front of event providers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventProvider } from './event-providers.js';
+import { EventCache } from './event-cache.js';
+
+/**
+ * Provider that answers from a map of events and counts its requests
+ * Set holdRequests to keep requests waiting until release() is called
+ */
+class CountingProvider extends EventProvider {
+    constructor(events = {}) {
+        super();
+        this.events = events;
+        this.requests = [];
+        this.active = 0;
+        this.mostActive = 0;
+        this.failing = false;
+        this.holdRequests = false;
+        this.held = [];
+    }
+
+    async getEvent(eventId) {
+        this.requests.push(eventId);
+        this.active++;
+        this.mostActive = Math.max(this.mostActive, this.active);
+        try {
+            if (this.holdRequests) {
+                await new Promise(resolve => this.held.push(resolve));
+            }
+            if (this.failing) {
+                throw new Error('API request failed: 503');
+            }
+            return this.events[eventId] || null;
+        } finally {
+            this.active--;
+        }
+    }
+
+    release() {
+        this.held.splice(0).forEach(resolve => resolve());
+    }
+}
+
+/**
+ * Build a cache over a counting provider, on a clock the test moves by hand
+ * @param {Object} events - Events by ID
+ * @param {Object} options - EventCache options
+ * @returns {Object} { cache, provider, advance(ms) }
+ */
+function createCache(events, options = {}) {
+    let now = 0;
+    const provider = new CountingProvider(events);
+    const cache = new EventCache(provider, { ...options, clock: { now: () => now } });
+    return { cache, provider, advance: ms => { now += ms; } };
+}
+
+test('events stay fresh for a time that depends on their status', async () => {
+    const { cache, provider, advance } = createCache({
+        1: { eventid: 1, status: 'inprogress' },
+        2: { eventid: 2, status: 'finished' }
+    });
+
+    await cache.getEvent(1);
+    await cache.getEvent(2);
+    await cache.getEvent(3);
+
+    // Within every TTL: all from the cache
+    advance(5000);
+    await cache.prefetch([1, 2, 3]);
+    assert.deepEqual(provider.requests, ['1', '2', '3']);
+
+    // In-play events expire after 10s, missing ones after a minute, finished ones after ten
+    advance(10000);
+    await cache.prefetch([1, 2, 3]);
+    advance(60000);
+    await cache.prefetch([1, 2, 3]);
+    assert.deepEqual(provider.requests, ['1', '2', '3', '1', '1', '3']);
+    assert.equal(cache.getStats().hits, 6);
+
+    cache.invalidate(2);
+    await cache.getEvent(2);
+    assert.equal(provider.requests.at(-1), '2');
+});
+
+test('bets sharing an event share one request', async () => {
+    const { cache, provider } = createCache({ 1: { eventid: 1, status: 'inprogress' } });
+    provider.holdRequests = true;
+
+    const first = cache.getEvent(1);
+    const second = cache.getEvent('1');
+    assert.equal(cache.getStats().inFlight, 1);
+
+    await new Promise(resolve => setImmediate(resolve));
+    provider.release();
+    assert.equal(await first, await second);
+    assert.deepEqual(provider.requests, ['1']);
+    assert.equal(cache.getStats().inFlight, 0);
+});
+
+test('only a few requests run at once', async () => {
+    const { cache, provider } = createCache({}, { maxConcurrent: 2 });
+    provider.holdRequests = true;
+
+    const prefetch = cache.prefetch([1, 2, 3, 4, 5, 1]);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(provider.active, 2);
+    assert.equal(cache.getStats().queued, 3);
+
+    // Each release lets the next waiting requests through
+    while (provider.requests.length < 5 || provider.active > 0) {
+        provider.release();
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    await prefetch;
+
+    assert.equal(provider.mostActive, 2);
+    assert.deepEqual(provider.requests, ['1', '2', '3', '4', '5']);
+});
+
+test('failed events back off exponentially and keep their last good data', async () => {
+    const { cache, provider, advance } = createCache({ 1: { eventid: 1, status: 'inprogress' } }, {
+        backoff: { base: 1000, max: 3000 }
+    });
+    const good = await cache.getEvent(1);
+
+    provider.failing = true;
+    advance(10000);
+    await assert.rejects(cache.getEvent(1), /503/);
+
+    // Backing off: the last good data, without asking the provider
+    assert.equal(await cache.getEvent(1), good);
+    assert.deepEqual(cache.getStats().backingOff, [{ eventId: '1', failures: 1, retryIn: 1, error: 'API request failed: 503' }]);
+
+    advance(1000);
+    await assert.rejects(cache.getEvent(1), /503/);
+    advance(1000);
+    assert.equal(await cache.getEvent(1), good);
+    advance(1000);
+    await assert.rejects(cache.getEvent(1), /503/);
+    assert.equal(cache.getStats().backingOff[0].retryIn, 3);
+    assert.equal(provider.requests.length, 4);
+
+    // A success clears the failures
+    provider.failing = false;
+    advance(3000);
+    await cache.getEvent(1);
+    assert.deepEqual(cache.getStats().backingOff, []);
+    assert.equal(cache.getStats().errors, 3);
+});
+
+test('events that never loaded throw while backing off', async () => {
+    const { cache, provider } = createCache({});
+    provider.failing = true;
+
+    await cache.prefetch([1]);
+    await assert.rejects(cache.getEvent(1), /503 \(retrying in 15s\)/);
+    assert.equal(provider.requests.length, 1);
+});
+
+test('the oldest events are dropped once the cache is full', async () => {
+    const { cache, provider } = createCache({}, { maxEntries: 2 });
+
+    await cache.prefetch([1, 2, 3]);
+    await cache.prefetch([2, 3, 1]);
+    assert.deepEqual(provider.requests, ['1', '2', '3', '1']);
+    assert.deepEqual([...cache.entries.keys()], ['3', '1']);
+});
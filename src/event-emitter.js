@@ -0,0 +1,80 @@
+/**
+ * Minimal Event Emitter for WagerWire Simulation
+ * Works the same in the browser and in Node, so the simulation core has no DOM dependency.
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {Function} Call to unsubscribe
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Call every listener for an event
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments passed to each listener
+     * @returns {boolean} True if anyone was listening
+     */
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners || listeners.length === 0) return false;
+
+        // Copy so listeners can unsubscribe while being called
+        [...listeners].forEach(listener => listener(...args));
+        return true;
+    }
+
+    /**
+     * Remove every listener, or every listener for one event
+     * @param {string} event - Event name (optional)
+     */
+    removeAllListeners(event) {
+        if (event) {
+            this.listeners.delete(event);
+        } else {
+            this.listeners.clear();
+        }
+    }
+}
@@ -0,0 +1,371 @@
+/**
+ * Event Data Providers for WagerWire Simulation
+ * The simulation asks a provider for each bet's event - status, score, minute and teams -
+ * so bets can settle against the live SofaScore proxy or a local events file with no network.
+ *
+ * Providers return events normalized to:
+ *   { eventid, status: 'notstarted' | 'inprogress' | 'finished' | 'canceled',
+ *     score: '2-1' or null, minute: number or null, homeTeam, awayTeam }
+ *
+ * Events file format - entries shaped like the event API's response:
+ *   [{ eventid, status: 'finished', score: '2 - 1', homeTeam, awayTeam }]
+ * or recorded timelines that play out on the clock, with the score after each goal:
+ *   [{ eventid, kickoff: '2024-03-02T15:00:00Z', homeTeam, awayTeam,
+ *      timeline: [{ minute: 23, score: '1-0' }, { minute: 67, score: '1-1' }] }]
+ * Timelines may give kickoffIn (minutes after the file loads) instead of kickoff for demos,
+ * duration for matches that aren't 90 minutes, and status: 'canceled' for void ones.
+ */
+
+import { systemClock } from './virtual-clock.js';
+
+const DEFAULT_ENDPOINT = 'https://us-central1-pachira-betform.cloudfunctions.net/sofascoreProxy/sofascore-event';
+
+const HALF_LENGTH = 45;
+const HALF_TIME_BREAK = 15;
+
+/**
+ * Get a team name from a name string or a SofaScore team object
+ * @param {string|Object} team - Team
+ * @returns {string|null} Team name
+ */
+function getTeamName(team) {
+    if (!team) return null;
+    return typeof team === 'object' ? team.name || team.shortName || null : `${team}`;
+}
+
+/**
+ * Normalize event data shaped like the event API's response
+ * @param {Object} data - Raw event data
+ * @param {number} now - Current time (ms since epoch), for SofaScore's period clock
+ * @returns {Object} Normalized event
+ */
+function normalizeEvent(data, now) {
+    let score = null;
+    if (data.score) {
+        // API returns score as "5 - 0" format, normalize it to "5-0"
+        score = `${data.score}`.replace(/\s+/g, '');
+    } else if (data.homeScore !== undefined && data.awayScore !== undefined) {
+        // Fallback to individual score fields
+        score = `${data.homeScore ?? 0}-${data.awayScore ?? 0}`;
+    }
+
+    let minute = parseFloat(data.minute ?? data.elapsed ?? data.currentMinute);
+    if (isNaN(minute)) {
+        // SofaScore style clock: when the current period started and the minute it started at
+        const periodStart = data.time && data.time.currentPeriodStartTimestamp;
+        minute = periodStart ? (data.time.initial || 0) / 60 + (now / 1000 - periodStart) / 60 : null;
+    }
+
+    return {
+        eventid: data.eventid ?? data.id,
+        status: data.status,
+        score,
+        minute,
+        homeTeam: getTeamName(data.homeTeam),
+        awayTeam: getTeamName(data.awayTeam)
+    };
+}
+
+/**
+ * Base event provider
+ * Subclasses implement getEvent; the other getters are built on it.
+ */
+export class EventProvider {
+    /**
+     * @param {Object} options
+     * @param {Object} options.clock - Time source (defaults to the wall clock)
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || systemClock;
+    }
+
+    /**
+     * Describe where events come from, for the log
+     * @returns {string} Description
+     */
+    describe() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Get an event's latest data
+     * @param {string|number} eventId - Event ID
+     * @returns {Promise<Object|null>} Normalized event, or null if the provider has none
+     * @throws {Error} If the provider could not be reached (error.status holds any HTTP status)
+     */
+    async getEvent(eventId) {
+        throw new Error(`${this.constructor.name} does not implement getEvent`);
+    }
+
+    /**
+     * @param {string|number} eventId - Event ID
+     * @returns {Promise<string|null>} Status, e.g. "inprogress"
+     */
+    async getStatus(eventId) {
+        const event = await this.getEvent(eventId);
+        return event ? event.status : null;
+    }
+
+    /**
+     * @param {string|number} eventId - Event ID
+     * @returns {Promise<string|null>} Score like "2-1"
+     */
+    async getScore(eventId) {
+        const event = await this.getEvent(eventId);
+        return event ? event.score : null;
+    }
+
+    /**
+     * @param {string|number} eventId - Event ID
+     * @returns {Promise<number|null>} Minutes played
+     */
+    async getMinute(eventId) {
+        const event = await this.getEvent(eventId);
+        return event ? event.minute : null;
+    }
+
+    /**
+     * @param {string|number} eventId - Event ID
+     * @returns {Promise<Object|null>} { homeTeam, awayTeam }
+     */
+    async getTeams(eventId) {
+        const event = await this.getEvent(eventId);
+        return event ? { homeTeam: event.homeTeam, awayTeam: event.awayTeam } : null;
+    }
+}
+
+/**
+ * Live events from the SofaScore proxy
+ */
+export class SofaScoreProvider extends EventProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - Proxy endpoint (takes ?eventId=)
+     * @param {Function} options.fetch - fetch implementation
+     * @param {Object} options.clock - Time source
+     */
+    constructor(options = {}) {
+        super(options);
+        this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    describe() {
+        return 'SofaScore proxy';
+    }
+
+    async getEvent(eventId) {
+        const response = await this.fetch(`${this.endpoint}?eventId=${eventId}`);
+
+        if (!response.ok) {
+            const error = new Error(`API request failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const eventData = await response.json();
+        if (!eventData || eventData.length === 0) {
+            return null;
+        }
+
+        return normalizeEvent(eventData[0], this.clock.now());
+    }
+}
+
+/**
+ * Events from a local JSON file or array (see the events file format above)
+ */
+export class FixtureFileProvider extends EventProvider {
+    /**
+     * @param {Object} options
+     * @param {Array} options.events - Events to serve
+     * @param {string} options.url - Or a URL to load them from on first use
+     * @param {Function} options.fetch - fetch implementation for the URL
+     * @param {Object} options.clock - Time source that timelines play out on
+     */
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || null;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.events = new Map();
+        this.loading = null;
+        this.loadedAt = null;
+
+        if (options.events) {
+            this.setEvents(options.events);
+        }
+    }
+
+    describe() {
+        return this.url ? `events file ${this.url}` : `${this.events.size} local events`;
+    }
+
+    /**
+     * Replace the events being served
+     * @param {Array} events - Events (see the events file format above)
+     * @throws {Error} If events is not a list
+     */
+    setEvents(events) {
+        if (!Array.isArray(events)) {
+            throw new Error('Events file must contain a list of events');
+        }
+
+        this.events = new Map(events.map(event => [`${event.eventid ?? event.id}`, event]));
+        this.loadedAt = this.clock.now();
+        this.loading = Promise.resolve(this.events.size);
+    }
+
+    /**
+     * Load the events file, once
+     * @returns {Promise<number>} Number of events loaded
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                const response = await this.fetch(this.url);
+                if (!response.ok) {
+                    throw new Error(`Events file request failed: ${response.status}`);
+                }
+                this.setEvents(await response.json());
+                return this.events.size;
+            })();
+            // Let a failed load be retried on the next check
+            this.loading.catch(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async getEvent(eventId) {
+        if (this.url) {
+            await this.load();
+        }
+        return this.getLoadedEvent(eventId);
+    }
+
+    /**
+     * Check whether an event is in the loaded file
+     * @param {string|number} eventId - Event ID
+     * @returns {boolean} True if it is
+     */
+    hasEvent(eventId) {
+        return this.events.has(`${eventId}`);
+    }
+
+    /**
+     * Get an event's state now from the loaded file, without waiting for a load
+     * @param {string|number} eventId - Event ID
+     * @returns {Object|null} Normalized event, or null if it isn't loaded
+     */
+    getLoadedEvent(eventId) {
+        const entry = this.events.get(`${eventId}`);
+        if (!entry) return null;
+
+        return entry.timeline ? this.getTimelineState(entry) : normalizeEvent(entry, this.clock.now());
+    }
+
+    /**
+     * Get when a timeline event kicks off
+     * @param {string|number} eventId - Event ID
+     * @returns {number} Milliseconds since epoch, or NaN if unknown
+     */
+    getKickoff(eventId) {
+        const entry = this.events.get(`${eventId}`);
+        if (!entry) return NaN;
+        if (entry.kickoffIn !== undefined) {
+            return this.loadedAt + entry.kickoffIn * 60000;
+        }
+        return Date.parse(entry.kickoff);
+    }
+
+    /**
+     * Play a recorded timeline out to the current time
+     * Kickoff to 45' is the first half, then a 15 minute break, then the second half
+     * @param {Object} entry - Timeline entry
+     * @returns {Object} Normalized event
+     */
+    getTimelineState(entry) {
+        const event = {
+            eventid: entry.eventid ?? entry.id,
+            status: 'notstarted',
+            score: null,
+            minute: null,
+            homeTeam: getTeamName(entry.homeTeam),
+            awayTeam: getTeamName(entry.awayTeam)
+        };
+
+        if (entry.status === 'canceled') {
+            return { ...event, status: 'canceled' };
+        }
+
+        const elapsed = (this.clock.now() - this.getKickoff(event.eventid)) / 60000;
+        if (isNaN(elapsed) || elapsed < 0) {
+            return event;
+        }
+
+        const duration = entry.duration ?? 90;
+        let minute = elapsed;
+        if (elapsed > HALF_LENGTH + HALF_TIME_BREAK) {
+            minute = elapsed - HALF_TIME_BREAK;
+        } else if (elapsed > HALF_LENGTH) {
+            minute = HALF_LENGTH;
+        }
+
+        if (minute >= duration) {
+            return { ...event, status: 'finished', score: this.getScoreAt(entry, duration), minute: duration };
+        }
+
+        return { ...event, status: 'inprogress', score: this.getScoreAt(entry, minute), minute: Math.floor(minute) };
+    }
+
+    /**
+     * Get the recorded score at a match minute
+     * @param {Object} entry - Timeline entry
+     * @param {number} minute - Match minute
+     * @returns {string} Score like "1-0"
+     */
+    getScoreAt(entry, minute) {
+        const score = entry.timeline
+            .filter(goal => goal.minute <= minute)
+            .sort((a, b) => a.minute - b.minute)
+            .reduce((latest, goal) => goal.score, '0-0');
+        return `${score}`.replace(/\s+/g, '');
+    }
+}
+
+/**
+ * Provider classes by key, as used in EVENT_PROVIDER
+ */
+const EVENT_PROVIDERS = {
+    sofascore: SofaScoreProvider,
+    'fixture-file': FixtureFileProvider
+};
+
+/**
+ * Register a custom event provider class
+ * @param {string} key - Provider key
+ * @param {Function} ProviderClass - Subclass of EventProvider
+ */
+function registerEventProvider(key, ProviderClass) {
+    EVENT_PROVIDERS[key] = ProviderClass;
+}
+
+/**
+ * Create an event provider by key
+ * @param {string} key - Provider key, e.g. "fixture-file"
+ * @param {Object} options - Options for the provider
+ * @returns {EventProvider|null} Provider instance, or null if the key is unknown
+ */
+function createEventProvider(key, options = {}) {
+    const ProviderClass = EVENT_PROVIDERS[key];
+    return ProviderClass ? new ProviderClass(options) : null;
+}
+
+// Export functions for use in other modules
+export {
+    EVENT_PROVIDERS,
+    normalizeEvent,
+    registerEventProvider,
+    createEventProvider
+};
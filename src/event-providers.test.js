@@ -0,0 +1,160 @@
+/**
+ * Tests for the event providers and the events they normalize
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EventProvider,
+    SofaScoreProvider,
+    FixtureFileProvider,
+    normalizeEvent,
+    registerEventProvider,
+    createEventProvider
+} from './event-providers.js';
+
+const KICKOFF = Date.parse('2024-03-02T15:00:00Z');
+
+/**
+ * Build a clock stopped a number of minutes after kickoff
+ * @param {number} minutes - Minutes since kickoff
+ * @returns {Object} Clock
+ */
+function minutesAfterKickoff(minutes) {
+    return { now: () => KICKOFF + minutes * 60000 };
+}
+
+test('event API responses are normalized', () => {
+    assert.deepEqual(normalizeEvent({
+        id: 101, status: 'inprogress', score: '5 - 0', minute: '63', homeTeam: { name: 'Arsenal' }, awayTeam: 'Spurs'
+    }, 0), {
+        eventid: 101, status: 'inprogress', score: '5-0', minute: 63, homeTeam: 'Arsenal', awayTeam: 'Spurs'
+    });
+
+    const fallback = normalizeEvent({ eventid: 102, status: 'finished', homeScore: 2, awayScore: null }, 0);
+    assert.equal(fallback.score, '2-0');
+    assert.equal(fallback.minute, null);
+    assert.equal(fallback.homeTeam, null);
+});
+
+test("SofaScore's period clock gives the minute", () => {
+    // Second half (started at 45') began ten minutes ago
+    const now = Date.parse('2024-03-02T16:10:00Z');
+    const event = normalizeEvent({
+        eventid: 101, status: 'inprogress', time: { initial: 45 * 60, currentPeriodStartTimestamp: now / 1000 - 600 }
+    }, now);
+    assert.equal(event.minute, 55);
+});
+
+test('fixture results are served by event ID', async () => {
+    const provider = new FixtureFileProvider({ events: [{ eventid: 101, status: 'finished', score: '2 - 1' }] });
+
+    assert.equal(await provider.getStatus('101'), 'finished');
+    assert.equal(await provider.getScore(101), '2-1');
+    assert.deepEqual(await provider.getTeams(101), { homeTeam: null, awayTeam: null });
+    assert.equal(await provider.getEvent(999), null);
+    assert.equal(provider.hasEvent(101), true);
+    assert.equal(provider.describe(), '1 local events');
+
+    assert.throws(() => provider.setEvents({}), /list of events/);
+});
+
+test('timelines play out on the clock with a half-time break', () => {
+    const entry = {
+        eventid: 101, kickoff: '2024-03-02T15:00:00Z', homeTeam: 'Arsenal', awayTeam: 'Spurs',
+        timeline: [{ minute: 67, score: '1 - 1' }, { minute: 23, score: '1-0' }]
+    };
+    const stateAt = minutes => new FixtureFileProvider({ events: [entry], clock: minutesAfterKickoff(minutes) }).getLoadedEvent(101);
+
+    assert.deepEqual(stateAt(-5), {
+        eventid: 101, status: 'notstarted', score: null, minute: null, homeTeam: 'Arsenal', awayTeam: 'Spurs'
+    });
+    assert.equal(stateAt(30).score, '1-0');
+    assert.equal(stateAt(50).minute, 45);
+
+    // 70 minutes after kickoff, less the 15 minute break
+    assert.equal(stateAt(70).status, 'inprogress');
+    assert.equal(stateAt(70).minute, 55);
+    assert.equal(stateAt(70).score, '1-0');
+
+    const finished = stateAt(120);
+    assert.equal(finished.status, 'finished');
+    assert.equal(finished.score, '1-1');
+    assert.equal(finished.minute, 90);
+});
+
+test('timelines can be canceled, short, or kick off relative to loading', () => {
+    const provider = new FixtureFileProvider({
+        clock: minutesAfterKickoff(0),
+        events: [
+            { eventid: 101, status: 'canceled', kickoff: '2024-03-02T15:00:00Z', timeline: [] },
+            { eventid: 102, kickoff: '2024-03-02T15:00:00Z', duration: 1, timeline: [] },
+            { eventid: 103, kickoffIn: 10, timeline: [] }
+        ]
+    });
+
+    assert.equal(provider.getLoadedEvent(101).status, 'canceled');
+    assert.equal(provider.getLoadedEvent(103).status, 'notstarted');
+    assert.equal(provider.getKickoff(103), KICKOFF + 10 * 60000);
+
+    provider.clock = minutesAfterKickoff(2);
+    const short = provider.getLoadedEvent(102);
+    assert.equal(short.status, 'finished');
+    assert.equal(short.score, '0-0');
+    assert.equal(short.minute, 1);
+});
+
+test('an events file is loaded once, and again after a failed load', async () => {
+    let requests = 0;
+    let available = false;
+    const fetch = async () => {
+        requests++;
+        return available
+            ? { ok: true, json: async () => [{ eventid: 101, status: 'finished', score: '1-0' }] }
+            : { ok: false, status: 503 };
+    };
+    const provider = new FixtureFileProvider({ url: 'events.json', fetch });
+
+    await assert.rejects(provider.getEvent(101), /503/);
+
+    available = true;
+    assert.equal((await provider.getEvent(101)).score, '1-0');
+    assert.equal((await provider.getEvent(101)).score, '1-0');
+    assert.equal(requests, 2);
+    assert.equal(provider.describe(), 'events file events.json');
+});
+
+test('SofaScore requests fail with the HTTP status', async () => {
+    const urls = [];
+    const provider = new SofaScoreProvider({
+        endpoint: 'https://example.com/event',
+        fetch: async (url) => {
+            urls.push(url);
+            return url.endsWith('=429')
+                ? { ok: false, status: 429 }
+                : { ok: true, json: async () => [{ eventid: 101, status: 'notstarted' }] };
+        }
+    });
+
+    assert.equal(await provider.getStatus(101), 'notstarted');
+    assert.equal(urls[0], 'https://example.com/event?eventId=101');
+    await assert.rejects(provider.getEvent(429), error => error.status === 429);
+});
+
+test('providers are created by key, including registered ones', async () => {
+    assert.ok(createEventProvider('sofascore') instanceof SofaScoreProvider);
+    assert.ok(createEventProvider('fixture-file', { events: [] }) instanceof FixtureFileProvider);
+    assert.equal(createEventProvider('unknown'), null);
+
+    class FixedProvider extends EventProvider {
+        async getEvent(eventId) {
+            return { eventid: eventId, status: 'finished', score: '3-3', minute: 90 };
+        }
+    }
+    registerEventProvider('fixed', FixedProvider);
+
+    const provider = createEventProvider('fixed');
+    assert.equal(await provider.getMinute(7), 90);
+    assert.equal(provider.describe(), 'FixedProvider');
+    await assert.rejects(new EventProvider().getEvent(1), /does not implement getEvent/);
+});
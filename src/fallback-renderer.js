@@ -3,8 +3,16 @@
  * Used when Three.js is not available
  */
 
+import { getRoster, getCharacterColor, toCanvasPosition } from './roster.js';
+import { createRandom } from './random.js';
+
 export class FallbackRenderer {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - Element to render into
+     * @param {Object} options
+     * @param {Function} options.random - Seeded random generator from createRandom (a fresh one if omitted)
+     */
+    constructor(containerId, options = {}) {
         console.log('Initializing fallback 2D renderer...');
         
         this.container = document.getElementById(containerId);
@@ -25,17 +33,19 @@ export class FallbackRenderer {
         this.ctx = this.canvas.getContext('2d');
         this.container.appendChild(this.canvas);
         
+        // Each character roams on its own stream forked from this, so runs with the same seed match
+        this.random = options.random || createRandom();
+        
         // World setup
         this.width = this.canvas.width;
         this.height = this.canvas.height;
         this.bookiePosition = { x: this.width / 2, y: this.height / 2 };
         
         // Character positions
-        this.characterStartingPositions = {
-            'Benny': { x: 100, y: 100 },
-            'Max': { x: this.width - 100, y: 100 },
-            'Ellie': { x: this.width / 2, y: this.height - 100 }
-        };
+        this.characterStartingPositions = {};
+        getRoster().forEach(entry => {
+            this.characterStartingPositions[entry.name] = toCanvasPosition(entry.spawn, this.width, this.height);
+        });
         
         this.characters = {};
         
@@ -65,6 +75,7 @@ export class FallbackRenderer {
         console.log(`Creating 2D character: ${name}`);
         
         const startPos = this.characterStartingPositions[name];
+        const random = this.random.fork(name);
         this.characters[name] = {
             name: name,
             position: { ...startPos },
@@ -74,26 +85,22 @@ export class FallbackRenderer {
             isWalking: false,
             targetPosition: null,
             isRoaming: true,
-            roamingTimer: Math.random() * 5000,
+            random: random,
+            roamingTimer: random() * 5000,
             lastRoamTime: Date.now()
         };
         
         // Start initial roaming after a short delay
         setTimeout(() => {
             this.startRoaming(this.characters[name]);
-        }, 1000 + Math.random() * 2000);
+        }, 1000 + random() * 2000);
     }
 
     /**
      * Get character color
      */
     getCharacterColor(name) {
-        const colors = {
-            'Benny': '#e74c3c',
-            'Max': '#3498db',
-            'Ellie': '#9b59b6'
-        };
-        return colors[name] || '#95a5a6';
+        return getCharacterColor(name);
     }
 
     /**
@@ -123,6 +130,7 @@ export class FallbackRenderer {
                     character.isWalking = false;
                     character.position = { ...this.bookiePosition };
                     break;
+                case 'cashed_out':
                 case 'joy':
                     // First walk out from bookie, then celebrate
                     this.startWalkingFromBookie(character, () => {
@@ -171,8 +179,8 @@ export class FallbackRenderer {
      */
     startWalkingFromBookie(character, callback) {
         // Get a position away from bookie hub but not too far
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 80 + Math.random() * 40; // 80-120 pixels from bookie
+        const angle = character.random() * Math.PI * 2;
+        const distance = 80 + character.random() * 40; // 80-120 pixels from bookie
         const walkOutPosition = {
             x: this.bookiePosition.x + Math.cos(angle) * distance,
             y: this.bookiePosition.y + Math.sin(angle) * distance
@@ -221,8 +229,8 @@ export class FallbackRenderer {
         const maxRoamDistance = 100;
         
         let roamPosition = {
-            x: currentPos.x + (Math.random() - 0.5) * maxRoamDistance,
-            y: currentPos.y + (Math.random() - 0.5) * maxRoamDistance
+            x: currentPos.x + (character.random() - 0.5) * maxRoamDistance,
+            y: currentPos.y + (character.random() - 0.5) * maxRoamDistance
         };
         
         // Keep within canvas bounds
@@ -530,10 +538,34 @@ export class FallbackRenderer {
             this.ctx.fillText(character.emotion.emoji, x + radius + 5, y - radius);
         }
         
+        // Live win probability bar while a bet is in play
+        if (character.emotion && character.emotion.probability !== undefined) {
+            this.drawProbabilityBar(character.emotion.probability, x, y + radius + 22, radius * 2);
+        }
+        
         // State indicator
         this.drawStateIndicator(character, x, y, radius);
     }
 
+    /**
+     * Draw a bar showing a live bet's win probability
+     * @param {number} probability - Win probability between 0 and 1
+     * @param {number} x - Bar centre x
+     * @param {number} y - Bar top y
+     * @param {number} width - Bar width
+     */
+    drawProbabilityBar(probability, x, y, width) {
+        const height = 4;
+        const left = x - width / 2;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+        this.ctx.fillRect(left, y, width, height);
+        
+        // Red when the bet is slipping away, green when it's nearly landed
+        this.ctx.fillStyle = `hsl(${Math.round(probability * 120)}, 70%, 45%)`;
+        this.ctx.fillRect(left, y, width * probability, height);
+    }
+
     /**
      * Draw state indicator
      */
@@ -558,14 +590,35 @@ export class FallbackRenderer {
                 color = '#e74c3c';
                 symbol = '😡';
                 break;
+            case 'cashed_out':
+                color = '#f1c40f';
+                symbol = '💰';
+                break;
+            case 'amended':
+                color = '#9b59b6';
+                symbol = '📝';
+                break;
+            case 'confident':
+                color = '#27ae60';
+                symbol = '😎';
+                break;
             case 'hopeful':
                 color = '#3498db';
                 symbol = '🤞';
                 break;
+            case 'nervous':
+            case 'tense':
+                color = '#f1c40f';
+                symbol = '😬';
+                break;
             case 'worried':
                 color = '#f39c12';
                 symbol = '😰';
                 break;
+            case 'despairing':
+                color = '#c0392b';
+                symbol = '😩';
+                break;
         }
         
         // State circle
@@ -613,7 +666,7 @@ export class FallbackRenderer {
                             if (character.isRoaming && character.state === 'idle') {
                                 this.startRoaming(character);
                             }
-                        }, 2000 + Math.random() * 3000); // 2-5 second pause
+                        }, 2000 + character.random() * 3000); // 2-5 second pause
                     }
                 }
             }
@@ -636,8 +689,9 @@ export class FallbackRenderer {
 
     /**
      * Get random position on the canvas (avoiding obstacles)
+     * @param {Function} random - Random generator to draw from (defaults to the renderer's)
      */
-    getRandomPosition() {
+    getRandomPosition(random = this.random) {
         const margin = 50;
         const maxX = this.canvas.width - margin * 2;
         const maxY = this.canvas.height - margin * 2;
@@ -678,8 +732,8 @@ export class FallbackRenderer {
         const maxAttempts = 30;
         
         do {
-            x = margin + Math.random() * maxX;
-            y = margin + Math.random() * maxY;
+            x = margin + random() * maxX;
+            y = margin + random() * maxY;
             attempts++;
         } while (!isPositionClear(x, y) && attempts < maxAttempts);
         
@@ -690,7 +744,7 @@ export class FallbackRenderer {
                 { x: 100, y: this.height - 100 }, { x: this.width - 100, y: this.height - 100 },
                 { x: this.width / 4, y: this.height / 4 }, { x: 3 * this.width / 4, y: 3 * this.height / 4 }
             ];
-            const fallback = fallbackPositions[Math.floor(Math.random() * fallbackPositions.length)];
+            const fallback = fallbackPositions[Math.floor(random() * fallbackPositions.length)];
             console.log(`2D: Using fallback position: (${fallback.x}, ${fallback.y})`);
             return fallback;
         }
@@ -713,12 +767,17 @@ export class FallbackRenderer {
 
     /**
      * Reset the renderer to initial state
+     * @param {Function} random - Seeded random generator for the next run (defaults to restarting
+     *   the current one, so the next run roams the same way)
      */
-    reset() {
+    reset(random = createRandom(this.random.seed)) {
+        this.random = random;
+        
         // Reset all characters to starting positions and idle state
         Object.keys(this.characters).forEach(name => {
             const character = this.characters[name];
             if (character) {
+                character.random = this.random.fork(name);
                 const startPos = this.characterStartingPositions[name];
                 character.position = { ...startPos };
                 character.state = 'idle';
@@ -730,7 +789,7 @@ export class FallbackRenderer {
                 // Start roaming again after reset
                 setTimeout(() => {
                     this.startRoaming(character);
-                }, 1000 + Math.random() * 2000);
+                }, 1000 + character.random() * 2000);
             }
         });
         
@@ -16,9 +16,25 @@ window.supabase = { createClient };
 // Import our modules
 import { Config } from './config.js';
 import { SupabaseClient } from './supabase-client.js';
+import * as StorageAdapters from './storage-adapters.js';
 import * as BettingEngine from './betting-engine.js';
+import * as OddsFormat from './odds-format.js';
+import * as Strategies from './strategies.js';
+import * as Roster from './roster.js';
+import * as ColumnMapping from './column-mapping.js';
 import { ThreeRenderer } from './three-renderer.js';
 import { FallbackRenderer } from './fallback-renderer.js';
+import { EventEmitter } from './event-emitter.js';
+import { SimulationCore } from './simulation-core.js';
+import { VirtualClock } from './virtual-clock.js';
+import { Backtest } from './backtest.js';
+import { createRandom } from './random.js';
+import * as EventProviders from './event-providers.js';
+import { EventCache } from './event-cache.js';
+import * as BetLifecycle from './bet-lifecycle.js';
+import { SessionStore } from './session-store.js';
+import { SettlementLedger } from './settlement-ledger.js';
+import { LiveBetFeed } from './live-bet-feed.js';
 import { BettingSimulation } from './simulation.js';
 
 // Make classes globally available for compatibility
@@ -27,14 +43,87 @@ window.SupabaseClient = SupabaseClient;
 window.BettingEngine = BettingEngine;
 window.ThreeRenderer = ThreeRenderer;
 window.FallbackRenderer = FallbackRenderer;
+window.EventEmitter = EventEmitter;
+window.SimulationCore = SimulationCore;
+window.VirtualClock = VirtualClock;
+window.Backtest = Backtest;
+window.createRandom = createRandom;
+window.SessionStore = SessionStore;
+window.SettlementLedger = SettlementLedger;
+window.LiveBetFeed = LiveBetFeed;
 window.BettingSimulation = BettingSimulation;
 
 // Make betting engine functions globally available
+window.SettlementOutcome = BettingEngine.SettlementOutcome;
+window.createSettlement = BettingEngine.createSettlement;
+window.toSettlement = BettingEngine.toSettlement;
+window.settleSelection = BettingEngine.settleSelection;
+window.settleAccumulator = BettingEngine.settleAccumulator;
 window.calculateEnhancedPredictedResult = BettingEngine.calculateEnhancedPredictedResult;
 window.calculatePredictedResult = BettingEngine.calculatePredictedResult;
 window.calculatePayout = BettingEngine.calculatePayout;
+window.invertSettlement = BettingEngine.invertSettlement;
+window.getLayLiability = BettingEngine.getLayLiability;
+window.calculateExchangePayout = BettingEngine.calculateExchangePayout;
+window.calibrateGoalRates = BettingEngine.calibrateGoalRates;
+window.estimateLiveProbability = BettingEngine.estimateLiveProbability;
+window.invertLiveProbability = BettingEngine.invertLiveProbability;
+window.calculateCashOutValue = BettingEngine.calculateCashOutValue;
+window.createCashOutSettlement = BettingEngine.createCashOutSettlement;
 window.getEmotionFromResult = BettingEngine.getEmotionFromResult;
 window.getInProgressEmotion = BettingEngine.getInProgressEmotion;
+window.getLiveEmotion = BettingEngine.getLiveEmotion;
+window.getAccumulatorEmotion = BettingEngine.getAccumulatorEmotion;
+
+// Make odds format helpers globally available
+window.formatOdds = OddsFormat.formatOdds;
+window.isValidOddsFormat = OddsFormat.isValidOddsFormat;
+window.normalizeSelectionCombo = BettingEngine.normalizeSelectionCombo;
+window.getMarketType = BettingEngine.getMarketType;
+window.isLinelessMarket = BettingEngine.isLinelessMarket;
+window.parseScore = BettingEngine.parseScore;
+window.getGoalsNeeded = BettingEngine.getGoalsNeeded;
+
+// Make character strategies globally available
+window.BettingStrategy = Strategies.BettingStrategy;
+window.createStrategy = Strategies.createStrategy;
+window.registerStrategy = Strategies.registerStrategy;
+
+// Make the character roster globally available
+window.getRoster = Roster.getRoster;
+window.setRoster = Roster.setRoster;
+window.getCharacterNames = Roster.getCharacterNames;
+window.getRosterEntry = Roster.getRosterEntry;
+window.getCharacterColor = Roster.getCharacterColor;
+window.resolveCharacterName = Roster.resolveCharacterName;
+window.toCanvasPosition = Roster.toCanvasPosition;
+
+// Make the bets table column mapping globally available
+window.setColumnMapping = ColumnMapping.setColumnMapping;
+window.getColumnMapping = ColumnMapping.getColumnMapping;
+window.readBetRow = ColumnMapping.readBetRow;
+window.toBetRow = ColumnMapping.toBetRow;
+window.validateColumns = ColumnMapping.validateColumns;
+
+// Make event providers globally available
+window.EventProvider = EventProviders.EventProvider;
+window.SofaScoreProvider = EventProviders.SofaScoreProvider;
+window.FixtureFileProvider = EventProviders.FixtureFileProvider;
+window.registerEventProvider = EventProviders.registerEventProvider;
+window.createEventProvider = EventProviders.createEventProvider;
+window.EventCache = EventCache;
+
+// Make the bet lifecycle globally available
+window.BetState = BetLifecycle.BetState;
+window.transitionBet = BetLifecycle.transitionBet;
+window.getStateLabel = BetLifecycle.getStateLabel;
+window.describeBetState = BetLifecycle.describeBetState;
+
+// Make bet storage adapters globally available
+window.StorageAdapter = StorageAdapters.StorageAdapter;
+window.MemoryStorage = StorageAdapters.MemoryStorage;
+window.registerStorageAdapter = StorageAdapters.registerStorageAdapter;
+window.createStorageAdapter = StorageAdapters.createStorageAdapter;
 
 // Initialize simulation when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
@@ -43,7 +132,23 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Create global instances
     window.wagerwireConfig = new Config();
-    window.supabaseClient = new SupabaseClient();
+    Roster.setRoster(window.wagerwireConfig.roster);
+    ColumnMapping.setColumnMapping(window.wagerwireConfig.columnMapping);
+    window.supabaseClient = new SupabaseClient({ checkSchema: window.wagerwireConfig.checkSchema });
     window.bettingEngine = BettingEngine; // This is already an object with functions
-    window.simulation = new BettingSimulation();
+    
+    // The only simulation on the page - a second would resume the saved session too and run every bet twice
+    try {
+        window.simulation = new BettingSimulation();
+        console.log('BettingSimulation initialized successfully');
+    } catch (error) {
+        console.error('Error initializing simulation:', error);
+        
+        // Show error in UI
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = 'Initialization failed - check console';
+            statusText.style.color = 'red';
+        }
+    }
 }); 
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * Live Bet Feed for WagerWire Simulation
+ * Keeps the core in step with the bets table while the simulation runs: rows inserted
+ * into the table are queued straight away, and updates (e.g. a result set by hand) are
+ * applied to the bet they belong to. Changes arrive over the storage's realtime
+ * subscription; while that's down the feed polls instead - fetchNewBets for new rows and
+ * fetchBetsById for results set on the bets it's tracking - and keeps trying to
+ * resubscribe with exponential backoff.
+ *
+ * Events:
+ *   status  { mode, failures, retryAt, inserts, updates, deletes, polls } - mode is
+ *           stopped, connecting, realtime or polling
+ */
+
+import { EventEmitter } from './event-emitter.js';
+import { getColumn } from './column-mapping.js';
+import { isRosterBet } from './storage-adapters.js';
+
+const DEFAULT_OPTIONS = {
+    pollInterval: 30 * 1000,
+    reconnect: { base: 5 * 1000, max: 5 * 60 * 1000 }
+};
+
+// Subscription statuses (Supabase realtime's) that mean changes have stopped arriving
+const FAILED_STATUSES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'];
+
+export class LiveBetFeed extends EventEmitter {
+    /**
+     * @param {SimulationCore} core - Simulation to feed (its storage and clock are used)
+     * @param {Object} options
+     * @param {number} options.pollInterval - Milliseconds between polls while realtime is down
+     * @param {Object} options.reconnect - { base, max } delays between resubscribe attempts
+     */
+    constructor(core, options = {}) {
+        super();
+        this.core = core;
+        this.pollInterval = options.pollInterval || DEFAULT_OPTIONS.pollInterval;
+        this.reconnect = { ...DEFAULT_OPTIONS.reconnect, ...options.reconnect };
+
+        this.mode = 'stopped';
+        this.subscription = null;
+        this.attempt = 0; // Stale subscriptions still report their status, so each gets a number
+        this.failures = 0;
+        this.retryAt = null;
+        this.reconnectTimer = null;
+        this.pollTimer = null;
+        this.isPolling = false;
+        this.since = null; // created_at of the newest row seen, for polling
+        this.stats = { inserts: 0, updates: 0, deletes: 0, polls: 0 };
+    }
+
+    /**
+     * Start listening to the core's storage
+     * @returns {boolean} True if the feed started
+     */
+    start() {
+        if (this.mode !== 'stopped') {
+            return false;
+        }
+        if (!this.core.isStorageConnected()) {
+            this.core.log('Live bets need connected bet storage', 'error');
+            return false;
+        }
+
+        // Rows queued before the feed started don't need polling for again
+        this.since = this.core.betQueue.reduce(
+            (latest, bet) => (bet.created_at && (!latest || bet.created_at > latest) ? bet.created_at : latest),
+            null
+        );
+        this.setMode('connecting');
+        this.subscribe();
+        return true;
+    }
+
+    /**
+     * Stop listening and polling
+     */
+    stop() {
+        if (this.mode === 'stopped') {
+            return;
+        }
+
+        this.unsubscribe();
+        this.stopPolling();
+        if (this.reconnectTimer) {
+            this.core.clock.clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.failures = 0;
+        this.retryAt = null;
+        this.setMode('stopped');
+    }
+
+    /**
+     * Subscribe to the bets table's changes
+     */
+    subscribe() {
+        const attempt = ++this.attempt;
+        try {
+            this.subscription = this.core.storage.subscribeToChanges(
+                payload => this.handleChange(payload),
+                (status, error) => {
+                    if (attempt === this.attempt) {
+                        this.handleStatus(status, error);
+                    }
+                }
+            );
+        } catch (error) {
+            this.handleFailure(error.message);
+        }
+    }
+
+    /**
+     * Drop the current subscription, ignoring anything it reports afterwards
+     */
+    unsubscribe() {
+        this.attempt++;
+        if (this.subscription) {
+            try {
+                this.subscription.unsubscribe();
+            } catch (error) {
+                // Already gone with its connection
+            }
+            this.subscription = null;
+        }
+    }
+
+    /**
+     * React to the subscription's status
+     * @param {string} status - SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT or CLOSED
+     * @param {Error} error - Why the subscription failed (optional)
+     */
+    handleStatus(status, error) {
+        if (this.mode === 'stopped') {
+            return;
+        }
+
+        if (status === 'SUBSCRIBED') {
+            const recovered = this.failures > 0;
+            this.failures = 0;
+            this.retryAt = null;
+            this.stopPolling();
+            this.setMode('realtime');
+            this.core.log(`📥 Live bets: ${recovered ? 'realtime is back' : 'listening for new bets'} on ${this.core.storage.describe()}`, 'success');
+
+            // Catch up on rows inserted while nothing was listening
+            this.poll();
+        } else if (FAILED_STATUSES.includes(status)) {
+            this.handleFailure(error ? `${status}: ${error.message}` : status);
+        }
+    }
+
+    /**
+     * Fall back to polling and schedule another subscribe attempt
+     * @param {string} reason - Why realtime failed
+     */
+    handleFailure(reason) {
+        if (this.mode === 'stopped') {
+            return;
+        }
+
+        this.unsubscribe();
+        this.failures++;
+        const delay = Math.min(this.reconnect.max, this.reconnect.base * Math.pow(2, this.failures - 1));
+        this.retryAt = this.core.clock.now() + delay;
+        this.core.log(`📥 Live bets: realtime unavailable (${reason}) - polling every ${this.pollInterval / 1000}s, reconnecting in ${Math.round(delay / 1000)}s`, 'warning');
+
+        this.startPolling();
+        this.setMode('polling');
+
+        if (this.reconnectTimer) {
+            this.core.clock.clearTimeout(this.reconnectTimer);
+        }
+        this.reconnectTimer = this.core.clock.setTimeout(() => {
+            this.reconnectTimer = null;
+            this.subscribe();
+        }, delay);
+    }
+
+    /**
+     * Apply one change to the bets table
+     * @param {Object} payload - { eventType, new, old } (Supabase realtime's shape)
+     */
+    handleChange(payload) {
+        const { eventType } = payload;
+
+        if (eventType === 'INSERT') {
+            this.stats.inserts++;
+            this.queueRows([payload.new]);
+        } else if (eventType === 'UPDATE') {
+            this.stats.updates++;
+            this.core.syncBetRow(payload.new).catch(error => {
+                this.core.log(`Error applying change to bet ${payload.new[getColumn('id')]}: ${error.message}`, 'error');
+            });
+        } else if (eventType === 'DELETE') {
+            this.stats.deletes++;
+            this.core.removeQueuedBet(payload.old[getColumn('id')]);
+        }
+        this.emitStatus();
+    }
+
+    /**
+     * Queue new, unsettled rows for the roster's characters
+     * @param {Array<Object>} rows - Bets table rows
+     * @returns {number} Number of bets queued
+     */
+    queueRows(rows) {
+        const createdAt = getColumn('createdAt');
+        const result = getColumn('result');
+
+        rows.forEach(row => {
+            if (row[createdAt] && (!this.since || row[createdAt] > this.since)) {
+                this.since = row[createdAt];
+            }
+        });
+
+        const unsettled = rows.filter(row => (row[result] === null || row[result] === undefined) && isRosterBet(row));
+        return this.core.queueBets(unsettled, 'Inserted into the bets table');
+    }
+
+    /**
+     * Start polling for new rows, if not already
+     */
+    startPolling() {
+        if (this.pollTimer) {
+            return;
+        }
+        this.poll();
+        this.pollTimer = this.core.clock.setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    /**
+     * Stop polling
+     */
+    stopPolling() {
+        if (this.pollTimer) {
+            this.core.clock.clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Fetch rows inserted since the newest one seen and queue them, then re-read the rows of
+     * the bets the simulation is tracking to pick up results set in the meantime
+     * @returns {Promise<number>} Number of bets queued
+     */
+    async poll() {
+        if (this.isPolling || !this.core.isStorageConnected()) {
+            return 0;
+        }
+        this.isPolling = true;
+
+        try {
+            const rows = await this.core.storage.fetchNewBets(this.since);
+            this.stats.polls++;
+            const queued = this.queueRows(rows);
+            await this.syncResults();
+            this.emitStatus();
+            return queued;
+        } catch (error) {
+            this.core.log(`Error polling for new bets: ${error.message}`, 'error');
+            return 0;
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Apply results set in the bets table to the bets the simulation is tracking
+     * Results it wrote itself come back unchanged and are skipped by syncBetRow
+     * @returns {Promise<number>} Number of bets changed
+     */
+    async syncResults() {
+        const ids = this.core.getTrackedBetIds();
+        if (ids.length === 0) {
+            return 0;
+        }
+
+        const result = getColumn('result');
+        const rows = await this.core.storage.fetchBetsById(ids);
+        let changed = 0;
+        for (const row of rows.filter(row => row[result] !== null && row[result] !== undefined)) {
+            try {
+                if (await this.core.syncBetRow(row)) {
+                    this.stats.updates++;
+                    changed++;
+                }
+            } catch (error) {
+                this.core.log(`Error applying change to bet ${row[getColumn('id')]}: ${error.message}`, 'error');
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Change mode and tell subscribers
+     * @param {string} mode - stopped, connecting, realtime or polling
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.emitStatus();
+    }
+
+    /**
+     * Describe the feed's state for display
+     * @returns {Object} { mode, failures, retryAt, inserts, updates, deletes, polls }
+     */
+    getStatus() {
+        return {
+            mode: this.mode,
+            failures: this.failures,
+            retryAt: this.retryAt,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Tell subscribers the feed's state
+     */
+    emitStatus() {
+        this.emit('status', this.getStatus());
+    }
+}
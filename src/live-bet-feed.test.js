@@ -0,0 +1,131 @@
+/**
+ * Tests for the live bet feed, run against in-memory storage
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationCore } from './simulation-core.js';
+import { MemoryStorage } from './storage-adapters.js';
+import { FixtureFileProvider } from './event-providers.js';
+import { LiveBetFeed } from './live-bet-feed.js';
+import { Config } from './config.js';
+
+const timing = { walkTime: { min: 0, max: 0 }, placingTime: 0, reactionTime: 0 };
+
+/**
+ * Build a core on an offline bets table with a live feed listening to it
+ * The feed is stopped once the test is done with it
+ * @param {Object} t - Test context
+ * @param {Array} rows - Bets table rows
+ * @param {Array} events - Fixture events
+ * @returns {Promise<Object>} { core, storage, feed }
+ */
+async function createFeed(t, rows, events = []) {
+    const storage = new MemoryStorage({ rows, onLog: () => {} });
+    await storage.connect();
+    const core = new SimulationCore({
+        timing, storage, eventProvider: new FixtureFileProvider({ events }), config: new Config(), seed: 1
+    });
+    await core.loadExistingBets();
+
+    const feed = new LiveBetFeed(core);
+    t.after(() => feed.stop());
+    assert.equal(feed.start(), true);
+    await feed.poll();
+    return { core, storage, feed };
+}
+
+const OLD_BET = { id: 1, character: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win', created_at: '2024-03-02T14:00:00Z' };
+
+test('rows inserted into the bets table are queued straight away', async (t) => {
+    const { core, storage, feed } = await createFeed(t, [OLD_BET]);
+    assert.equal(feed.mode, 'realtime');
+
+    await storage.insertBets([
+        { character: 'Ellie', stake: 20, eventid: 102, price: 3, selection_combo: 'Draw' },
+        { character: 'Nobody', stake: 20, eventid: 102, price: 3, selection_combo: 'Draw' }
+    ]);
+
+    assert.deepEqual(core.betQueue.map(bet => bet.character), ['Max', 'Ellie']);
+    assert.equal(feed.getStatus().inserts, 2);
+});
+
+test('queued bets follow changes and deletes in the bets table', async (t) => {
+    const { core, storage } = await createFeed(t, [OLD_BET, { ...OLD_BET, id: 2 }]);
+
+    await storage.updateRow(1, { stake: 75 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(core.findBet(1).stake, 75);
+
+    const row = storage.rows.find(stored => stored.id === 2);
+    storage.rows.splice(storage.rows.indexOf(row), 1);
+    storage.notify('DELETE', {}, row);
+    assert.deepEqual(core.betQueue.map(bet => bet.id), [1]);
+});
+
+test('a result set by hand settles the open bet with it', async (t) => {
+    const { core, storage } = await createFeed(t, [OLD_BET], [{ eventid: 101, status: 'inprogress', score: '0 - 0', minute: 10 }]);
+    await core.runQueue();
+    assert.equal(core.activeBets.size, 1);
+
+    await storage.updateRow(1, { result: 'Push' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(core.activeBets.size, 0);
+    assert.equal(core.ledger.getSettlement(1).label, 'Push');
+    assert.equal(core.characters.Max.bankroll, 10000);
+});
+
+test('the feed polls for new rows while realtime is down', async (t) => {
+    const { core, storage, feed } = await createFeed(t, [OLD_BET]);
+
+    feed.handleStatus('CHANNEL_ERROR');
+    assert.equal(feed.mode, 'polling');
+    assert.equal(feed.getStatus().failures, 1);
+    assert.ok(feed.retryAt > core.clock.now());
+
+    // Nothing is listening, so the insert only arrives with the next poll
+    await storage.insertBets([{ character: 'Ellie', stake: 20, eventid: 102, price: 3, selection_combo: 'Draw' }]);
+    assert.equal(core.betQueue.length, 1);
+    assert.equal(await feed.poll(), 1);
+    assert.deepEqual(core.betQueue.map(bet => bet.character), ['Max', 'Ellie']);
+
+    feed.subscribe();
+    assert.equal(feed.mode, 'realtime');
+    assert.equal(feed.getStatus().failures, 0);
+});
+
+test('polling picks up results set in the bets table', async (t) => {
+    const { core, storage, feed } = await createFeed(t, [OLD_BET], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+    await core.runQueue();
+    assert.equal(core.characters.Max.bankroll, 10050);
+
+    // Set without a change notification, as while realtime is down
+    const row = storage.rows.find(stored => stored.id === 1);
+    row.result = 'Push';
+    row.payout = 50;
+    await feed.poll();
+
+    assert.equal(core.ledger.getSettlement(1).label, 'Push');
+    assert.equal(core.characters.Max.bankroll, 10000);
+
+    await feed.poll();
+    assert.equal(core.ledger.getEntries(1).length, 3);
+});
+
+test('results rows already had when they were loaded are replayed, not taken as new', async (t) => {
+    const { core, feed } = await createFeed(t, [
+        { ...OLD_BET, result: 'Loss', payout: 0 },
+        { ...OLD_BET, id: 2 }
+    ], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+
+    await feed.poll();
+    assert.deepEqual(core.betQueue.map(bet => bet.id), [1, 2]);
+
+    // The simulation settles it on the score, and the row's old result changes nothing after
+    await core.runQueue();
+    await feed.poll();
+    assert.equal(core.ledger.getSettlement(1).label, core.ledger.getSettlement(2).label);
+    assert.equal(core.ledger.getEntries(1).length, 1);
+    assert.equal(core.characters.Max.bankroll, 10100);
+});
@@ -0,0 +1,168 @@
+/**
+ * Odds Format Conversion for WagerWire Simulation
+ * Converts decimal prices into the display formats punters are used to.
+ * Prices are always stored and settled as decimals - these helpers are display only.
+ */
+
+/**
+ * Supported display formats and their labels
+ */
+const ODDS_FORMATS = {
+    decimal: 'Decimal (1.91)',
+    fractional: 'Fractional (10/11)',
+    american: 'American (-110)',
+    hongkong: 'Hong Kong (0.91)',
+    malay: 'Malay (0.91 / -0.91)',
+    indonesian: 'Indonesian (-1.10 / 1.50)'
+};
+
+const DEFAULT_ODDS_FORMAT = 'decimal';
+
+/**
+ * Round to a fixed number of decimal places without trailing float noise
+ * @param {number} value - Value to round
+ * @param {number} places - Decimal places
+ * @returns {number} Rounded value
+ */
+const roundTo = (value, places) => {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Format a signed number with an explicit "+" for positive values
+ * @param {number} value - Value to format
+ * @param {number} places - Decimal places
+ * @returns {string} Signed value like "+150" or "-1.25"
+ */
+const formatSigned = (value, places) => {
+    const text = value.toFixed(places);
+    return value > 0 ? `+${text}` : text;
+};
+
+/**
+ * Convert decimal odds to a fractional price
+ * Uses continued fractions to find the simplest fraction within half a cent
+ * @param {number} decimal - Decimal odds (e.g. 1.91)
+ * @param {number} maxDenominator - Largest denominator to consider
+ * @returns {string} Fraction like "10/11" or "6/4"
+ */
+function decimalToFractional(decimal, maxDenominator = 100) {
+    const profit = roundTo(parseFloat(decimal) - 1, 4);
+    if (profit <= 0) return '0/1';
+
+    let [prevNumerator, numerator] = [0, 1];
+    let [prevDenominator, denominator] = [1, 0];
+    let remainder = profit;
+
+    // Continued fraction expansion, stopping once the approximation is close enough
+    for (let i = 0; i < 20; i++) {
+        const whole = Math.floor(remainder);
+        const nextNumerator = whole * numerator + prevNumerator;
+        const nextDenominator = whole * denominator + prevDenominator;
+        if (nextDenominator > maxDenominator) break;
+
+        [prevNumerator, numerator] = [numerator, nextNumerator];
+        [prevDenominator, denominator] = [denominator, nextDenominator];
+
+        if (Math.abs(numerator / denominator - profit) < 0.005) break;
+
+        const fractional = remainder - whole;
+        if (fractional < 1e-9) break;
+        remainder = 1 / fractional;
+    }
+
+    return `${numerator}/${denominator}`;
+}
+
+/**
+ * Convert decimal odds to American (moneyline) odds
+ * @param {number} decimal - Decimal odds
+ * @returns {number} American odds, positive for underdogs and negative for favourites
+ */
+function decimalToAmerican(decimal) {
+    const d = parseFloat(decimal);
+    if (d <= 1) return 0;
+    return d >= 2 ? Math.round((d - 1) * 100) : Math.round(-100 / (d - 1));
+}
+
+/**
+ * Convert decimal odds to Hong Kong odds (profit per unit staked)
+ * @param {number} decimal - Decimal odds
+ * @returns {number} Hong Kong odds
+ */
+function decimalToHongKong(decimal) {
+    return roundTo(parseFloat(decimal) - 1, 2);
+}
+
+/**
+ * Convert decimal odds to Malay odds
+ * Positive up to even money, negative (risk per unit won) above it
+ * @param {number} decimal - Decimal odds
+ * @returns {number} Malay odds between -1 and 1
+ */
+function decimalToMalay(decimal) {
+    const hongKong = parseFloat(decimal) - 1;
+    if (hongKong <= 0) return 0;
+    return roundTo(hongKong <= 1 ? hongKong : -1 / hongKong, 2);
+}
+
+/**
+ * Convert decimal odds to Indonesian odds
+ * Negative (risk per unit won) for favourites, positive for even money and above
+ * @param {number} decimal - Decimal odds
+ * @returns {number} Indonesian odds
+ */
+function decimalToIndonesian(decimal) {
+    const hongKong = parseFloat(decimal) - 1;
+    if (hongKong <= 0) return 0;
+    return roundTo(hongKong >= 1 ? hongKong : -1 / hongKong, 2);
+}
+
+/**
+ * Format a decimal price in the requested display format
+ * @param {number|string} decimal - Decimal odds
+ * @param {string} format - One of the ODDS_FORMATS keys
+ * @returns {string} Display price, or the input unchanged if it is not a valid price
+ */
+function formatOdds(decimal, format = DEFAULT_ODDS_FORMAT) {
+    const d = parseFloat(decimal);
+    if (isNaN(d) || d <= 1) return `${decimal}`;
+
+    switch (format) {
+        case 'fractional':
+            return decimalToFractional(d);
+        case 'american':
+            return formatSigned(decimalToAmerican(d), 0);
+        case 'hongkong':
+            return decimalToHongKong(d).toFixed(2);
+        case 'malay':
+            return decimalToMalay(d).toFixed(2);
+        case 'indonesian':
+            return formatSigned(decimalToIndonesian(d), 2);
+        default:
+            return `${roundTo(d, 3)}`;
+    }
+}
+
+/**
+ * Check whether a format key is supported
+ * @param {string} format - Format key
+ * @returns {boolean} True if supported
+ */
+function isValidOddsFormat(format) {
+    return Object.prototype.hasOwnProperty.call(ODDS_FORMATS, format);
+}
+
+// Export functions for use in other modules
+export {
+    ODDS_FORMATS,
+    DEFAULT_ODDS_FORMAT,
+    decimalToFractional,
+    decimalToAmerican,
+    decimalToHongKong,
+    decimalToMalay,
+    decimalToIndonesian,
+    formatOdds,
+    isValidOddsFormat
+};
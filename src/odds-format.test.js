@@ -0,0 +1,58 @@
+/**
+ * Tests for odds format conversion
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ODDS_FORMATS,
+    decimalToFractional,
+    decimalToAmerican,
+    decimalToHongKong,
+    decimalToMalay,
+    decimalToIndonesian,
+    formatOdds,
+    isValidOddsFormat
+} from './odds-format.js';
+
+test('decimal prices convert to the simplest fraction', () => {
+    assert.equal(decimalToFractional(1.91), '10/11');
+    assert.equal(decimalToFractional(2.5), '3/2');
+    assert.equal(decimalToFractional(2), '1/1');
+    assert.equal(decimalToFractional(11), '10/1');
+    assert.equal(decimalToFractional(1.01), '1/100');
+});
+
+test('American odds are positive for underdogs and negative for favourites', () => {
+    assert.equal(decimalToAmerican(1.91), -110);
+    assert.equal(decimalToAmerican(1.5), -200);
+    assert.equal(decimalToAmerican(2), 100);
+    assert.equal(decimalToAmerican(3), 200);
+});
+
+test('Asian formats flip sign either side of even money', () => {
+    assert.equal(decimalToHongKong(1.91), 0.91);
+    assert.equal(decimalToHongKong(3), 2);
+
+    // Malay is positive up to evens, Indonesian from evens up
+    assert.equal(decimalToMalay(1.5), 0.5);
+    assert.equal(decimalToMalay(3), -0.5);
+    assert.equal(decimalToIndonesian(1.5), -2);
+    assert.equal(decimalToIndonesian(3), 2);
+});
+
+test('formatOdds shows a price in every supported format', () => {
+    const shown = Object.keys(ODDS_FORMATS).map(format => formatOdds(2.5, format));
+    assert.deepEqual(shown, ['2.5', '3/2', '+150', '1.50', '-0.67', '+1.50']);
+    assert.equal(formatOdds('1.91', 'indonesian'), '-1.10');
+});
+
+test('formatOdds leaves anything that is not a price alone', () => {
+    assert.equal(formatOdds('abc', 'american'), 'abc');
+    assert.equal(formatOdds(1, 'fractional'), '1');
+});
+
+test('only the listed formats are valid', () => {
+    assert.equal(isValidOddsFormat('malay'), true);
+    assert.equal(isValidOddsFormat('toString'), false);
+});
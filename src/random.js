@@ -0,0 +1,52 @@
+/**
+ * Seeded Random Numbers for WagerWire Simulation
+ * Everything random in a run - walk times, conversations, roaming - draws from a generator
+ * seeded here, so the same seed and bet list replay the same run.
+ */
+
+/**
+ * Hash a seed of any type to a 32-bit integer (FNV-1a)
+ * @param {number|string} seed - Seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+    const text = `${seed}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * The generator is a drop-in for Math.random. fork(label) gives an independent stream,
+ * so each character or renderer can draw without shifting anyone else's numbers.
+ * @param {number|string} seed - Seed, or omit for a fresh one (read it back from .seed)
+ * @returns {Function} Function returning numbers in [0, 1), with .seed and .fork(label)
+ */
+function createRandom(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        seed = Math.floor(Math.random() * 0x100000000);
+    }
+    let state = hashSeed(seed);
+
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+
+    random.seed = seed;
+    random.fork = (label) => createRandom(`${seed}:${label}`);
+
+    return random;
+}
+
+// Export functions for use in other modules
+export {
+    createRandom
+};
@@ -0,0 +1,49 @@
+/**
+ * Tests for the seeded random number generator
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom } from './random.js';
+
+/**
+ * Draw the first few numbers from a generator
+ * @param {Function} random - Generator
+ * @param {number} count - How many to draw
+ * @returns {Array} Numbers drawn
+ */
+function draw(random, count = 5) {
+    return Array.from({ length: count }, () => random());
+}
+
+test('the same seed gives the same numbers', () => {
+    assert.deepEqual(draw(createRandom(42)), draw(createRandom(42)));
+    assert.notDeepEqual(draw(createRandom(42)), draw(createRandom(43)));
+});
+
+test('numbers fall in [0, 1)', () => {
+    draw(createRandom('range'), 1000).forEach(value => {
+        assert.ok(value >= 0 && value < 1);
+    });
+});
+
+test('string seeds work and are kept on the generator', () => {
+    const random = createRandom('derby-day');
+    assert.equal(random.seed, 'derby-day');
+    assert.deepEqual(draw(random), draw(createRandom('derby-day')));
+});
+
+test('a missing seed picks a fresh one that replays', () => {
+    const random = createRandom();
+    assert.equal(typeof random.seed, 'number');
+    assert.deepEqual(draw(random), draw(createRandom(random.seed)));
+});
+
+test('forks are independent of the parent and of each other', () => {
+    const parent = createRandom(7);
+    const expected = draw(createRandom(7).fork('walks'));
+
+    draw(parent, 10);
+    assert.deepEqual(draw(parent.fork('walks')), expected);
+    assert.notDeepEqual(draw(parent.fork('talks')), expected);
+});
@@ -0,0 +1,220 @@
+/**
+ * Character Roster for WagerWire Simulation
+ * The single definition of who is in the simulation - the simulation, renderers, UI and
+ * Supabase client all read characters from here. Override it with WAGERWIRE_CONFIG.ROSTER.
+ *
+ * Entry format:
+ *   name        - Short name used everywhere in the sim (e.g. "Benny")
+ *   fullName    - Display name as stored in the bets table
+ *   aliases     - Text that identifies the character in a bet row's character column
+ *   color       - Hex colour for avatars and renderers
+ *   bankroll    - Starting bankroll
+ *   spawn       - Starting point as { x, z } from -1 to 1 (0, 0 is the Bookie Hub)
+ *   personality - { description, strategy, cashOut: { takeProfitAt, cutLossAt }, tickerBadge }
+ */
+
+const DEFAULT_ROSTER = [
+    {
+        name: 'Benny',
+        fullName: "Benny 'the Bankrupt' Doyle",
+        aliases: ['Benny', 'Bankrupt'],
+        color: '#e74c3c',
+        bankroll: 10000,
+        spawn: { x: -1, z: -1 },
+        personality: {
+            description: 'The optimistic underdog',
+            strategy: 'chase_losses',
+            cashOut: { takeProfitAt: 0.75, cutLossAt: null },  // Grabs any profit going, never admits defeat
+            tickerBadge: '🅱️'
+        }
+    },
+    {
+        name: 'Max',
+        fullName: "Max 'Stacks' Romano",
+        aliases: ['Max', 'Stacks'],
+        color: '#3498db',
+        bankroll: 10000,
+        spawn: { x: 1, z: -1 },
+        personality: {
+            description: 'The high-roller with deep pockets',
+            strategy: 'favourites',
+            cashOut: { takeProfitAt: null, cutLossAt: null },  // Lets everything ride
+            tickerBadge: '🅜️'
+        }
+    },
+    {
+        name: 'Ellie',
+        fullName: "Ellie 'EV' Tanaka",
+        aliases: ['Ellie', 'EV'],
+        color: '#9b59b6',
+        bankroll: 10000,
+        spawn: { x: 0, z: 1 },
+        personality: {
+            description: 'The analytical value hunter',
+            strategy: 'value',
+            cashOut: { takeProfitAt: 0.97, cutLossAt: 0.15 },  // Only cuts bets the model has given up on
+            tickerBadge: '🅴️'
+        }
+    }
+];
+
+/**
+ * Defaults for fields a custom roster entry leaves out
+ */
+const ENTRY_DEFAULTS = {
+    color: '#95a5a6',
+    bankroll: 10000,
+    spawn: { x: 0, z: 0 },
+    personality: {
+        description: '',
+        strategy: null,
+        cashOut: { takeProfitAt: null, cutLossAt: null },
+        tickerBadge: '⚡'
+    }
+};
+
+let activeRoster = DEFAULT_ROSTER;
+
+/**
+ * Fill in missing fields on a roster entry
+ * @param {Object} entry - Partial roster entry (name is required)
+ * @returns {Object} Complete roster entry
+ */
+function normalizeRosterEntry(entry) {
+    if (!entry || !entry.name) {
+        throw new Error('Roster entries need a name');
+    }
+
+    const personality = { ...ENTRY_DEFAULTS.personality, ...entry.personality };
+    return {
+        ...ENTRY_DEFAULTS,
+        ...entry,
+        fullName: entry.fullName || entry.name,
+        aliases: entry.aliases && entry.aliases.length > 0 ? entry.aliases : [entry.name],
+        spawn: { ...ENTRY_DEFAULTS.spawn, ...entry.spawn },
+        personality: {
+            ...personality,
+            cashOut: { ...ENTRY_DEFAULTS.personality.cashOut, ...personality.cashOut }
+        }
+    };
+}
+
+/**
+ * Replace the active roster
+ * @param {Array|null} roster - Roster entries, or null to restore the default roster
+ * @returns {Array} Active roster
+ */
+function setRoster(roster) {
+    if (!roster || roster.length === 0) {
+        activeRoster = DEFAULT_ROSTER;
+        return activeRoster;
+    }
+
+    const entries = roster.map(normalizeRosterEntry);
+    const names = new Set(entries.map(entry => entry.name));
+    if (names.size !== entries.length) {
+        throw new Error('Roster names must be unique');
+    }
+
+    activeRoster = entries;
+    return activeRoster;
+}
+
+/**
+ * Get the active roster
+ * @returns {Array} Roster entries
+ */
+function getRoster() {
+    return activeRoster;
+}
+
+/**
+ * Get every character name in roster order
+ * @returns {string[]} Character names
+ */
+function getCharacterNames() {
+    return activeRoster.map(entry => entry.name);
+}
+
+/**
+ * Look up a character's roster entry
+ * @param {string} name - Character name
+ * @returns {Object|null} Roster entry, or null if the character is not in the roster
+ */
+function getRosterEntry(name) {
+    return activeRoster.find(entry => entry.name === name) || null;
+}
+
+/**
+ * Get a character's colour
+ * @param {string} name - Character name
+ * @returns {string} Hex colour like "#e74c3c"
+ */
+function getCharacterColor(name) {
+    const entry = getRosterEntry(name);
+    return entry ? entry.color : ENTRY_DEFAULTS.color;
+}
+
+/**
+ * Find the character a bet row's character text refers to
+ * @param {string} text - Character column value, e.g. "Max 'Stacks' Romano"
+ * @returns {string|null} Matching character name, or null if nobody in the roster matches
+ */
+function findCharacterName(text) {
+    // Aliases are case-sensitive so short ones like "EV" don't match inside other names
+    const value = (text || '').toString();
+    const match = activeRoster.find(entry =>
+        entry.name.toLowerCase() === value.toLowerCase() ||
+        entry.aliases.some(alias => value.includes(alias))
+    );
+    return match ? match.name : null;
+}
+
+/**
+ * Work out which character a bet row belongs to from its character text
+ * @param {string} text - Character column value, e.g. "Max 'Stacks' Romano"
+ * @returns {string} Matching character name, or the first character in the roster
+ */
+function resolveCharacterName(text) {
+    return findCharacterName(text) || activeRoster[0].name;
+}
+
+/**
+ * Convert a spawn point to 2D canvas coordinates
+ * @param {Object} spawn - Spawn point { x, z } from -1 to 1
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} margin - Distance kept from the canvas edge at -1 and 1
+ * @returns {Object} Position { x, y }
+ */
+function toCanvasPosition(spawn, width, height, margin = 100) {
+    return {
+        x: width / 2 + spawn.x * (width / 2 - margin),
+        y: height / 2 + spawn.z * (height / 2 - margin)
+    };
+}
+
+/**
+ * Convert a spawn point to 3D world coordinates
+ * @param {Object} spawn - Spawn point { x, z } from -1 to 1
+ * @param {number} worldSize - Width of the ground plane
+ * @returns {Object} Position { x, y, z }
+ */
+function toWorldPosition(spawn, worldSize) {
+    const reach = worldSize * 0.4;
+    return { x: spawn.x * reach, y: 0, z: spawn.z * reach };
+}
+
+// Export functions for use in other modules
+export {
+    DEFAULT_ROSTER,
+    setRoster,
+    getRoster,
+    getCharacterNames,
+    getRosterEntry,
+    getCharacterColor,
+    findCharacterName,
+    resolveCharacterName,
+    toCanvasPosition,
+    toWorldPosition
+};
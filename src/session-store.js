@@ -0,0 +1,130 @@
+/**
+ * Session Store for WagerWire Simulation
+ * Keeps the latest simulation snapshot (see SimulationCore.getSnapshot) so a reloaded page
+ * carries on where it left off. Uses IndexedDB where it's available, then localStorage,
+ * then memory (Node, or a browser with storage turned off).
+ */
+
+const DB_NAME = 'wagerwire';
+const STORE_NAME = 'sessions';
+const DEFAULT_KEY = 'current';
+const LOCAL_STORAGE_PREFIX = 'wagerwire_session';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise} Resolves with the request's result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class SessionStore {
+    /**
+     * @param {Object} options
+     * @param {IDBFactory|null} options.indexedDB - IndexedDB to use (null to skip it)
+     * @param {Storage|null} options.localStorage - localStorage to use (null to skip it)
+     * @param {string} options.key - Name to save under, so other state can share the database (default: the session)
+     */
+    constructor(options = {}) {
+        this.key = options.key || DEFAULT_KEY;
+        this.localStorageKey = this.key === DEFAULT_KEY ? LOCAL_STORAGE_PREFIX : `${LOCAL_STORAGE_PREFIX}_${this.key}`;
+        this.indexedDB = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.localStorage = options.localStorage !== undefined
+            ? options.localStorage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.memory = null;
+        this.opening = null;
+    }
+
+    /**
+     * Describe where sessions are kept, for the log
+     * @returns {string} Description
+     */
+    describe() {
+        if (this.indexedDB) return 'IndexedDB';
+        if (this.localStorage) return 'localStorage';
+        return 'memory';
+    }
+
+    /**
+     * Open the IndexedDB database, once
+     * Falls back to localStorage if it can't be opened (e.g. private browsing)
+     * @returns {Promise<IDBDatabase|null>} Database, or null when not using IndexedDB
+     */
+    open() {
+        if (!this.indexedDB) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.opening) {
+            const request = this.indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            this.opening = promisifyRequest(request).catch(error => {
+                console.warn('IndexedDB unavailable, saving sessions to localStorage:', error);
+                this.indexedDB = null;
+                return null;
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Save a snapshot, replacing the previous one
+     * @param {Object} snapshot - Snapshot from SimulationCore.getSnapshot
+     * @returns {Promise<void>}
+     */
+    async save(snapshot) {
+        const db = await this.open();
+        if (db) {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            await promisifyRequest(transaction.objectStore(STORE_NAME).put(snapshot, this.key));
+        } else if (this.localStorage) {
+            this.localStorage.setItem(this.localStorageKey, JSON.stringify(snapshot));
+        } else {
+            this.memory = snapshot;
+        }
+    }
+
+    /**
+     * Load the saved snapshot
+     * @returns {Promise<Object|null>} Snapshot, or null if there is none
+     */
+    async load() {
+        const db = await this.open();
+        if (db) {
+            const transaction = db.transaction(STORE_NAME, 'readonly');
+            const snapshot = await promisifyRequest(transaction.objectStore(STORE_NAME).get(this.key));
+            return snapshot || null;
+        }
+
+        if (this.localStorage) {
+            const saved = this.localStorage.getItem(this.localStorageKey);
+            return saved ? JSON.parse(saved) : null;
+        }
+
+        return this.memory;
+    }
+
+    /**
+     * Forget the saved snapshot
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        if (db) {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            await promisifyRequest(transaction.objectStore(STORE_NAME).delete(this.key));
+        } else if (this.localStorage) {
+            this.localStorage.removeItem(this.localStorageKey);
+        }
+        this.memory = null;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Settlement Ledger for WagerWire Simulation
+ * Every settlement is written to the ledger before any money moves, keyed by bet id,
+ * so a bet can only ever be paid out once. Entries are never edited - a corrected
+ * result is a reversal entry followed by a new settlement - so the ledger doubles
+ * as an audit trail of every bankroll change from a result.
+ *
+ * Entries:
+ *   { seq, type: 'settlement' | 'reversal', betId, character, outcome, label, payout, at, reason }
+ * A reversal's payout is the amount taken back, as a negative number.
+ */
+
+export class SettlementLedger {
+    constructor() {
+        this.entries = [];
+        this.settled = new Map(); // betId -> the settlement entry currently standing
+    }
+
+    /**
+     * Check whether a bet has a settlement standing
+     * @param {string|number} betId - Bet ID
+     * @returns {boolean} True if it was settled and not reversed since
+     */
+    isSettled(betId) {
+        return this.settled.has(`${betId}`);
+    }
+
+    /**
+     * Get the settlement standing for a bet
+     * @param {string|number} betId - Bet ID
+     * @returns {Object|null} Settlement entry, or null if the bet isn't settled
+     */
+    getSettlement(betId) {
+        return this.settled.get(`${betId}`) || null;
+    }
+
+    /**
+     * Record a bet's settlement, unless it's already settled
+     * @param {Object} bet - Bet object
+     * @param {Object} settlement - Settlement object from the betting engine
+     * @param {number} payout - Amount paid back to the character
+     * @param {number} time - Current time (ms since epoch)
+     * @returns {Object|null} New entry, or null if the bet was already settled
+     */
+    record(bet, settlement, payout, time) {
+        if (this.isSettled(bet.id)) {
+            return null;
+        }
+
+        const entry = this.append({
+            type: 'settlement',
+            betId: `${bet.id}`,
+            character: bet.character,
+            outcome: settlement.outcome,
+            label: settlement.label,
+            payout,
+            at: new Date(time).toISOString(),
+            reason: null
+        });
+        this.settled.set(entry.betId, entry);
+        return entry;
+    }
+
+    /**
+     * Reverse a bet's settlement so it can be settled again
+     * @param {string|number} betId - Bet ID
+     * @param {string} reason - Why the result is being reversed
+     * @param {number} time - Current time (ms since epoch)
+     * @returns {Object|null} Reversal entry, or null if the bet isn't settled
+     */
+    reverse(betId, reason, time) {
+        const settlement = this.getSettlement(betId);
+        if (!settlement) {
+            return null;
+        }
+
+        const entry = this.append({
+            type: 'reversal',
+            betId: settlement.betId,
+            character: settlement.character,
+            outcome: settlement.outcome,
+            label: settlement.label,
+            payout: -settlement.payout,
+            at: new Date(time).toISOString(),
+            reason
+        });
+        this.settled.delete(settlement.betId);
+        return entry;
+    }
+
+    /**
+     * Add an entry to the end of the ledger
+     * @param {Object} entry - Entry (any sequence number is replaced)
+     * @returns {Object} Entry as stored
+     */
+    append(entry) {
+        const stored = Object.freeze({ ...entry, seq: this.entries.length + 1 });
+        this.entries.push(stored);
+        return stored;
+    }
+
+    /**
+     * Get ledger entries in the order they were written
+     * @param {string|number} betId - Only this bet's entries (optional)
+     * @returns {Array<Object>} Entries
+     */
+    getEntries(betId) {
+        return betId === undefined
+            ? [...this.entries]
+            : this.entries.filter(entry => entry.betId === `${betId}`);
+    }
+
+    /**
+     * Total each character's payouts, net of reversals
+     * @returns {Object} { [character]: { settled, reversed, payout } }
+     */
+    summarize() {
+        const totals = {};
+        this.entries.forEach(entry => {
+            const total = totals[entry.character] || (totals[entry.character] = { settled: 0, reversed: 0, payout: 0 });
+            total[entry.type === 'settlement' ? 'settled' : 'reversed']++;
+            total.payout += entry.payout;
+        });
+        return totals;
+    }
+
+    /**
+     * Replace the ledger with saved entries (from getEntries)
+     * @param {Array<Object>} entries - Entries in the order they were written
+     */
+    load(entries) {
+        this.clear();
+        entries.forEach(entry => {
+            const stored = this.append(entry);
+            if (stored.type === 'settlement') {
+                this.settled.set(stored.betId, stored);
+            } else {
+                this.settled.delete(stored.betId);
+            }
+        });
+    }
+
+    /**
+     * Forget every entry
+     */
+    clear() {
+        this.entries = [];
+        this.settled.clear();
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Tests for the settlement ledger
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SettlementLedger } from './settlement-ledger.js';
+import { SettlementOutcome, toSettlement } from './betting-engine.js';
+
+const bet = { id: 7, character: 'Max' };
+const time = Date.parse('2024-01-01T12:00:00Z');
+
+test('a bet is only recorded as settled once', () => {
+    const ledger = new SettlementLedger();
+
+    assert.ok(ledger.record(bet, toSettlement('Win'), 200, time));
+    assert.equal(ledger.record(bet, toSettlement('Loss'), 0, time), null);
+
+    assert.equal(ledger.getEntries().length, 1);
+    assert.equal(ledger.getSettlement('7').outcome, SettlementOutcome.WIN);
+    assert.equal(ledger.summarize().Max.payout, 200);
+});
+
+test('a reversal takes the payout back and lets the bet settle again', () => {
+    const ledger = new SettlementLedger();
+    ledger.record(bet, toSettlement('Win'), 200, time);
+
+    const reversal = ledger.reverse(bet.id, 'Score corrected', time);
+    assert.equal(reversal.payout, -200);
+    assert.equal(ledger.isSettled(bet.id), false);
+    assert.equal(ledger.reverse(bet.id, 'Again', time), null);
+
+    ledger.record(bet, toSettlement('Loss'), 0, time);
+    assert.deepEqual(ledger.getEntries(bet.id).map(entry => entry.type), ['settlement', 'reversal', 'settlement']);
+    assert.deepEqual(ledger.summarize().Max, { settled: 2, reversed: 1, payout: 0 });
+});
+
+test('entries are frozen and numbered in the order they were written', () => {
+    const ledger = new SettlementLedger();
+    ledger.record(bet, toSettlement('Win'), 200, time);
+    ledger.record({ id: 8, character: 'Ellie' }, toSettlement('Push'), 50, time);
+
+    const entries = ledger.getEntries();
+    assert.deepEqual(entries.map(entry => entry.seq), [1, 2]);
+    assert.ok(Object.isFrozen(entries[0]));
+});
+
+test('a loaded ledger knows which bets are still settled', () => {
+    const ledger = new SettlementLedger();
+    ledger.record(bet, toSettlement('Win'), 200, time);
+    ledger.reverse(bet.id, 'Score corrected', time);
+    ledger.record({ id: 8, character: 'Ellie' }, toSettlement('Push'), 50, time);
+
+    const loaded = new SettlementLedger();
+    loaded.load(JSON.parse(JSON.stringify(ledger.getEntries())));
+
+    assert.equal(loaded.isSettled(7), false);
+    assert.equal(loaded.isSettled(8), true);
+    assert.equal(loaded.getEntries().length, 3);
+});
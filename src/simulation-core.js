@@ -0,0 +1,2379 @@
+/**
+ * Headless Simulation Core for WagerWire Betting Simulation
+ * Runs the bet lifecycle - queueing, placing, checking, settling, stats and conversations -
+ * without touching the DOM, so it works in the browser and in Node alike.
+ * Anything that wants to show the simulation (the page, a CLI, a test) subscribes to its events:
+ *
+ *   log                 { message, level }
+ *   character:updated   { character, animate } - animate is true when the character changed state
+ *   bet:new             bet - a bet was taken off the queue and is now active
+ *   bet:state           { bet, from, to, reason } - a bet moved through its lifecycle (see bet-lifecycle.js)
+ *   bet:placed          { bet, character, amountAtRisk }
+ *   bets:changed        - the active bets list or their live data changed
+ *   accumulator:progress { bet, character, legsWon, totalLegs }
+ *   bet:settled         { bet, character, settlement, payout }
+ *   settlement:reversed { bet, character, entry } - a payout was taken back (see settlement-ledger.js)
+ *   settlement:amended  { bet, character, previous, settlement, payout } - a corrected final score changed a result
+ *   conversation        conversation
+ *   countdown           seconds until the next bet check
+ *   poller:updated      stats - the event cache's state after a round of checks (see EventCache.getStats)
+ *   live:status         status - the live bet feed's mode and counts (see LiveBetFeed.getStatus)
+ */
+
+import { EventEmitter } from './event-emitter.js';
+import {
+    ENGINE_VERSION,
+    SettlementOutcome,
+    createSettlement,
+    toSettlement,
+    settleSelection,
+    settleAccumulator,
+    calculatePayout,
+    invertSettlement,
+    getLayLiability,
+    calculateExchangePayout,
+    estimateLiveProbability,
+    invertLiveProbability,
+    calculateCashOutValue,
+    createCashOutSettlement,
+    getEmotionFromResult,
+    getAmendedEmotion,
+    getInProgressEmotion,
+    getLiveEmotion,
+    getAccumulatorEmotion,
+    formatReaction,
+    normalizeSelectionCombo,
+    getMarketType,
+    parseScore,
+    getGoalsNeeded
+} from './betting-engine.js';
+import { formatOdds } from './odds-format.js';
+import { systemClock } from './virtual-clock.js';
+import { createRandom } from './random.js';
+import { createEventProvider } from './event-providers.js';
+import { EventCache } from './event-cache.js';
+import { BetState, startBetLifecycle, transitionBet, describeBetState } from './bet-lifecycle.js';
+import { SettlementLedger } from './settlement-ledger.js';
+import { LiveBetFeed } from './live-bet-feed.js';
+import { createStrategy } from './strategies.js';
+import { getCharacterNames, getRosterEntry, findCharacterName, resolveCharacterName, toWorldPosition } from './roster.js';
+import { getColumn, readBetRow } from './column-mapping.js';
+
+/**
+ * Default delays in milliseconds - batch runs can set any of them to 0
+ */
+const DEFAULT_TIMING = {
+    updateFrequency: 15000,       // Between bet checks
+    conversationFrequency: 5000,  // Between conversation checks
+    walkTime: { min: 2000, max: 5000 },
+    placingTime: 1000,            // At the bookie before heading back
+    reactionTime: 5000            // Celebrating or sulking after a result
+};
+
+/**
+ * Minutes a settled bet's events are re-checked for corrected final scores
+ */
+const DEFAULT_RESETTLEMENT_WINDOW = 120;
+
+/**
+ * Version of the getSnapshot format, bumped when old snapshots can no longer be restored
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Character positions used when no renderer supplies its own (matches the 3D world)
+ */
+const HEADLESS_WORLD = {
+    getStartingPosition: (name) => {
+        const entry = getRosterEntry(name);
+        return entry ? toWorldPosition(entry.spawn, 100) : { x: 0, y: 0, z: 0 };
+    },
+    getBookiePosition: () => ({ x: 0, y: 0, z: 0 })
+};
+
+export class SimulationCore extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Bet storage such as SupabaseClient (null to run from fixtures only)
+     * @param {Object} options.config - Config instance for commission rates (optional)
+     * @param {Function} options.fetch - fetch implementation for fixture URLs and the default event provider
+     * @param {EventProvider} options.eventProvider - Where event data comes from (defaults to the config's EVENT_PROVIDER, cached)
+     * @param {string} options.eventApiEndpoint - SofaScore proxy endpoint for the default provider
+     * @param {Object} options.timing - Delays overriding DEFAULT_TIMING
+     * @param {Object} options.world - Supplies getStartingPosition(name) and getBookiePosition()
+     * @param {string} options.oddsFormat - Odds format used in log messages
+     * @param {Object} options.clock - Time source and timers, e.g. a VirtualClock (defaults to the wall clock)
+     * @param {boolean} options.scheduleBets - Hold each queued bet until the clock reaches its created_at
+     * @param {number|string} options.seed - Random seed, so a seed and bet list always replay the same run
+     * @param {number} options.resettlementWindow - Minutes settled bets are re-checked for corrected scores (0 to turn off)
+     * @param {boolean|Object} options.liveBets - Follow the bets table while running, or LiveBetFeed options (defaults to the config's LIVE_BETS)
+     */
+    constructor(options = {}) {
+        super();
+        this.storage = options.storage || null;
+        this.config = options.config || null;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.timing = { ...DEFAULT_TIMING, ...options.timing };
+        this.world = options.world || HEADLESS_WORLD;
+        this.oddsFormat = options.oddsFormat || 'decimal';
+        this.clock = options.clock || systemClock;
+        this.scheduleBets = options.scheduleBets || false;
+        this.resettlementWindow = options.resettlementWindow ??
+            (this.config ? this.config.resettlementWindow : null) ?? DEFAULT_RESETTLEMENT_WINDOW;
+        this.seedRandom(options.seed);
+        this.eventProvider = options.eventProvider || this.createEventProvider(options.eventApiEndpoint);
+        
+        // Bets inserted into the bets table while running are queued as they arrive
+        const liveBets = options.liveBets ?? (this.config ? this.config.liveBets : false);
+        this.liveFeed = liveBets ? new LiveBetFeed(this, liveBets === true ? {} : liveBets) : null;
+        if (this.liveFeed) {
+            this.liveFeed.on('status', status => this.emit('live:status', status));
+        }
+        
+        this.isRunning = false;
+        this.isPaused = false;
+        this.updateInterval = null;
+        this.isCheckingBets = false;
+        this.updateFrequency = this.timing.updateFrequency;
+        this.lastUpdateTime = new Date(this.clock.now()).toISOString();
+        
+        // Character management - everyone in the roster gets a character
+        this.characters = {};
+        getCharacterNames().forEach(name => {
+            this.characters[name] = this.createCharacter(name);
+        });
+        
+        // Active bets tracking
+        this.activeBets = new Map();
+        
+        // Every settlement and reversal, so each bet is paid out exactly once
+        this.ledger = new SettlementLedger();
+        
+        // Bets settled on a final score, re-checked in case the score is corrected
+        this.recentlySettled = new Map(); // betId -> { bet, settledAt }
+        
+        // Pending returns to idle after a reaction, one per character
+        this.idleTimers = new Map(); // character name -> timer
+        
+        // Bet queue for feeding existing bets
+        this.betQueue = [];
+        this.currentBetIndex = 0;
+        
+        // Strategy-generated bets, proposed from a fixture/odds list once the queue runs dry
+        this.fixtures = [];
+        this.strategies = this.createStrategies();
+        this.nextStrategyCharacter = 0;
+        this.generatedBetCount = 0;
+        
+        // Conversation system
+        this.conversationHistory = [];
+        this.conversationCooldowns = new Map(); // Character pairs and their cooldown timers
+        this.conversationChance = 1; // 100% chance per check for nearby characters to talk
+        this.conversationRange = 100; // Distance for characters to interact (3D units) - increased from 25
+        this.conversationInterval = null; // Separate timer for conversation checking
+    }
+
+    /**
+     * Seed the simulation's random numbers
+     * Conversations draw from their own stream, so how often they're checked
+     * never changes the walk times of the bets
+     * @param {number|string} seed - Seed (a fresh one if omitted)
+     */
+    seedRandom(seed) {
+        this.random = createRandom(seed);
+        this.conversationRandom = this.random.fork('conversations');
+        this.seed = this.random.seed;
+    }
+
+    /**
+     * Create the event provider named in the config (SofaScore if there is no config),
+     * behind an event cache using the config's EVENT_CACHE options
+     * @param {string} endpoint - SofaScore proxy endpoint (optional)
+     * @returns {EventCache} Cached event provider
+     * @throws {Error} If the config names an unknown provider
+     */
+    createEventProvider(endpoint) {
+        const key = (this.config && this.config.eventProvider) || 'sofascore';
+        // Follow the core's clock, even when a backtest swaps it
+        const clock = { now: () => this.clock.now() };
+        const provider = createEventProvider(key, {
+            endpoint,
+            url: this.config ? this.config.eventFileUrl : null,
+            fetch: this.fetch,
+            clock
+        });
+        
+        if (!provider) {
+            throw new Error(`Unknown event provider: ${key}`);
+        }
+        return new EventCache(provider, { ...(this.config && this.config.eventCache), clock });
+    }
+
+    /**
+     * Get the event poller's state, if the event provider is cached
+     * @returns {Object|null} Stats from EventCache.getStats, or null
+     */
+    getPollerStats() {
+        return this.eventProvider.getStats ? this.eventProvider.getStats() : null;
+    }
+
+    /**
+     * Create a character object
+     * @param {string} name - Character name
+     * @returns {Object} Character object
+     */
+    createCharacter(name) {
+        const startingPosition = this.world.getStartingPosition(name);
+        const { fullName, bankroll, personality } = getRosterEntry(name);
+            
+        return {
+            name: name,
+            fullName: fullName,
+            bankroll: bankroll,
+            state: 'idle',
+            position: { ...startingPosition },
+            targetPosition: null,
+            emotion: { emoji: '😐', state: 'neutral', description: 'Ready to bet' },
+            activeBets: [],
+            cashOutPolicy: { ...personality.cashOut },
+            stats: {
+                totalBets: 0,
+                totalSettled: 0,
+                totalWins: 0,
+                totalLosses: 0,
+                totalCashOuts: 0,
+                totalStaked: 0,
+                totalPayout: 0,
+                netProfit: 0
+            }
+        };
+    }
+
+    /**
+     * Create a fresh strategy for each character
+     * @returns {Object} Strategies keyed by character name
+     */
+    createStrategies() {
+        const strategies = {};
+        Object.keys(this.characters).forEach(name => {
+            strategies[name] = createStrategy(getRosterEntry(name).personality.strategy);
+        });
+        return strategies;
+    }
+
+    /**
+     * Log a message to whoever is listening
+     * @param {string} message - Log message
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        this.emit('log', { message, level });
+    }
+
+    /**
+     * Tell subscribers a character changed
+     * @param {Object} character - Character object
+     * @param {boolean} animate - True if renderers should play the character's new state
+     */
+    updateCharacter(character, animate = false) {
+        this.emit('character:updated', { character, animate });
+    }
+
+    /**
+     * Format a decimal price for log messages in the current odds format
+     * @param {number|string} price - Decimal price
+     * @returns {string} Display price
+     */
+    formatPrice(price) {
+        return formatOdds(price, this.oddsFormat);
+    }
+
+    /**
+     * Switch to different bet storage, moving the live bet feed over if it's running
+     * @param {Object} storage - Bet storage such as SupabaseClient (null for none)
+     */
+    setStorage(storage) {
+        if (this.liveFeed) {
+            this.liveFeed.stop();
+        }
+        
+        this.storage = storage;
+        if (this.liveFeed && this.isRunning && this.isStorageConnected()) {
+            this.liveFeed.start();
+        }
+    }
+
+    /**
+     * Check whether bets can be loaded from storage
+     * @returns {boolean} True if a storage backend is connected
+     */
+    isStorageConnected() {
+        return !!this.storage && this.storage.isConnected();
+    }
+
+    /**
+     * Check whether there is anywhere for bets to come from
+     * @returns {boolean} True if storage is connected, bets are queued, fixtures are loaded or bets are still open
+     */
+    hasBetSource() {
+        return this.isStorageConnected() || this.betQueue.length > 0 || this.fixtures.length > 0 || this.activeBets.size > 0;
+    }
+
+    /**
+     * Start the simulation
+     * @returns {Promise<boolean>} True if the simulation started
+     */
+    async start() {
+        if (this.isRunning) {
+            this.log('Simulation is already running', 'warning');
+            return false;
+        }
+        
+        const hasFixtures = this.fixtures.length > 0;
+        if (!this.hasBetSource()) {
+            this.log('Please connect to bet storage or load fixtures first', 'error');
+            return false;
+        }
+        
+        try {
+            this.log(`Starting simulation (seed ${this.seed})...`, 'info');
+            
+            // Carry on with bets already queued (by loadBets or a backtest), otherwise load
+            // existing bets from storage - characters bet from fixtures once they run out
+            const queuedBets = this.betQueue.length - this.currentBetIndex;
+            const betCount = queuedBets === 0 && this.isStorageConnected()
+                ? await this.loadExistingBets()
+                : queuedBets;
+            const isLive = !!this.liveFeed && this.isStorageConnected();
+            if (!betCount && !hasFixtures && this.activeBets.size === 0 && !isLive) {
+                this.log('No bets found to simulate', 'warning');
+                return false;
+            }
+            
+            this.isRunning = true;
+            this.isPaused = false;
+            
+            // Start the update loop
+            this.startUpdateLoop();
+            
+            // Start conversation checking (more frequent than main loop)
+            this.startConversationChecking();
+            
+            // Do an immediate conversation check to test the system
+            this.clock.setTimeout(() => {
+                this.log('🧪 Running initial conversation check...', 'info');
+                this.checkForConversations();
+            }, 2000);
+            
+            this.log(`Simulation started! Will process ${betCount || 0} bets at ${this.updateFrequency / 1000}-second intervals`, 'success');
+            if (hasFixtures) {
+                this.log(`Characters will then bet on ${this.fixtures.length} fixtures using their strategies`, 'info');
+            }
+            if (isLive) {
+                this.liveFeed.start();
+            }
+            return true;
+            
+        } catch (error) {
+            this.log(`Failed to start simulation: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Pause or resume the simulation
+     * @returns {boolean} True if now paused
+     */
+    pause() {
+        this.isPaused = !this.isPaused;
+        
+        if (this.isPaused) {
+            this.log('Simulation paused', 'warning');
+        } else {
+            this.log('Simulation resumed', 'info');
+        }
+        return this.isPaused;
+    }
+
+    /**
+     * Stop the simulation and its timers
+     */
+    stop() {
+        this.isRunning = false;
+        this.isPaused = false;
+        
+        if (this.updateInterval) {
+            this.clock.clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+        
+        if (this.conversationInterval) {
+            this.clock.clearInterval(this.conversationInterval);
+            this.conversationInterval = null;
+        }
+        
+        if (this.liveFeed) {
+            this.liveFeed.stop();
+        }
+    }
+
+    /**
+     * Stop the simulation and put every character, bet and conversation back to the start
+     * Loaded fixtures are kept, and the random numbers restart so the run can be replayed
+     * @param {number|string} seed - Seed for the next run (defaults to the current one)
+     */
+    reset(seed = this.seed) {
+        this.stop();
+        this.seedRandom(seed);
+        
+        // Reset characters and their strategies
+        Object.keys(this.characters).forEach(name => {
+            this.characters[name] = this.createCharacter(name);
+        });
+        this.strategies = this.createStrategies();
+        this.nextStrategyCharacter = 0;
+        
+        // Clear active bets and their settlements
+        this.activeBets.clear();
+        this.ledger.clear();
+        this.recentlySettled.clear();
+        
+        // Clear bet queue
+        this.betQueue = [];
+        this.currentBetIndex = 0;
+        
+        // Clear conversation history
+        this.conversationHistory = [];
+        this.conversationCooldowns.clear();
+    }
+
+    /**
+     * Capture everything needed to pick the simulation up again later
+     * Characters, queue position, active bets, strategy state and recent conversations -
+     * plain JSON, so it can be saved anywhere (see session-store.js)
+     * @returns {Object} Snapshot for restoreSnapshot
+     */
+    getSnapshot() {
+        const strategies = {};
+        Object.entries(this.strategies).forEach(([name, strategy]) => {
+            strategies[name] = strategy.getState();
+        });
+        
+        // Round-tripping through JSON copies the state, so later changes can't leak into the snapshot
+        return JSON.parse(JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date(this.clock.now()).toISOString(),
+            seed: this.seed,
+            isRunning: this.isRunning,
+            lastUpdateTime: this.lastUpdateTime,
+            characters: this.characters,
+            strategies,
+            betQueue: this.betQueue,
+            currentBetIndex: this.currentBetIndex,
+            activeBets: [...this.activeBets.values()],
+            ledger: this.ledger.getEntries(),
+            recentlySettled: [...this.recentlySettled.values()],
+            fixtures: this.fixtures,
+            nextStrategyCharacter: this.nextStrategyCharacter,
+            generatedBetCount: this.generatedBetCount,
+            conversationHistory: this.conversationHistory
+        }));
+    }
+
+    /**
+     * Put the simulation back to a snapshot from getSnapshot
+     * The simulation is left stopped. Characters come back at their starting positions,
+     * and bets caught on the way to the bookie are placed straight away so none is fed twice.
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     * @returns {Promise<boolean>} True if the snapshot was restored
+     */
+    async restoreSnapshot(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            this.log(`Can't restore a version ${snapshot ? snapshot.version : 'unknown'} snapshot`, 'warning');
+            return false;
+        }
+        
+        this.stop();
+        this.seedRandom(snapshot.seed);
+        this.lastUpdateTime = snapshot.lastUpdateTime;
+        
+        // Characters no longer in the roster are dropped, new ones start fresh
+        Object.keys(this.characters).forEach(name => {
+            const character = this.createCharacter(name);
+            const saved = snapshot.characters[name];
+            if (saved) {
+                Object.assign(character, saved, {
+                    state: 'idle',
+                    position: { ...character.position },
+                    targetPosition: null
+                });
+            }
+            this.characters[name] = character;
+        });
+        
+        this.strategies = this.createStrategies();
+        Object.entries(snapshot.strategies || {}).forEach(([name, state]) => {
+            if (this.strategies[name]) {
+                this.strategies[name].setState(state);
+            }
+        });
+        
+        // Queued bets and active bets are the same objects while a bet is open
+        this.activeBets = new Map(snapshot.activeBets.map(bet => [bet.id, bet]));
+        this.betQueue = snapshot.betQueue.map(bet => this.activeBets.get(bet.id) || bet);
+        this.currentBetIndex = snapshot.currentBetIndex;
+        this.ledger.load(snapshot.ledger || []);
+        this.recentlySettled = new Map((snapshot.recentlySettled || []).map(({ bet, settledAt }) => [
+            bet.id,
+            { bet: this.betQueue.find(queued => queued.id === bet.id) || bet, settledAt }
+        ]));
+        this.fixtures = snapshot.fixtures || [];
+        this.nextStrategyCharacter = snapshot.nextStrategyCharacter || 0;
+        this.generatedBetCount = snapshot.generatedBetCount || 0;
+        
+        this.conversationHistory = (snapshot.conversationHistory || []).map(conversation => ({
+            ...conversation,
+            timestamp: new Date(conversation.timestamp)
+        }));
+        this.conversationCooldowns.clear();
+        
+        this.log(`Restored session from ${snapshot.savedAt}: ${this.currentBetIndex}/${this.betQueue.length} bets fed, ${this.activeBets.size} open`, 'success');
+        
+        for (const bet of this.activeBets.values()) {
+            const character = this.characters[bet.character];
+            if (!character) {
+                this.activeBets.delete(bet.id);
+                continue;
+            }
+            if (bet.state === BetState.QUEUED || bet.state === BetState.WALKING) {
+                this.setBetState(bet, BetState.WALKING, 'Walk interrupted by a reload');
+                await this.placeBet(character, bet);
+            }
+        }
+        
+        Object.values(this.characters).forEach(character => this.updateCharacter(character, true));
+        this.emit('bets:changed');
+        return true;
+    }
+
+    /**
+     * Stop the simulation and drop every listener
+     */
+    destroy() {
+        this.stop();
+        this.removeAllListeners();
+    }
+
+    /**
+     * Get queue status
+     * @returns {Object} Queue counts and the next bet
+     */
+    getQueueStatus() {
+        const now = this.clock.now();
+        
+        // Every bet the simulation knows about - queued bets plus strategy bets, which are only ever active
+        const bets = [...new Set([...this.betQueue, ...this.activeBets.values()])];
+        const states = {};
+        Object.values(BetState).forEach(state => {
+            states[state] = 0;
+        });
+        bets.forEach(bet => {
+            states[bet.state] = (states[bet.state] || 0) + 1;
+        });
+        
+        return {
+            totalBets: this.betQueue.length,
+            processed: this.currentBetIndex,
+            remaining: this.betQueue.length - this.currentBetIndex,
+            nextBet: this.currentBetIndex < this.betQueue.length ? this.betQueue[this.currentBetIndex] : null,
+            states,
+            activeBets: [...this.activeBets.values()].map(bet => describeBetState(bet, now)),
+            erroredBets: bets.filter(bet => bet.state === BetState.ERRORED).map(bet => describeBetState(bet, now))
+        };
+    }
+
+    /**
+     * Move a bet through its lifecycle
+     * A transition the lifecycle doesn't allow is logged rather than thrown, so one confused
+     * bet can't stop the loop checking the others
+     * @param {Object} bet - Bet object
+     * @param {string} state - Next state (one of BetState)
+     * @param {string} reason - Why the bet moved (optional)
+     * @returns {boolean} True if the bet changed state
+     */
+    setBetState(bet, state, reason = null) {
+        if (!bet.stateHistory) {
+            startBetLifecycle(bet, this.clock.now());
+        }
+        
+        const from = bet.state;
+        try {
+            if (!transitionBet(bet, state, this.clock.now(), reason)) {
+                return false;
+            }
+        } catch (error) {
+            this.log(error.message, 'warning');
+            return false;
+        }
+        
+        this.emit('bet:state', { bet, from, to: state, reason });
+        return true;
+    }
+
+    /**
+     * Start update loop
+     */
+    startUpdateLoop() {
+        let countdown = this.updateFrequency / 1000;
+        
+        const updateCountdown = () => {
+            if (!this.isRunning) return;
+            
+            this.emit('countdown', countdown);
+            
+            countdown--;
+            
+            if (countdown < 0) {
+                countdown = this.updateFrequency / 1000;
+                if (!this.isPaused) {
+                    this.checkForBets();
+                }
+            }
+        };
+        
+        // The countdown is the only thing that triggers checks
+        this.updateInterval = this.clock.setInterval(updateCountdown, 1000);
+    }
+
+    /**
+     * Start conversation checking (more frequent than main betting loop)
+     */
+    startConversationChecking() {
+        // Check for conversations every few seconds (much more frequent than betting updates)
+        this.conversationInterval = this.clock.setInterval(() => {
+            if (this.isRunning && !this.isPaused) {
+                this.checkForConversations();
+            }
+        }, this.timing.conversationFrequency);
+        
+        this.log(`💬 Conversation checking started (every ${this.timing.conversationFrequency / 1000} seconds)`, 'info');
+    }
+
+    /**
+     * Load all existing bets from storage and queue them for simulation
+     * @returns {Promise<number>} Number of bets queued
+     */
+    async loadExistingBets() {
+        if (!this.isStorageConnected()) {
+            this.log('Please connect to bet storage first', 'error');
+            return;
+        }
+
+        try {
+            this.log('Loading existing bets...', 'info');
+            
+            const rows = await this.storage.fetchAllBets();
+            this.log(`Bets table returned ${rows.length} rows`, 'info');
+            
+            if (rows.length === 0) {
+                this.log('Bets table is empty. Would you like to insert test data?', 'warning');
+                this.log('Run: simulation.insertTestData() then simulation.start()', 'info');
+                return 0;
+            }
+
+            // Bets already fed this session (including before a page reload) are never fed again
+            const fedBets = this.betQueue.slice(0, this.currentBetIndex);
+            if (fedBets.length === 0) {
+                return this.loadBets(rows);
+            }
+            
+            const fedIds = new Set(fedBets.map(bet => `${bet.id}`));
+            const idColumn = getColumn('id');
+            const newBets = this.loadBets(rows.filter(row => !fedIds.has(`${row[idColumn]}`)));
+            this.betQueue = [...fedBets, ...this.betQueue];
+            this.currentBetIndex = fedBets.length;
+            this.log(`Skipped ${fedBets.length} bets already fed this session`, 'info');
+            
+            return newBets;
+        } catch (error) {
+            this.log(`Error loading existing bets: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Queue bets from bets table rows, replacing the current queue
+     * Rows whose character matches nobody in the roster are skipped rather than given to anyone
+     * @param {Array} rows - Rows from the bets table, a JSON export or a CSV file
+     * @returns {number} Number of bets queued
+     */
+    loadBets(rows) {
+        const characterColumn = getColumn('character');
+        const isRosterRow = row => findCharacterName(row[characterColumn]) !== null;
+        const unmatched = rows.filter(row => !isRosterRow(row));
+        if (unmatched.length > 0) {
+            const names = [...new Set(unmatched.map(row => `${row[characterColumn] ?? '(none)'}`))];
+            this.log(`Skipped ${unmatched.length} bet${unmatched.length === 1 ? '' : 's'} for characters not in the roster: ${names.join(', ')}`, 'warning');
+        }
+        
+        const loadedAt = this.clock.now();
+        this.betQueue = rows
+            .filter(isRosterRow)
+            .map(row => startBetLifecycle(this.normalizeBet(row), loadedAt, 'Loaded from the bets table'));
+        this.currentBetIndex = 0;
+        this.log(`Loaded ${this.betQueue.length} bets for simulation`, 'success');
+        
+        return this.betQueue.length;
+    }
+
+    /**
+     * Add bets table rows to the end of the queue, skipping bets already known
+     * @param {Array} rows - Rows from the bets table
+     * @param {string} reason - Why the bets were queued, for their lifecycle history
+     * @returns {number} Number of bets queued
+     */
+    queueBets(rows, reason = 'Added to the bets table') {
+        const idColumn = getColumn('id');
+        const queuedAt = this.clock.now();
+        const known = new Set([...this.betQueue, ...this.activeBets.values()].map(bet => `${bet.id}`));
+        
+        const bets = rows
+            .filter(row => !known.has(`${row[idColumn]}`))
+            .map(row => startBetLifecycle(this.normalizeBet(row), queuedAt, reason));
+        if (bets.length === 0) {
+            return 0;
+        }
+        
+        this.betQueue.push(...bets);
+        bets.forEach(bet => {
+            this.log(`📥 New bet from the bets table for ${bet.character}: ${bet.selection_combo} ${bet.selection_line} (${this.betQueue.length - this.currentBetIndex} queued)`, 'info');
+        });
+        this.emit('bets:changed');
+        return bets.length;
+    }
+
+    /**
+     * Find a bet from the bets table by ID, queued or active
+     * @param {string|number} betId - Bet ID
+     * @returns {Object|null} Bet object, or null if the simulation doesn't know it
+     */
+    findBet(betId) {
+        const key = `${betId}`;
+        return [...this.activeBets.values(), ...this.betQueue].find(bet => `${bet.id}` === key) || null;
+    }
+
+    /**
+     * Check whether a queued bet has still to be fed
+     * @param {Object} bet - Bet object
+     * @returns {boolean} True if it's in the queue after the current position
+     */
+    isWaitingInQueue(bet) {
+        return this.betQueue.indexOf(bet) >= this.currentBetIndex;
+    }
+
+    /**
+     * Bring a bet in line with its row after the row changed in the bets table
+     * Bets still waiting in the queue take the new values; a result set on the row
+     * settles the bet with it, or amends its settlement if the simulation settled it differently
+     * @param {Object} row - Bets table row as it is now
+     * @returns {Promise<boolean>} True if the bet changed
+     */
+    async syncBetRow(row) {
+        const fields = readBetRow(row);
+        const bet = this.findBet(fields.id);
+        if (!bet) {
+            return false;
+        }
+        
+        const result = fields.result ?? null;
+        if (result === null) {
+            if (!this.isWaitingInQueue(bet)) {
+                return false;
+            }
+            Object.assign(bet, this.normalizeBet(row));
+            this.log(`Queued bet ${bet.id} was changed in the bets table`, 'info');
+            this.emit('bets:changed');
+            return true;
+        }
+        
+        // Results this simulation wrote come back as updates too - they're the settlement standing
+        // (an earlier, reversed result set again is a real change)
+        const standing = this.ledger.getSettlement(bet.id);
+        if (standing && standing.label === result) {
+            return false;
+        }
+        
+        // A result the row had when the bet was queued isn't news until the simulation settles it
+        if (!standing && result === bet.loadedResult) {
+            return false;
+        }
+        
+        if (this.isWaitingInQueue(bet)) {
+            this.betQueue.splice(this.betQueue.indexOf(bet), 1);
+            this.log(`Dropped queued bet ${bet.id} - it was settled in the bets table (${result})`, 'info');
+            this.emit('bets:changed');
+            return true;
+        }
+        
+        const settlement = toSettlement(result);
+        if (settlement.outcome === SettlementOutcome.PENDING || settlement.outcome === SettlementOutcome.CASH_OUT) {
+            this.log(`Bet ${bet.id} has a result the simulation can't settle from: ${result}`, 'warning');
+            return false;
+        }
+        
+        const reason = `Result set in the bets table: ${result}`;
+        if (this.ledger.isSettled(bet.id)) {
+            if (bet.state !== BetState.SETTLED) {
+                this.log(`Bet ${bet.id} was ${bet.state} here, keeping that over the bets table's ${result}`, 'info');
+                return false;
+            }
+            this.log(`📝 ${reason} (bet ${bet.id})`, 'warning');
+            // A result set by hand is final - a later score correction mustn't overwrite it
+            bet.resultFromTable = true;
+            return this.amendSettlement(bet, settlement, reason);
+        }
+        
+        if (!this.activeBets.has(bet.id)) {
+            return false;
+        }
+        
+        // A bet still on its way to the bookie is settled once its stake is down
+        bet.externalResult = result;
+        if (bet.parsedStake !== undefined) {
+            await this.settleExternalResult(bet);
+        }
+        return true;
+    }
+
+    /**
+     * List the bets whose rows can still change what the simulation does: active bets,
+     * bets waiting in the queue and settled bets still open to correction
+     * @returns {Array<string|number>} Bet IDs (strategy bets have no row and are left out)
+     */
+    getTrackedBetIds() {
+        const bets = [
+            ...this.activeBets.values(),
+            ...this.betQueue.slice(this.currentBetIndex),
+            ...[...this.recentlySettled.values()].map(entry => entry.bet)
+        ];
+        return [...new Set(bets.filter(bet => !bet.strategy).map(bet => bet.id))];
+    }
+
+    /**
+     * Settle an active bet with the result set on its row in the bets table
+     * @param {Object} bet - Placed bet with an externalResult
+     */
+    async settleExternalResult(bet) {
+        const result = bet.externalResult;
+        delete bet.externalResult;
+        
+        this.log(`📝 Result set in the bets table: ${result} (bet ${bet.id})`, 'warning');
+        
+        // There's no final score to check for corrections - and a result set by hand is final
+        bet.resultFromTable = true;
+        await this.applySettlement(bet, this.characters[bet.character], toSettlement(result));
+    }
+
+    /**
+     * Take a bet out of the queue after its row was deleted from the bets table
+     * @param {string|number} betId - Bet ID
+     * @returns {boolean} True if the bet was still waiting to be fed and was removed
+     */
+    removeQueuedBet(betId) {
+        const bet = this.findBet(betId);
+        if (!bet) {
+            return false;
+        }
+        
+        if (!this.isWaitingInQueue(bet)) {
+            this.log(`Bet ${betId} was deleted from the bets table, but it's already been placed`, 'warning');
+            return false;
+        }
+        
+        this.betQueue.splice(this.betQueue.indexOf(bet), 1);
+        this.log(`Removed bet ${betId} from the queue - it was deleted from the bets table`, 'info');
+        this.emit('bets:changed');
+        return true;
+    }
+
+    /**
+     * Turn a bets table row into a queued bet
+     * @param {Object} row - Bets table row
+     * @returns {Object} Bet object
+     */
+    normalizeBet(row) {
+        // Column names come from the column mapping
+        const fields = readBetRow(row);
+
+        // Extract simple character name from full name
+        const characterName = resolveCharacterName(fields.character);
+
+        // Accumulators carry their selections in a legs column instead
+        const legs = this.normalizeLegs(fields.legs, fields.id);
+        if (legs) {
+            return {
+                id: fields.id,
+                created_at: fields.createdAt,
+                character: characterName,
+                stake: fields.stake || '100',
+                eventid: null,
+                price: fields.price || legs.reduce((product, leg) => product * leg.price, 1),
+                selection_combo: 'Accumulator',
+                selection_line: legs.length,
+                legs: legs,
+                result: null,
+                loadedResult: fields.result ?? null,
+                originalData: row
+            };
+        }
+
+        // Exchange lay bets put up a liability instead of a stake
+        const side = (fields.side || 'back').toString().toLowerCase() === 'lay' ? 'lay' : 'back';
+
+        return {
+            id: fields.id,
+            created_at: fields.createdAt,
+            character: characterName,
+            stake: fields.stake || '100',
+            eventid: fields.eventid,
+            price: fields.price,
+            selection_combo: fields.recommendation || fields.selection || 'Unknown',
+            selection_line: fields.line || 0,
+            bet_time_score: fields.betTimeScore || '0-0',
+            bet_time_minute: parseFloat(fields.betTimeMinute) || 0,
+            side: side,
+            exchange: side === 'lay' || fields.exchange === true,
+            result: null,
+            loadedResult: fields.result ?? null, // Result the row already had, e.g. from an earlier run
+            originalData: row
+        };
+    }
+
+    /**
+     * Normalize accumulator legs from a database row
+     * @param {Array|string|null} legs - Legs array or JSON string
+     * @param {string} betId - Bet ID (for logging)
+     * @returns {Array|null} Legs ready for settlement, or null for a single bet
+     */
+    normalizeLegs(legs, betId) {
+        if (!legs) return null;
+        
+        let parsed = legs;
+        if (typeof legs === 'string') {
+            try {
+                parsed = JSON.parse(legs);
+            } catch (error) {
+                this.log(`Could not parse legs for bet ${betId}: ${error.message}`, 'warning');
+                return null;
+            }
+        }
+        
+        if (!Array.isArray(parsed) || parsed.length === 0) return null;
+        
+        return parsed.map(leg => ({
+            eventid: leg.eventid,
+            price: parseFloat(leg.price) || 1,
+            selection_combo: leg.recommendation || leg.selection_combo || 'Unknown',
+            selection_line: leg.selection_line || 0,
+            bet_time_score: leg.bet_time_score || '0-0',
+            settlement: null
+        }));
+    }
+
+    /**
+     * Get the next bet from the queue
+     * @returns {Object|null} Next bet or null if queue is empty
+     */
+    getNextQueuedBet() {
+        if (this.currentBetIndex >= this.betQueue.length) {
+            if (this.fixtures.length > 0) {
+                return this.proposeStrategyBet();
+            }
+            this.log('All queued bets have been processed', 'info');
+            return null;
+        }
+
+        const bet = this.betQueue[this.currentBetIndex];
+        
+        // When scheduling, a bet waits until the clock reaches the time it was made
+        if (this.scheduleBets && Date.parse(bet.created_at) > this.clock.now()) {
+            return null;
+        }
+        
+        this.currentBetIndex++;
+        
+        this.log(`Feeding bet ${this.currentBetIndex}/${this.betQueue.length}: ${bet.character} - ${bet.selection_combo} ${bet.selection_line}`, 'info');
+        
+        return bet;
+    }
+
+    /**
+     * Load a fixture/odds list for character strategies to bet on
+     * @param {Array|string} source - Fixtures array, or a URL returning one as JSON
+     * @returns {Promise<number>} Number of fixtures loaded
+     */
+    async loadFixtures(source) {
+        try {
+            let fixtures = source;
+            if (typeof source === 'string') {
+                const response = await this.fetch(source);
+                if (!response.ok) {
+                    throw new Error(`Fixtures request failed: ${response.status}`);
+                }
+                fixtures = await response.json();
+            }
+            
+            if (!Array.isArray(fixtures)) {
+                throw new Error('Fixtures must be an array');
+            }
+            
+            this.fixtures = fixtures;
+            this.log(`Loaded ${fixtures.length} fixtures for character strategies`, 'success');
+            return fixtures.length;
+        } catch (error) {
+            this.log(`Error loading fixtures: ${error.message}`, 'error');
+            return 0;
+        }
+    }
+
+    /**
+     * Ask each character's strategy in turn for a bet on the loaded fixtures
+     * @returns {Object|null} Bet object, or null if no strategy wants to bet
+     */
+    proposeStrategyBet() {
+        const names = Object.keys(this.characters);
+        
+        for (let i = 0; i < names.length; i++) {
+            const name = names[(this.nextStrategyCharacter + i) % names.length];
+            const character = this.characters[name];
+            const strategy = this.strategies[name];
+            if (!strategy || this.isCharacterBusy(character)) continue;
+            
+            // One bet per event per character
+            const excludedEventIds = character.activeBets
+                .map(betId => this.activeBets.get(betId))
+                .filter(Boolean)
+                .map(bet => bet.eventid);
+            
+            const proposal = strategy.proposeBet(character, this.fixtures, { excludedEventIds });
+            if (!proposal) continue;
+            
+            this.nextStrategyCharacter = (this.nextStrategyCharacter + i + 1) % names.length;
+            this.generatedBetCount++;
+            this.log(`${name}'s strategy: ${proposal.reason}`, 'info');
+            
+            return startBetLifecycle({
+                id: `strategy-${this.clock.now()}-${this.generatedBetCount}`,
+                created_at: new Date(this.clock.now()).toISOString(),
+                character: name,
+                stake: proposal.stake,
+                eventid: proposal.eventid,
+                price: proposal.price,
+                selection_combo: proposal.selection_combo,
+                selection_line: proposal.selection_line ?? 0,
+                bet_time_score: '0-0',
+                bet_time_minute: 0,
+                side: 'back',
+                exchange: false,
+                result: null,
+                strategy: proposal.reason
+            }, this.clock.now(), `Proposed by ${name}'s strategy`);
+        }
+        
+        this.log('No character strategy found a bet in the loaded fixtures', 'info');
+        return null;
+    }
+
+    /**
+     * Check for new bets and process existing ones
+     */
+    async checkForBets() {
+        if (!this.hasBetSource()) {
+            this.log('No bet storage connected', 'error');
+            return;
+        }
+        
+        // A sped-up clock can fire the next check before this one has finished
+        if (this.isCheckingBets) {
+            return;
+        }
+        this.isCheckingBets = true;
+        
+        try {
+            this.log('Checking for bets...', 'info');
+            
+            // Instead of fetching new bets, get the next queued bet
+            let nextBet = this.getNextQueuedBet();
+            let processed = 0;
+            
+            while (nextBet) {
+                await this.processNewBet(nextBet);
+                processed++;
+                
+                // Scheduled bets that have fallen due since the last check all go out now
+                nextBet = this.scheduleBets && this.currentBetIndex < this.betQueue.length
+                    ? this.getNextQueuedBet()
+                    : null;
+            }
+            
+            if (processed > 0) {
+                this.log(`Processed ${processed} queued bet${processed === 1 ? '' : 's'}`, 'info');
+            } else if (this.scheduleBets && this.currentBetIndex < this.betQueue.length) {
+                this.log(`Next bet is due at ${this.betQueue[this.currentBetIndex].created_at}`, 'info');
+            } else {
+                this.log(`No more queued bets to process`, 'info');
+            }
+            
+            // Check status of active bets
+            await this.checkActiveBets();
+            
+            // Look for corrected scores on bets already settled
+            await this.checkSettledBets();
+            
+            // Update last check time
+            this.lastUpdateTime = new Date(this.clock.now()).toISOString();
+            
+        } catch (error) {
+            this.log(`Error checking bets: ${error.message}`, 'error');
+        } finally {
+            this.isCheckingBets = false;
+        }
+    }
+
+    /**
+     * Feed every queued bet in turn, then keep checking until the open bets stop settling
+     * For batch runs - set the timing delays to 0 and call this instead of start()
+     * Stops early if a check feeds nothing (no bet source, another check running, or the
+     * next scheduled bet not due yet), leaving the rest of the queue for later
+     * @returns {Promise<number>} Number of bets still open at the end
+     */
+    async runQueue() {
+        while (this.currentBetIndex < this.betQueue.length) {
+            const fed = this.currentBetIndex;
+            await this.checkForBets();
+            if (this.currentBetIndex === fed) {
+                this.log(`Stopped feeding the queue with ${this.betQueue.length - fed} bet${this.betQueue.length - fed === 1 ? '' : 's'} left - none could be fed`, 'warning');
+                break;
+            }
+        }
+        
+        // Events that will never finish leave their bets open rather than looping forever
+        let openBets = this.activeBets.size;
+        while (openBets > 0) {
+            await this.checkActiveBets();
+            if (this.activeBets.size === openBets) break;
+            openBets = this.activeBets.size;
+        }
+        
+        return this.activeBets.size;
+    }
+
+    /**
+     * Summarize each character's betting so far
+     * @returns {Array} { name, bankroll, bets, settled, open, wins, losses, cashOuts, staked, returned, profit, roi, winRate }
+     */
+    getResults() {
+        return Object.values(this.characters).map(character => {
+            const { stats } = character;
+            // Only settled bets count towards profit, so stakes still riding are left out
+            const openStake = character.activeBets
+                .map(betId => this.activeBets.get(betId))
+                .filter(bet => bet && bet.parsedStake !== undefined)
+                .reduce((total, bet) => total + this.getRiskedAmount(bet), 0);
+            const settledStake = stats.totalStaked - openStake;
+            const profit = stats.totalPayout - settledStake;
+            
+            return {
+                name: character.name,
+                bankroll: character.bankroll,
+                bets: stats.totalBets,
+                settled: stats.totalSettled,
+                open: character.activeBets.length,
+                wins: stats.totalWins,
+                losses: stats.totalLosses,
+                cashOuts: stats.totalCashOuts,
+                staked: settledStake,
+                returned: stats.totalPayout,
+                profit: profit,
+                roi: settledStake > 0 ? profit / settledStake : 0,
+                winRate: stats.totalSettled > 0 ? stats.totalWins / stats.totalSettled : 0
+            };
+        });
+    }
+
+    /**
+     * Process a new bet
+     * @param {Object} bet - Bet object from database
+     */
+    async processNewBet(bet) {
+        const character = this.characters[bet.character];
+        if (!character) {
+            this.log(`Unknown character: ${bet.character}`, 'error');
+            this.setBetState(bet, BetState.ERRORED, `Unknown character: ${bet.character}`);
+            return;
+        }
+        
+        this.log(`New bet for ${character.name}: ${bet.selection_combo} ${bet.selection_line}`, 'info');
+        
+        // Add bet to active bets
+        this.activeBets.set(bet.id, bet);
+        character.activeBets.push(bet.id);
+        this.emit('bet:new', bet);
+        
+        this.emit('bets:changed');
+        
+        // Wait for the bet to be placed so it is never checked before its stake is taken
+        await this.startWalkingToBookie(character, bet);
+    }
+
+    /**
+     * Start character walking to bookie
+     * @param {Object} character - Character object
+     * @param {Object} bet - Bet object
+     * @returns {Promise} Resolves once the bet has been placed
+     */
+    async startWalkingToBookie(character, bet) {
+        this.setBetState(bet, BetState.WALKING);
+        character.state = 'walking_to_bookie';
+        character.targetPosition = this.world.getBookiePosition();
+        character.emotion = { emoji: '🚶', state: 'walking', description: 'Walking to bookie' };
+        
+        this.updateCharacter(character, true);
+        
+        // Simulate walking time (2-5 seconds by default)
+        const { min, max } = this.timing.walkTime;
+        const walkTime = min + this.random() * (max - min);
+        
+        await new Promise(resolve => this.clock.setTimeout(resolve, walkTime));
+        await this.placeBet(character, bet);
+    }
+
+    /**
+     * Place bet at bookie
+     * @param {Object} character - Character object
+     * @param {Object} bet - Bet object
+     */
+    async placeBet(character, bet) {
+        character.state = 'placing_bet';
+        character.emotion = { emoji: '💰', state: 'placing', description: 'Placing bet' };
+        
+        // Deduct stake from bankroll - fix stake parsing
+        let stake = 0;
+        if (typeof bet.stake === 'string') {
+            // Remove any currency symbols and parse
+            stake = parseFloat(bet.stake.replace(/[£$€,]/g, '')) || 100;
+        } else if (typeof bet.stake === 'number') {
+            stake = bet.stake;
+        } else {
+            stake = 100; // Default stake
+        }
+        
+        // Store the parsed stake back in the bet object for later use
+        bet.parsedStake = stake;
+        
+        // Lay bets risk the liability rather than the backer's stake
+        const amountAtRisk = bet.side === 'lay' ? getLayLiability(stake, bet.price) : stake;
+        if (bet.side === 'lay') {
+            bet.liability = amountAtRisk;
+        }
+        
+        character.bankroll -= amountAtRisk;
+        character.stats.totalStaked += amountAtRisk;
+        character.stats.totalBets++;
+        
+        if (bet.side === 'lay') {
+            this.log(`${character.name} laid £${stake} @ ${this.formatPrice(bet.price)} (liability £${amountAtRisk.toFixed(2)})`, 'success');
+        } else {
+            this.log(`${character.name} placed bet of £${stake}`, 'success');
+        }
+        
+        this.setBetState(bet, BetState.PLACED, `£${amountAtRisk.toFixed(2)} at risk`);
+        this.updateCharacter(character, true);
+        this.emit('bet:placed', { bet, character, amountAtRisk });
+        
+        // Mark bet as placed in database - strategy bets have no row
+        if (!bet.strategy && this.storage) {
+            try {
+                await this.storage.markBetPlaced(bet.id, { placedAt: new Date(this.clock.now()).toISOString() });
+            } catch (error) {
+                this.log(`Error marking bet as placed: ${error.message}`, 'error');
+            }
+        }
+        
+        // Return to starting position and wait for event to finish
+        this.clock.setTimeout(() => {
+            character.state = 'idle';
+            character.position = this.world.getStartingPosition(character.name);
+            character.targetPosition = null;
+            character.emotion = { emoji: '🤞', state: 'waiting', description: 'Waiting for result' };
+            this.updateCharacter(character, true);
+        }, this.timing.placingTime);
+    }
+
+    /**
+     * Check status of active bets
+     */
+    async checkActiveBets() {
+        if (this.activeBets.size === 0) {
+            return; // No active bets to check
+        }
+        
+        this.log(`Checking ${this.activeBets.size} active bets...`, 'info');
+        
+        // Fetch every event the open bets need together - bets sharing an event share one request.
+        // The bets are then checked in order from the cache, so settlement order doesn't depend on the network
+        if (this.eventProvider.prefetch) {
+            const eventIds = [...this.activeBets.values()].flatMap(bet =>
+                bet.legs ? bet.legs.filter(leg => !leg.settlement).map(leg => leg.eventid) : [bet.eventid]
+            );
+            await this.eventProvider.prefetch(eventIds.filter(Boolean));
+        }
+        
+        for (const [betId, bet] of this.activeBets) {
+            try {
+                await this.checkBetStatus(bet);
+            } catch (error) {
+                this.log(`Error checking bet ${betId}: ${error.message}`, 'error');
+            }
+        }
+        
+        const stats = this.getPollerStats();
+        if (stats) {
+            this.emit('poller:updated', stats);
+        }
+    }
+
+    /**
+     * Check individual bet status
+     * @param {Object} bet - Bet object
+     */
+    async checkBetStatus(bet) {
+        // A result set in the bets table while the bet was being placed
+        if (bet.externalResult) {
+            await this.settleExternalResult(bet);
+            return;
+        }
+        
+        if (bet.legs) {
+            await this.checkAccumulatorStatus(bet);
+            return;
+        }
+        
+        if (!bet.eventid) {
+            this.log(`No event ID for bet ${bet.id}`, 'warning');
+            return;
+        }
+        
+        try {
+            const event = await this.fetchEvent(bet.eventid);
+            
+            // The bet may have been cashed out while the event was loading
+            if (!this.activeBets.has(bet.id)) {
+                return;
+            }
+            
+            if (!event) {
+                this.setBetState(bet, BetState.ERRORED, `No data for event ${bet.eventid}`);
+                return;
+            }
+            
+            const character = this.characters[bet.character];
+            
+            if (
+                (event.status === 'finished' && event.score) ||
+                event.status === 'canceled'
+            ) {
+                // Bet is finished, settle it
+                this.log(`Event ${bet.eventid} is finished, settling bet...`, 'info');
+                await this.settleBet(bet, event, character);
+            } else if (event.status === 'inprogress' && event.score) {
+                // Bet is in progress, update character emotion based on current prediction
+                this.log(`Event ${bet.eventid} is in progress, updating emotions...`, 'info');
+                this.setBetState(bet, BetState.IN_PLAY, event.minute !== null ? `${Math.floor(event.minute)}'` : null);
+                await this.updateInProgressBet(bet, event, character);
+            } else {
+                // Event hasn't started yet or no score available
+                this.log(`Event ${bet.eventid} hasn't started yet (status: ${event.status})`, 'info');
+                this.setBetState(bet, BetState.AWAITING_KICKOFF);
+                character.emotion = { emoji: '⏳', state: 'waiting', description: 'Waiting for match to start' };
+                this.updateCharacter(character);
+            }
+            
+        } catch (error) {
+            this.log(`Error fetching event data for ${bet.eventid}: ${error.message}`, 'error');
+            if (this.activeBets.has(bet.id)) {
+                this.setBetState(bet, BetState.ERRORED, error.message);
+            }
+        }
+    }
+
+    /**
+     * Check every open leg of an accumulator and settle it once the legs allow
+     * @param {Object} bet - Bet object with a legs array
+     */
+    async checkAccumulatorStatus(bet) {
+        const character = this.characters[bet.character];
+        const legsWonBefore = bet.legsWon || 0;
+        let legInPlay = false;
+        let legError = null;
+        
+        for (const leg of bet.legs) {
+            if (leg.settlement) continue;
+            
+            try {
+                const event = await this.fetchEvent(leg.eventid);
+                if (!event) {
+                    legError = `No data for event ${leg.eventid}`;
+                    continue;
+                }
+                
+                if (event.status === 'inprogress') {
+                    legInPlay = true;
+                }
+                
+                if (event.status === 'canceled') {
+                    this.log(`Acca leg event ${leg.eventid} was canceled. Voiding leg`, 'warning');
+                    leg.settlement = createSettlement(SettlementOutcome.PUSH, { label: 'Push - Canceled Event' });
+                } else if (event.status === 'finished' && event.score) {
+                    leg.finalScore = event.score;
+                    leg.settlement = this.evaluateBet(leg, event.score);
+                    this.log(`Acca leg event ${leg.eventid} settled: ${leg.settlement.label}`, 'info');
+                } else if (event.status === 'inprogress' && event.score) {
+                    leg.prediction = this.evaluateBet(leg, event.score);
+                }
+            } catch (error) {
+                this.log(`Error fetching event data for acca leg ${leg.eventid}: ${error.message}`, 'error');
+                legError = error.message;
+            }
+        }
+        
+        // The bet may have been cashed out while the legs were loading
+        if (!this.activeBets.has(bet.id)) {
+            return;
+        }
+        
+        const accumulator = settleAccumulator(bet.legs);
+        
+        if (accumulator.outcome !== SettlementOutcome.PENDING) {
+            this.log(`Accumulator ${bet.id} complete, settling bet...`, 'info');
+            await this.applySettlement(bet, character, accumulator);
+            return;
+        }
+        
+        if (legError) {
+            this.setBetState(bet, BetState.ERRORED, legError);
+        } else {
+            // Once a leg has kicked off the acca stays in play, even while waiting on later legs
+            const started = legInPlay || bet.legs.some(leg => leg.settlement);
+            this.setBetState(bet, started ? BetState.IN_PLAY : BetState.AWAITING_KICKOFF);
+        }
+        
+        // Escalate the character's mood as legs land
+        if (accumulator.legsWon > legsWonBefore) {
+            this.log(`${character.name}'s acca: ${accumulator.legsWon}/${accumulator.totalLegs} legs won`, 'success');
+            this.emit('accumulator:progress', { bet, character, legsWon: accumulator.legsWon, totalLegs: accumulator.totalLegs });
+        }
+        bet.legsWon = accumulator.legsWon;
+        
+        character.emotion = getAccumulatorEmotion(accumulator.legsWon, accumulator.totalLegs);
+        character.state = character.emotion.state;
+        this.saveReaction(bet, character.emotion);
+        
+        this.updateCharacter(character, true);
+        this.emit('bets:changed');
+    }
+
+    /**
+     * Fetch the latest data for an event from the event provider
+     * @param {string|number} eventId - Event ID
+     * @returns {Promise<Object|null>} Normalized event (see event-providers.js), or null if none is available
+     */
+    async fetchEvent(eventId) {
+        this.log(`Checking event ${eventId} status...`, 'info');
+        const event = await this.eventProvider.getEvent(eventId);
+        
+        if (!event) {
+            this.log(`No event data for event ${eventId}`, 'warning');
+            return null;
+        }
+        
+        const minute = event.minute !== null ? `, ${Math.floor(event.minute)}'` : '';
+        this.log(`Event ${eventId} status: ${event.status}${event.score ? ` (${event.score}${minute})` : ''}`, 'info');
+        
+        if (!event.score && (event.status === 'inprogress' || event.status === 'finished')) {
+            this.log(`Event ${eventId} has no score information available`, 'warning');
+        }
+        
+        return event;
+    }
+
+    /**
+     * Resolve the canonical selection for a bet
+     * @param {Object} bet - Bet object
+     * @returns {string} Selection understood by the betting engine
+     */
+    getSelectionCombo(bet) {
+        // Use the Bet_Selection field or an exact selection_combo if recognised
+        const explicit = normalizeSelectionCombo(bet.Bet_Selection || bet.bet_selection) ||
+            normalizeSelectionCombo(bet.selection_combo);
+        if (explicit) {
+            return explicit;
+        }
+        
+        // Fallback: try to extract from selection_combo or recommendation text
+        const rec = (bet.selection_combo || bet.recommendation || '').toLowerCase();
+        if (rec.includes('correct score') || rec.includes('exact score')) {
+            return 'Correct Score';
+        } else if (rec.includes('both teams to score') || rec.includes('btts')) {
+            return /\bno\b/.test(rec) ? 'BTTS No' : 'BTTS Yes';
+        } else if (rec.includes('draw no bet') || rec.includes('dnb')) {
+            return rec.includes('away') ? 'Away Draw No Bet' : 'Home Draw No Bet';
+        } else if (rec.includes('double chance')) {
+            if (rec.includes('12') || rec.includes('home or away')) return 'Home or Away';
+            return rec.includes('x2') || rec.includes('away') ? 'Draw or Away' : 'Home or Draw';
+        } else if (rec.includes('over')) {
+            return 'Over';
+        } else if (rec.includes('under')) {
+            return 'Under';
+        } else if (rec.includes('draw')) {
+            return 'Draw';
+        } else if (rec.includes('home win') || rec.includes('away win')) {
+            return rec.includes('home win') ? 'Home Win' : 'Away Win';
+        } else if (rec.includes('home') || rec.includes('handicap')) {
+            // For handicap bets, we need to determine home vs away
+            return bet.selection_line >= 0 ? 'Away Team' : 'Home Team';
+        }
+        
+        return 'Home Team'; // Default fallback
+    }
+
+    /**
+     * Resolve the line to settle a bet against
+     * @param {Object} bet - Bet object
+     * @param {string} selectionCombo - Canonical selection from getSelectionCombo
+     * @returns {number|string} Line value, or picked score like "2-1" for correct score bets
+     */
+    getSelectionLine(bet, selectionCombo) {
+        if (selectionCombo !== 'Correct Score') {
+            return bet.selection_line;
+        }
+        
+        // The picked score may live in the line column or in the recommendation text
+        const picked = parseScore(bet.selection_line) ||
+            parseScore(bet.selection_combo) ||
+            parseScore(bet.recommendation);
+        return picked ? `${picked.home}-${picked.away}` : bet.selection_line;
+    }
+
+    /**
+     * Evaluate a single bet or accumulator leg against a score
+     * @param {Object} bet - Bet or leg object
+     * @param {string} score - Score like "2-1"
+     * @returns {Object} Settlement object from the betting engine
+     */
+    evaluateBet(bet, score) {
+        const selectionCombo = this.getSelectionCombo(bet);
+        const selectionLine = this.getSelectionLine(bet, selectionCombo);
+        
+        return settleSelection(
+            selectionCombo,
+            selectionLine,
+            bet.bet_time_score,
+            score
+        );
+    }
+
+    /**
+     * Get the commission rate charged on an exchange bet's net winnings
+     * @param {Object} bet - Bet object
+     * @returns {number} Commission rate (0 for bookmaker bets)
+     */
+    getCommissionRate(bet) {
+        if (!bet.exchange || !this.config) {
+            return 0;
+        }
+        
+        return this.config.getCommissionRate(getMarketType(this.getSelectionCombo(bet)));
+    }
+
+    /**
+     * Settle a finished bet
+     * @param {Object} bet - Bet object
+     * @param {Object} event - Event data from API
+     * @param {Object} character - Character object
+     */
+    async settleBet(bet, event, character) {
+        let settlement;
+        let finalState = BetState.SETTLED;
+    
+        // 🛑 Handle canceled event as Push
+        if (event.status === 'canceled') {
+            this.log(`Event ${bet.eventid} was canceled. Marking bet as Push`, 'warning');
+            settlement = createSettlement(SettlementOutcome.PUSH, { label: 'Push - Canceled Event' });
+            finalState = BetState.VOIDED;
+        } else {
+            // ✅ Regular settlement for finished event
+            const finalScore = event.score;
+            bet.finalScore = finalScore;
+            this.log(`Settling bet for event ${bet.eventid}: Final score ${finalScore}`, 'info');
+    
+            const selectionCombo = this.getSelectionCombo(bet);
+            this.log(`Using selection: ${selectionCombo} with line ${this.getSelectionLine(bet, selectionCombo)}`, 'info');
+    
+            settlement = this.evaluateBet(bet, finalScore);
+        }
+    
+        // The layer wins whatever the backer loses
+        if (bet.side === 'lay') {
+            settlement = invertSettlement(settlement);
+        }
+    
+        await this.applySettlement(bet, character, settlement, finalState);
+    }
+
+    /**
+     * Work out what a settlement pays back on a bet
+     * @param {Object} bet - Placed bet object
+     * @param {Object} settlement - Settlement object from the betting engine
+     * @returns {number} Payout
+     */
+    getSettlementPayout(bet, settlement) {
+        // Use parsed stake if available
+        const stake = bet.parsedStake || 100;
+        return bet.exchange
+            ? calculateExchangePayout(settlement, stake, bet.price, {
+                side: bet.side,
+                commission: this.getCommissionRate(bet)
+            })
+            : calculatePayout(settlement, stake, bet.price);
+    }
+
+    /**
+     * Pay out a settlement and update the character, stats and database
+     * @param {Object} bet - Bet object
+     * @param {Object} character - Character object
+     * @param {Object} settlement - Settlement object from the betting engine
+     * @param {string} finalState - Lifecycle state the bet ends in (settled, voided or cashed_out)
+     * @param {Object} options
+     * @param {boolean} options.amending - Settling again after a reversal: the strategy has already
+     *   seen this bet's result and bet:settled has already fired, so neither happens twice
+     */
+    async applySettlement(bet, character, settlement, finalState = BetState.SETTLED, options = {}) {
+        const stake = bet.parsedStake || 100;
+        const payout = this.getSettlementPayout(bet, settlement);
+    
+        // The ledger entry is written before any money moves, so a second settlement is a no-op
+        if (!this.ledger.record(bet, settlement, payout, this.clock.now())) {
+            this.log(`Bet ${bet.id} is already settled (${this.ledger.getSettlement(bet.id).label}) - ignoring`, 'warning');
+            return;
+        }
+    
+        bet.settlement = settlement;
+        this.setBetState(bet, finalState, settlement.label);
+    
+        this.log(`Bet result calculated: ${settlement.label}`, 'info');
+        if (bet.side === 'lay') {
+            this.log(`Payout: £${payout} from liability £${bet.liability} laying £${stake} @ ${this.formatPrice(bet.price)}`, 'info');
+        } else {
+            this.log(`Payout: £${payout} from stake £${stake} @ ${this.formatPrice(settlement.adjustedPrice ?? bet.price)}`, 'info');
+        }
+    
+        character.bankroll += payout;
+        character.stats.totalPayout += payout;
+        character.stats.totalSettled++;
+        character.stats.netProfit = character.stats.totalPayout - character.stats.totalStaked;
+    
+        if (settlement.outcome === SettlementOutcome.WIN) character.stats.totalWins++;
+        if (settlement.outcome === SettlementOutcome.LOSS) character.stats.totalLosses++;
+        if (settlement.outcome === SettlementOutcome.CASH_OUT) character.stats.totalCashOuts++;
+    
+        character.emotion = getEmotionFromResult(settlement);
+        character.state = character.emotion.state;
+        bet.reaction = formatReaction(character.emotion);
+    
+        this.updateCharacter(character, true);
+    
+        // Cleanup
+        this.activeBets.delete(bet.id);
+        character.activeBets = character.activeBets.filter(id => id !== bet.id);
+        
+        // Results from a final score can still be corrected upstream
+        if (finalState === BetState.SETTLED && this.resettlementWindow > 0 && !this.recentlySettled.has(bet.id)) {
+            this.recentlySettled.set(bet.id, { bet, settledAt: this.clock.now() });
+        }
+    
+        if (!options.amending) {
+            // Let the character's strategy learn from the result (e.g. Benny's loss streak)
+            const strategy = this.strategies[character.name];
+            if (strategy) {
+                strategy.onBetSettled(bet, settlement);
+            }
+            this.emit('bet:settled', { bet, character, settlement, payout });
+        }
+        this.emit('bets:changed');
+    
+        if (!bet.strategy && this.storage) {
+            try {
+                await this.storage.settleBet(bet.id, settlement.label, payout, {
+                    settledAt: new Date(this.clock.now()).toISOString(),
+                    finalScore: this.getFinalScore(bet),
+                    reaction: bet.reaction,
+                    engineVersion: ENGINE_VERSION
+                });
+            } catch (error) {
+                this.log(`Error saving settlement of bet ${bet.id}: ${error.message}`, 'error');
+            }
+        }
+    
+        this.scheduleIdle(character);
+    }
+
+    /**
+     * Put a character back to idle once they've finished reacting
+     * A reaction before the last one's finished replaces its pending reset
+     * @param {Object} character - Character object
+     */
+    scheduleIdle(character) {
+        const pending = this.idleTimers.get(character.name);
+        if (pending) {
+            this.clock.clearTimeout(pending);
+        }
+        
+        this.idleTimers.set(character.name, this.clock.setTimeout(() => {
+            this.idleTimers.delete(character.name);
+            character.state = 'idle';
+            character.emotion = { emoji: '😐', state: 'neutral', description: 'Ready for next bet' };
+            this.updateCharacter(character, true);
+        }, this.timing.reactionTime));
+    }
+
+    /**
+     * Get the score a bet was settled on, for its row
+     * @param {Object} bet - Settled bet object
+     * @returns {string|undefined} Final score, an accumulator's leg scores joined with commas,
+     *   or undefined if the bet settled without one (canceled or cashed out)
+     */
+    getFinalScore(bet) {
+        if (!bet.legs) {
+            return bet.finalScore;
+        }
+        const scores = bet.legs.filter(leg => leg.finalScore).map(leg => leg.finalScore);
+        return scores.length > 0 ? scores.join(', ') : undefined;
+    }
+
+    /**
+     * Save a character's reaction to their bet to its row, if it has changed
+     * @param {Object} bet - Bet object
+     * @param {Object} emotion - Emotion the character is showing
+     */
+    saveReaction(bet, emotion) {
+        const reaction = formatReaction(emotion);
+        if (bet.strategy || !this.storage || reaction === bet.reaction) {
+            return;
+        }
+        
+        bet.reaction = reaction;
+        this.storage.updateCharacterReaction(bet.id, reaction).catch(error => {
+            this.log(`Error saving reaction to bet ${bet.id}: ${error.message}`, 'error');
+        });
+    }
+
+    /**
+     * Take back a settled bet's payout, e.g. when its result is corrected upstream
+     * The bet can then be settled again with applySettlement
+     * @param {Object} bet - Settled bet object
+     * @param {string} reason - Why the settlement is being reversed
+     * @returns {Object|null} Reversal ledger entry, or null if the bet isn't settled
+     */
+    reverseSettlement(bet, reason) {
+        const entry = this.ledger.reverse(bet.id, reason, this.clock.now());
+        if (!entry) {
+            this.log(`Bet ${bet.id} has no settlement to reverse`, 'warning');
+            return null;
+        }
+        
+        const character = this.characters[entry.character];
+        const { stats } = character;
+        character.bankroll += entry.payout;
+        stats.totalPayout += entry.payout;
+        stats.totalSettled--;
+        stats.netProfit = stats.totalPayout - stats.totalStaked;
+        
+        if (entry.outcome === SettlementOutcome.WIN) stats.totalWins--;
+        if (entry.outcome === SettlementOutcome.LOSS) stats.totalLosses--;
+        if (entry.outcome === SettlementOutcome.CASH_OUT) stats.totalCashOuts--;
+        
+        bet.settlement = null;
+        this.log(`↩️ Reversed ${character.name}'s ${entry.label} on bet ${bet.id} (£${-entry.payout} taken back): ${reason}`, 'warning');
+        
+        this.updateCharacter(character);
+        this.emit('settlement:reversed', { bet, character, entry });
+        return entry;
+    }
+
+    /**
+     * Re-check the events of recently settled bets for corrected final scores
+     * Bets drop out once they were settled longer ago than the resettlement window
+     */
+    async checkSettledBets() {
+        const windowMs = this.resettlementWindow * 60 * 1000;
+        const now = this.clock.now();
+        
+        for (const [betId, { settledAt }] of this.recentlySettled) {
+            if (!(windowMs > 0) || now - settledAt > windowMs) {
+                this.recentlySettled.delete(betId);
+            }
+        }
+        
+        if (this.recentlySettled.size === 0) {
+            return;
+        }
+        
+        const bets = [...this.recentlySettled.values()].map(({ bet }) => bet);
+        if (this.eventProvider.prefetch) {
+            const eventIds = bets.flatMap(bet => bet.legs ? bet.legs.map(leg => leg.eventid) : [bet.eventid]);
+            await this.eventProvider.prefetch(eventIds.filter(Boolean));
+        }
+        
+        for (const bet of bets) {
+            try {
+                await this.recheckSettledBet(bet);
+            } catch (error) {
+                this.log(`Error re-checking settled bet ${bet.id}: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Compare a settled bet's final scores with the provider's latest and resettle if they changed
+     * @param {Object} bet - Settled bet object
+     */
+    async recheckSettledBet(bet) {
+        // Results set in the bets table aren't the provider's to correct
+        if (bet.resultFromTable) {
+            return;
+        }
+        
+        // Accumulator legs are checked one by one - single bets are a one-leg list of themselves
+        const selections = bet.legs ? bet.legs.filter(leg => leg.finalScore) : [bet].filter(selection => selection.finalScore);
+        const corrections = [];
+        
+        for (const selection of selections) {
+            const event = await this.eventProvider.getEvent(selection.eventid);
+            if (!event || event.status !== 'finished' || !event.score || event.score === selection.finalScore) {
+                continue;
+            }
+            
+            corrections.push(`event ${selection.eventid} ${selection.finalScore} → ${event.score}`);
+            selection.finalScore = event.score;
+            if (bet.legs) {
+                selection.settlement = this.evaluateBet(selection, event.score);
+            }
+        }
+        
+        if (corrections.length === 0) {
+            return;
+        }
+        
+        let settlement;
+        if (bet.legs) {
+            settlement = settleAccumulator(bet.legs);
+        } else {
+            settlement = this.evaluateBet(bet, bet.finalScore);
+            if (bet.side === 'lay') {
+                settlement = invertSettlement(settlement);
+            }
+        }
+        
+        const reason = `Score corrected: ${corrections.join(', ')}`;
+        this.log(`📝 ${reason} (bet ${bet.id})`, 'warning');
+        await this.amendSettlement(bet, settlement, reason);
+    }
+
+    /**
+     * Replace a settled bet's result: reverse the original payout and pay out the corrected one
+     * A corrected score that doesn't change the result or payout leaves the money alone.
+     * Only settlement:amended is emitted - the strategy keeps what it learned from the original result
+     * @param {Object} bet - Settled bet object
+     * @param {Object} settlement - Corrected settlement
+     * @param {string} reason - Why the result changed
+     * @returns {Promise<boolean>} True if the payout was amended
+     */
+    async amendSettlement(bet, settlement, reason) {
+        const previous = this.ledger.getSettlement(bet.id);
+        const character = this.characters[bet.character];
+        if (!previous || !character) {
+            return false;
+        }
+        
+        const payout = this.getSettlementPayout(bet, settlement);
+        if (settlement.outcome === previous.outcome && payout === previous.payout) {
+            this.log(`Bet ${bet.id} still settles as ${previous.label} after the correction`, 'info');
+            bet.settlement = settlement;
+            return false;
+        }
+        
+        this.reverseSettlement(bet, reason);
+        await this.applySettlement(bet, character, settlement, BetState.SETTLED, { amending: true });
+        
+        // Replace the usual reaction to the result with one to the change
+        character.emotion = getAmendedEmotion(previous.payout, payout);
+        character.state = character.emotion.state;
+        this.saveReaction(bet, character.emotion);
+        this.updateCharacter(character, true);
+        
+        this.log(`📝 ${character.name}'s bet ${bet.id} amended: ${previous.label} (£${previous.payout}) → ${settlement.label} (£${payout})`, 'warning');
+        this.emit('settlement:amended', { bet, character, previous, settlement, payout });
+        return true;
+    }
+
+    /**
+     * Update in-progress bet
+     * @param {Object} bet - Bet object
+     * @param {Object} event - Event data from API
+     * @param {Object} character - Character object
+     */
+    async updateInProgressBet(bet, event, character) {
+        // Use YOUR betting engine to calculate current prediction
+        const currentScore = event.score;
+        
+        this.log(`In-progress bet for event ${bet.eventid}: Current score ${currentScore}`, 'info');
+        
+        const selectionCombo = this.getSelectionCombo(bet);
+        const selectionLine = this.getSelectionLine(bet, selectionCombo);
+        
+        const selectionPrediction = this.evaluateBet(bet, currentScore);
+        const prediction = bet.side === 'lay' ? invertSettlement(selectionPrediction) : selectionPrediction;
+        
+        this.log(`In-progress prediction: ${prediction.label}`, 'info');
+        
+        const goalsNeeded = bet.side === 'lay' ? null : getGoalsNeeded(selectionCombo, selectionLine, currentScore);
+        const minute = event.minute;
+        let emotion;
+        
+        if (minute === null) {
+            // No match clock available - fall back to the current-score prediction
+            emotion = getInProgressEmotion(prediction, goalsNeeded);
+        } else {
+            // Goal rates implied by the price only need fitting once per bet
+            const live = estimateLiveProbability(selectionCombo, selectionLine, bet.bet_time_score, currentScore, {
+                minute,
+                price: bet.price,
+                betMinute: bet.bet_time_minute,
+                goalRates: bet.goalRates
+            });
+            bet.goalRates = live.goalRates;
+            bet.liveProbability = bet.side === 'lay' ? invertLiveProbability(live) : live;
+            
+            bet.cashOutValue = calculateCashOutValue(bet.liveProbability, bet.parsedStake || 100, bet.price, { side: bet.side });
+            bet.liveScore = currentScore;
+            
+            this.log(`Live win probability at ${Math.round(minute)}': ${(bet.liveProbability.winProbability * 100).toFixed(1)}% (cash out £${bet.cashOutValue.toFixed(2)})`, 'info');
+            
+            if (this.shouldCashOut(bet, character)) {
+                await this.cashOutBet(bet.id, character.name);
+                return;
+            }
+            
+            emotion = getLiveEmotion(bet.liveProbability, goalsNeeded);
+        }
+        
+        character.emotion = emotion;
+        character.state = emotion.state;
+        this.saveReaction(bet, emotion);
+        
+        this.updateCharacter(character, true);
+        
+        this.log(`${character.name} bet in progress: ${prediction.label}`, 'info');
+        
+        this.emit('bets:changed');
+    }
+
+    /**
+     * Check whether a character's cash-out policy says to close a live bet
+     * @param {Object} bet - Bet object with a live probability and cash-out value
+     * @param {Object} character - Character object
+     * @returns {boolean} True if the character would cash out now
+     */
+    shouldCashOut(bet, character) {
+        const { takeProfitAt, cutLossAt } = character.cashOutPolicy;
+        const { winProbability } = bet.liveProbability;
+        const riskedAmount = this.getRiskedAmount(bet);
+        
+        if (takeProfitAt !== null && winProbability >= takeProfitAt && bet.cashOutValue > riskedAmount) {
+            return true;
+        }
+        return cutLossAt !== null && winProbability <= cutLossAt && bet.cashOutValue > 0;
+    }
+
+    /**
+     * Get the amount a bet has at risk
+     * @param {Object} bet - Bet object
+     * @returns {number} Liability for lays, stake otherwise
+     */
+    getRiskedAmount(bet) {
+        return bet.side === 'lay' ? bet.liability : (bet.parsedStake || 100);
+    }
+
+    /**
+     * Close a live bet early at its current cash-out value
+     * @param {string} betId - Bet ID
+     * @param {string|null} characterName - Character cashing out, or null when the user does it
+     * @returns {Promise<boolean>} True if the bet was cashed out
+     */
+    async cashOutBet(betId, characterName = null) {
+        const bet = Array.from(this.activeBets.values()).find(activeBet => `${activeBet.id}` === `${betId}`);
+        if (!bet) {
+            this.log(`Bet ${betId} is no longer active`, 'warning');
+            return false;
+        }
+        
+        if (bet.cashOutValue === undefined) {
+            this.log(`No cash-out price for bet ${betId} until its match is in play`, 'warning');
+            return false;
+        }
+        
+        const character = this.characters[bet.character];
+        const selectionCombo = this.getSelectionCombo(bet);
+        const settlement = createCashOutSettlement(bet.cashOutValue, this.getRiskedAmount(bet), {
+            label: `${SettlementOutcome.CASH_OUT} - £${bet.cashOutValue.toFixed(2)} on ${selectionCombo} at ${bet.liveScore} (${Math.round(bet.liveProbability.minute)}')`,
+            effectiveScore: parseScore(bet.liveScore),
+            selectionCombo,
+            selectionLine: this.getSelectionLine(bet, selectionCombo)
+        });
+        
+        this.log(`${characterName || 'You'} cashed out ${character.name}'s bet ${bet.id} for £${bet.cashOutValue.toFixed(2)}`, 'success');
+        
+        await this.applySettlement(bet, character, settlement, BetState.CASHED_OUT);
+        return true;
+    }
+
+    // ===========================================
+    // CONVERSATION SYSTEM
+    // ===========================================
+
+    /**
+     * Conversation topics and dialogue
+     */
+    getConversationTopics() {
+        return {
+            general: {
+                title: "General Chat",
+                class: "general",
+                dialogues: [
+                    { 
+                        starter: "{character1}", 
+                        text: "Beautiful day for some betting, eh {character2}?",
+                        response: "Absolutely! Though I hope my luck is better today than yesterday."
+                    },
+                    { 
+                        starter: "{character1}", 
+                        text: "How's your bankroll looking, {character2}?",
+                        response: "Could be better, but I'm still in the game. You?"
+                    },
+                    { 
+                        starter: "{character1}", 
+                        text: "Seen any good odds lately?",
+                        response: "I've been watching the Asian Handicap markets. Some real value there."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "This weather is perfect for outdoor matches!",
+                        response: "True! I always feel like over bets hit more on sunny days."
+                    }
+                ]
+            },
+            betting: {
+                title: "Betting Strategy",
+                class: "betting",
+                dialogues: [
+                    {
+                        starter: "{character1}",
+                        text: "I'm thinking of backing the underdog today. What do you think?",
+                        response: "Risky move! But sometimes the biggest upsets come from nowhere."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "Asian Handicap or straight win? I can't decide...",
+                        response: "Handicap gives you better value, but straight wins are easier to predict."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "Over/Under markets are looking juicy today!",
+                        response: "I love totals betting! Much easier than picking winners sometimes."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "Should I hedge my position or let it ride?",
+                        response: "Depends on your risk tolerance. I usually let winners run!"
+                    }
+                ]
+            },
+            celebration: {
+                title: "Celebrating Wins",
+                class: "celebration",
+                dialogues: [
+                    {
+                        starter: "{character1}",
+                        text: "Yes! That Over 2.5 just hit in the 89th minute!",
+                        response: "Nice one! Those late goals are the best feeling in the world!"
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "My handicap bet is looking great so far!",
+                        response: "Nothing beats that feeling when your pick is ahead early!"
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "Three wins in a row! I'm on fire today!",
+                        response: "Keep that momentum going! Though don't get too cocky..."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "The odds were against me but I knew it would hit!",
+                        response: "That's the beauty of betting - sometimes gut feelings pay off big!"
+                    }
+                ]
+            },
+            commiseration: {
+                title: "Bad Luck",
+                class: "commiseration",
+                dialogues: [
+                    {
+                        starter: "{character1}",
+                        text: "Can you believe that? Lost by half a goal...",
+                        response: "Oof, that's the worst! Asian Handicap losses sting the most."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "My Over bet would have hit if not for that red card!",
+                        response: "Red cards kill so many Over bets. Just bad luck, mate."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "I'm having the worst run of luck this week...",
+                        response: "We've all been there. Sometimes you just have to ride out the storm."
+                    },
+                    {
+                        starter: "{character1}",
+                        text: "That was such an obvious fix! No way that was natural!",
+                        response: "Ha! We all blame corruption when our bets don't hit. It happens!"
+                    }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Check for nearby characters and potentially start conversations
+     */
+    checkForConversations() {
+        const characterNames = Object.keys(this.characters);
+        const now = this.clock.now();
+
+        this.log(`🔍 Checking conversations for ${characterNames.length} characters...`, 'info');
+
+        // Check all character pairs
+        for (let i = 0; i < characterNames.length; i++) {
+            for (let j = i + 1; j < characterNames.length; j++) {
+                const char1Name = characterNames[i];
+                const char2Name = characterNames[j];
+                const char1 = this.characters[char1Name];
+                const char2 = this.characters[char2Name];
+
+                // Debug: Log character positions and states
+                this.log(`📍 ${char1Name}: pos(${char1.position.x.toFixed(1)}, ${char1.position.z || 0}) state: ${char1.state}`, 'info');
+                this.log(`📍 ${char2Name}: pos(${char2.position.x.toFixed(1)}, ${char2.position.z || 0}) state: ${char2.state}`, 'info');
+
+                // Skip if either character is busy with betting activities
+                if (this.isCharacterBusy(char1) || this.isCharacterBusy(char2)) {
+                    this.log(`⏸️ ${char1Name} or ${char2Name} is busy (${char1.state}, ${char2.state})`, 'info');
+                    continue;
+                }
+
+                // Check cooldown (characters can't chat too frequently)
+                const pairKey = [char1Name, char2Name].sort().join('-');
+                const lastConversation = this.conversationCooldowns.get(pairKey) || 0;
+                const timeSinceLastChat = now - lastConversation;
+                if (timeSinceLastChat < 10000) { // 10 second cooldown (reduced from 30)
+                    this.log(`🕒 ${char1Name}-${char2Name} still on cooldown (${(10000 - timeSinceLastChat)/1000}s remaining)`, 'info');
+                    continue;
+                }
+
+                // Check if characters are close enough to chat
+                const distance = this.getCharacterDistance(char1, char2);
+                this.log(`📏 Distance between ${char1Name} and ${char2Name}: ${distance.toFixed(1)} units (max: ${this.conversationRange})`, 'info');
+                
+                if (this.areCharactersNearby(char1, char2)) {
+                    this.log(`✅ ${char1Name} and ${char2Name} are close enough to chat!`, 'success');
+                    // Random chance for conversation
+                    if (this.conversationRandom() < this.conversationChance) {
+                        this.log(`🎲 Conversation chance hit! Starting conversation...`, 'success');
+                        this.startConversation(char1Name, char2Name);
+                        this.conversationCooldowns.set(pairKey, now);
+                    } else {
+                        this.log(`🎲 Conversation chance missed (${(this.conversationChance * 100)}%)`, 'info');
+                    }
+                } else {
+                    this.log(`❌ ${char1Name} and ${char2Name} are too far apart for conversation`, 'info');
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if character is busy with betting activities
+     */
+    isCharacterBusy(character) {
+        // Only consider characters busy if they're actively betting - allow conversations during emotions
+        const busyStates = ['walking_to_bookie', 'placing_bet'];
+        const isBusy = busyStates.includes(character.state);
+        
+        // Debug log for troubleshooting
+        if (isBusy) {
+            this.log(`🚫 ${character.name} is busy: ${character.state}`, 'info');
+        }
+        
+        return isBusy;
+    }
+
+    /**
+     * Get distance between two characters
+     */
+    getCharacterDistance(char1, char2) {
+        if (!char1.position || !char2.position) return Infinity;
+
+        const dx = char1.position.x - char2.position.x;
+        const dz = (char1.position.z || 0) - (char2.position.z || 0);
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    /**
+     * Check if two characters are close enough to have a conversation
+     */
+    areCharactersNearby(char1, char2) {
+        const distance = this.getCharacterDistance(char1, char2);
+        return distance <= this.conversationRange;
+    }
+
+    /**
+     * Start a conversation between two characters
+     */
+    startConversation(char1Name, char2Name) {
+        const char1 = this.characters[char1Name];
+        const char2 = this.characters[char2Name];
+
+        // Determine conversation topic based on character states and recent history
+        const topic = this.selectConversationTopic(char1, char2);
+        const topicData = this.getConversationTopics()[topic];
+        
+        // Select random dialogue from topic
+        const dialogue = topicData.dialogues[Math.floor(this.conversationRandom() * topicData.dialogues.length)];
+        
+        // Replace placeholders with character names
+        let starter = dialogue.starter.replace('{character1}', char1Name).replace('{character2}', char2Name);
+        let text = dialogue.text.replace('{character1}', char1Name).replace('{character2}', char2Name);
+        let response = dialogue.response.replace('{character1}', char1Name).replace('{character2}', char2Name);
+
+        // Determine who starts the conversation
+        let starterName, responderName;
+        if (starter.includes(char1Name) || this.conversationRandom() < 0.5) {
+            starterName = char1Name;
+            responderName = char2Name;
+        } else {
+            starterName = char2Name;
+            responderName = char1Name;
+        }
+
+        // Create conversation object
+        const conversation = {
+            id: this.clock.now(),
+            participants: [starterName, responderName],
+            topic: topic,
+            topicTitle: topicData.title,
+            topicClass: topicData.class,
+            starter: starterName,
+            text: text,
+            response: response,
+            timestamp: new Date(this.clock.now())
+        };
+
+        // Add to conversation history
+        this.conversationHistory.push(conversation);
+
+        // Keep only last 10 conversations
+        if (this.conversationHistory.length > 10) {
+            this.conversationHistory.shift();
+        }
+
+        this.emit('conversation', conversation);
+
+        // Log the conversation
+        this.log(`💬 ${starterName} & ${responderName} chatting about ${topicData.title.toLowerCase()}`, 'info');
+    }
+
+    /**
+     * Select appropriate conversation topic based on character states
+     */
+    selectConversationTopic(char1, char2) {
+        // Check recent bet outcomes for celebration/commiseration topics
+        const char1RecentWin = char1.emotion.state === 'joy' || char1.emotion.state === 'relief';
+        const char2RecentWin = char2.emotion.state === 'joy' || char2.emotion.state === 'relief';
+        const char1RecentLoss = char1.emotion.state === 'anger' || char1.emotion.state === 'annoyed';
+        const char2RecentLoss = char2.emotion.state === 'anger' || char2.emotion.state === 'annoyed';
+
+        // If both won recently, celebrate together
+        if (char1RecentWin && char2RecentWin) {
+            return 'celebration';
+        }
+
+        // If both lost recently, commiserate together
+        if (char1RecentLoss && char2RecentLoss) {
+            return 'commiseration';
+        }
+
+        // If one won and one lost, maybe general chat or betting talk
+        if ((char1RecentWin && char2RecentLoss) || (char1RecentLoss && char2RecentWin)) {
+            return this.conversationRandom() < 0.7 ? 'general' : 'betting';
+        }
+
+        // If characters are waiting or thinking, betting talk is more likely
+        if (char1.emotion.state === 'thinking' || char2.emotion.state === 'thinking' ||
+            char1.emotion.state === 'hopeful' || char2.emotion.state === 'hopeful' ||
+            char1.emotion.state === 'worried' || char2.emotion.state === 'worried') {
+            return this.conversationRandom() < 0.6 ? 'betting' : 'general';
+        }
+
+        // Default to general conversation or betting strategy
+        return this.conversationRandom() < 0.5 ? 'general' : 'betting';
+    }
+
+    /**
+     * Manual conversation test (can be called from console)
+     */
+    testConversation() {
+        this.log('🧪 Manual conversation test initiated...', 'info');
+        
+        // Clear cooldowns for testing
+        this.conversationCooldowns.clear();
+        
+        // Force a conversation between first two characters
+        const characterNames = Object.keys(this.characters);
+        if (characterNames.length >= 2) {
+            this.log(`🧪 Forcing conversation between ${characterNames[0]} and ${characterNames[1]}`, 'info');
+            this.startConversation(characterNames[0], characterNames[1]);
+        } else {
+            this.log('🧪 Not enough characters for conversation test', 'warning');
+        }
+    }
+
+    /**
+     * Debug character positions and states
+     */
+    debugCharacters() {
+        Object.keys(this.characters).forEach(name => {
+            const char = this.characters[name];
+            this.log(`🔍 ${name}: pos(${char.position.x.toFixed(1)}, ${char.position.z || 0}) state: ${char.state} emotion: ${char.emotion.state}`, 'info');
+        });
+    }
+}
@@ -0,0 +1,325 @@
+/**
+ * Tests for the headless simulation core, run against in-memory storage and fixture events
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationCore } from './simulation-core.js';
+import { MemoryStorage } from './storage-adapters.js';
+import { FixtureFileProvider } from './event-providers.js';
+import { BetState } from './bet-lifecycle.js';
+import { ENGINE_VERSION, formatReaction } from './betting-engine.js';
+import { Config } from './config.js';
+import { setColumnMapping } from './column-mapping.js';
+import { systemClock } from './virtual-clock.js';
+
+const timing = { walkTime: { min: 0, max: 0 }, placingTime: 0, reactionTime: 0 };
+
+/**
+ * Build a core that settles the given rows against fixture events
+ * @param {Array} rows - Bets table rows
+ * @param {Array} events - Fixture events (replace them with setEvents)
+ * @param {Object} options - Extra SimulationCore options
+ * @returns {Promise<Object>} { core, storage, setEvents }
+ */
+async function createCore(rows, events, options = {}) {
+    const storage = new MemoryStorage({ rows, onLog: () => {} });
+    await storage.connect();
+    const eventProvider = new FixtureFileProvider({ events });
+    const core = new SimulationCore({ timing, storage, eventProvider, config: new Config(), ...options });
+    await core.loadExistingBets();
+    return { core, storage, setEvents: next => eventProvider.setEvents(next) };
+}
+
+/**
+ * Feed every queued bet, then check the open ones
+ * @param {SimulationCore} core - Core with bets queued
+ */
+async function feedAll(core) {
+    while (core.currentBetIndex < core.betQueue.length) {
+        await core.checkForBets();
+    }
+    await core.checkActiveBets();
+}
+
+test('bets are fed, placed and settled without a page', async () => {
+    const { core, storage } = await createCore([
+        { id: 1, character: 'Ellie', stake: 100, price: 3, legs: [
+            { eventid: 101, price: 1.5, selection_combo: 'Home Win' },
+            { eventid: 102, price: 2, selection_combo: 'Home Win' }
+        ] },
+        { id: 2, character: 'Max', stake: 100, eventid: 101, price: 2.1, selection_combo: 'Away Win', bet_side: 'lay', exchange: true }
+    ], [
+        { eventid: 101, status: 'finished', score: '2 - 1' },
+        { eventid: 102, status: 'finished', score: '1 - 0' }
+    ]);
+
+    const placed = [];
+    const settled = [];
+    core.on('bet:placed', ({ bet }) => placed.push(bet.id));
+    core.on('bet:settled', ({ bet, payout }) => settled.push(`${bet.id} ${payout}`));
+    await feedAll(core);
+
+    assert.deepEqual(placed, [1, 2]);
+    assert.deepEqual(settled.sort(), ['1 300', '2 205']);
+    assert.equal(core.characters.Ellie.bankroll, 10200);
+    assert.equal(core.characters.Max.bankroll, 10095);
+    assert.equal(core.activeBets.size, 0);
+
+    const [accumulator, row] = await storage.fetchAllBets();
+    assert.equal(row.payout, 205);
+    assert.match(row.result, /^Win - Lay Away Win/);
+    assert.equal(row.final_score, '2-1');
+    assert.equal(row.engine_version, ENGINE_VERSION);
+    assert.equal(row.character_reaction, formatReaction(core.characters.Max.emotion));
+    assert.ok(row.placed_at && row.placed_at <= row.settled_at);
+    assert.equal(accumulator.final_score, '2-1, 1-0');
+});
+
+test('bets for characters not in the roster are skipped, not given to someone else', async () => {
+    const { core } = await createCore([
+        { id: 1, character: 'Zed', stake: 100, eventid: 101, price: 2, selection_combo: 'Home Win' },
+        { id: 2, character: "Max 'Stacks' Romano", stake: 100, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+
+    assert.deepEqual(core.betQueue.map(bet => `${bet.id} ${bet.character}`), ['2 Max']);
+    await core.runQueue();
+    assert.equal(core.characters.Benny.stats.totalBets, 0);
+    assert.equal(core.characters.Benny.bankroll, 10000);
+});
+
+test('bets are read and written through the column mapping', async () => {
+    setColumnMapping({ table: 'bets', columns: { character: 'extract_names', result: 'outcome', reaction: null } });
+    try {
+        const { core, storage } = await createCore([
+            { id: 1, extract_names: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+        ], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+        await core.runQueue();
+
+        assert.equal(core.characters.Max.bankroll, 10050);
+        const [row] = await storage.fetchAllBets();
+        assert.match(row.outcome, /^Win - Home Win/);
+        assert.equal(row.result, undefined);
+    } finally {
+        setColumnMapping(null);
+    }
+});
+
+test('bets on matches not yet finished stay open', async () => {
+    const { core, setEvents } = await createCore([
+        { id: 1, character: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'notstarted' }]);
+    await feedAll(core);
+
+    assert.equal(core.activeBets.size, 1);
+    assert.equal(core.characters.Max.bankroll, 9950);
+
+    setEvents([{ eventid: 101, status: 'finished', score: '0 - 0' }]);
+    await core.checkActiveBets();
+    assert.equal(core.activeBets.size, 0);
+    assert.equal(core.characters.Max.stats.totalLosses, 1);
+});
+
+test('bets move through their lifecycle as their match plays out', async () => {
+    const { core, setEvents } = await createCore([
+        { id: 1, character: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'notstarted' }]);
+
+    const moves = [];
+    core.on('bet:state', ({ from, to }) => moves.push(`${from} -> ${to}`));
+    await feedAll(core);
+
+    setEvents([{ eventid: 101, status: 'inprogress', score: '1 - 0', minute: 30 }]);
+    await core.checkActiveBets();
+    setEvents([{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+    await core.checkActiveBets();
+
+    assert.deepEqual(moves, [
+        'queued -> walking',
+        'walking -> placed',
+        'placed -> awaiting_kickoff',
+        'awaiting_kickoff -> in_play',
+        'in_play -> settled'
+    ]);
+    assert.equal(core.characters.Max.bankroll, 10050);
+});
+
+test('an in-play bet can be cashed out at its live value', async () => {
+    const { core } = await createCore([
+        { id: 1, character: 'Max', stake: 100, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'inprogress', score: '1 - 0', minute: 60 }]);
+    await feedAll(core);
+
+    const bet = core.activeBets.get(1);
+    assert.ok(bet.cashOutValue > 100 && bet.cashOutValue < 200);
+    const value = bet.cashOutValue;
+
+    assert.equal(await core.cashOutBet(1), true);
+    assert.equal(core.characters.Max.bankroll, 9900 + value);
+    assert.equal(core.characters.Max.stats.totalCashOuts, 1);
+    assert.equal(await core.cashOutBet(1), false);
+});
+
+test('characters cash out when their policy says so', async () => {
+    // Benny takes any profit once the bet is 75% likely to win
+    const { core } = await createCore([
+        { id: 1, character: 'Benny', stake: 100, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'inprogress', score: '1 - 0', minute: 60 }]);
+    await feedAll(core);
+
+    assert.equal(core.activeBets.size, 0);
+    assert.equal(core.characters.Benny.stats.totalCashOuts, 1);
+    assert.ok(core.characters.Benny.bankroll > 10000);
+});
+
+test('the same seed replays the same walk times', async () => {
+    const rows = [1, 2, 3].map(id => ({ id, character: 'Max', stake: 10, eventid: 101, price: 2, selection_combo: 'Home Win' }));
+
+    /**
+     * Feed the rows with the given seed and record every timer delay (walks, placing, reactions)
+     * @param {number|string} seed - Random seed
+     * @returns {Array} Delays in order
+     */
+    async function walkDelays(seed) {
+        const delays = [];
+        const clock = { ...systemClock, setTimeout: (callback, delay) => {
+            delays.push(delay);
+            return setTimeout(callback, 0);
+        } };
+        const { core } = await createCore(rows, [{ eventid: 101, status: 'notstarted' }], {
+            seed, clock, timing: { ...timing, walkTime: { min: 0, max: 50 } }
+        });
+        await feedAll(core);
+        return delays;
+    }
+
+    const delays = await walkDelays(99);
+    assert.equal(delays.filter(delay => delay > 0).length, 3);
+    assert.deepEqual(await walkDelays(99), delays);
+    assert.notDeepEqual(await walkDelays(100), delays);
+});
+
+test('reset replays the run from its seed', async () => {
+    const { core } = await createCore([], [], { seed: 'replay' });
+    const first = [core.random(), core.random()];
+
+    core.reset();
+    assert.equal(core.seed, 'replay');
+    assert.deepEqual([core.random(), core.random()], first);
+});
+
+test('settling a bet twice pays out once', async () => {
+    const { core } = await createCore([
+        { id: 1, character: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+
+    let settled = null;
+    core.on('bet:settled', ({ bet }) => { settled = bet; });
+    await core.runQueue();
+
+    await core.applySettlement(settled, core.characters.Max, settled.settlement);
+
+    assert.equal(core.characters.Max.bankroll, 10050);
+    assert.equal(core.characters.Max.stats.totalSettled, 1);
+    assert.equal(core.ledger.getEntries(1).length, 1);
+    assert.equal(settled.state, BetState.SETTLED);
+});
+
+test('a settlement the bets table refuses is logged and the character still settles down', async () => {
+    const { core, storage } = await createCore([
+        { id: 1, character: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+    storage.settleBet = async () => {
+        throw new Error('permission denied for table characters');
+    };
+
+    const errors = [];
+    core.on('log', ({ message, level }) => level === 'error' && errors.push(message));
+    await core.runQueue();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.equal(core.characters.Max.bankroll, 10050);
+    assert.equal(core.characters.Max.state, 'idle');
+    assert.deepEqual(errors, ['Error saving settlement of bet 1: permission denied for table characters']);
+});
+
+test('a corrected final score reverses the payout and settles again', async () => {
+    const { core, storage, setEvents } = await createCore([
+        { id: 1, character: 'Ellie', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+    await core.runQueue();
+    assert.equal(core.characters.Ellie.bankroll, 10050);
+
+    const amendments = [];
+    core.on('settlement:amended', amendment => amendments.push(amendment));
+    setEvents([{ eventid: 101, status: 'finished', score: '1 - 1' }]);
+    await core.checkSettledBets();
+
+    assert.equal(core.characters.Ellie.bankroll, 9950);
+    assert.equal(core.characters.Ellie.stats.totalWins, 0);
+    assert.equal(core.characters.Ellie.stats.totalLosses, 1);
+    assert.deepEqual(core.ledger.getEntries(1).map(entry => `${entry.type} ${entry.payout}`), [
+        'settlement 100', 'reversal -100', 'settlement 0'
+    ]);
+    assert.equal(amendments.length, 1);
+    assert.equal((await storage.fetchAllBets())[0].final_score, '1-1');
+
+    // The same score again changes nothing
+    await core.checkSettledBets();
+    assert.equal(core.ledger.getEntries(1).length, 3);
+});
+
+test('an amended result is not learned from or announced as a new settlement', async () => {
+    // Benny loses on -0.25, then the corrected draw makes it a half loss
+    const { core, setEvents } = await createCore([
+        { id: 1, character: 'Benny', stake: 100, eventid: 101, price: 2, selection_combo: 'Home Team', selection_line: -0.25 }
+    ], [{ eventid: 101, status: 'finished', score: '0 - 1' }]);
+
+    const settled = [];
+    core.on('bet:settled', ({ bet }) => settled.push(bet.id));
+    await core.runQueue();
+    assert.equal(core.strategies.Benny.lossStreak, 1);
+
+    setEvents([{ eventid: 101, status: 'finished', score: '1 - 1' }]);
+    await core.checkSettledBets();
+
+    assert.equal(core.ledger.getSettlement(1).payout, 50);
+    assert.equal(core.strategies.Benny.lossStreak, 1);
+    assert.deepEqual(settled, [1]);
+});
+
+test('a result set in the bets table is not overwritten by a score correction', async () => {
+    const { core, storage, setEvents } = await createCore([
+        { id: 1, character: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], [{ eventid: 101, status: 'finished', score: '1 - 0' }]);
+    await core.runQueue();
+
+    // Someone marks it lost by hand
+    await storage.settleBet(1, 'Loss', 0);
+    const [row] = await storage.fetchAllBets();
+    assert.equal(await core.syncBetRow(row), true);
+    assert.equal(core.ledger.getSettlement(1).label, 'Loss');
+
+    // Syncing the same row again, or one the simulation wrote, is a no-op
+    assert.equal(await core.syncBetRow(row), false);
+
+    setEvents([{ eventid: 101, status: 'finished', score: '2 - 0' }]);
+    await core.checkSettledBets();
+
+    assert.equal(core.ledger.getSettlement(1).label, 'Loss');
+    assert.equal(core.characters.Max.bankroll, 9950);
+});
+
+test('runQueue gives up when a check feeds nothing', async () => {
+    const { core } = await createCore([
+        { id: 1, character: 'Max', stake: 50, eventid: 101, price: 2, selection_combo: 'Home Win' }
+    ], []);
+
+    core.isCheckingBets = true;
+    await core.runQueue();
+    assert.equal(core.currentBetIndex, 0);
+
+    core.isCheckingBets = false;
+    assert.equal(await core.runQueue(), 1);
+    assert.equal(core.currentBetIndex, 1);
+});
@@ -1,43 +1,33 @@
 /**
  * Main Simulation Logic for WagerWire Betting Simulation
- * Orchestrates character management, bet processing, and real-time updates
+ * Browser front end for SimulationCore - owns the page, renderer and audio,
+ * and redraws them from the core's events
  */
 
 export class BettingSimulation {
     constructor() {
-        this.isRunning = false;
-        this.isPaused = false;
-        this.updateInterval = null;
-        this.updateFrequency = 15000; // 15 seconds instead of 30
-        this.lastUpdateTime = new Date().toISOString();
-        
-        // Character management
-        this.characters = {
-            'Benny': this.createCharacter('Benny'),
-            'Max': this.createCharacter('Max'),
-            'Ellie': this.createCharacter('Ellie')
-        };
+        // Display preferences (prices are always settled as decimals)
+        this.oddsFormat = window.wagerwireConfig ? window.wagerwireConfig.getOddsFormat() : 'decimal';
+        
+        // The bet lifecycle runs in the headless core - this class is one of its subscribers
+        this.core = new SimulationCore({
+            storage: this.createStorage(),
+            config: window.wagerwireConfig || null,
+            oddsFormat: this.oddsFormat,
+            seed: window.wagerwireConfig ? window.wagerwireConfig.seed : null
+        });
         
-        // Active bets tracking
-        this.activeBets = new Map();
+        // Backtest replaying the queue on a virtual clock, while one is running
+        this.backtest = null;
         
-        // Bet queue for feeding existing bets
-        this.betQueue = [];
-        this.currentBetIndex = 0;
+        // The session is saved as it changes so a reload picks up where it left off
+        this.sessionStore = new SessionStore();
+        this.saveTimer = null;
+        this.destroyed = false; // Set once the page is going, so nothing saves the stopped session over the running one
         
         // Renderer
         this.renderer = null;
         
-        // Conversation system
-        this.conversationHistory = [];
-        this.conversationCooldowns = new Map(); // Character pairs and their cooldown timers
-        this.conversationChance = 1; // 100% chance per check for nearby characters to talk
-        this.conversationRange = 100; // Distance for characters to interact (3D units) - increased from 25
-        this.conversationInterval = null; // Separate timer for conversation checking
-        
-        // Event API endpoint
-        this.eventApiEndpoint = 'https://us-central1-pachira-betform.cloudfunctions.net/sofascoreProxy/sofascore-event';
-        
         // Audio system
         this.audioEnabled = true;
         this.audioContext = null;
@@ -46,46 +36,214 @@ export class BettingSimulation {
         this.init();
     }
 
+    /**
+     * Characters live in the core - the renderers read them through window.simulation
+     */
+    get characters() {
+        return this.core.characters;
+    }
+
     /**
      * Initialize simulation
      */
     init() {
+        this.renderCharacterCards();
         this.setupEventListeners();
+        this.subscribeToCore();
         this.setupRenderer();
         this.setupLogging();
         this.setupAudio();
         this.updateUI();
         
         this.log('Simulation initialized', 'info');
+        this.log(`📡 Event data from ${this.core.eventProvider.describe()}`, 'info');
+        this.log(`🎲 Random seed: ${this.core.seed} - open the page with ?seed=${encodeURIComponent(this.core.seed)} to replay this run`, 'info');
+        
+        // Characters can bet on their own from a configured fixture list
+        if (window.wagerwireConfig && window.wagerwireConfig.fixturesUrl) {
+            this.loadFixtures(window.wagerwireConfig.fixturesUrl);
+        }
+        
+        // Offline storage is ready before the session resumes, so restored bets can be written back
+        this.connectStorage().finally(() => this.resumeSession());
     }
 
     /**
-     * Create a character object
-     * @param {string} name - Character name
-     * @returns {Object} Character object
+     * Create the configured bet storage
+     * Supabase is connected from the page; other adapters are created here with their rows
+     * saved alongside the session
+     * @returns {StorageAdapter} Bet storage
      */
-    createCharacter(name) {
-        const startingPosition = this.renderer ? 
-            this.renderer.getStartingPosition(name) : 
-            { x: 100, y: 100 };
-            
-        return {
-            name: name,
-            bankroll: 10000,
-            state: 'idle',
-            position: { ...startingPosition },
-            targetPosition: null,
-            emotion: { emoji: '😐', state: 'neutral', description: 'Ready to bet' },
-            activeBets: [],
-            stats: {
-                totalBets: 0,
-                totalWins: 0,
-                totalLosses: 0,
-                totalStaked: 0,
-                totalPayout: 0,
-                netProfit: 0
+    createStorage() {
+        const key = window.wagerwireConfig ? window.wagerwireConfig.storage : 'supabase';
+        if (key === 'supabase') {
+            return supabaseClient;
+        }
+        
+        const storage = createStorageAdapter(key, {
+            url: window.wagerwireConfig.storageSeedUrl,
+            store: new SessionStore({ key: 'bets' })
+        });
+        if (!storage) {
+            console.warn(`Unknown storage "${key}", using Supabase`);
+            return supabaseClient;
+        }
+        return storage;
+    }
+
+    /**
+     * Connect offline bet storage, which needs no credentials
+     * @returns {Promise<boolean>} True if storage is connected
+     */
+    async connectStorage() {
+        const storage = this.core.storage;
+        if (storage === supabaseClient || storage.isConnected()) {
+            return storage.isConnected();
+        }
+        
+        try {
+            await storage.connect();
+        } catch (error) {
+            this.log(`Error loading ${storage.describe()}: ${error.message}`, 'error');
+            return false;
+        }
+        
+        const statusEl = document.getElementById('connectionStatus');
+        statusEl.textContent = 'Offline storage';
+        statusEl.className = 'connection-status connected';
+        this.log(`🗄️ Bets stored in ${storage.describe()} - Connect to Supabase to switch to the live table`, 'info');
+        return true;
+    }
+
+    /**
+     * Pick up the session saved before the page was last closed, restarting it if it was running
+     * @returns {Promise<boolean>} True if a session was restored
+     */
+    async resumeSession() {
+        let snapshot;
+        try {
+            snapshot = await this.sessionStore.load();
+        } catch (error) {
+            this.log(`Error loading saved session: ${error.message}`, 'error');
+            return false;
+        }
+        
+        if (!snapshot || !await this.core.restoreSnapshot(snapshot)) {
+            this.log(`💾 Sessions are saved to ${this.sessionStore.describe()}`, 'info');
+            return false;
+        }
+        
+        // The renderer forked its streams from the seed this page started with
+        if (this.renderer) {
+            this.renderer.reset(this.core.random.fork('renderer'));
+        }
+        
+        // Show the conversations that were on screen, oldest first so the newest ends up on top
+        this.core.conversationHistory.slice(-5).forEach(conversation => this.displayConversation(conversation));
+        this.updateUI();
+        this.log(`💾 Resumed saved session (seed ${this.core.seed}) - use New Session to start over`, 'success');
+        
+        if (snapshot.isRunning) {
+            await this.start();
+        }
+        return true;
+    }
+
+    /**
+     * Save the session a moment after it changes, so bursts of changes are saved once
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveSession();
+        }, 1000);
+    }
+
+    /**
+     * Save the session now
+     * Backtests run on a virtual clock and are never saved
+     * @returns {Promise<void>}
+     */
+    async saveSession() {
+        // A torn-down simulation is stopped - saving it would stop it resuming on the next load
+        if (this.backtest || this.destroyed) return;
+        
+        try {
+            await this.sessionStore.save(this.core.getSnapshot());
+        } catch (error) {
+            this.log(`Error saving session: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Throw away the saved session and start over with a fresh seed (can be called from console)
+     * @returns {Promise<void>}
+     */
+    async newSession() {
+        if (this.backtest) {
+            this.backtest.stop();
+        }
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        try {
+            await this.sessionStore.clear();
+        } catch (error) {
+            this.log(`Error clearing saved session: ${error.message}`, 'error');
+        }
+        
+        // A seed from the page URL or config still applies, otherwise draw a new one
+        this.reset(window.wagerwireConfig ? window.wagerwireConfig.seed : null);
+        this.log(`🆕 New session started (seed ${this.core.seed})`, 'success');
+    }
+
+    /**
+     * Redraw the page, renderer and audio from simulation core events
+     */
+    subscribeToCore() {
+        this.core.on('log', ({ message, level }) => this.log(message, level));
+        
+        this.core.on('character:updated', ({ character, animate }) => {
+            if (animate && this.renderer) {
+                this.renderer.updateCharacter(character.name, character.state, character.emotion, character.position);
             }
-        };
+            this.updateCharacterUI(character);
+        });
+        
+        this.core.on('bet:new', (bet) => this.addBetToTicker(bet));
+        this.core.on('bets:changed', () => this.updateActiveBetsUI());
+        this.core.on('bet:state', () => this.updateActiveBetsUI());
+        this.core.on('poller:updated', (stats) => this.updatePollerStatusUI(stats));
+        this.core.on('live:status', (status) => this.updateLiveStatusUI(status));
+        this.core.on('bet:placed', () => this.playBeep(600, 150));
+        this.core.on('accumulator:progress', () => this.playBeep(700, 120));
+        
+        // Audio cues
+        this.core.on('bet:settled', ({ settlement }) => {
+            if (settlement.outcome === SettlementOutcome.WIN) this.playBeep(800, 200);
+            else if (settlement.outcome === SettlementOutcome.CASH_OUT) this.playBeep(650, 200);
+            else if (settlement.outcome === SettlementOutcome.LOSS) this.playBeep(300, 300);
+            else this.playBeep(500, 150);
+        });
+        
+        this.core.on('settlement:amended', (amendment) => {
+            this.addAmendmentToTicker(amendment);
+            this.playBeep(450, 250);
+        });
+        
+        this.core.on('conversation', (conversation) => this.displayConversation(conversation));
+        
+        // Save whenever money or bets move
+        ['bet:new', 'bet:state', 'bet:placed', 'bet:settled', 'settlement:amended', 'conversation'].forEach(event => {
+            this.core.on(event, () => this.scheduleSave());
+        });
+        
+        this.core.on('countdown', (seconds) => {
+            document.getElementById('nextUpdate').textContent = `Next update in: ${seconds}s`;
+        });
     }
 
     /**
@@ -96,6 +254,11 @@ export class BettingSimulation {
         document.getElementById('startBtn').addEventListener('click', () => this.start());
         document.getElementById('pauseBtn').addEventListener('click', () => this.pause());
         document.getElementById('resetBtn').addEventListener('click', () => this.reset());
+        document.getElementById('newSessionBtn').addEventListener('click', () => this.newSession());
+        
+        // Catch anything changed since the last save - the snapshot is taken straight away,
+        // but the write may not finish as the page goes, so starting also saves (see start)
+        window.addEventListener('pagehide', () => this.saveSession());
         
         // Supabase connection
         document.getElementById('connectBtn').addEventListener('click', () => this.connectToSupabase());
@@ -117,11 +280,40 @@ export class BettingSimulation {
             }
         });
         
+        // Backtest controls
+        const backtestSpeedSelect = document.getElementById('backtestSpeed');
+        backtestSpeedSelect.value = `${window.wagerwireConfig ? window.wagerwireConfig.backtestSpeed : 60}`;
+        backtestSpeedSelect.addEventListener('change', (e) => {
+            if (this.backtest) {
+                this.log(`Backtest speed set to ${this.backtest.setSpeed(e.target.value)}x`, 'info');
+            }
+        });
+        document.getElementById('backtestBtn').addEventListener('click', () => {
+            if (this.backtest) {
+                this.backtest.stop();
+            } else {
+                this.startBacktest();
+            }
+        });
+        
+        // Odds display format
+        const oddsFormatSelect = document.getElementById('oddsFormat');
+        oddsFormatSelect.value = this.oddsFormat;
+        oddsFormatSelect.addEventListener('change', (e) => this.setOddsFormat(e.target.value));
+        
+        // Cash-out buttons are re-rendered with the active bets list, so listen on the container
+        document.getElementById('activeBets').addEventListener('click', (e) => {
+            const button = e.target.closest('.cash-out-btn');
+            if (button) {
+                this.cashOutBet(button.dataset.betId);
+            }
+        });
+        
         // Show/hide clear button based on saved credentials
         this.updateCredentialUI();
         
-        // Supabase logging
-        window.addEventListener('supabase-log', (event) => {
+        // Bet storage logging
+        window.addEventListener('storage-log', (event) => {
             this.log(event.detail.message, event.detail.level);
         });
     }
@@ -146,11 +338,12 @@ export class BettingSimulation {
                     // Wait a moment for Three.js to fully load
                     setTimeout(() => {
                         try {
-                            this.renderer = new ThreeRenderer('threeContainer');
+                            this.renderer = new ThreeRenderer('threeContainer', { random: this.core.random.fork('renderer') });
                             this.rendererType = '3D';
                             this.log('Three.js 3D renderer initialized successfully', 'success');
                             
                             window.simulation = this; // Make simulation accessible to renderer
+                            this.core.world = this.renderer; // Characters walk between the renderer's positions
                             
                             // Create characters in the scene
                             Object.keys(this.characters).forEach(name => {
@@ -192,11 +385,12 @@ export class BettingSimulation {
         try {
             // Use fallback 2D renderer
             if (typeof FallbackRenderer !== 'undefined') {
-                this.renderer = new FallbackRenderer('threeContainer');
+                this.renderer = new FallbackRenderer('threeContainer', { random: this.core.random.fork('renderer') });
                 this.rendererType = '2D';
                 this.log('2D fallback renderer initialized successfully', 'success');
                 
                 window.simulation = this; // Make simulation accessible to renderer
+                this.core.world = this.renderer; // Characters walk between the renderer's positions
                 
                 // Create 2D characters
                 Object.keys(this.characters).forEach(name => {
@@ -213,19 +407,24 @@ export class BettingSimulation {
             this.log(`Both renderers failed: ${fallbackError.message}`, 'error');
             
             // Last resort: minimal renderer
+            let random = this.core.random.fork('renderer');
             this.renderer = {
                 getStartingPosition: (name) => ({ x: 0, y: 0, z: 0 }),
                 getBookiePosition: () => ({ x: 0, y: 0, z: 0 }),
-                getRandomPosition: () => ({ x: Math.random() * 100, y: 0, z: Math.random() * 100 }),
+                getRandomPosition: () => ({ x: random() * 100, y: 0, z: random() * 100 }),
                 updateCharacter: () => console.log(`Update character: ${arguments[0]} - ${arguments[1]}`),
                 createCharacter: () => console.log(`Create character: ${arguments[0]}`),
                 startRoaming: () => console.log('Start roaming'),
                 startWalkingFromBookie: () => console.log('Walking from bookie'),
                 addBetToTicker: (betText) => console.log(`Ticker: ${betText}`),
                 clearTicker: () => console.log('Ticker cleared'),
-                reset: () => console.log('Minimal renderer reset'),
+                reset: (next) => {
+                    random = next;
+                    console.log('Minimal renderer reset');
+                },
                 destroy: () => {}
             };
+            this.core.world = this.renderer;
             this.rendererType = 'minimal';
             this.log('Using minimal console-only renderer', 'warning');
             
@@ -296,6 +495,7 @@ export class BettingSimulation {
             const success = await supabaseClient.connect(url, key);
             
             if (success) {
+                this.core.setStorage(supabaseClient);
                 statusEl.textContent = 'Connected';
                 statusEl.className = 'connection-status connected';
                 connectBtn.textContent = 'Connected';
@@ -365,111 +565,157 @@ export class BettingSimulation {
         }
     }
 
+    /**
+     * Change how prices are displayed
+     * @param {string} format - Odds format key such as 'decimal' or 'american'
+     */
+    setOddsFormat(format) {
+        if (!isValidOddsFormat(format)) {
+            this.log(`Unknown odds format: ${format}`, 'error');
+            return;
+        }
+        
+        this.oddsFormat = format;
+        this.core.oddsFormat = format;
+        if (window.wagerwireConfig) {
+            window.wagerwireConfig.saveOddsFormat(format);
+        }
+        
+        // Re-render everything that shows a price
+        this.updateActiveBetsUI();
+        if (this.core.isRunning) {
+            this.populateTickerWithUpcomingBets();
+        }
+        
+        this.log(`Odds format set to ${format}`, 'info');
+    }
+
+    /**
+     * Format a decimal price for display in the current odds format
+     * @param {number|string} price - Decimal price
+     * @returns {string} Display price
+     */
+    formatPrice(price) {
+        return formatOdds(price, this.oddsFormat);
+    }
+
     /**
      * Start the simulation
      */
     async start() {
-        if (this.isRunning) {
-            this.log('Simulation is already running', 'warning');
-            return;
+        const started = await this.core.start();
+        if (!started) return;
+        
+        // Update UI
+        this.updateUI();
+        
+        // Save now rather than shortly, so a page closed straight after still resumes running
+        this.saveSession();
+        
+        // Populate ticker with actual upcoming bets from database
+        this.populateTickerWithUpcomingBets();
+    }
+
+    /**
+     * Replay the bet queue against recorded event timelines on a virtual clock (can be called from console)
+     * @param {Array|string} source - Timelines array, or a URL returning one as JSON (defaults to BACKTEST_TIMELINES_URL)
+     * @param {number} speed - Speed multiplier, 1x to 1000x (defaults to the speed picker)
+     * @returns {Promise<boolean>} True if the backtest started
+     */
+    async startBacktest(source = window.wagerwireConfig && window.wagerwireConfig.backtestTimelinesUrl, speed) {
+        if (this.backtest) {
+            this.log('A backtest is already running', 'warning');
+            return false;
         }
         
-        if (!supabaseClient.isConnected()) {
-            this.log('Please connect to Supabase first', 'error');
-            return;
+        if (!source) {
+            this.log('No event timelines to backtest against - pass them in or set BACKTEST_TIMELINES_URL', 'error');
+            return false;
         }
         
+        let backtest;
         try {
-            this.log('Starting simulation...', 'info');
-            
-            // Load existing bets into queue
-            const betCount = await this.loadExistingBets();
-            if (betCount === 0) {
-                this.log('No bets found to simulate', 'warning');
-                return;
+            let timelines = source;
+            if (typeof source === 'string') {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`Timelines request failed: ${response.status}`);
+                }
+                timelines = await response.json();
             }
             
-            this.isRunning = true;
-            this.isPaused = false;
-            
-            // Update UI
-            this.updateUI();
-            
-            // Start the update loop
-            this.startUpdateLoop();
-            
-            // Start conversation checking (more frequent than main loop)
-            this.startConversationChecking();
-            
-            // Do an immediate conversation check to test the system
-            setTimeout(() => {
-                this.log('🧪 Running initial conversation check...', 'info');
-                this.checkForConversations();
-            }, 2000);
-            
-            // Populate ticker with actual upcoming bets from database
-            this.populateTickerWithUpcomingBets();
-            
-            this.log(`Simulation started! Will process ${betCount} bets at 15-second intervals`, 'success');
-            
+            backtest = new Backtest(this.core, timelines, {
+                speed: speed ?? document.getElementById('backtestSpeed').value
+            });
         } catch (error) {
-            this.log(`Failed to start simulation: ${error.message}`, 'error');
+            this.log(`Error loading backtest timelines: ${error.message}`, 'error');
+            return false;
         }
+        
+        backtest.on('tick', (time) => this.updateBacktestClock(time));
+        backtest.on('stopped', () => {
+            this.backtest = null;
+            this.updateBacktestClock(null);
+            this.updateUI();
+        });
+        
+        if (!await backtest.start()) {
+            return false;
+        }
+        
+        this.backtest = backtest;
+        document.getElementById('backtestSpeed').value = `${backtest.speed}`;
+        this.updateBacktestClock(backtest.now());
+        this.updateUI();
+        this.populateTickerWithUpcomingBets();
+        return true;
+    }
+
+    /**
+     * Show the backtest's virtual time in the header
+     * @param {number|null} time - Virtual time, or null to hide the clock
+     */
+    updateBacktestClock(time) {
+        const clock = document.getElementById('backtestClock');
+        const button = document.getElementById('backtestBtn');
+        
+        if (time === null) {
+            clock.style.display = 'none';
+            button.textContent = 'Start Backtest';
+            return;
+        }
+        
+        const date = new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        clock.textContent = `⏱️ ${date} (${this.backtest ? this.backtest.speed : ''}x)`;
+        clock.style.display = '';
+        button.textContent = 'Stop Backtest';
     }
 
     /**
      * Pause simulation
      */
     pause() {
-        this.isPaused = !this.isPaused;
-        
         const pauseBtn = document.getElementById('pauseBtn');
         const statusText = document.getElementById('statusText');
         
-        if (this.isPaused) {
+        if (this.core.pause()) {
             pauseBtn.textContent = 'Resume';
             statusText.textContent = 'Paused';
-            this.log('Simulation paused', 'warning');
         } else {
             pauseBtn.textContent = 'Pause';
             statusText.textContent = 'Running';
-            this.log('Simulation resumed', 'info');
         }
     }
 
     /**
      * Reset simulation
+     * @param {number|string} seed - Seed for the next run (defaults to the current one)
      */
-    reset() {
+    reset(seed = this.core.seed) {
         this.log('Resetting simulation...', 'info');
         
-        // Stop simulation
-        this.isRunning = false;
-        this.isPaused = false;
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
-        }
-        if (this.conversationInterval) {
-            clearInterval(this.conversationInterval);
-            this.conversationInterval = null;
-        }
-        
-        // Reset characters
-        Object.keys(this.characters).forEach(name => {
-            this.characters[name] = this.createCharacter(name);
-        });
-        
-        // Clear active bets
-        this.activeBets.clear();
-        
-        // Clear bet queue
-        this.betQueue = [];
-        this.currentBetIndex = 0;
-        
-        // Clear conversation history
-        this.conversationHistory = [];
-        this.conversationCooldowns.clear();
+        // Reset characters, bets and conversations (loaded fixtures are kept)
+        this.core.reset(seed);
         
         // Clear conversation UI
         const conversationArea = document.getElementById('conversationArea');
@@ -477,13 +723,15 @@ export class BettingSimulation {
             conversationArea.innerHTML = '<div class="no-conversations">Characters will chat between bets...</div>';
         }
         
-        // Reset renderer
+        // Reset renderer, roaming on the new seed's streams
         if (this.renderer) {
-            this.renderer.reset();
+            this.renderer.reset(this.core.random.fork('renderer'));
         }
         
         // Update UI
         this.updateUI();
+        this.updateActiveBetsUI();
+        this.scheduleSave();
         
         this.log('Simulation reset', 'success');
     }
@@ -492,18 +740,8 @@ export class BettingSimulation {
      * Stop simulation
      */
     stop() {
-        this.isRunning = false;
-        this.isPaused = false;
-        
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
-        }
-        
-        if (this.conversationInterval) {
-            clearInterval(this.conversationInterval);
-            this.conversationInterval = null;
-        }
+        this.core.stop();
+        this.scheduleSave();
         
         // Update UI
         document.getElementById('startBtn').disabled = false;
@@ -514,63 +752,18 @@ export class BettingSimulation {
     }
 
     /**
-     * Start update loop
-     */
-    startUpdateLoop() {
-        let countdown = this.updateFrequency / 1000;
-        
-        const updateCountdown = () => {
-            if (!this.isRunning) return;
-            
-            document.getElementById('nextUpdate').textContent = 
-                `Next update in: ${countdown}s`;
-            
-            countdown--;
-            
-            if (countdown < 0) {
-                countdown = this.updateFrequency / 1000;
-                if (!this.isPaused) {
-                    this.checkForBets();
-                }
-            }
-        };
-        
-        this.updateInterval = setInterval(updateCountdown, 1000);
-        
-        // Also set up the main update interval
-        setInterval(() => {
-            if (this.isRunning && !this.isPaused) {
-                this.checkForBets();
-            }
-        }, this.updateFrequency);
-    }
-
-    /**
-     * Start conversation checking (more frequent than main betting loop)
-     */
-    startConversationChecking() {
-        // Check for conversations every 5 seconds (much more frequent than betting updates)
-        this.conversationInterval = setInterval(() => {
-            if (this.isRunning && !this.isPaused) {
-                this.checkForConversations();
-            }
-        }, 5000);
-        
-        this.log('💬 Conversation checking started (every 5 seconds)', 'info');
-    }
-
-    /**
-     * Insert test betting data into the characters table
+     * Insert test betting data into the bets table
      */
     async insertTestData() {
-        if (!supabaseClient.isConnected()) {
-            this.log('Please connect to Supabase first', 'error');
+        if (!this.core.isStorageConnected()) {
+            this.log('Please connect to bet storage first', 'error');
             return;
         }
 
         try {
             this.log('Inserting test betting data...', 'info');
             
+            // Written with the column mapping's names for each field
             const testBets = [
                 {
                     character: "Max 'Stacks' Romano",
@@ -578,9 +771,9 @@ export class BettingSimulation {
                     eventid: 12528892,
                     recommendation: "Back Galatasaray on Asian Handicap -0.5",
                     price: 1.86,
-                    selection_combo: "Asian Handicap",
-                    selection_line: -0.5,
-                    bet_time_score: "0-0"
+                    selection: "Asian Handicap",
+                    line: -0.5,
+                    betTimeScore: "0-0"
                 },
                 {
                     character: "Benny 'the Bankrupt' Doyle",
@@ -588,9 +781,9 @@ export class BettingSimulation {
                     eventid: 13635070,
                     recommendation: "Back Over 2.75 Goals at 1.86",
                     price: 1.86,
-                    selection_combo: "Over",
-                    selection_line: 2.75,
-                    bet_time_score: "0-0"
+                    selection: "Over",
+                    line: 2.75,
+                    betTimeScore: "0-0"
                 },
                 {
                     character: "Ellie 'EV' Tanaka",
@@ -598,9 +791,9 @@ export class BettingSimulation {
                     eventid: 12465926,
                     recommendation: "Back Over 4.75 Goals at 2.02",
                     price: 2.02,
-                    selection_combo: "Over",
-                    selection_line: 4.75,
-                    bet_time_score: "0-0"
+                    selection: "Over",
+                    line: 4.75,
+                    betTimeScore: "0-0"
                 },
                 {
                     character: "Max 'Stacks' Romano",
@@ -608,9 +801,9 @@ export class BettingSimulation {
                     eventid: 13139248,
                     recommendation: "Back Austria (Women) on Asian Handicap +1.25",
                     price: 1.78,
-                    selection_combo: "Asian Handicap",
-                    selection_line: 1.25,
-                    bet_time_score: "0-0"
+                    selection: "Asian Handicap",
+                    line: 1.25,
+                    betTimeScore: "0-0"
                 },
                 {
                     character: "Benny 'the Bankrupt' Doyle",
@@ -618,20 +811,13 @@ export class BettingSimulation {
                     eventid: 13366862,
                     recommendation: "Back Kerry FC on Asian Handicap -0.75",
                     price: 1.92,
-                    selection_combo: "Asian Handicap",
-                    selection_line: -0.75,
-                    bet_time_score: "0-0"
+                    selection: "Asian Handicap",
+                    line: -0.75,
+                    betTimeScore: "0-0"
                 }
-            ];
-
-            const { data, error } = await supabaseClient.client
-                .from('characters')
-                .insert(testBets)
-                .select();
+            ].map(fields => toBetRow(fields));
 
-            if (error) {
-                throw error;
-            }
+            const data = await this.core.storage.insertBets(testBets);
 
             this.log(`Successfully inserted ${data.length} test bets`, 'success');
             return data.length;
@@ -642,152 +828,20 @@ export class BettingSimulation {
     }
 
     /**
-     * Load all existing bets and queue them for simulation
+     * Load all existing bets from Supabase into the queue
+     * @returns {Promise<number>} Number of bets queued
      */
-    async loadExistingBets() {
-        if (!supabaseClient.isConnected()) {
-            this.log('Please connect to Supabase first', 'error');
-            return;
-        }
-
-        try {
-            this.log('Loading existing bets...', 'info');
-            
-            // Direct query to characters table
-            const { data, error, count } = await supabaseClient.client
-                .from('characters')
-                .select('*', { count: 'exact' })
-                .order('created_at', { ascending: true });
-
-            if (error) {
-                console.error('Supabase error:', error);
-                throw error;
-            }
-
-            this.log(`Characters table returned ${count} rows`, 'info');
-            
-            if (!data || data.length === 0) {
-                this.log('Characters table is empty. Would you like to insert test data?', 'warning');
-                this.log('Run: simulation.insertTestData() then simulation.start()', 'info');
-                return 0;
-            }
-
-            // Transform and queue the bets
-            this.betQueue = data.map((bet, index) => {
-                // Extract simple character name from full name
-                let characterName = 'Benny'; // default
-                if (bet.character) {
-                    if (bet.character.includes('Max') || bet.character.includes('Stacks')) {
-                        characterName = 'Max';
-                    } else if (bet.character.includes('Ellie') || bet.character.includes('EV')) {
-                        characterName = 'Ellie';
-                    } else if (bet.character.includes('Benny') || bet.character.includes('Bankrupt')) {
-                        characterName = 'Benny';
-                    }
-                }
-
-                return {
-                    id: bet.id,
-                    created_at: bet.created_at,
-                    character: characterName,
-                    stake: bet.stake || '100',
-                    eventid: bet.eventid,
-                    price: bet.price,
-                    selection_combo: bet.recommendation || bet.selection_combo || 'Unknown',
-                    selection_line: bet.selection_line || 0,
-                    bet_time_score: bet.bet_time_score || '0-0',
-                    result: null,
-                    originalData: bet
-                };
-            });
-
-            this.currentBetIndex = 0;
-            this.log(`Loaded ${this.betQueue.length} bets for simulation`, 'success');
-            
-            return this.betQueue.length;
-        } catch (error) {
-            this.log(`Error loading existing bets: ${error.message}`, 'error');
-            console.error('Full error:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Get the next bet from the queue
-     * @returns {Object|null} Next bet or null if queue is empty
-     */
-    getNextQueuedBet() {
-        if (this.currentBetIndex >= this.betQueue.length) {
-            this.log('All queued bets have been processed', 'info');
-            return null;
-        }
-
-        const bet = this.betQueue[this.currentBetIndex];
-        this.currentBetIndex++;
-        
-        this.log(`Feeding bet ${this.currentBetIndex}/${this.betQueue.length}: ${bet.character} - ${bet.selection_combo} ${bet.selection_line}`, 'info');
-        
-        return bet;
-    }
-
-    /**
-     * Check for new bets and process existing ones
-     */
-    async checkForBets() {
-        if (!supabaseClient.isConnected()) {
-            this.log('Not connected to Supabase', 'error');
-            return;
-        }
-        
-        try {
-            this.log('Checking for bets...', 'info');
-            
-            // Instead of fetching new bets, get the next queued bet
-            const nextBet = this.getNextQueuedBet();
-            
-            if (nextBet) {
-                await this.processNewBet(nextBet);
-                this.log(`Processed 1 queued bet`, 'info');
-            } else {
-                this.log(`No more queued bets to process`, 'info');
-            }
-            
-            // Check status of active bets
-            await this.checkActiveBets();
-            
-            // Update last check time
-            this.lastUpdateTime = new Date().toISOString();
-            
-        } catch (error) {
-            this.log(`Error checking bets: ${error.message}`, 'error');
-        }
+    loadExistingBets() {
+        return this.core.loadExistingBets();
     }
 
     /**
-     * Process a new bet
-     * @param {Object} bet - Bet object from database
+     * Load a fixture/odds list for character strategies to bet on (can be called from console)
+     * @param {Array|string} source - Fixtures array, or a URL returning one as JSON
+     * @returns {Promise<number>} Number of fixtures loaded
      */
-    async processNewBet(bet) {
-        const character = this.characters[bet.character];
-        if (!character) {
-            this.log(`Unknown character: ${bet.character}`, 'error');
-            return;
-        }
-        
-        this.log(`New bet for ${character.name}: ${bet.selection_combo} ${bet.selection_line}`, 'info');
-        
-        // Add bet to ticker tape
-        this.addBetToTicker(bet);
-        
-        // Add bet to active bets
-        this.activeBets.set(bet.id, bet);
-        character.activeBets.push(bet.id);
-        
-        // Start character walking to bookie
-        this.startWalkingToBookie(character, bet);
-        
-        // Update UI to show the new active bet
-        this.updateActiveBetsUI();
+    loadFixtures(source) {
+        return this.core.loadFixtures(source);
     }
 
     /**
@@ -804,10 +858,10 @@ export class BettingSimulation {
      */
     populateTickerWithUpcomingBets() {
         if (!this.renderer || !this.renderer.addBetToTicker) return;
-        if (!this.betQueue || this.betQueue.length === 0) return;
+        if (!this.core.betQueue || this.core.betQueue.length === 0) return;
         
         // Get upcoming bets (next 8-10 bets that haven't been processed yet)
-        const upcomingBets = this.betQueue.slice(this.currentBetIndex, this.currentBetIndex + 10);
+        const upcomingBets = this.core.betQueue.slice(this.core.currentBetIndex, this.core.currentBetIndex + 10);
         
         this.log(`Populating ticker with ${upcomingBets.length} upcoming bets from database`, 'info');
         
@@ -834,12 +888,8 @@ export class BettingSimulation {
         let tickerText = '';
         
         // Add character emoji
-        const characterEmojis = {
-            'Benny': '🅱️',
-            'Max': '🅜️',
-            'Ellie': '🅴️'
-        };
-        tickerText += characterEmojis[bet.character] || '⚡';
+        const rosterEntry = getRosterEntry(bet.character);
+        tickerText += rosterEntry ? rosterEntry.personality.tickerBadge : '⚡';
         
         // Add upcoming indicator
         if (isUpcoming) {
@@ -851,8 +901,21 @@ export class BettingSimulation {
         // Add character name
         tickerText += `${bet.character} - `;
         
+        // Lay bets are flagged so they stand out from back bets
+        if (bet.side === 'lay') {
+            tickerText += 'LAY ';
+        }
+        
         // Add selection info
-        if (bet.selection_combo && bet.selection_line !== undefined && bet.selection_line !== null) {
+        const canonical = normalizeSelectionCombo(bet.selection_combo);
+        if (bet.legs) {
+            tickerText += `${bet.legs.length}-Leg Acca`;
+        } else if (isLinelessMarket(canonical)) {
+            // 1X2, Draw No Bet, Double Chance and BTTS have no line to show
+            tickerText += canonical;
+        } else if (canonical === 'Correct Score') {
+            tickerText += `Correct Score ${bet.selection_line}`;
+        } else if (bet.selection_combo && bet.selection_line !== undefined && bet.selection_line !== null) {
             if (bet.selection_combo.toLowerCase().includes('over')) {
                 tickerText += `Over ${bet.selection_line} Goals`;
             } else if (bet.selection_combo.toLowerCase().includes('under')) {
@@ -878,14 +941,16 @@ export class BettingSimulation {
         
         // Add odds
         if (bet.price) {
-            tickerText += ` @ ${bet.price}`;
+            tickerText += ` @ ${this.formatPrice(bet.price)}`;
         }
         
         // Add stake
         if (bet.stake) {
             const stake = typeof bet.stake === 'string' ? 
                 parseFloat(bet.stake.replace(/[£$€,]/g, '')) : bet.stake;
-            tickerText += ` (£${stake})`;
+            tickerText += bet.side === 'lay'
+                ? ` (£${stake}, liability £${getLayLiability(stake, bet.price).toFixed(2)})`
+                : ` (£${stake})`;
         }
         
         // Add to ticker
@@ -899,348 +964,47 @@ export class BettingSimulation {
     }
 
     /**
-     * Start character walking to bookie
-     * @param {Object} character - Character object
-     * @param {Object} bet - Bet object
+     * Add a result amended after a corrected final score to the ticker tape
+     * @param {Object} amendment - { bet, character, previous, settlement, payout } from settlement:amended
      */
-    startWalkingToBookie(character, bet) {
-        character.state = 'walking_to_bookie';
-        character.targetPosition = this.renderer.getBookiePosition();
-        character.emotion = { emoji: '🚶', state: 'walking', description: 'Walking to bookie' };
-        
-        // Update 3D character animation
-        this.renderer.updateCharacter(character.name, 'walking_to_bookie', character.emotion, character.position);
-        
-        // Simulate walking time (2-5 seconds)
-        const walkTime = 2000 + Math.random() * 3000;
-        
-        setTimeout(async () => {
-            await this.placeBet(character, bet);
-        }, walkTime);
+    addAmendmentToTicker({ bet, character, previous, settlement, payout }) {
+        if (!this.renderer || !this.renderer.addBetToTicker) return;
         
-        this.updateCharacterUI(character);
+        const rosterEntry = getRosterEntry(character.name);
+        const badge = rosterEntry ? rosterEntry.personality.tickerBadge : '⚡';
+        this.renderer.addBetToTicker(
+            `${badge} RESULT AMENDED: ${character.name} - ${previous.outcome} → ${settlement.outcome} (£${previous.payout.toFixed(2)} → £${payout.toFixed(2)})`
+        );
     }
 
-    /**
-     * Place bet at bookie
-     * @param {Object} character - Character object
-     * @param {Object} bet - Bet object
-     */
-    async placeBet(character, bet) {
-        character.state = 'placing_bet';
-        character.emotion = { emoji: '💰', state: 'placing', description: 'Placing bet' };
-        
-        // Update 3D character animation
-        this.renderer.updateCharacter(character.name, 'placing_bet', character.emotion, character.position);
-        
-        // Deduct stake from bankroll - fix stake parsing
-        let stake = 0;
-        if (typeof bet.stake === 'string') {
-            // Remove any currency symbols and parse
-            stake = parseFloat(bet.stake.replace(/[£$€,]/g, '')) || 100;
-        } else if (typeof bet.stake === 'number') {
-            stake = bet.stake;
-        } else {
-            stake = 100; // Default stake
-        }
-        
-        // Store the parsed stake back in the bet object for later use
-        bet.parsedStake = stake;
-        
-        character.bankroll -= stake;
-        character.stats.totalStaked += stake;
-        character.stats.totalBets++;
-        
-        this.log(`${character.name} placed bet of £${stake}`, 'success');
-        
-        // Play bet placed sound
-        this.playBeep(600, 150);
-        
-        // Mark bet as placed in database (this now just logs)
-        try {
-            await supabaseClient.markBetPlaced(bet.id);
-        } catch (error) {
-            this.log(`Error marking bet as placed: ${error.message}`, 'error');
-        }
-        
-        // Return to starting position and wait for event to finish
-        setTimeout(() => {
-            character.state = 'idle';
-            character.position = this.renderer.getStartingPosition(character.name);
-            character.targetPosition = null;
-            character.emotion = { emoji: '🤞', state: 'waiting', description: 'Waiting for result' };
-            // Update 3D character to waiting state
-            this.renderer.updateCharacter(character.name, 'idle', character.emotion, character.position);
-            this.updateCharacterUI(character);
-        }, 1000);
-        
-        this.updateCharacterUI(character);
-    }
 
     /**
-     * Check status of active bets
+     * Close a live bet early at its current cash-out value (can be called from console)
+     * @param {string} betId - Bet ID
+     * @returns {Promise<boolean>} True if the bet was cashed out
      */
-    async checkActiveBets() {
-        if (this.activeBets.size === 0) {
-            return; // No active bets to check
-        }
-        
-        this.log(`Checking ${this.activeBets.size} active bets...`, 'info');
-        
-        for (const [betId, bet] of this.activeBets) {
-            try {
-                await this.checkBetStatus(bet);
-            } catch (error) {
-                this.log(`Error checking bet ${betId}: ${error.message}`, 'error');
-            }
-        }
+    cashOutBet(betId) {
+        return this.core.cashOutBet(betId);
     }
 
     /**
-     * Check individual bet status
-     * @param {Object} bet - Bet object
+     * Build a status card for each character in the roster
      */
-    async checkBetStatus(bet) {
-        if (!bet.eventid) {
-            this.log(`No event ID for bet ${bet.id}`, 'warning');
-            return;
-        }
-        
-        try {
-            // Fetch event status from API
-            this.log(`Checking event ${bet.eventid} status...`, 'info');
-            const response = await fetch(`${this.eventApiEndpoint}?eventId=${bet.eventid}`);
-            
-            if (!response.ok) {
-                this.log(`API request failed for event ${bet.eventid}: ${response.status}`, 'warning');
-                return;
-            }
-            
-            const eventData = await response.json();
-            
-            if (!eventData || eventData.length === 0) {
-                this.log(`No event data for event ${bet.eventid}`, 'warning');
-                return;
-            }
-            
-            const event = eventData[0];
-            const character = this.characters[bet.character];
-            
-            // Debug: Log the actual API response structure
-            console.log(`Event ${bet.eventid} data:`, event);
-            this.log(`Event ${bet.eventid} status: ${event.status}`, 'info');
-            
-            // Debug: Log score information for troubleshooting
-            if (event.score) {
-                this.log(`Event ${bet.eventid} has score field: "${event.score}"`, 'info');
-            } else if (event.homeScore !== undefined || event.awayScore !== undefined) {
-                this.log(`Event ${bet.eventid} has individual scores: ${event.homeScore}-${event.awayScore}`, 'info');
-            } else {
-                this.log(`Event ${bet.eventid} has no score information available`, 'warning');
-            }
-            
-            if (
-                (event.status === 'finished' && (event.score || event.homeScore !== undefined)) ||
-                event.status === 'canceled'
-            ) {
-                // Bet is finished, settle it
-                this.log(`Event ${bet.eventid} is finished, settling bet...`, 'info');
-                await this.settleBet(bet, event, character);
-            } else if (event.status === 'inprogress' && (event.score || event.homeScore !== undefined)) {
-                // Bet is in progress, update character emotion based on current prediction
-                this.log(`Event ${bet.eventid} is in progress, updating emotions...`, 'info');
-                this.updateInProgressBet(bet, event, character);
-            } else {
-                // Event hasn't started yet or no score available
-                this.log(`Event ${bet.eventid} hasn't started yet (status: ${event.status})`, 'info');
-                character.emotion = { emoji: '⏳', state: 'waiting', description: 'Waiting for match to start' };
-                this.updateCharacterUI(character);
-            }
-            
-        } catch (error) {
-            this.log(`Error fetching event data for ${bet.eventid}: ${error.message}`, 'error');
-        }
-    }
-
-    /**
-     * Settle a finished bet
-     * @param {Object} bet - Bet object
-     * @param {Object} event - Event data from API
-     * @param {Object} character - Character object
-     */
-    async settleBet(bet, event, character) {
-        // Use parsed stake if available
-        const stake = bet.parsedStake || 100;
-    
-        // 🛑 Handle canceled event as Push
-        if (event.status === 'canceled') {
-            this.log(`Event ${bet.eventid} was canceled. Marking bet as Push`, 'warning');
-    
-            const result = 'Push - Canceled Event';
-            const payout = stake;
-    
-            character.bankroll += payout;
-            character.stats.totalPayout += payout;
-            character.stats.totalBets++;
-    
-            character.emotion = getEmotionFromResult(result);
-            character.state = character.emotion.state;
-    
-            this.renderer.updateCharacter(character.name, character.state, character.emotion, character.position);
-    
-            this.activeBets.delete(bet.id);
-            character.activeBets = character.activeBets.filter(id => id !== bet.id);
-    
-            await supabaseClient.settleBet(bet.id, result, payout);
-    
-            // UI refresh
-            this.updateCharacterUI(character);
-            this.updateActiveBetsUI();
-    
-            return;
-        }
-    
-        // ✅ Regular settlement for finished event
-        let finalScore;
-        if (event.score) {
-            // API returns score as "5 - 0" format, normalize it to "5-0"
-            finalScore = event.score.replace(/\s+/g, '');
-        } else if (event.homeScore !== undefined && event.awayScore !== undefined) {
-            // Fallback to individual score fields
-            finalScore = `${event.homeScore}-${event.awayScore}`;
-        } else {
-            // Last resort fallback
-            finalScore = `${event.homeScore || 0}-${event.awayScore || 0}`;
-        }
-        this.log(`Settling bet for event ${bet.eventid}: Final score ${finalScore}`, 'info');
-    
-        // Extract selectionCombo (fallback if undefined)
-        let selectionCombo = bet.Bet_Selection || bet.bet_selection;
-        if (!selectionCombo) {
-            const rec = (bet.selection_combo || bet.recommendation || '').toLowerCase();
-            if (rec.includes('over')) selectionCombo = 'Over';
-            else if (rec.includes('under')) selectionCombo = 'Under';
-            else if (rec.includes('handicap') || rec.includes('home')) selectionCombo = bet.selection_line >= 0 ? 'Away Team' : 'Home Team';
-            else selectionCombo = 'Home Team';
-        }
-    
-        // Normalize common variants
-        if (selectionCombo === 'Home') selectionCombo = 'Home Team';
-        if (selectionCombo === 'Away') selectionCombo = 'Away Team';
-    
-        this.log(`Using selection: ${selectionCombo} with line ${bet.selection_line}`, 'info');
-    
-        const result = calculateEnhancedPredictedResult(
-            selectionCombo,
-            bet.selection_line,
-            bet.bet_time_score,
-            finalScore
-        );
-    
-        this.log(`Bet result calculated: ${result}`, 'info');
-    
-        const payout = calculatePayout(result, stake, bet.price);
-        this.log(`Payout: £${payout} from stake £${stake} @ ${bet.price}`, 'info');
-    
-        character.bankroll += payout;
-        character.stats.totalPayout += payout;
-        character.stats.totalBets++;
-        character.stats.netProfit = character.stats.totalPayout - character.stats.totalStaked;
-    
-        if (result.startsWith('Win')) character.stats.totalWins++;
-        if (result.startsWith('Loss')) character.stats.totalLosses++;
-    
-        character.emotion = getEmotionFromResult(result);
-        character.state = character.emotion.state;
-    
-        this.renderer.updateCharacter(character.name, character.state, character.emotion, character.position);
-    
-        // Audio cues
-        if (result.startsWith('Win')) this.playBeep(800, 200);
-        else if (result.startsWith('Loss')) this.playBeep(300, 300);
-        else this.playBeep(500, 150);
-    
-        // Cleanup
-        this.activeBets.delete(bet.id);
-        character.activeBets = character.activeBets.filter(id => id !== bet.id);
-    
-        await supabaseClient.settleBet(bet.id, result, payout);
-    
-        setTimeout(() => {
-            character.state = 'idle';
-            character.emotion = { emoji: '😐', state: 'neutral', description: 'Ready for next bet' };
-            this.renderer.updateCharacter(character.name, 'idle', character.emotion, character.position);
-            this.updateCharacterUI(character);
-        }, 5000);
-    
-        this.updateCharacterUI(character);
-        this.updateActiveBetsUI();
-    }
-
-    /**
-     * Update in-progress bet
-     * @param {Object} bet - Bet object
-     * @param {Object} event - Event data from API
-     * @param {Object} character - Character object
-     */
-    updateInProgressBet(bet, event, character) {
-        // Use YOUR betting engine to calculate current prediction
-        let currentScore;
-        if (event.score) {
-            // API returns score as "5 - 0" format, normalize it to "5-0"
-            currentScore = event.score.replace(/\s+/g, '');
-        } else if (event.homeScore !== undefined && event.awayScore !== undefined) {
-            // Fallback to individual score fields
-            currentScore = `${event.homeScore}-${event.awayScore}`;
-        } else {
-            // Last resort fallback
-            currentScore = `${event.homeScore || 0}-${event.awayScore || 0}`;
-        }
-        
-        this.log(`In-progress bet for event ${bet.eventid}: Current score ${currentScore}`, 'info');
-        
-        // Use the Bet_Selection field if available, otherwise try to map selection_combo
-        let selectionCombo = bet.Bet_Selection || bet.bet_selection;
-        
-        if (!selectionCombo) {
-            // Fallback: try to extract from selection_combo or recommendation
-            const rec = (bet.selection_combo || bet.recommendation || '').toLowerCase();
-            if (rec.includes('over')) {
-                selectionCombo = 'Over';
-            } else if (rec.includes('under')) {
-                selectionCombo = 'Under';
-            } else if (rec.includes('home') || rec.includes('handicap')) {
-                // For handicap bets, we need to determine home vs away
-                selectionCombo = bet.selection_line >= 0 ? 'Away Team' : 'Home Team';
-            } else {
-                selectionCombo = 'Home Team'; // Default fallback
-            }
-        }
-        
-        // Map common variations to expected format
-        if (selectionCombo === 'Home') selectionCombo = 'Home Team';
-        if (selectionCombo === 'Away') selectionCombo = 'Away Team';
-        
-        const prediction = calculateEnhancedPredictedResult(
-            selectionCombo,
-            bet.selection_line,
-            bet.bet_time_score,
-            currentScore
-        );
-        
-        this.log(`In-progress prediction: ${prediction}`, 'info');
-        
-        // Update character emotion based on prediction using YOUR emotion system
-        const emotion = getInProgressEmotion(prediction);
-        character.emotion = emotion;
-        character.state = emotion.state;
-        
-        // Update 3D character animation for in-progress state
-        this.renderer.updateCharacter(character.name, emotion.state, emotion, character.position);
-        
-        this.log(`${character.name} bet in progress: ${prediction}`, 'info');
-        
-        this.updateCharacterUI(character);
+    renderCharacterCards() {
+        const container = document.getElementById('characterCards');
+        if (!container) return;
+        
+        container.innerHTML = getRoster().map(entry => `
+            <div class="character-card" data-character="${entry.name}" title="${entry.personality.description}">
+                <div class="character-avatar" style="background: ${entry.color}">${entry.name[0]}</div>
+                <div class="character-info">
+                    <h4>${entry.name}</h4>
+                    <div class="bankroll">£<span class="amount">${entry.bankroll.toLocaleString()}</span></div>
+                    <div class="status">Idle</div>
+                    <div class="emotion">😐</div>
+                </div>
+            </div>
+        `).join('');
     }
 
     /**
@@ -1285,8 +1049,16 @@ export class BettingSimulation {
             'placing_bet': 'Placing bet',
             'joy': 'Celebrating win!',
             'anger': 'Lost bet',
+            'confident': 'Feeling confident',
             'hopeful': 'Feeling hopeful',
+            'nervous': 'Feeling nervous',
             'worried': 'Feeling worried',
+            'despairing': 'Needs a miracle',
+            'cashed_out': 'Cashed out',
+            'salvaged': 'Salvaged stake',
+            'tense': 'One goal away',
+            'excited': 'Acca legs landing',
+            'buzzing': 'One leg to go',
             'neutral': 'Neutral'
         };
         
@@ -1299,30 +1071,44 @@ export class BettingSimulation {
     updateActiveBetsUI() {
         const container = document.getElementById('activeBets');
         
-        if (this.activeBets.size === 0) {
+        if (this.core.activeBets.size === 0) {
             container.innerHTML = '<div class="no-bets">No active bets</div>';
             return;
         }
         
-        this.log(`Updating Active Bets UI with ${this.activeBets.size} bets`, 'info');
+        this.log(`Updating Active Bets UI with ${this.core.activeBets.size} bets`, 'info');
         
-        const betsHtml = Array.from(this.activeBets.values()).map(bet => {
+        const betsHtml = Array.from(this.core.activeBets.values()).map(bet => {
             const stake = bet.parsedStake || bet.stake || '100';
+            if (bet.legs) {
+                return this.renderAccumulatorBetItem(bet, stake);
+            }
+            const selection = isLinelessMarket(normalizeSelectionCombo(bet.selection_combo))
+                ? normalizeSelectionCombo(bet.selection_combo)
+                : `${bet.selection_combo} ${bet.selection_line}`;
+            const isLay = bet.side === 'lay';
+            const liability = bet.liability || getLayLiability(stake, bet.price);
             return `
-                <div class="bet-item">
+                <div class="bet-item ${isLay ? 'lay' : ''}">
                     <div class="bet-header">
                         <strong>${bet.character}</strong>
-                        <span>£${stake}</span>
+                        <span>${isLay ? `Liability £${liability.toFixed(2)}` : `£${stake}`}</span>
                     </div>
+                    ${this.renderBetState(bet)}
                     <div class="bet-details">
-                        ${bet.selection_combo} ${bet.selection_line} @ ${bet.price}
+                        ${isLay ? `<span class="bet-side-badge">LAY</span> £${stake} on ` : ''}${selection} @ ${this.formatPrice(bet.price)}
                     </div>
                     <div class="bet-event">
                         Event ID: ${bet.eventid}
                     </div>
                     <div class="bet-status">
-                        Status: Waiting for result...
+                        ${bet.liveProbability
+                            ? `Live: ${Math.round(bet.liveProbability.winProbability * 100)}% to win (${Math.round(bet.liveProbability.minute)}')`
+                            : 'Status: Waiting for result...'}
                     </div>
+                    ${bet.cashOutValue !== undefined ? `
+                        <button class="cash-out-btn" data-bet-id="${bet.id}">Cash out £${bet.cashOutValue.toFixed(2)}</button>
+                    ` : ''}
                 </div>
             `;
         }).join('');
@@ -1330,6 +1116,112 @@ export class BettingSimulation {
         container.innerHTML = betsHtml;
     }
 
+    /**
+     * Render a bet's lifecycle state, with its transition history as a tooltip
+     * @param {Object} bet - Bet object
+     * @returns {string} HTML for the state badge
+     */
+    renderBetState(bet) {
+        if (!bet.state) {
+            return '';
+        }
+        
+        const { secondsInState, history } = describeBetState(bet, this.core.clock.now());
+        const elapsed = secondsInState >= 60 ? `${Math.floor(secondsInState / 60)}m` : `${Math.max(0, secondsInState)}s`;
+        const tooltip = history
+            .map(entry => `${new Date(entry.at).toLocaleTimeString()} ${getStateLabel(entry.state)}${entry.reason ? ` - ${entry.reason}` : ''}`)
+            .join('\n');
+        
+        return `
+            <div class="bet-state ${bet.state}" title="${tooltip.replace(/"/g, '&quot;')}">
+                ${getStateLabel(bet.state)} · ${elapsed}
+            </div>
+        `;
+    }
+
+    /**
+     * Show the event poller's cache and backoff state under the active bets
+     * @param {Object} stats - Stats from EventCache.getStats
+     */
+    updatePollerStatusUI(stats) {
+        const container = document.getElementById('pollerStatus');
+        const lookups = stats.hits + stats.requests;
+        const hitRate = lookups > 0 ? Math.round(stats.hits / lookups * 100) : 0;
+        
+        const backoffHtml = stats.backingOff.map(entry => `
+            <div class="backoff" title="${entry.error}">
+                ⏳ Event ${entry.eventId}: ${entry.failures} failed request${entry.failures === 1 ? '' : 's'}, retrying in ${entry.retryIn}s
+            </div>
+        `).join('');
+        
+        container.innerHTML = `
+            <div>📡 ${stats.cached} event${stats.cached === 1 ? '' : 's'} cached · ${stats.inFlight} fetching · ${stats.queued} queued · ${hitRate}% from cache</div>
+            ${backoffHtml}
+        `;
+    }
+
+    /**
+     * Show whether new bets are arriving live from the bets table
+     * @param {Object} status - Live bet feed status (see LiveBetFeed.getStatus)
+     */
+    updateLiveStatusUI(status) {
+        const container = document.getElementById('liveStatus');
+        const received = `${status.inserts} new bet${status.inserts === 1 ? '' : 's'} received`;
+        const text = {
+            stopped: '📥 Live bets paused',
+            connecting: '📥 Live bets: connecting...',
+            realtime: `📥 Live bets: realtime · ${received}`,
+            polling: `📥 Live bets: polling (realtime down, ${status.failures} failed attempt${status.failures === 1 ? '' : 's'}) · ${received}`
+        };
+        
+        container.style.display = 'block';
+        container.className = `poller-status ${status.mode}`;
+        container.textContent = text[status.mode] || `📥 Live bets: ${status.mode}`;
+    }
+
+    /**
+     * Render an accumulator in the active bets panel
+     * @param {Object} bet - Bet object with a legs array
+     * @param {number|string} stake - Stake to display
+     * @returns {string} HTML for the bet item
+     */
+    renderAccumulatorBetItem(bet, stake) {
+        const legStatusIcons = {
+            [SettlementOutcome.WIN]: '✅',
+            [SettlementOutcome.HALF_WIN]: '✅',
+            [SettlementOutcome.PUSH]: '➖',
+            [SettlementOutcome.HALF_LOSS]: '❌',
+            [SettlementOutcome.LOSS]: '❌'
+        };
+        
+        const legsHtml = bet.legs.map(leg => {
+            const icon = leg.settlement ? legStatusIcons[leg.settlement.outcome] : '⏳';
+            const selection = isLinelessMarket(normalizeSelectionCombo(leg.selection_combo))
+                ? normalizeSelectionCombo(leg.selection_combo)
+                : `${leg.selection_combo} ${leg.selection_line}`;
+            return `<div class="bet-leg">${icon} ${selection} @ ${this.formatPrice(leg.price)} (Event ${leg.eventid})</div>`;
+        }).join('');
+        
+        return `
+            <div class="bet-item">
+                <div class="bet-header">
+                    <strong>${bet.character}</strong>
+                    <span>£${stake}</span>
+                </div>
+                ${this.renderBetState(bet)}
+                <div class="bet-details">
+                    ${bet.legs.length}-Leg Acca @ ${this.formatPrice(bet.price)}
+                </div>
+                <div class="bet-legs">
+                    ${legsHtml}
+                </div>
+                <div class="bet-status">
+                    Status: ${bet.legsWon || 0}/${bet.legs.length} legs won
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Update renderer status in UI
      */
@@ -1357,24 +1249,24 @@ export class BettingSimulation {
      */
     updateUI() {
         // Update control buttons
-        document.getElementById('startBtn').disabled = this.isRunning;
-        document.getElementById('pauseBtn').disabled = !this.isRunning || this.isPaused;
+        document.getElementById('startBtn').disabled = this.core.isRunning;
+        document.getElementById('pauseBtn').disabled = !this.core.isRunning || this.core.isPaused;
         document.getElementById('resetBtn').disabled = false;
         
         // Update status
         let status = 'Stopped';
-        if (this.isRunning && this.isPaused) {
+        if (this.core.isRunning && this.core.isPaused) {
             status = 'Paused';
-        } else if (this.isRunning) {
+        } else if (this.core.isRunning) {
             status = 'Running';
         }
         document.getElementById('statusText').textContent = status;
         
         // Update queue status
-        if (this.betQueue.length > 0) {
-            const remaining = this.betQueue.length - this.currentBetIndex;
+        if (this.core.betQueue.length > 0) {
+            const remaining = this.core.betQueue.length - this.core.currentBetIndex;
             document.getElementById('statusText').textContent = 
-                `${status} - ${remaining}/${this.betQueue.length} bets remaining`;
+                `${status} - ${remaining}/${this.core.betQueue.length} bets remaining`;
         }
         
         // Update character cards
@@ -1436,12 +1328,19 @@ export class BettingSimulation {
      * Cleanup simulation
      */
     destroy() {
+        // Record the session as it is before stopping it tears it down
+        this.saveSession();
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.destroyed = true;
+        
         this.stop();
+        this.core.destroy();
         if (this.renderer) {
             this.renderer.destroy();
         }
-        if (supabaseClient.isConnected()) {
-            supabaseClient.disconnect();
+        if (this.core.storage && this.core.storage.isConnected()) {
+            this.core.storage.disconnect();
         }
     }
 
@@ -1452,7 +1351,7 @@ export class BettingSimulation {
         try {
             const count = await this.loadExistingBets();
             console.log(`Loaded ${count} bets into queue`);
-            console.log('Preview of first 5 bets:', this.betQueue.slice(0, 5));
+            console.log('Preview of first 5 bets:', this.core.betQueue.slice(0, 5));
             console.log('Call simulation.start() to begin feeding bets every 15 seconds');
             return count;
         } catch (error) {
@@ -1465,12 +1364,7 @@ export class BettingSimulation {
      * Get queue status (can be called from console)
      */
     getQueueStatus() {
-        return {
-            totalBets: this.betQueue.length,
-            processed: this.currentBetIndex,
-            remaining: this.betQueue.length - this.currentBetIndex,
-            nextBet: this.currentBetIndex < this.betQueue.length ? this.betQueue[this.currentBetIndex] : null
-        };
+        return this.core.getQueueStatus();
     }
 
     /**
@@ -1538,312 +1432,6 @@ export class BettingSimulation {
         }
     }
 
-    // ===========================================
-    // CONVERSATION SYSTEM
-    // ===========================================
-
-    /**
-     * Conversation topics and dialogue
-     */
-    getConversationTopics() {
-        return {
-            general: {
-                title: "General Chat",
-                class: "general",
-                dialogues: [
-                    { 
-                        starter: "{character1}", 
-                        text: "Beautiful day for some betting, eh {character2}?",
-                        response: "Absolutely! Though I hope my luck is better today than yesterday."
-                    },
-                    { 
-                        starter: "{character1}", 
-                        text: "How's your bankroll looking, {character2}?",
-                        response: "Could be better, but I'm still in the game. You?"
-                    },
-                    { 
-                        starter: "{character1}", 
-                        text: "Seen any good odds lately?",
-                        response: "I've been watching the Asian Handicap markets. Some real value there."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "This weather is perfect for outdoor matches!",
-                        response: "True! I always feel like over bets hit more on sunny days."
-                    }
-                ]
-            },
-            betting: {
-                title: "Betting Strategy",
-                class: "betting",
-                dialogues: [
-                    {
-                        starter: "{character1}",
-                        text: "I'm thinking of backing the underdog today. What do you think?",
-                        response: "Risky move! But sometimes the biggest upsets come from nowhere."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "Asian Handicap or straight win? I can't decide...",
-                        response: "Handicap gives you better value, but straight wins are easier to predict."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "Over/Under markets are looking juicy today!",
-                        response: "I love totals betting! Much easier than picking winners sometimes."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "Should I hedge my position or let it ride?",
-                        response: "Depends on your risk tolerance. I usually let winners run!"
-                    }
-                ]
-            },
-            celebration: {
-                title: "Celebrating Wins",
-                class: "celebration",
-                dialogues: [
-                    {
-                        starter: "{character1}",
-                        text: "Yes! That Over 2.5 just hit in the 89th minute!",
-                        response: "Nice one! Those late goals are the best feeling in the world!"
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "My handicap bet is looking great so far!",
-                        response: "Nothing beats that feeling when your pick is ahead early!"
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "Three wins in a row! I'm on fire today!",
-                        response: "Keep that momentum going! Though don't get too cocky..."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "The odds were against me but I knew it would hit!",
-                        response: "That's the beauty of betting - sometimes gut feelings pay off big!"
-                    }
-                ]
-            },
-            commiseration: {
-                title: "Bad Luck",
-                class: "commiseration",
-                dialogues: [
-                    {
-                        starter: "{character1}",
-                        text: "Can you believe that? Lost by half a goal...",
-                        response: "Oof, that's the worst! Asian Handicap losses sting the most."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "My Over bet would have hit if not for that red card!",
-                        response: "Red cards kill so many Over bets. Just bad luck, mate."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "I'm having the worst run of luck this week...",
-                        response: "We've all been there. Sometimes you just have to ride out the storm."
-                    },
-                    {
-                        starter: "{character1}",
-                        text: "That was such an obvious fix! No way that was natural!",
-                        response: "Ha! We all blame corruption when our bets don't hit. It happens!"
-                    }
-                ]
-            }
-        };
-    }
-
-    /**
-     * Check for nearby characters and potentially start conversations
-     */
-    checkForConversations() {
-        if (!this.renderer) {
-            this.log('No renderer available for conversation checking', 'warning');
-            return;
-        }
-
-        const characterNames = Object.keys(this.characters);
-        const now = Date.now();
-
-        this.log(`🔍 Checking conversations for ${characterNames.length} characters...`, 'info');
-
-        // Check all character pairs
-        for (let i = 0; i < characterNames.length; i++) {
-            for (let j = i + 1; j < characterNames.length; j++) {
-                const char1Name = characterNames[i];
-                const char2Name = characterNames[j];
-                const char1 = this.characters[char1Name];
-                const char2 = this.characters[char2Name];
-
-                // Debug: Log character positions and states
-                this.log(`📍 ${char1Name}: pos(${char1.position.x.toFixed(1)}, ${char1.position.z || 0}) state: ${char1.state}`, 'info');
-                this.log(`📍 ${char2Name}: pos(${char2.position.x.toFixed(1)}, ${char2.position.z || 0}) state: ${char2.state}`, 'info');
-
-                // Skip if either character is busy with betting activities
-                if (this.isCharacterBusy(char1) || this.isCharacterBusy(char2)) {
-                    this.log(`⏸️ ${char1Name} or ${char2Name} is busy (${char1.state}, ${char2.state})`, 'info');
-                    continue;
-                }
-
-                // Check cooldown (characters can't chat too frequently)
-                const pairKey = [char1Name, char2Name].sort().join('-');
-                const lastConversation = this.conversationCooldowns.get(pairKey) || 0;
-                const timeSinceLastChat = now - lastConversation;
-                if (timeSinceLastChat < 10000) { // 10 second cooldown (reduced from 30)
-                    this.log(`🕒 ${char1Name}-${char2Name} still on cooldown (${(10000 - timeSinceLastChat)/1000}s remaining)`, 'info');
-                    continue;
-                }
-
-                // Check if characters are close enough to chat
-                const distance = this.getCharacterDistance(char1, char2);
-                this.log(`📏 Distance between ${char1Name} and ${char2Name}: ${distance.toFixed(1)} units (max: ${this.conversationRange})`, 'info');
-                
-                if (this.areCharactersNearby(char1, char2)) {
-                    this.log(`✅ ${char1Name} and ${char2Name} are close enough to chat!`, 'success');
-                    // Random chance for conversation
-                    if (Math.random() < this.conversationChance) {
-                        this.log(`🎲 Conversation chance hit! Starting conversation...`, 'success');
-                        this.startConversation(char1Name, char2Name);
-                        this.conversationCooldowns.set(pairKey, now);
-                    } else {
-                        this.log(`🎲 Conversation chance missed (${(this.conversationChance * 100)}%)`, 'info');
-                    }
-                } else {
-                    this.log(`❌ ${char1Name} and ${char2Name} are too far apart for conversation`, 'info');
-                }
-            }
-        }
-    }
-
-    /**
-     * Check if character is busy with betting activities
-     */
-    isCharacterBusy(character) {
-        // Only consider characters busy if they're actively betting - allow conversations during emotions
-        const busyStates = ['walking_to_bookie', 'placing_bet'];
-        const isBusy = busyStates.includes(character.state);
-        
-        // Debug log for troubleshooting
-        if (isBusy) {
-            this.log(`🚫 ${character.name} is busy: ${character.state}`, 'info');
-        }
-        
-        return isBusy;
-    }
-
-    /**
-     * Get distance between two characters
-     */
-    getCharacterDistance(char1, char2) {
-        if (!char1.position || !char2.position) return Infinity;
-
-        const dx = char1.position.x - char2.position.x;
-        const dz = (char1.position.z || 0) - (char2.position.z || 0);
-        return Math.sqrt(dx * dx + dz * dz);
-    }
-
-    /**
-     * Check if two characters are close enough to have a conversation
-     */
-    areCharactersNearby(char1, char2) {
-        const distance = this.getCharacterDistance(char1, char2);
-        return distance <= this.conversationRange;
-    }
-
-    /**
-     * Start a conversation between two characters
-     */
-    startConversation(char1Name, char2Name) {
-        const char1 = this.characters[char1Name];
-        const char2 = this.characters[char2Name];
-
-        // Determine conversation topic based on character states and recent history
-        const topic = this.selectConversationTopic(char1, char2);
-        const topicData = this.getConversationTopics()[topic];
-        
-        // Select random dialogue from topic
-        const dialogue = topicData.dialogues[Math.floor(Math.random() * topicData.dialogues.length)];
-        
-        // Replace placeholders with character names
-        let starter = dialogue.starter.replace('{character1}', char1Name).replace('{character2}', char2Name);
-        let text = dialogue.text.replace('{character1}', char1Name).replace('{character2}', char2Name);
-        let response = dialogue.response.replace('{character1}', char1Name).replace('{character2}', char2Name);
-
-        // Determine who starts the conversation
-        let starterName, responderName;
-        if (starter.includes(char1Name) || Math.random() < 0.5) {
-            starterName = char1Name;
-            responderName = char2Name;
-        } else {
-            starterName = char2Name;
-            responderName = char1Name;
-        }
-
-        // Create conversation object
-        const conversation = {
-            id: Date.now(),
-            participants: [starterName, responderName],
-            topic: topic,
-            topicTitle: topicData.title,
-            topicClass: topicData.class,
-            starter: starterName,
-            text: text,
-            response: response,
-            timestamp: new Date()
-        };
-
-        // Add to conversation history
-        this.conversationHistory.push(conversation);
-
-        // Keep only last 10 conversations
-        if (this.conversationHistory.length > 10) {
-            this.conversationHistory.shift();
-        }
-
-        // Display conversation in UI
-        this.displayConversation(conversation);
-
-        // Log the conversation
-        this.log(`💬 ${starterName} & ${responderName} chatting about ${topicData.title.toLowerCase()}`, 'info');
-    }
-
-    /**
-     * Select appropriate conversation topic based on character states
-     */
-    selectConversationTopic(char1, char2) {
-        // Check recent bet outcomes for celebration/commiseration topics
-        const char1RecentWin = char1.emotion.state === 'joy' || char1.emotion.state === 'relief';
-        const char2RecentWin = char2.emotion.state === 'joy' || char2.emotion.state === 'relief';
-        const char1RecentLoss = char1.emotion.state === 'anger' || char1.emotion.state === 'annoyed';
-        const char2RecentLoss = char2.emotion.state === 'anger' || char2.emotion.state === 'annoyed';
-
-        // If both won recently, celebrate together
-        if (char1RecentWin && char2RecentWin) {
-            return 'celebration';
-        }
-
-        // If both lost recently, commiserate together
-        if (char1RecentLoss && char2RecentLoss) {
-            return 'commiseration';
-        }
-
-        // If one won and one lost, maybe general chat or betting talk
-        if ((char1RecentWin && char2RecentLoss) || (char1RecentLoss && char2RecentWin)) {
-            return Math.random() < 0.7 ? 'general' : 'betting';
-        }
-
-        // If characters are waiting or thinking, betting talk is more likely
-        if (char1.emotion.state === 'thinking' || char2.emotion.state === 'thinking' ||
-            char1.emotion.state === 'hopeful' || char2.emotion.state === 'hopeful' ||
-            char1.emotion.state === 'worried' || char2.emotion.state === 'worried') {
-            return Math.random() < 0.6 ? 'betting' : 'general';
-        }
-
-        // Default to general conversation or betting strategy
-        return Math.random() < 0.5 ? 'general' : 'betting';
-    }
-
     /**
      * Display conversation in UI
      */
@@ -1862,8 +1450,8 @@ export class BettingSimulation {
         conversationEl.className = 'conversation-item';
         conversationEl.innerHTML = `
             <div class="conversation-avatars">
-                <div class="conversation-avatar ${conversation.participants[0].toLowerCase()}">${conversation.participants[0][0]}</div>
-                <div class="conversation-avatar ${conversation.participants[1].toLowerCase()}">${conversation.participants[1][0]}</div>
+                <div class="conversation-avatar" style="background: ${getCharacterColor(conversation.participants[0])}">${conversation.participants[0][0]}</div>
+                <div class="conversation-avatar" style="background: ${getCharacterColor(conversation.participants[1])}">${conversation.participants[1][0]}</div>
             </div>
             <div class="conversation-content">
                 <div class="conversation-topic ${conversation.topicClass}">${conversation.topicTitle}</div>
@@ -1887,61 +1475,21 @@ export class BettingSimulation {
         // Auto-scroll to show new conversation
         conversationArea.scrollTop = 0;
     }
-
     /**
      * Manual conversation test (can be called from console)
      */
     testConversation() {
-        this.log('🧪 Manual conversation test initiated...', 'info');
-        
-        // Clear cooldowns for testing
-        this.conversationCooldowns.clear();
-        
-        // Force a conversation between first two characters
-        const characterNames = Object.keys(this.characters);
-        if (characterNames.length >= 2) {
-            this.log(`🧪 Forcing conversation between ${characterNames[0]} and ${characterNames[1]}`, 'info');
-            this.startConversation(characterNames[0], characterNames[1]);
-        } else {
-            this.log('🧪 Not enough characters for conversation test', 'warning');
-        }
+        this.core.testConversation();
     }
 
     /**
      * Debug character positions and states
      */
     debugCharacters() {
-        Object.keys(this.characters).forEach(name => {
-            const char = this.characters[name];
-            this.log(`🔍 ${name}: pos(${char.position.x.toFixed(1)}, ${char.position.z || 0}) state: ${char.state} emotion: ${char.emotion.state}`, 'info');
-        });
+        this.core.debugCharacters();
     }
 }
 
-// Initialize simulation when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Wait a bit to ensure all scripts are loaded
-    setTimeout(() => {
-        try {
-            console.log('Initializing BettingSimulation...');
-            console.log('THREE available:', typeof THREE !== 'undefined');
-            console.log('ThreeRenderer available:', typeof ThreeRenderer !== 'undefined');
-            
-            window.simulation = new BettingSimulation();
-            console.log('BettingSimulation initialized successfully');
-        } catch (error) {
-            console.error('Error initializing simulation:', error);
-            
-            // Show error in UI
-            const statusText = document.getElementById('statusText');
-            if (statusText) {
-                statusText.textContent = 'Initialization failed - check console';
-                statusText.style.color = 'red';
-            }
-        }
-    }, 200);
-});
-
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
     if (window.simulation) {
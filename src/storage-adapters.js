@@ -0,0 +1,394 @@
+/**
+ * Bet Storage Adapters for WagerWire Simulation
+ * The simulation reads and writes the bets table through an adapter, so it can run against
+ * a live Supabase project (SupabaseClient) or entirely offline from memory (MemoryStorage).
+ *
+ * Every adapter supports:
+ *   connect(...)               - Supabase takes (url, anonKey), memory loads its seed rows
+ *   fetchAllBets()             - Every row, oldest first
+ *   fetchNewBets(since)        - Unsettled rows for the roster's characters created after an ISO time
+ *   fetchBetsById(ids)         - The rows with these ids, as they are now
+ *   insertBets(rows)           - Add rows, returning them with their ids
+ *   markBetPlaced(betId, { placedAt })
+ *   settleBet(betId, result, payout, { settledAt, finalScore, reaction, engineVersion })
+ *   updateCharacterReaction(betId, reaction)
+ *   subscribeToChanges(callback, onStatus) - callback({ eventType: 'INSERT' | 'UPDATE' | 'DELETE', new, old, table });
+ *                                  onStatus(status, error) with SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT or CLOSED;
+ *                                  returns a subscription with unsubscribe()
+ *
+ * Seed files for the memory adapter are a JSON array of bets table rows, e.g. a Supabase export.
+ * Table and column names come from the column mapping (see column-mapping.js).
+ */
+
+import { findCharacterName } from './roster.js';
+import { getColumnMapping, getColumn, toBetRow } from './column-mapping.js';
+import { systemClock } from './virtual-clock.js';
+
+/**
+ * Check whether a bets table row belongs to a character in the roster
+ * @param {Object} row - Bets table row
+ * @returns {boolean} True if the character column matches someone in the roster
+ */
+function isRosterBet(row) {
+    return findCharacterName(row[getColumn('character')]) !== null;
+}
+
+/**
+ * Base storage adapter
+ * Subclasses implement the bets table operations listed above
+ */
+export class StorageAdapter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onLog - Receives (message, level) instead of the console and page log
+     */
+    constructor(options = {}) {
+        this.onLog = options.onLog || null;
+        this.connected = false;
+    }
+
+    /**
+     * Describe where bets are stored, for the log
+     * @returns {string} Description
+     */
+    describe() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Check if the storage is ready to use
+     * @returns {boolean} Connection status
+     */
+    isConnected() {
+        return this.connected;
+    }
+
+    /**
+     * Stop using the storage
+     */
+    disconnect() {
+        this.connected = false;
+    }
+
+    async fetchAllBets() {
+        throw new Error(`${this.constructor.name} does not implement fetchAllBets`);
+    }
+
+    async fetchNewBets(lastCheckTime) {
+        throw new Error(`${this.constructor.name} does not implement fetchNewBets`);
+    }
+
+    async fetchBetsById(ids) {
+        throw new Error(`${this.constructor.name} does not implement fetchBetsById`);
+    }
+
+    async insertBets(rows) {
+        throw new Error(`${this.constructor.name} does not implement insertBets`);
+    }
+
+    async markBetPlaced(betId, details = {}) {
+        throw new Error(`${this.constructor.name} does not implement markBetPlaced`);
+    }
+
+    async settleBet(betId, result, payout = 0, details = {}) {
+        throw new Error(`${this.constructor.name} does not implement settleBet`);
+    }
+
+    /**
+     * Save a character's latest reaction to their bet
+     * Optional - storage without anywhere to keep reactions can leave this as it is
+     * @returns {Promise<boolean>} True if the reaction was saved
+     */
+    async updateCharacterReaction(betId, reaction) {
+        return false;
+    }
+
+    subscribeToChanges(callback, onStatus) {
+        throw new Error(`${this.constructor.name} does not implement subscribeToChanges`);
+    }
+
+    /**
+     * Log message with timestamp
+     * @param {string} message - Log message
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        if (this.onLog) {
+            this.onLog(message, level);
+            return;
+        }
+
+        const timestamp = new Date().toLocaleTimeString();
+        console.log(`[${timestamp}] ${message}`);
+
+        // Dispatch custom event for UI logging
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('storage-log', {
+                detail: { message, level, timestamp }
+            }));
+        }
+    }
+}
+
+/**
+ * Bets table kept in memory, seeded from rows or a JSON file
+ * Pass a store (e.g. a SessionStore) to keep the rows across page reloads
+ */
+export class MemoryStorage extends StorageAdapter {
+    /**
+     * @param {Object} options
+     * @param {Array} options.rows - Rows to seed the table with
+     * @param {string} options.url - Or a JSON file of rows to seed it from
+     * @param {Function} options.fetch - fetch implementation for the URL
+     * @param {Object} options.store - Saves the rows between sessions: { load(), save(rows), clear() } (optional)
+     * @param {Object} options.clock - Time source for created_at, and placed_at and settled_at when they aren't given
+     * @param {Function} options.onLog - Receives (message, level)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.seedRows = options.rows || null;
+        this.url = options.url || null;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.store = options.store || null;
+        this.clock = options.clock || systemClock;
+        this.rows = [];
+        this.nextId = 1;
+        this.subscribers = new Set();
+    }
+
+    describe() {
+        if (this.url) return `offline bets table from ${this.url}`;
+        return 'offline bets table';
+    }
+
+    /**
+     * Name of the table the rows stand in for
+     */
+    get tableName() {
+        return getColumnMapping().table;
+    }
+
+    /**
+     * Load the table - saved rows if the store has any, otherwise the seed rows
+     * @returns {Promise<boolean>} True once connected
+     */
+    async connect() {
+        let rows = this.store ? await this.store.load() : null;
+        let source = 'saved rows';
+
+        if (!rows) {
+            rows = this.seedRows || [];
+            source = 'seed rows';
+            if (!this.seedRows && this.url) {
+                const response = await this.fetch(this.url);
+                if (!response.ok) {
+                    throw new Error(`Bets file request failed: ${response.status}`);
+                }
+                rows = await response.json();
+                source = this.url;
+            }
+        }
+
+        if (!Array.isArray(rows)) {
+            throw new Error('Bets file must contain a list of rows');
+        }
+
+        const idColumn = getColumn('id');
+        this.rows = rows.map(row => ({ ...row }));
+        this.nextId = this.rows.reduce((max, row) => Math.max(max, parseInt(row[idColumn], 10) || 0), 0) + 1;
+        this.connected = true;
+        this.log(`Offline bets table loaded with ${this.rows.length} rows from ${source}`, 'success');
+        return true;
+    }
+
+    disconnect() {
+        super.disconnect();
+        this.subscribers.clear();
+        this.log('Offline bets table closed', 'info');
+    }
+
+    /**
+     * Throw an error unless connected
+     */
+    requireConnection() {
+        if (!this.isConnected()) {
+            throw new Error('Offline bets table is not loaded');
+        }
+    }
+
+    async fetchAllBets() {
+        this.requireConnection();
+        const createdAt = getColumn('createdAt');
+        return this.rows
+            .map(row => ({ ...row }))
+            .sort((a, b) => `${a[createdAt] || ''}`.localeCompare(`${b[createdAt] || ''}`));
+    }
+
+    async fetchNewBets(lastCheckTime) {
+        this.requireConnection();
+        const createdAt = getColumn('createdAt');
+        const result = getColumn('result');
+        return this.rows
+            .filter(row => !lastCheckTime || row[createdAt] > lastCheckTime)
+            .filter(row => row[result] === null || row[result] === undefined)
+            .filter(isRosterBet)
+            .map(row => ({ ...row }))
+            .sort((a, b) => `${a[createdAt] || ''}`.localeCompare(`${b[createdAt] || ''}`));
+    }
+
+    async fetchBetsById(ids) {
+        this.requireConnection();
+        const idColumn = getColumn('id');
+        const wanted = new Set(ids.map(id => `${id}`));
+        return this.rows
+            .filter(row => wanted.has(`${row[idColumn]}`))
+            .map(row => ({ ...row }));
+    }
+
+    async insertBets(rows) {
+        this.requireConnection();
+        const { columns } = getColumnMapping();
+        const now = new Date(this.clock.now()).toISOString();
+        const inserted = rows.map(row => ({
+            [columns.createdAt]: now,
+            [columns.result]: null,
+            ...row,
+            [columns.id]: row[columns.id] ?? this.nextId++
+        }));
+
+        this.rows.push(...inserted);
+        await this.save();
+        inserted.forEach(row => this.notify('INSERT', row, {}));
+        return inserted.map(row => ({ ...row }));
+    }
+
+    async markBetPlaced(betId, details = {}) {
+        return this.updateRow(betId, { placedAt: details.placedAt || new Date(this.clock.now()).toISOString() });
+    }
+
+    async settleBet(betId, result, payout = 0, details = {}) {
+        const updated = await this.updateRow(betId, {
+            result,
+            payout,
+            settledAt: details.settledAt || new Date(this.clock.now()).toISOString(),
+            finalScore: details.finalScore,
+            reaction: details.reaction,
+            engineVersion: details.engineVersion
+        });
+        if (updated) {
+            this.log(`Settled bet ${betId} with result: ${result} (payout: £${payout})`, 'success');
+        }
+        return updated;
+    }
+
+    async updateCharacterReaction(betId, reaction) {
+        return this.updateRow(betId, { reaction });
+    }
+
+    /**
+     * Change fields on a row and tell subscribers
+     * Fields the column mapping has no column for are skipped
+     * @param {string|number} betId - Row ID
+     * @param {Object} changes - Bet fields to set, e.g. { result }
+     * @returns {Promise<boolean>} True if the row exists
+     */
+    async updateRow(betId, changes) {
+        this.requireConnection();
+        const idColumn = getColumn('id');
+        const row = this.rows.find(candidate => `${candidate[idColumn]}` === `${betId}`);
+        if (!row) {
+            this.log(`Bet ${betId} is not in the offline bets table`, 'warning');
+            return false;
+        }
+
+        const old = { ...row };
+        Object.assign(row, toBetRow(changes));
+        await this.save();
+        this.notify('UPDATE', row, old);
+        return true;
+    }
+
+    subscribeToChanges(callback, onStatus = null) {
+        this.requireConnection();
+        this.subscribers.add(callback);
+        this.log('Subscribed to offline bets table changes', 'info');
+        if (onStatus) {
+            onStatus('SUBSCRIBED');
+        }
+        return {
+            unsubscribe: () => this.subscribers.delete(callback)
+        };
+    }
+
+    /**
+     * Send a change to every subscriber, shaped like a Supabase realtime payload
+     * @param {string} eventType - INSERT, UPDATE or DELETE
+     * @param {Object} row - Row after the change
+     * @param {Object} old - Row before the change
+     */
+    notify(eventType, row, old) {
+        const payload = { eventType, table: this.tableName, new: { ...row }, old };
+        this.subscribers.forEach(callback => callback(payload));
+    }
+
+    /**
+     * Save the rows to the store, if there is one
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.store) return;
+
+        try {
+            await this.store.save(this.rows);
+        } catch (error) {
+            this.log(`Error saving offline bets table: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Throw away changes and go back to the seed rows
+     * @returns {Promise<boolean>} True once reloaded
+     */
+    async reset() {
+        if (this.store) {
+            await this.store.clear();
+        }
+        return this.connect();
+    }
+}
+
+/**
+ * Storage adapter classes by key, as used in STORAGE
+ * SupabaseClient registers itself as 'supabase'
+ */
+const STORAGE_ADAPTERS = {
+    memory: MemoryStorage
+};
+
+/**
+ * Register a custom storage adapter class
+ * @param {string} key - Adapter key
+ * @param {Function} AdapterClass - Subclass of StorageAdapter
+ */
+function registerStorageAdapter(key, AdapterClass) {
+    STORAGE_ADAPTERS[key] = AdapterClass;
+}
+
+/**
+ * Create a storage adapter by key
+ * @param {string} key - Adapter key, e.g. "memory"
+ * @param {Object} options - Options for the adapter
+ * @returns {StorageAdapter|null} Adapter instance, or null if the key is unknown
+ */
+function createStorageAdapter(key, options = {}) {
+    const AdapterClass = STORAGE_ADAPTERS[key];
+    return AdapterClass ? new AdapterClass(options) : null;
+}
+
+// Export functions for use in other modules
+export {
+    STORAGE_ADAPTERS,
+    isRosterBet,
+    registerStorageAdapter,
+    createStorageAdapter
+};
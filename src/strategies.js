@@ -0,0 +1,270 @@
+/**
+ * Character Betting Strategies for WagerWire Simulation
+ * Each strategy looks at a fixture/odds list and proposes the next bet for its character,
+ * so the simulation can run without a pre-filled bets table.
+ *
+ * Fixture format:
+ *   { eventid, homeTeam, awayTeam, status, expectedGoals: { home, away },
+ *     markets: [{ selection_combo, selection_line, price, probability }] }
+ * expectedGoals and probability are optional model inputs used by value strategies.
+ */
+
+import {
+    estimateLiveProbability,
+    getExpectedReturn,
+    getMarketType
+} from './betting-engine.js';
+
+/**
+ * Markets that back one side to win the match
+ */
+const RESULT_MARKETS = ['1x2', 'handicap', 'draw_no_bet'];
+
+/**
+ * Flatten fixtures into individual selections a strategy can choose from
+ * Skips fixtures that have kicked off and events listed in excludedEventIds
+ * @param {Array} fixtures - Fixture/odds list
+ * @param {Array} excludedEventIds - Events the character already has a bet on
+ * @returns {Array} Candidates: { fixture, market, marketType, price }
+ */
+function listCandidates(fixtures, excludedEventIds = []) {
+    const excluded = new Set(excludedEventIds.map(id => `${id}`));
+
+    return fixtures
+        .filter(fixture => !fixture.status || fixture.status === 'notstarted')
+        .filter(fixture => !excluded.has(`${fixture.eventid}`))
+        .flatMap(fixture => (fixture.markets || []).map(market => ({
+            fixture,
+            market,
+            marketType: getMarketType(market.selection_combo),
+            price: parseFloat(market.price)
+        })))
+        .filter(candidate => candidate.marketType && candidate.price > 1);
+}
+
+/**
+ * Base class for character strategies
+ * Subclasses implement chooseBet and may track results in onBetSettled
+ */
+export class BettingStrategy {
+    constructor(options = {}) {
+        this.options = { ...this.constructor.defaults, ...options };
+    }
+
+    /**
+     * Default options, overridden per strategy
+     */
+    static get defaults() {
+        return { minStake: 10 };
+    }
+
+    /**
+     * Propose the next bet for a character
+     * @param {Object} character - Character object (bankroll, stats, name)
+     * @param {Array} fixtures - Fixture/odds list
+     * @param {Object} context - { excludedEventIds } events to skip
+     * @returns {Object|null} Proposal { eventid, selection_combo, selection_line, price, stake, reason } or null
+     */
+    proposeBet(character, fixtures, context = {}) {
+        const candidates = listCandidates(fixtures, context.excludedEventIds);
+        if (candidates.length === 0) return null;
+
+        const choice = this.chooseBet(character, candidates);
+        if (!choice) return null;
+
+        const stake = Math.min(Math.round(choice.stake), Math.floor(character.bankroll));
+        if (stake < this.options.minStake) return null;
+
+        return {
+            eventid: choice.fixture.eventid,
+            selection_combo: choice.market.selection_combo,
+            selection_line: choice.market.selection_line ?? null,
+            price: choice.price,
+            stake,
+            reason: choice.reason
+        };
+    }
+
+    /**
+     * Pick a candidate and size the stake
+     * @param {Object} character - Character object
+     * @param {Array} candidates - Candidates from listCandidates
+     * @returns {Object|null} Candidate with stake and reason added, or null to sit out
+     */
+    chooseBet(character, candidates) {
+        return null;
+    }
+
+    /**
+     * Called when one of this strategy's bets is settled
+     * @param {Object} bet - Settled bet
+     * @param {Object} settlement - Settlement object from the betting engine
+     */
+    onBetSettled(bet, settlement) {}
+
+    /**
+     * Get whatever the strategy has learned from results, for saving the session
+     * @returns {Object} Plain, JSON-safe state
+     */
+    getState() {
+        return {};
+    }
+
+    /**
+     * Pick up state saved by getState
+     * @param {Object} state - Saved state
+     */
+    setState(state) {}
+}
+
+/**
+ * Backs underdogs and doubles the stake after every loss until a win
+ */
+export class ChaseLossesStrategy extends BettingStrategy {
+    constructor(options = {}) {
+        super(options);
+        this.lossStreak = 0;
+    }
+
+    static get defaults() {
+        return { ...super.defaults, baseStake: 100, minPrice: 2.5, maxPrice: 6, maxBankrollShare: 0.5 };
+    }
+
+    chooseBet(character, candidates) {
+        const { baseStake, minPrice, maxPrice, maxBankrollShare } = this.options;
+        const underdogs = candidates
+            .filter(candidate => RESULT_MARKETS.includes(candidate.marketType))
+            .filter(candidate => candidate.price >= minPrice && candidate.price <= maxPrice)
+            .sort((a, b) => b.price - a.price);
+        if (underdogs.length === 0) return null;
+
+        // Double up to win it all back, but never more than a share of what's left
+        const stake = Math.min(baseStake * Math.pow(2, this.lossStreak), character.bankroll * maxBankrollShare);
+        const reason = this.lossStreak > 0
+            ? `Chasing ${this.lossStreak} loss${this.lossStreak > 1 ? 'es' : ''}`
+            : 'Backing the underdog';
+
+        return { ...underdogs[0], stake, reason };
+    }
+
+    onBetSettled(bet, settlement) {
+        const { won, lost } = settlement.stakeFractions;
+        if (won > 0) {
+            this.lossStreak = 0;
+        } else if (lost > 0) {
+            this.lossStreak++;
+        }
+    }
+
+    getState() {
+        return { lossStreak: this.lossStreak };
+    }
+
+    setState(state) {
+        this.lossStreak = state.lossStreak || 0;
+    }
+}
+
+/**
+ * Stakes a big slice of the bankroll on the shortest-priced favourite
+ */
+export class FavouritesStrategy extends BettingStrategy {
+    static get defaults() {
+        return { ...super.defaults, bankrollShare: 0.1, minPrice: 1.2, maxPrice: 1.8 };
+    }
+
+    chooseBet(character, candidates) {
+        const { bankrollShare, minPrice, maxPrice } = this.options;
+        const favourites = candidates
+            .filter(candidate => RESULT_MARKETS.includes(candidate.marketType))
+            .filter(candidate => candidate.price >= minPrice && candidate.price <= maxPrice)
+            .sort((a, b) => a.price - b.price);
+        if (favourites.length === 0) return null;
+
+        return { ...favourites[0], stake: character.bankroll * bankrollShare, reason: 'Big money on the favourite' };
+    }
+}
+
+/**
+ * Only bets when a model probability beats the price, staking a fraction of Kelly
+ * Uses a market's own probability if supplied, otherwise a Poisson model from the fixture's expected goals
+ */
+export class ValueStrategy extends BettingStrategy {
+    static get defaults() {
+        return { ...super.defaults, minEdge: 0.03, kellyFraction: 0.25, maxBankrollShare: 0.05 };
+    }
+
+    /**
+     * Expected profit per unit staked according to the model
+     * @param {Object} candidate - Candidate from listCandidates
+     * @returns {number|null} Expected value, or null when there is no model for the selection
+     */
+    getExpectedValue(candidate) {
+        const { fixture, market, price } = candidate;
+
+        if (market.probability !== undefined) {
+            return parseFloat(market.probability) * price - 1;
+        }
+        if (!fixture.expectedGoals) {
+            return null;
+        }
+
+        const { outcomes } = estimateLiveProbability(market.selection_combo, market.selection_line, '0-0', '0-0', {
+            minute: 0,
+            goalRates: fixture.expectedGoals
+        });
+        return getExpectedReturn(outcomes, price) - 1;
+    }
+
+    chooseBet(character, candidates) {
+        const { minEdge, kellyFraction, maxBankrollShare } = this.options;
+        const [best] = candidates
+            .map(candidate => ({ ...candidate, edge: this.getExpectedValue(candidate) }))
+            .filter(candidate => candidate.edge !== null && candidate.edge >= minEdge)
+            .sort((a, b) => b.edge - a.edge);
+        if (!best) return null;
+
+        // Kelly stake is edge / (price - 1) of the bankroll; a fraction of it keeps variance sane
+        const kellyShare = best.edge / (best.price - 1) * kellyFraction;
+        const stake = character.bankroll * Math.min(kellyShare, maxBankrollShare);
+
+        return { ...best, stake, reason: `+${(best.edge * 100).toFixed(1)}% EV` };
+    }
+}
+
+/**
+ * Strategy classes by key
+ */
+const STRATEGIES = {
+    chase_losses: ChaseLossesStrategy,
+    favourites: FavouritesStrategy,
+    value: ValueStrategy
+};
+
+/**
+ * Register a custom strategy class
+ * @param {string} key - Strategy key
+ * @param {Function} StrategyClass - Subclass of BettingStrategy
+ */
+function registerStrategy(key, StrategyClass) {
+    STRATEGIES[key] = StrategyClass;
+}
+
+/**
+ * Create a strategy by key
+ * @param {string} key - Strategy key, e.g. "value"
+ * @param {Object} options - Options overriding the strategy's defaults
+ * @returns {BettingStrategy|null} Strategy instance, or null if the key is unknown
+ */
+function createStrategy(key, options = {}) {
+    const StrategyClass = STRATEGIES[key];
+    return StrategyClass ? new StrategyClass(options) : null;
+}
+
+// Export functions for use in other modules
+export {
+    STRATEGIES,
+    listCandidates,
+    registerStrategy,
+    createStrategy
+};
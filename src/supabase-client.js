@@ -1,13 +1,56 @@
 /**
  * Supabase Client for WagerWire Betting Simulation
- * Handles database connections and bet data operations
+ * Handles database connections and bet data operations - the Supabase storage adapter
+ * (see storage-adapters.js)
  */
 
-export class SupabaseClient {
-    constructor() {
+import { toSettlement, SettlementOutcome } from './betting-engine.js';
+import { getCharacterNames } from './roster.js';
+import { getColumnMapping, getColumn, toBetRow, validateColumns } from './column-mapping.js';
+import { StorageAdapter, isRosterBet, registerStorageAdapter } from './storage-adapters.js';
+
+/**
+ * Get the column a failed write says the table doesn't have
+ * @param {Object} error - Supabase error
+ * @returns {string|null} Column name, or null if the write failed for another reason
+ */
+function getMissingColumn(error) {
+    // PGRST204 is PostgREST's schema cache miss, 42703 Postgres' undefined column
+    if (!['PGRST204', '42703'].includes(error.code)) {
+        return null;
+    }
+    const match = `${error.message}`.match(/'([^']+)' column|column "([^"]+)"/);
+    return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Get the bet field a column is mapped to, for messages
+ * @param {string} column - Column name
+ * @returns {string} Field name (or the column, if nothing maps to it)
+ */
+function getFieldName(column) {
+    const entry = Object.entries(getColumnMapping().columns).find(([, mapped]) => mapped === column);
+    return entry ? entry[0] : column;
+}
+
+export class SupabaseClient extends StorageAdapter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createClient - Supabase createClient (defaults to window.supabase's, pass it in under Node)
+     * @param {Function} options.onLog - Receives (message, level) instead of the console and page log
+     * @param {boolean} options.checkSchema - Check the table's columns on connect (default: true)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.createClient = options.createClient || null;
         this.client = null;
-        this.connected = false;
-        this.tableName = 'characters'; // Update this to your actual table name
+        this.tableName = getColumnMapping().table; // Set COLUMN_MAPPING to change the table and its columns
+        this.checkSchema = options.checkSchema !== false;
+        this.missingColumns = new Set(); // Mapped columns the table turned out not to have - left out of writes
+    }
+
+    describe() {
+        return `Supabase table ${this.tableName}`;
     }
 
     /**
@@ -30,12 +73,13 @@ export class SupabaseClient {
             this.log('Connecting to Supabase...', 'info');
             
             // Create Supabase client
-            this.client = window.supabase.createClient(url, anonKey);
+            const createClient = this.createClient || window.supabase.createClient;
+            this.client = createClient(url, anonKey);
             
             // Test connection by trying to fetch from the table
             const { data, error } = await this.client
                 .from(this.tableName)
-                .select('id')
+                .select(getColumn('id'))
                 .limit(1);
             
             if (error) {
@@ -52,7 +96,7 @@ export class SupabaseClient {
                             // Test again with the found table
                             const { data: testData, error: testError } = await this.client
                                 .from(this.tableName)
-                                .select('id')
+                                .select(getColumn('id'))
                                 .limit(1);
                             
                             if (testError) {
@@ -63,6 +107,7 @@ export class SupabaseClient {
                         }
                     } catch (tableError) {
                         this.log(`Table search failed: ${tableError.message}`, 'error');
+                        this.log('npm run schema prints the SQL that creates the bets table', 'info');
                         throw new Error(`Connection failed: ${error.message}. No suitable tables found.`);
                     }
                 } else {
@@ -71,7 +116,17 @@ export class SupabaseClient {
             }
             
             this.connected = true;
+            this.missingColumns.clear();
             this.log(`Successfully connected to Supabase using table: ${this.tableName}`, 'success');
+            
+            // Problems with the column mapping are reported, but don't stop the connection
+            if (this.checkSchema) {
+                try {
+                    await this.validateMapping();
+                } catch (validationError) {
+                    this.log(`Could not check the bets table columns: ${validationError.message}`, 'warning');
+                }
+            }
             return true;
             
         } catch (error) {
@@ -89,6 +144,32 @@ export class SupabaseClient {
         return this.connected && this.client !== null;
     }
 
+    /**
+     * Fetch every bet, oldest first
+     * @returns {Promise<Array>} Array of bet rows
+     */
+    async fetchAllBets() {
+        if (!this.isConnected()) {
+            throw new Error('Not connected to Supabase');
+        }
+
+        try {
+            const { data, error } = await this.client
+                .from(this.tableName)
+                .select('*')
+                .order(getColumn('createdAt'), { ascending: true });
+
+            if (error) {
+                throw error;
+            }
+
+            return data || [];
+        } catch (error) {
+            this.log(`Error fetching bets: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
     /**
      * Fetch open bets (for testing)
      * @returns {Promise<Array>} Array of open bet objects
@@ -102,8 +183,8 @@ export class SupabaseClient {
             const { data, error } = await this.client
                 .from(this.tableName)
                 .select('*')
-                .is('result', null)
-                .order('timestamp', { ascending: false })
+                .is(getColumn('result'), null)
+                .order(getColumn('createdAt'), { ascending: false })
                 .limit(10);
 
             if (error) {
@@ -121,7 +202,7 @@ export class SupabaseClient {
     /**
      * Fetch new bets since last check
      * @param {string} lastCheckTime - ISO timestamp of last check
-     * @returns {Promise<Array>} Array of new bet objects
+     * @returns {Promise<Array>} Unsettled rows for the roster's characters, oldest first
      */
     async fetchNewBets(lastCheckTime) {
         if (!this.isConnected()) {
@@ -133,25 +214,12 @@ export class SupabaseClient {
             let query = this.client
                 .from(this.tableName)
                 .select('*')
-                .order('timestamp', { ascending: true });
+                .is(getColumn('result'), null)
+                .order(getColumn('createdAt'), { ascending: true });
 
             // Add time filter if provided
             if (lastCheckTime) {
-                query = query.gt('timestamp', lastCheckTime);
-            }
-
-            // Add result filter if column exists
-            try {
-                query = query.is('result', null);
-            } catch (columnError) {
-                this.log('Result column not found, skipping result filter', 'warning');
-            }
-
-            // Add character name filter if column exists
-            try {
-                query = query.in('extract_names', ['Benny', 'Max', 'Ellie']);
-            } catch (columnError) {
-                this.log('extract_names column not found, skipping character filter', 'warning');
+                query = query.gt(getColumn('createdAt'), lastCheckTime);
             }
 
             const { data, error } = await query;
@@ -168,26 +236,11 @@ export class SupabaseClient {
                 }
             }
 
-            // Transform the data to match expected format with safe property access
-            const transformedData = (data || []).map(bet => ({
-                id: bet.id || Math.random().toString(36),
-                created_at: bet.timestamp || bet.created_at || new Date().toISOString(),
-                character: bet.extract_names || bet.character || 'Benny', // Default to Benny
-                stake: parseFloat(bet.stake) || 10,
-                eventid: bet.eventid || 'unknown',
-                price: parseFloat(bet.price) || 2.0,
-                selection_combo: bet.selection_combo || 'Over 2.5',
-                selection_line: bet.selection_line || null,
-                bet_time_score: bet.bet_time_score || '0-0',
-                result: bet.result || null,
-                placed_at: bet.placed_at || null,
-                settled_at: bet.settled_at || null,
-                payout: bet.payout ? parseFloat(bet.payout) : null,
-                characterReaction: bet.characterReaction || null
-            }));
-
-            this.log(`Fetched ${transformedData.length} new bets since ${lastCheckTime || 'beginning'}`, 'info');
-            return transformedData;
+            // Character columns may hold full names or aliases, so the roster is matched here rather than in the query
+            const rows = (data || []).filter(isRosterBet);
+
+            this.log(`Fetched ${rows.length} new bets since ${lastCheckTime || 'beginning'}`, 'info');
+            return rows;
         } catch (error) {
             this.log(`Error fetching new bets: ${error.message}`, 'error');
             // Don't throw error, return empty array to keep simulation running
@@ -195,19 +248,66 @@ export class SupabaseClient {
         }
     }
 
+    /**
+     * Fetch rows by ID, as they are now
+     * @param {Array<string|number>} ids - Bet IDs
+     * @returns {Promise<Array>} Array of bet rows (rows that have gone are left out)
+     */
+    async fetchBetsById(ids) {
+        if (!this.isConnected()) {
+            throw new Error('Not connected to Supabase');
+        }
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await this.client
+            .from(this.tableName)
+            .select('*')
+            .in(getColumn('id'), ids);
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Insert rows into the bets table
+     * @param {Array<Object>} rows - Rows to insert
+     * @returns {Promise<Array>} Inserted rows with their ids
+     */
+    async insertBets(rows) {
+        if (!this.isConnected()) {
+            throw new Error('Not connected to Supabase');
+        }
+
+        const { data, error } = await this.client
+            .from(this.tableName)
+            .insert(rows)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
     /**
      * Mark a bet as placed (add placed timestamp)
      * @param {string} betId - Bet ID
+     * @param {Object} details - { placedAt } ISO time (defaults to now)
      * @returns {Promise<boolean>} Success status
      */
-    async markBetPlaced(betId) {
+    async markBetPlaced(betId, details = {}) {
         if (!this.isConnected()) {
             throw new Error('Not connected to Supabase');
         }
 
         try {
-            // Since 'placed_at' column doesn't exist in your table, we'll just log it
-            this.log(`Bet ${betId} marked as placed (no database update needed)`, 'info');
+            await this.updateBetRow(betId, { placedAt: details.placedAt || new Date().toISOString() });
             return true;
         } catch (error) {
             this.log(`Error marking bet as placed: ${error.message}`, 'error');
@@ -220,25 +320,23 @@ export class SupabaseClient {
      * @param {string} betId - Bet ID
      * @param {string} result - Bet result
      * @param {number} payout - Payout amount
+     * @param {Object} details - { settledAt, finalScore, reaction, engineVersion } (settledAt defaults to now)
      * @returns {Promise<boolean>} Success status
      */
-    async settleBet(betId, result, payout = 0) {
+    async settleBet(betId, result, payout = 0, details = {}) {
         if (!this.isConnected()) {
             throw new Error('Not connected to Supabase');
         }
 
         try {
-            // Only update the 'result' column since that exists in your table
-            const { error } = await this.client
-                .from(this.tableName)
-                .update({ 
-                    result: result
-                })
-                .eq('id', betId);
-
-            if (error) {
-                throw error;
-            }
+            await this.updateBetRow(betId, {
+                result,
+                payout,
+                settledAt: details.settledAt || new Date().toISOString(),
+                finalScore: details.finalScore,
+                reaction: details.reaction,
+                engineVersion: details.engineVersion
+            });
 
             this.log(`Settled bet ${betId} with result: ${result} (payout: £${payout})`, 'success');
             return true;
@@ -260,8 +358,7 @@ export class SupabaseClient {
         }
 
         try {
-            // Since characterReaction column might not exist, just log it
-            this.log(`Character reaction for bet ${betId}: ${reaction} (no database update needed)`, 'info');
+            await this.updateBetRow(betId, { reaction });
             return true;
         } catch (error) {
             this.log(`Error updating character reaction: ${error.message}`, 'error');
@@ -269,6 +366,38 @@ export class SupabaseClient {
         }
     }
 
+    /**
+     * Write bet fields to a row
+     * Columns the table doesn't have are left out; one found missing by a failed write is
+     * reported, remembered, and the write retried without it
+     * @param {string} betId - Bet ID
+     * @param {Object} fields - Bet fields to set, e.g. { result, payout }
+     * @returns {Promise<void>}
+     */
+    async updateBetRow(betId, fields) {
+        const row = toBetRow(fields);
+        this.missingColumns.forEach(column => delete row[column]);
+        if (Object.keys(row).length === 0) {
+            return;
+        }
+
+        const { error } = await this.client
+            .from(this.tableName)
+            .update(row)
+            .eq(getColumn('id'), betId);
+
+        if (error) {
+            const column = getMissingColumn(error);
+            if (!column || !(column in row)) {
+                throw error;
+            }
+
+            this.missingColumns.add(column);
+            this.log(`Bets table '${this.tableName}' has no '${column}' column - ${getFieldName(column)} won't be saved`, 'warning');
+            return this.updateBetRow(betId, fields);
+        }
+    }
+
     /**
      * Fetch bet statistics for a character
      * @param {string} characterName - Character name
@@ -280,11 +409,12 @@ export class SupabaseClient {
         }
 
         try {
+            const { stake, result, payout } = getColumnMapping().columns;
             const { data, error } = await this.client
                 .from(this.tableName)
-                .select('stake, result, payout')
-                .eq('extract_names', characterName) // Use extract_names instead of character
-                .not('result', 'is', null);
+                .select([stake, result, payout].filter(Boolean).join(', '))
+                .eq(getColumn('character'), characterName)
+                .not(result, 'is', null);
 
             if (error) {
                 throw error;
@@ -296,17 +426,21 @@ export class SupabaseClient {
                 totalPayout: 0,
                 wins: 0,
                 losses: 0,
-                pushes: 0
+                pushes: 0,
+                cashOuts: 0
             };
 
             data.forEach(bet => {
-                stats.totalStaked += parseFloat(bet.stake || 0);
-                stats.totalPayout += parseFloat(bet.payout || 0);
+                stats.totalStaked += parseFloat(bet[stake] || 0);
+                stats.totalPayout += parseFloat((payout && bet[payout]) || 0);
                 
-                if (bet.result && bet.result.startsWith('Win')) {
+                const { outcome } = toSettlement(bet[result]);
+                if (outcome === SettlementOutcome.WIN) {
                     stats.wins++;
-                } else if (bet.result && bet.result.startsWith('Loss')) {
+                } else if (outcome === SettlementOutcome.LOSS) {
                     stats.losses++;
+                } else if (outcome === SettlementOutcome.CASH_OUT) {
+                    stats.cashOuts++;
                 } else {
                     stats.pushes++;
                 }
@@ -325,15 +459,17 @@ export class SupabaseClient {
     /**
      * Subscribe to real-time changes in the table
      * @param {Function} callback - Callback function for changes
-     * @returns {Object} Subscription object
+     * @param {Function} onStatus - Receives (status, error) as the channel connects or fails (optional)
+     * @returns {Object} Subscription { channel, unsubscribe() }
      */
-    subscribeToChanges(callback) {
+    subscribeToChanges(callback, onStatus = null) {
         if (!this.isConnected()) {
             throw new Error('Not connected to Supabase');
         }
 
-        const subscription = this.client
-            .channel('table-changes')
+        const client = this.client;
+        const channel = client
+            .channel(`${this.tableName}-changes`)
             .on('postgres_changes', 
                 { 
                     event: '*', 
@@ -342,10 +478,20 @@ export class SupabaseClient {
                 }, 
                 callback
             )
-            .subscribe();
+            .subscribe((status, error) => {
+                if (status === 'SUBSCRIBED') {
+                    this.log('Subscribed to real-time changes', 'info');
+                }
+                if (onStatus) {
+                    onStatus(status, error);
+                }
+            });
 
-        this.log('Subscribed to real-time changes', 'info');
-        return subscription;
+        return {
+            channel,
+            // Removing the channel (not just unsubscribing) lets a new one with the same name subscribe later
+            unsubscribe: () => client.removeChannel(channel)
+        };
     }
 
     /**
@@ -359,17 +505,18 @@ export class SupabaseClient {
         }
 
         try {
-            const testBet = {
-                timestamp: new Date().toISOString(),
-                extract_names: betData.character || 'Benny',
+            const character = betData.character || getCharacterNames()[0];
+            const testBet = toBetRow({
+                createdAt: new Date().toISOString(),
+                character,
                 stake: betData.stake || '100',
                 eventid: betData.eventid || 12345,
                 price: betData.price || 1.90,
-                selection_combo: betData.selection_combo || 'Over',
-                selection_line: betData.selection_line || 2.5,
-                bet_time_score: betData.bet_time_score || '0-0',
+                selection: betData.selection_combo || 'Over',
+                line: betData.selection_line || 2.5,
+                betTimeScore: betData.bet_time_score || '0-0',
                 result: null // Always null for new bets
-            };
+            });
 
             const { data, error } = await this.client
                 .from(this.tableName)
@@ -380,7 +527,7 @@ export class SupabaseClient {
                 throw error;
             }
 
-            this.log(`Inserted test bet for ${testBet.extract_names}`, 'success');
+            this.log(`Inserted test bet for ${character}`, 'success');
             return data[0];
         } catch (error) {
             this.log(`Error inserting test bet: ${error.message}`, 'error');
@@ -437,23 +584,6 @@ export class SupabaseClient {
         return results;
     }
 
-    /**
-     * Log message with timestamp
-     * @param {string} message - Log message
-     * @param {string} level - Log level
-     */
-    log(message, level = 'info') {
-        const timestamp = new Date().toLocaleTimeString();
-        console.log(`[${timestamp}] ${message}`);
-        
-        // Dispatch custom event for UI logging
-        if (typeof window !== 'undefined') {
-            window.dispatchEvent(new CustomEvent('supabase-log', {
-                detail: { message, level, timestamp }
-            }));
-        }
-    }
-
     /**
      * Disconnect from Supabase
      */
@@ -532,16 +662,20 @@ export class SupabaseClient {
                 throw error;
             }
 
+            const columns = data.length > 0 ? Object.keys(data[0]) : await this.getColumns(tableName);
+
             const tableInfo = {
                 name: tableName,
                 rowCount: count,
                 sampleData: data,
-                columns: data.length > 0 ? Object.keys(data[0]) : []
+                columns,
+                mapping: validateColumns(columns)
             };
 
             console.log(`Table: ${tableName}`);
             console.log(`Rows: ${count}`);
             console.log(`Columns: ${tableInfo.columns.join(', ')}`);
+            console.log(`Mapped columns missing: ${tableInfo.mapping.missing.map(entry => entry.column).join(', ') || 'none'}`);
             console.log('Sample data:', data);
 
             return tableInfo;
@@ -551,6 +685,72 @@ export class SupabaseClient {
         }
     }
 
+    /**
+     * List a table's columns
+     * @param {string} tableName - Table to check
+     * @returns {Promise<string[]>} Column names
+     */
+    async getColumns(tableName) {
+        const { data, error } = await this.client
+            .from(tableName)
+            .select('*')
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        // An empty table has no sample row to read columns from, so ask for each mapped column
+        return data.length > 0
+            ? Object.keys(data[0])
+            : this.probeColumns(tableName, Object.values(getColumnMapping().columns).filter(Boolean));
+    }
+
+    /**
+     * Find which columns a table has by selecting each one
+     * @param {string} tableName - Table to check
+     * @param {string[]} columns - Column names to look for
+     * @returns {Promise<string[]>} Columns the table has
+     */
+    async probeColumns(tableName, columns) {
+        const present = [];
+        for (const column of columns) {
+            const { error } = await this.client
+                .from(tableName)
+                .select(column)
+                .limit(1);
+
+            if (!error) {
+                present.push(column);
+            }
+        }
+        return present;
+    }
+
+    /**
+     * Check the bets table has the columns the column mapping expects, logging any that are missing
+     * Missing columns are left out of writes from then on
+     * @returns {Promise<Object>} { valid, missing: [{ field, column, required }] } (see validateColumns)
+     */
+    async validateMapping() {
+        const mapping = validateColumns(await this.getColumns(this.tableName));
+        this.missingColumns = new Set(mapping.missing.map(entry => entry.column));
+
+        const optional = mapping.missing.filter(entry => !entry.required);
+        if (optional.length > 0) {
+            this.log(`Bets table '${this.tableName}' has no ${optional.map(entry => entry.column).join(', ')} columns - ${optional.map(entry => entry.field).join(', ')} won't be saved or read (add the columns, or map them to null in COLUMN_MAPPING)`, 'warning');
+        }
+        
+        mapping.missing.filter(entry => entry.required).forEach(({ field, column }) => {
+            this.log(`Bets table '${this.tableName}' has no '${column}' column for ${field}`, 'error');
+        });
+        if (!mapping.valid) {
+            this.log('Set COLUMN_MAPPING to the columns your bets table uses', 'error');
+        }
+
+        return mapping;
+    }
+
     /**
      * Find tables with betting data
      * @returns {Promise<Array>} Tables that might contain bets
@@ -569,7 +769,8 @@ export class SupabaseClient {
                     const tableInfo = await this.checkTable(tableName);
                     
                     // Check if table has betting-related columns
-                    const bettingColumns = ['stake', 'price', 'selection_combo', 'eventid', 'extract_names'];
+                    const { columns } = getColumnMapping();
+                    const bettingColumns = [columns.stake, columns.price, columns.selection, columns.eventid, columns.character];
                     const hasBettingColumns = bettingColumns.some(col => 
                         tableInfo.columns.includes(col)
                     );
@@ -597,6 +798,8 @@ export class SupabaseClient {
     }
 }
 
+registerStorageAdapter('supabase', SupabaseClient);
+
 // Create global instance
 const supabaseClient = new SupabaseClient();
 
@@ -3,8 +3,16 @@
  * Creates a 3D world with characters, environment, and Bookie Hub
  */
 
+import { getRoster, getCharacterColor, toWorldPosition } from './roster.js';
+import { createRandom } from './random.js';
+
 export class ThreeRenderer {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - Element to render into
+     * @param {Object} options
+     * @param {Function} options.random - Seeded random generator from createRandom (a fresh one if omitted)
+     */
+    constructor(containerId, options = {}) {
         // Check if Three.js is loaded
         if (typeof THREE === 'undefined') {
             throw new Error('Three.js is not loaded. Please ensure Three.js is loaded before initializing ThreeRenderer.');
@@ -21,17 +29,19 @@ export class ThreeRenderer {
         this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         this.clock = new THREE.Clock();
         
+        // Each character roams on its own stream forked from this, so runs with the same seed match
+        this.random = options.random || createRandom();
+        
         // World dimensions
         this.worldSize = 100;
         this.bookiePosition = { x: 0, y: 0, z: 0 };
         
         // Character management
         this.characters = {};
-        this.characterStartingPositions = {
-            'Benny': { x: -40, y: 0, z: -40 },
-            'Max': { x: 40, y: 0, z: -40 },
-            'Ellie': { x: 0, y: 0, z: 40 }
-        };
+        this.characterStartingPositions = {};
+        getRoster().forEach(entry => {
+            this.characterStartingPositions[entry.name] = toWorldPosition(entry.spawn, this.worldSize);
+        });
         
         // Animation properties
         this.animationFrame = null;
@@ -803,6 +813,7 @@ export class ThreeRenderer {
      */
     createCharacter(name) {
         const characterGroup = new THREE.Group();
+        const random = this.random.fork(name);
         characterGroup.userData = { 
             name: name,
             isWalking: false,
@@ -811,18 +822,14 @@ export class ThreeRenderer {
             targetPosition: null,
             speed: 0.5,  // Increased from 0.1 to 0.5 for faster movement
             isRoaming: true,  // Characters roam when idle
-            roamingTimer: Math.random() * 5000,  // Random initial delay
+            random: random,
+            roamingTimer: random() * 5000,  // Random initial delay
             lastRoamTime: Date.now(),
             state: 'idle'
         };
         
-        // Character colors
-        const colors = {
-            'Benny': 0xe74c3c,
-            'Max': 0x3498db,
-            'Ellie': 0x9b59b6
-        };
-        const color = colors[name] || 0x95a5a6;
+        // Character color from the roster
+        const color = new THREE.Color(getCharacterColor(name));
         
         // Character body (using cylinder instead of capsule for compatibility)
         const bodyGeometry = new THREE.CylinderGeometry(1, 1, 3, 8);
@@ -919,7 +926,7 @@ export class ThreeRenderer {
         // Start initial roaming after a short delay
         setTimeout(() => {
             this.startRoaming(characterGroup);
-        }, 1000 + Math.random() * 2000);
+        }, 1000 + random() * 2000);
         
         return characterGroup;
     }
@@ -949,6 +956,7 @@ export class ThreeRenderer {
             case 'placing_bet':
                 this.animatePlacingBet(character);
                 break;
+            case 'cashed_out':
             case 'joy':
                 // First walk out from bookie, then celebrate
                 this.startWalkingFromBookie(character, () => {
@@ -973,6 +981,15 @@ export class ThreeRenderer {
                     }, 3000);
                 });
                 break;
+            case 'confident':
+            case 'hopeful':
+            case 'nervous':
+            case 'tense':
+            case 'worried':
+            case 'despairing':
+                // Live bet mood - posture follows the bet's win probability
+                this.animateLiveMood(character, emotion && emotion.probability !== undefined ? emotion.probability : 0.5);
+                break;
             case 'idle':
                 // Resume roaming if not already roaming
                 if (!userData.isRoaming) {
@@ -1000,8 +1017,8 @@ export class ThreeRenderer {
         const userData = character.userData;
         
         // Get a position away from bookie hub but not too far
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 15 + Math.random() * 10; // 15-25 units from bookie
+        const angle = userData.random() * Math.PI * 2;
+        const distance = 15 + userData.random() * 10; // 15-25 units from bookie
         const walkOutPosition = {
             x: Math.cos(angle) * distance,
             y: 0,
@@ -1035,14 +1052,14 @@ export class ThreeRenderer {
         if (!userData.isRoaming) return;
         
         // Set a new roaming target
-        const roamPosition = this.getRandomPosition();
+        const roamPosition = this.getRandomPosition(userData.random);
         
         // Make roaming targets closer to current position for more natural movement
         const currentPos = character.position;
         const maxRoamDistance = 20;
         
-        roamPosition.x = currentPos.x + (Math.random() - 0.5) * maxRoamDistance;
-        roamPosition.z = currentPos.z + (Math.random() - 0.5) * maxRoamDistance;
+        roamPosition.x = currentPos.x + (userData.random() - 0.5) * maxRoamDistance;
+        roamPosition.z = currentPos.z + (userData.random() - 0.5) * maxRoamDistance;
         
         // Keep within world bounds
         roamPosition.x = Math.max(-40, Math.min(40, roamPosition.x));
@@ -1144,6 +1161,38 @@ export class ThreeRenderer {
         }
     }
 
+    /**
+     * Animate character watching a live bet
+     * Arms rise and the body straightens as the win probability climbs; low odds slump the shoulders
+     * @param {THREE.Group} character - Character group
+     * @param {number} probability - Live win probability between 0 and 1
+     */
+    animateLiveMood(character, probability) {
+        const userData = character.userData;
+        const mood = Math.min(Math.max(probability, 0), 1);
+        
+        // Slump forward when the bet is slipping away
+        if (userData.body) {
+            userData.body.rotation.x = (1 - mood) * 0.3;
+            userData.body.scale.y = 0.9 + mood * 0.15;
+        }
+        
+        // Arms hang low when worried, lift towards a celebration when confident
+        if (userData.leftArm && userData.rightArm) {
+            userData.leftArm.rotation.z = mood * 0.8 - 0.2;
+            userData.rightArm.rotation.z = -(mood * 0.8 - 0.2);
+        }
+        
+        // Wide eyes on a knife edge, narrowed at either extreme
+        if (userData.leftEye && userData.rightEye) {
+            const tension = 1 + (0.5 - Math.abs(mood - 0.5)) * 0.6;
+            userData.leftEye.scale.set(tension, tension, tension);
+            userData.rightEye.scale.set(tension, tension, tension);
+        }
+        
+        character.position.y = mood >= 0.9 ? 0.3 : 0;
+    }
+
     /**
      * Animate idle character
      */
@@ -1286,7 +1335,7 @@ export class ThreeRenderer {
                             if (userData.isRoaming && userData.state === 'idle') {
                                 this.startRoaming(character);
                             }
-                        }, 2000 + Math.random() * 3000); // 2-5 second pause
+                        }, 2000 + userData.random() * 3000); // 2-5 second pause
                     }
                     
                     console.log(`${userData.name} reached target at (${targetPos.x.toFixed(1)}, ${targetPos.z.toFixed(1)})`);
@@ -1339,8 +1388,9 @@ export class ThreeRenderer {
 
     /**
      * Get random position on the map (avoiding obstacles)
+     * @param {Function} random - Random generator to draw from (defaults to the renderer's)
      */
-    getRandomPosition() {
+    getRandomPosition(random = this.random) {
         const margin = 20;
         const maxX = this.worldSize / 2 - margin;
         const maxZ = this.worldSize / 2 - margin;
@@ -1403,8 +1453,8 @@ export class ThreeRenderer {
         const maxAttempts = 50;
         
         do {
-            x = (Math.random() - 0.5) * maxX * 2;
-            z = (Math.random() - 0.5) * maxZ * 2;
+            x = (random() - 0.5) * maxX * 2;
+            z = (random() - 0.5) * maxZ * 2;
             attempts++;
         } while (!isPositionClear(x, z) && attempts < maxAttempts);
         
@@ -1414,7 +1464,7 @@ export class ThreeRenderer {
                 { x: -25, z: 25 }, { x: 25, z: 25 }, { x: -25, z: -25 }, { x: 25, z: -25 },
                 { x: 0, z: 35 }, { x: 0, z: -35 }, { x: 35, z: 0 }, { x: -35, z: 0 }
             ];
-            const fallback = fallbackPositions[Math.floor(Math.random() * fallbackPositions.length)];
+            const fallback = fallbackPositions[Math.floor(random() * fallbackPositions.length)];
             console.log(`Using fallback position: (${fallback.x}, ${fallback.z})`);
             return { x: fallback.x, y: 0, z: fallback.z };
         }
@@ -1425,12 +1475,17 @@ export class ThreeRenderer {
 
     /**
      * Reset the renderer to initial state
+     * @param {Function} random - Seeded random generator for the next run (defaults to restarting
+     *   the current one, so the next run roams the same way)
      */
-    reset() {
+    reset(random = createRandom(this.random.seed)) {
+        this.random = random;
+        
         // Reset all characters to starting positions and idle state
         Object.keys(this.characters).forEach(name => {
             const character = this.characters[name];
             if (character) {
+                character.userData.random = this.random.fork(name);
                 const startPos = this.characterStartingPositions[name];
                 character.position.set(startPos.x, 0, startPos.z);
                 character.userData.state = 'idle';
@@ -1445,7 +1500,7 @@ export class ThreeRenderer {
                 // Start roaming again after reset
                 setTimeout(() => {
                     this.startRoaming(character);
-                }, 1000 + Math.random() * 2000);
+                }, 1000 + character.userData.random() * 2000);
             }
         });
         
@@ -0,0 +1,159 @@
+/**
+ * Clocks for WagerWire Simulation
+ * The simulation core reads the time and schedules its timers through a clock, so a backtest
+ * can swap the wall clock for a virtual one that runs faster and can skip ahead.
+ */
+
+const MIN_SPEED = 1;
+const MAX_SPEED = 1000;
+
+/**
+ * The real wall clock
+ */
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (handle) => clearTimeout(handle),
+    setInterval: (callback, delay) => setInterval(callback, delay),
+    clearInterval: (handle) => clearInterval(handle)
+};
+
+/**
+ * A clock that runs a multiple of real time and can jump forward
+ * Timer delays are in virtual milliseconds. Intervals follow speed changes;
+ * timeouts already waiting keep the speed they were scheduled at.
+ */
+export class VirtualClock {
+    /**
+     * @param {Object} options
+     * @param {number} options.startTime - Virtual time to start at (ms since epoch)
+     * @param {number} options.speed - Virtual milliseconds per real millisecond, 1 to 1000
+     */
+    constructor(options = {}) {
+        this.speed = VirtualClock.clampSpeed(options.speed ?? 1);
+        this.virtualStart = options.startTime ?? Date.now();
+        this.realStart = Date.now();
+        this.pausedAt = null;
+        this.intervals = new Map();
+        this.nextIntervalId = 1;
+    }
+
+    /**
+     * Keep a speed multiplier within the supported range
+     * @param {number} speed - Requested speed
+     * @returns {number} Speed between 1x and 1000x
+     */
+    static clampSpeed(speed) {
+        return Math.min(MAX_SPEED, Math.max(MIN_SPEED, parseFloat(speed) || MIN_SPEED));
+    }
+
+    /**
+     * Get the current virtual time
+     * @returns {number} Milliseconds since epoch
+     */
+    now() {
+        if (this.pausedAt !== null) {
+            return this.pausedAt;
+        }
+        return this.virtualStart + (Date.now() - this.realStart) * this.speed;
+    }
+
+    /**
+     * Restart real-time tracking from a given virtual time
+     * @param {number} time - Virtual time
+     */
+    rebase(time) {
+        this.virtualStart = time;
+        this.realStart = Date.now();
+    }
+
+    /**
+     * Change the speed multiplier
+     * @param {number} speed - Virtual milliseconds per real millisecond
+     * @returns {number} Speed actually set
+     */
+    setSpeed(speed) {
+        if (this.pausedAt === null) {
+            this.rebase(this.now());
+        }
+        this.speed = VirtualClock.clampSpeed(speed);
+
+        // Reschedule running intervals at the new speed
+        this.intervals.forEach(interval => {
+            clearInterval(interval.handle);
+            interval.handle = setInterval(interval.callback, interval.delay / this.speed);
+        });
+
+        return this.speed;
+    }
+
+    /**
+     * Skip forward to a later virtual time
+     * @param {number} time - Virtual time to jump to (ignored if in the past)
+     */
+    jumpTo(time) {
+        if (time <= this.now()) return;
+
+        if (this.pausedAt !== null) {
+            this.pausedAt = time;
+        } else {
+            this.rebase(time);
+        }
+    }
+
+    /**
+     * Stop virtual time advancing
+     */
+    pause() {
+        if (this.pausedAt === null) {
+            this.pausedAt = this.now();
+        }
+    }
+
+    /**
+     * Let virtual time advance again
+     */
+    resume() {
+        if (this.pausedAt !== null) {
+            this.rebase(this.pausedAt);
+            this.pausedAt = null;
+        }
+    }
+
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay / this.speed);
+    }
+
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    }
+
+    setInterval(callback, delay) {
+        const id = this.nextIntervalId++;
+        this.intervals.set(id, { callback, delay, handle: setInterval(callback, delay / this.speed) });
+        return id;
+    }
+
+    clearInterval(id) {
+        const interval = this.intervals.get(id);
+        if (interval) {
+            clearInterval(interval.handle);
+            this.intervals.delete(id);
+        }
+    }
+
+    /**
+     * Clear every interval still running on this clock, once it is no longer needed
+     */
+    dispose() {
+        this.intervals.forEach(interval => clearInterval(interval.handle));
+        this.intervals.clear();
+    }
+}
+
+// Export functions for use in other modules
+export {
+    systemClock,
+    MIN_SPEED,
+    MAX_SPEED
+};
@@ -0,0 +1,75 @@
+/**
+ * Tests for the virtual clock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualClock, MIN_SPEED, MAX_SPEED } from './virtual-clock.js';
+
+const START = Date.parse('2024-01-01T12:00:00Z');
+
+/**
+ * Wait in real time
+ * @param {number} ms - Real milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('virtual time runs at a multiple of real time', async () => {
+    const clock = new VirtualClock({ startTime: START, speed: 1000 });
+    await wait(50);
+
+    // 50 real milliseconds is at least 50 virtual seconds
+    assert.ok(clock.now() - START >= 50 * 1000);
+    assert.ok(clock.now() - START < 60 * 60 * 1000);
+});
+
+test('speeds are kept between 1x and 1000x', () => {
+    const clock = new VirtualClock({ startTime: START, speed: 5000 });
+    assert.equal(clock.speed, MAX_SPEED);
+    assert.equal(clock.setSpeed(0), MIN_SPEED);
+    assert.equal(clock.setSpeed('60'), 60);
+});
+
+test('a paused clock stands still until resumed', async () => {
+    const clock = new VirtualClock({ startTime: START, speed: 1000 });
+    clock.pause();
+    const pausedAt = clock.now();
+    await wait(20);
+    assert.equal(clock.now(), pausedAt);
+
+    clock.resume();
+    await wait(20);
+    assert.ok(clock.now() > pausedAt);
+});
+
+test('the clock only jumps forward', () => {
+    const clock = new VirtualClock({ startTime: START, speed: 1 });
+    clock.pause();
+
+    clock.jumpTo(START + 60 * 60 * 1000);
+    assert.equal(clock.now(), START + 60 * 60 * 1000);
+
+    clock.jumpTo(START);
+    assert.equal(clock.now(), START + 60 * 60 * 1000);
+});
+
+test('timers count virtual milliseconds', async () => {
+    const clock = new VirtualClock({ startTime: START, speed: 1000 });
+    const fired = await new Promise(resolve => {
+        const started = Date.now();
+        clock.setTimeout(() => resolve(Date.now() - started), 10 * 1000);
+    });
+    assert.ok(fired < 1000);
+
+    let ticks = 0;
+    const interval = clock.setInterval(() => ticks++, 1000);
+    await wait(30);
+    clock.dispose();
+    const counted = ticks;
+    assert.ok(counted > 1);
+
+    await wait(20);
+    assert.equal(ticks, counted);
+    clock.clearInterval(interval);
+});